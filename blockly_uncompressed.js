@@ -37,14 +37,17 @@ this.BLOCKLY_BOOT = function(root) {
 goog.addDependency("../../../" + dir + "/core/block.js", ['Blockly.Block'], ['Blockly.Blocks', 'Blockly.Colours', 'Blockly.Comment', 'Blockly.Connection', 'Blockly.Events.BlockChange', 'Blockly.Events.BlockCreate', 'Blockly.Events.BlockDelete', 'Blockly.Events.BlockMove', 'Blockly.Extensions', 'Blockly.FieldLabelHover', 'Blockly.FieldVariableGetter', 'Blockly.Input', 'Blockly.Mutator', 'Blockly.Warning', 'Blockly.Workspace', 'Blockly.Xml', 'goog.array', 'goog.asserts', 'goog.math.Coordinate', 'goog.string']);
 goog.addDependency("../../../" + dir + "/core/block_animations.js", ['Blockly.BlockAnimations'], []);
 goog.addDependency("../../../" + dir + "/core/block_drag_surface.js", ['Blockly.BlockDragSurfaceSvg'], ['Blockly.utils', 'goog.asserts', 'goog.math.Coordinate']);
-goog.addDependency("../../../" + dir + "/core/block_dragger.js", ['Blockly.BlockDragger'], ['Blockly.BlockAnimations', 'Blockly.InsertionMarkerManager', 'Blockly.Events.BlockMove', 'Blockly.Events.EndBlockDrag', 'goog.math.Coordinate', 'goog.asserts']);
+goog.addDependency("../../../" + dir + "/core/block_dragger.js", ['Blockly.BlockDragger'], ['Blockly.BlockAnimations', 'Blockly.InsertionMarkerManager', 'Blockly.Events.BlockMove', 'Blockly.Events.DragOverDeleteArea', 'Blockly.Events.EndBlockDrag', 'Blockly.Events.StartBlockDrag', 'goog.math.Coordinate', 'goog.asserts']);
 goog.addDependency("../../../" + dir + "/core/block_events.js", ['Blockly.Events.BlockBase', 'Blockly.Events.BlockChange', 'Blockly.Events.BlockCreate', 'Blockly.Events.BlockDelete', 'Blockly.Events.BlockMove', 'Blockly.Events.Change', 'Blockly.Events.Create', 'Blockly.Events.Delete', 'Blockly.Events.Move'], ['Blockly.Events', 'Blockly.Events.Abstract', 'goog.array', 'goog.math.Coordinate']);
-goog.addDependency("../../../" + dir + "/core/block_render_svg.js", ['Blockly.BlockSvg.render'], ['Blockly.BlockSvg', 'Blockly.pxtBlocklyUtils', 'Blockly.utils']);
+goog.addDependency("../../../" + dir + "/core/block_render_svg.js", ['Blockly.BlockSvg.render'], ['Blockly.BlockSvg', 'Blockly.Renderer', 'Blockly.pxtBlocklyUtils', 'Blockly.utils']);
 goog.addDependency("../../../" + dir + "/core/block_svg.js", ['Blockly.BlockSvg'], ['Blockly.Block', 'Blockly.BlockAnimations', 'Blockly.ContextMenu', 'Blockly.Events.Ui', 'Blockly.Events.BlockMove', 'Blockly.Grid', 'Blockly.RenderedConnection', 'Blockly.pxtBlocklyUtils', 'Blockly.Tooltip', 'Blockly.Touch', 'Blockly.utils', 'goog.Timer', 'goog.asserts', 'goog.dom', 'goog.math.Coordinate']);
-goog.addDependency("../../../" + dir + "/core/blockly.js", ['Blockly'], ['Blockly.BlockSvg.render', 'Blockly.WorkspaceCommentSvg.render', 'Blockly.DropDownDiv', 'Blockly.Events', 'Blockly.FieldAngle', 'Blockly.FieldCheckbox', 'Blockly.FieldColour', 'Blockly.FieldColourSlider', 'Blockly.FieldDropdown', 'Blockly.FieldIconMenu', 'Blockly.FieldImage', 'Blockly.FieldTextInput', 'Blockly.FieldTextDropdown', 'Blockly.FieldNumber', 'Blockly.FieldNumberDropdown', 'Blockly.FieldVariable', 'Blockly.FieldVerticalSeparator', 'Blockly.FieldSlider', 'Blockly.FieldString', 'Blockly.FieldTextInputRemovable', 'Blockly.Generator', 'Blockly.Msg', 'Blockly.Procedures', 'Blockly.Functions', 'Blockly.Toolbox', 'Blockly.Touch', 'Blockly.WidgetDiv', 'Blockly.WorkspaceSvg', 'Blockly.constants', 'Blockly.inject', 'Blockly.utils', 'goog.color']);
+goog.addDependency("../../../" + dir + "/core/blockly.js", ['Blockly'], ['Blockly.BlockSvg.render', 'Blockly.WorkspaceCommentSvg.render', 'Blockly.Collaboration', 'Blockly.RemotePresence', 'Blockly.ViewportFollow', 'Blockly.DropDownDiv', 'Blockly.EventPlayer', 'Blockly.EventRecorder', 'Blockly.Events', 'Blockly.FieldAngle', 'Blockly.FieldCheckbox', 'Blockly.FieldColour', 'Blockly.FieldColourSlider', 'Blockly.FieldDropdown', 'Blockly.FieldIconMenu', 'Blockly.FieldImage', 'Blockly.FieldTextInput', 'Blockly.FieldTextDropdown', 'Blockly.FieldNumber', 'Blockly.FieldNumberDropdown', 'Blockly.FieldVariable', 'Blockly.FieldVerticalSeparator', 'Blockly.FieldSlider', 'Blockly.FieldString', 'Blockly.FieldTextInputRemovable', 'Blockly.Generator', 'Blockly.Json', 'Blockly.Msg', 'Blockly.Procedures', 'Blockly.Functions', 'Blockly.Toolbox', 'Blockly.Touch', 'Blockly.UnknownBlock', 'Blockly.WidgetDiv', 'Blockly.WorkspaceDiff', 'Blockly.WorkspaceDiffSvg', 'Blockly.WorkspaceSvg', 'Blockly.constants', 'Blockly.exportPng', 'Blockly.exportSvg', 'Blockly.inject', 'Blockly.utils', 'goog.color']);
 goog.addDependency("../../../" + dir + "/core/blocks.js", ['Blockly.Blocks'], []);
 goog.addDependency("../../../" + dir + "/core/bubble.js", ['Blockly.Bubble'], ['Blockly.Touch', 'Blockly.Workspace', 'goog.dom', 'goog.math', 'goog.math.Coordinate', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/bubble_dragger.js", ['Blockly.BubbleDragger'], ['Blockly.Bubble', 'Blockly.Events.CommentMove', 'Blockly.WorkspaceCommentSvg', 'goog.math.Coordinate', 'goog.asserts']);
+goog.addDependency("../../../" + dir + "/core/category_patterns.js", ['Blockly.CategoryPatterns'], ['Blockly.utils']);
+goog.addDependency("../../../" + dir + "/core/collaboration.js", ['Blockly.Collaboration'], ['Blockly.CollaborationTransport', 'Blockly.Events', 'Blockly.utils']);
+goog.addDependency("../../../" + dir + "/core/collaboration_transport.js", ['Blockly.CollaborationTransport', 'Blockly.LocalCollaborationHub', 'Blockly.WebSocketTransport'], []);
 goog.addDependency("../../../" + dir + "/core/colours.js", ['Blockly.Colours'], []);
 goog.addDependency("../../../" + dir + "/core/comment.js", ['Blockly.Comment'], ['Blockly.Bubble', 'Blockly.Events.BlockChange', 'Blockly.Events.Ui', 'Blockly.Icon', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/connection.js", ['Blockly.Connection'], ['Blockly.Events.BlockMove', 'goog.asserts', 'goog.dom']);
@@ -53,11 +56,15 @@ goog.addDependency("../../../" + dir + "/core/constants.js", ['Blockly.constants
 goog.addDependency("../../../" + dir + "/core/contextmenu.js", ['Blockly.ContextMenu'], ['Blockly.Events.BlockCreate', 'Blockly.utils', 'Blockly.utils.uiMenu', 'goog.dom', 'goog.events', 'goog.style', 'goog.ui.Menu', 'goog.ui.MenuItem', 'goog.ui.MenuSeparator', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/css.js", ['Blockly.Css'], ['Blockly.Colours', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/dragged_connection_manager.js", ['Blockly.DraggedConnectionManager'], ['Blockly.BlockAnimations', 'Blockly.RenderedConnection', 'goog.math.Coordinate']);
-goog.addDependency("../../../" + dir + "/core/dropdowndiv.js", ['Blockly.DropDownDiv'], ['goog.dom', 'goog.style']);
+goog.addDependency("../../../" + dir + "/core/dropdowndiv.js", ['Blockly.DropDownDiv'], ['Blockly.Events.FieldEditorOpen', 'goog.dom', 'goog.style']);
+goog.addDependency("../../../" + dir + "/core/event_player.js", ['Blockly.EventPlayer'], ['Blockly.EventRecorder', 'Blockly.Events', 'Blockly.Xml']);
+goog.addDependency("../../../" + dir + "/core/event_recorder.js", ['Blockly.EventRecorder'], ['Blockly.Events', 'Blockly.Xml']);
+goog.addDependency("../../../" + dir + "/core/event_subscriptions.js", ['Blockly.EventSubscriptions'], ['goog.array']);
 goog.addDependency("../../../" + dir + "/core/events.js", ['Blockly.Events'], ['goog.array', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/events_abstract.js", ['Blockly.Events.Abstract'], ['Blockly.Events', 'goog.array', 'goog.math.Coordinate']);
+goog.addDependency("../../../" + dir + "/core/export.js", ['Blockly.exportPng', 'Blockly.exportSvg'], ['Blockly.BlockSvg', 'Blockly.Css', 'Blockly.WorkspaceSvg', 'Blockly.Xml', 'Blockly.utils', 'goog.Uri', 'goog.asserts', 'goog.dom']);
 goog.addDependency("../../../" + dir + "/core/extensions.js", ['Blockly.Extensions'], ['Blockly.Mutator', 'Blockly.utils', 'goog.string']);
-goog.addDependency("../../../" + dir + "/core/field.js", ['Blockly.Field'], ['Blockly.Events.BlockChange', 'Blockly.Gesture', 'goog.asserts', 'goog.dom', 'goog.math.Size', 'goog.style', 'goog.userAgent']);
+goog.addDependency("../../../" + dir + "/core/field.js", ['Blockly.Field'], ['Blockly.Events.BlockChange', 'Blockly.Gesture', 'Blockly.Renderer', 'goog.asserts', 'goog.dom', 'goog.math.Size', 'goog.style', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/field_angle.js", ['Blockly.FieldAngle'], ['Blockly.DropDownDiv', 'Blockly.FieldTextInput', 'goog.math', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/field_checkbox.js", ['Blockly.FieldCheckbox'], ['Blockly.Field']);
 goog.addDependency("../../../" + dir + "/core/field_colour.js", ['Blockly.FieldColour'], ['Blockly.Field', 'Blockly.utils', 'goog.dom', 'goog.events', 'goog.style', 'goog.ui.ColorPicker']);
@@ -78,7 +85,7 @@ goog.addDependency("../../../" + dir + "/core/field_textinput_removable.js", ['B
 goog.addDependency("../../../" + dir + "/core/field_variable.js", ['Blockly.FieldVariable'], ['Blockly.FieldDropdown', 'Blockly.Msg', 'Blockly.VariableModel', 'Blockly.Variables', 'goog.asserts', 'goog.string']);
 goog.addDependency("../../../" + dir + "/core/field_variable_getter.js", ['Blockly.FieldVariableGetter'], ['Blockly.Field']);
 goog.addDependency("../../../" + dir + "/core/field_vertical_separator.js", ['Blockly.FieldVerticalSeparator'], ['Blockly.Field', 'goog.dom', 'goog.math.Size']);
-goog.addDependency("../../../" + dir + "/core/flyout_base.js", ['Blockly.Flyout'], ['Blockly.Block', 'Blockly.Events', 'Blockly.Events.BlockCreate', 'Blockly.Events.VarCreate', 'Blockly.FlyoutButton', 'Blockly.Gesture', 'Blockly.Touch', 'Blockly.WorkspaceSvg', 'goog.dom', 'goog.events', 'goog.math.Rect']);
+goog.addDependency("../../../" + dir + "/core/flyout_base.js", ['Blockly.Flyout'], ['Blockly.Block', 'Blockly.Events', 'Blockly.Events.BlockCreate', 'Blockly.Events.FlyoutOpen', 'Blockly.Events.VarCreate', 'Blockly.FlyoutButton', 'Blockly.Gesture', 'Blockly.Touch', 'Blockly.WorkspaceSvg', 'goog.dom', 'goog.events', 'goog.math.Rect']);
 goog.addDependency("../../../" + dir + "/core/flyout_button.js", ['Blockly.FlyoutButton'], ['goog.dom', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/flyout_dragger.js", ['Blockly.FlyoutDragger'], ['Blockly.WorkspaceDragger', 'goog.asserts', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/flyout_horizontal.js", ['Blockly.HorizontalFlyout'], ['Blockly.Block', 'Blockly.Events', 'Blockly.FlyoutButton', 'Blockly.Flyout', 'Blockly.WorkspaceSvg', 'goog.dom', 'goog.events', 'goog.math.Rect', 'goog.userAgent']);
@@ -90,41 +97,55 @@ goog.addDependency("../../../" + dir + "/core/icon.js", ['Blockly.Icon'], ['goog
 goog.addDependency("../../../" + dir + "/core/inject.js", ['Blockly.inject'], ['Blockly.BlockDragSurfaceSvg', 'Blockly.Css', 'Blockly.Colours', 'Blockly.constants', 'Blockly.DropDownDiv', 'Blockly.Grid', 'Blockly.Options', 'Blockly.WorkspaceSvg', 'Blockly.WorkspaceDragSurfaceSvg', 'goog.dom', 'goog.ui.Component', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/input.js", ['Blockly.Input'], ['Blockly.Connection', 'Blockly.FieldLabel', 'goog.asserts']);
 goog.addDependency("../../../" + dir + "/core/insertion_marker_manager.js", ['Blockly.InsertionMarkerManager'], ['Blockly.BlockAnimations', 'Blockly.Events', 'Blockly.RenderedConnection', 'goog.math.Coordinate']);
+goog.addDependency("../../../" + dir + "/core/json.js", ['Blockly.Json'], ['Blockly.Xml', 'goog.dom']);
+goog.addDependency("../../../" + dir + "/core/minimap.js", ['Blockly.Minimap'], ['Blockly.Events', 'Blockly.Touch', 'goog.dom', 'goog.math.Coordinate', 'goog.math.Rect']);
 goog.addDependency("../../../" + dir + "/core/msg.js", ['Blockly.Msg'], []);
 goog.addDependency("../../../" + dir + "/core/mutator.js", ['Blockly.Mutator'], ['Blockly.Bubble', 'Blockly.Events.BlockChange', 'Blockly.Events.Ui', 'Blockly.Icon', 'Blockly.WorkspaceSvg', 'goog.dom']);
 goog.addDependency("../../../" + dir + "/core/names.js", ['Blockly.Names'], []);
-goog.addDependency("../../../" + dir + "/core/options.js", ['Blockly.Options'], ['Blockly.Colours']);
+goog.addDependency("../../../" + dir + "/core/options.js", ['Blockly.Options'], ['Blockly.CategoryPatterns', 'Blockly.Colours', 'Blockly.Renderer', 'Blockly.Theme']);
+goog.addDependency("../../../" + dir + "/core/presence_events.js", ['Blockly.Events.Presence'], ['Blockly.Events', 'Blockly.Events.Abstract']);
 goog.addDependency("../../../" + dir + "/core/procedures.js", ['Blockly.Procedures'], ['Blockly.Blocks', 'Blockly.constants', 'Blockly.Events.BlockChange', 'Blockly.Field', 'Blockly.Names', 'Blockly.Workspace']);
-goog.addDependency("../../../" + dir + "/core/pxt_blockly_events.js", ['Blockly.Events.EndBlockDrag'], ['Blockly.Events', 'Blockly.Events.BlockBase']);
+goog.addDependency("../../../" + dir + "/core/pxt_blockly_events.js", ['Blockly.Events.DragOverDeleteArea', 'Blockly.Events.EndBlockDrag', 'Blockly.Events.FieldEditorOpen', 'Blockly.Events.FlyoutOpen', 'Blockly.Events.StartBlockDrag', 'Blockly.Events.ToolboxCategorySelect', 'Blockly.Events.ViewportChange'], ['Blockly.Events', 'Blockly.Events.Abstract', 'Blockly.Events.BlockBase', 'goog.math.Rect']);
 goog.addDependency("../../../" + dir + "/core/pxt_blockly_functions.js", ['Blockly.Functions'], ['Blockly.Blocks', 'Blockly.constants', 'Blockly.Events.BlockChange', 'Blockly.Field', 'Blockly.Names', 'Blockly.Workspace']);
 goog.addDependency("../../../" + dir + "/core/pxt_blockly_utils.js", ['Blockly.pxtBlocklyUtils'], []);
 goog.addDependency("../../../" + dir + "/core/pxt_utils.js", ['Blockly.PXTUtils'], ['goog.ui.Menu', 'goog.ui.MenuItem', 'goog.positioning.ClientPosition', 'goog.ui.Tooltip', 'goog.ui.CustomButton']);
+goog.addDependency("../../../" + dir + "/core/remote_presence.js", ['Blockly.RemotePresence'], ['Blockly.Events', 'Blockly.Events.Presence', 'Blockly.utils', 'goog.dom', 'goog.math.Rect']);
+goog.addDependency("../../../" + dir + "/core/render_queue.js", ['Blockly.RenderQueue'], []);
 goog.addDependency("../../../" + dir + "/core/rendered_connection.js", ['Blockly.RenderedConnection'], ['Blockly.Connection']);
+goog.addDependency("../../../" + dir + "/core/renderer.js", ['Blockly.CompactRenderer', 'Blockly.Renderer', 'Blockly.TouchRenderer'], []);
 goog.addDependency("../../../" + dir + "/core/scrollbar.js", ['Blockly.Scrollbar', 'Blockly.ScrollbarPair'], ['goog.dom', 'goog.events']);
-goog.addDependency("../../../" + dir + "/core/toolbox.js", ['Blockly.Toolbox'], ['Blockly.Events.Ui', 'Blockly.Flyout', 'Blockly.HorizontalFlyout', 'Blockly.Touch', 'Blockly.VerticalFlyout', 'goog.dom', 'goog.dom.TagName', 'goog.events', 'goog.events.BrowserFeature', 'goog.html.SafeHtml', 'goog.html.SafeStyle', 'goog.math.Rect', 'goog.style', 'goog.ui.tree.TreeControl', 'goog.ui.tree.TreeNode', 'Blockly.PXTUtils']);
+goog.addDependency("../../../" + dir + "/core/theme.js", ['Blockly.Theme'], ['Blockly.Colours', 'Blockly.utils']);
+goog.addDependency("../../../" + dir + "/core/toolbox.js", ['Blockly.Toolbox'], ['Blockly.Events.ToolboxCategorySelect', 'Blockly.Events.Ui', 'Blockly.Flyout', 'Blockly.HorizontalFlyout', 'Blockly.Touch', 'Blockly.VerticalFlyout', 'goog.dom', 'goog.dom.TagName', 'goog.events', 'goog.events.BrowserFeature', 'goog.html.SafeHtml', 'goog.html.SafeStyle', 'goog.math.Rect', 'goog.style', 'goog.ui.tree.TreeControl', 'goog.ui.tree.TreeNode', 'Blockly.PXTUtils']);
 goog.addDependency("../../../" + dir + "/core/tooltip.js", ['Blockly.Tooltip'], ['goog.dom', 'goog.dom.TagName']);
 goog.addDependency("../../../" + dir + "/core/touch.js", ['Blockly.Touch'], ['goog.events', 'goog.events.BrowserFeature', 'goog.string']);
 goog.addDependency("../../../" + dir + "/core/touch_gesture.js", ['Blockly.TouchGesture'], ['Blockly.Gesture', 'goog.asserts', 'goog.math.Coordinate']);
-goog.addDependency("../../../" + dir + "/core/trashcan.js", ['Blockly.Trashcan'], ['goog.Timer', 'goog.dom', 'goog.math', 'goog.math.Rect']);
+goog.addDependency("../../../" + dir + "/core/trashcan.js", ['Blockly.Trashcan'], ['Blockly.Events', 'Blockly.Xml', 'goog.Timer', 'goog.dom', 'goog.math', 'goog.math.Rect']);
 goog.addDependency("../../../" + dir + "/core/ui_events.js", ['Blockly.Events.Ui'], ['Blockly.Events', 'Blockly.Events.Abstract', 'goog.array', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/ui_menu_utils.js", ['Blockly.utils.uiMenu'], []);
+goog.addDependency("../../../" + dir + "/core/undo_history.js", ['Blockly.UndoHistory'], ['Blockly.Events', 'Blockly.Xml', 'goog.math.Coordinate']);
+goog.addDependency("../../../" + dir + "/core/undo_history_panel.js", ['Blockly.UndoHistoryPanel'], ['Blockly.Events', 'Blockly.UndoHistory', 'Blockly.utils', 'goog.dom']);
+goog.addDependency("../../../" + dir + "/core/unknown_block.js", ['Blockly.UnknownBlock'], ['Blockly.Blocks', 'Blockly.Colours', 'Blockly.Xml', 'Blockly.constants']);
 goog.addDependency("../../../" + dir + "/core/utils.js", ['Blockly.utils'], ['goog.dom', 'goog.math.Coordinate', 'goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/variable_events.js", ['Blockly.Events.VarBase', 'Blockly.Events.VarCreate', 'Blockly.Events.VarDelete', 'Blockly.Events.VarRename'], ['Blockly.Events', 'Blockly.Events.Abstract', 'goog.array', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/variable_map.js", ['Blockly.VariableMap'], ['Blockly.Events.VarDelete', 'Blockly.Events.VarRename']);
 goog.addDependency("../../../" + dir + "/core/variable_model.js", ['Blockly.VariableModel'], ['Blockly.Events.VarCreate', 'goog.string']);
 goog.addDependency("../../../" + dir + "/core/variables.js", ['Blockly.Variables'], ['Blockly.Blocks', 'Blockly.constants', 'Blockly.VariableModel', 'Blockly.Workspace', 'goog.string']);
 goog.addDependency("../../../" + dir + "/core/variables_dynamic.js", ['Blockly.VariablesDynamic'], ['Blockly.Variables', 'Blockly.Blocks', 'Blockly.constants', 'Blockly.VariableModel', 'Blockly.Xml']);
+goog.addDependency("../../../" + dir + "/core/viewport_culler.js", ['Blockly.ViewportCuller'], ['Blockly.Events', 'goog.math.Rect']);
+goog.addDependency("../../../" + dir + "/core/viewport_follow.js", ['Blockly.ViewportFollow'], ['Blockly.CollaborationTransport', 'Blockly.Events', 'Blockly.Events.ViewportChange']);
 goog.addDependency("../../../" + dir + "/core/warning.js", ['Blockly.Warning'], ['Blockly.Bubble', 'Blockly.Events.Ui', 'Blockly.Icon']);
-goog.addDependency("../../../" + dir + "/core/widgetdiv.js", ['Blockly.WidgetDiv'], ['Blockly.Css', 'goog.dom', 'goog.dom.TagName', 'goog.style']);
-goog.addDependency("../../../" + dir + "/core/workspace.js", ['Blockly.Workspace'], ['Blockly.VariableMap', 'Blockly.WorkspaceComment', 'goog.array', 'goog.math']);
+goog.addDependency("../../../" + dir + "/core/widgetdiv.js", ['Blockly.WidgetDiv'], ['Blockly.Css', 'Blockly.Events.FieldEditorOpen', 'goog.dom', 'goog.dom.TagName', 'goog.style']);
+goog.addDependency("../../../" + dir + "/core/workspace.js", ['Blockly.Workspace'], ['Blockly.EventSubscriptions', 'Blockly.Theme', 'Blockly.UndoHistory', 'Blockly.VariableMap', 'Blockly.WorkspaceComment', 'goog.array', 'goog.math']);
 goog.addDependency("../../../" + dir + "/core/workspace_audio.js", ['Blockly.WorkspaceAudio'], ['goog.userAgent']);
 goog.addDependency("../../../" + dir + "/core/workspace_comment.js", ['Blockly.WorkspaceComment'], ['Blockly.Events.CommentChange', 'Blockly.Events.CommentCreate', 'Blockly.Events.CommentDelete', 'Blockly.Events.CommentMove', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/workspace_comment_events.js", ['Blockly.Events.CommentBase', 'Blockly.Events.CommentChange', 'Blockly.Events.CommentCreate', 'Blockly.Events.CommentDelete', 'Blockly.Events.CommentMove'], ['Blockly.Events', 'Blockly.Events.Abstract', 'Blockly.Events.BlockBase', 'goog.array', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/workspace_comment_render_svg.js", ['Blockly.WorkspaceCommentSvg.render'], ['Blockly.WorkspaceCommentSvg']);
 goog.addDependency("../../../" + dir + "/core/workspace_comment_svg.js", ['Blockly.WorkspaceCommentSvg'], ['Blockly.Events.CommentCreate', 'Blockly.Events.CommentDelete', 'Blockly.Events.CommentMove', 'Blockly.WorkspaceComment']);
+goog.addDependency("../../../" + dir + "/core/workspace_diff.js", ['Blockly.WorkspaceDiff'], ['Blockly.Xml', 'goog.dom']);
+goog.addDependency("../../../" + dir + "/core/workspace_diff_svg.js", ['Blockly.WorkspaceDiffSvg'], ['Blockly.Events', 'Blockly.Tooltip', 'Blockly.WorkspaceDiff', 'Blockly.Xml', 'Blockly.inject', 'Blockly.utils', 'goog.asserts', 'goog.object']);
 goog.addDependency("../../../" + dir + "/core/workspace_drag_surface_svg.js", ['Blockly.WorkspaceDragSurfaceSvg'], ['Blockly.utils', 'goog.asserts', 'goog.math.Coordinate']);
 goog.addDependency("../../../" + dir + "/core/workspace_dragger.js", ['Blockly.WorkspaceDragger'], ['goog.math.Coordinate', 'goog.asserts']);
-goog.addDependency("../../../" + dir + "/core/workspace_svg.js", ['Blockly.WorkspaceSvg'], ['Blockly.Colours', 'Blockly.ConnectionDB', 'Blockly.constants', 'Blockly.DropDownDiv', 'Blockly.Events.BlockCreate', 'Blockly.TouchGesture', 'Blockly.Grid', 'Blockly.Options', 'Blockly.ScrollbarPair', 'Blockly.Touch', 'Blockly.TouchGesture', 'Blockly.Trashcan', 'Blockly.VariablesDynamic', 'Blockly.Workspace', 'Blockly.WorkspaceAudio', 'Blockly.WorkspaceComment', 'Blockly.WorkspaceCommentSvg', 'Blockly.WorkspaceDragSurfaceSvg', 'Blockly.Xml', 'Blockly.ZoomControls', 'goog.array', 'goog.dom', 'goog.math.Coordinate']);
+goog.addDependency("../../../" + dir + "/core/workspace_svg.js", ['Blockly.WorkspaceSvg'], ['Blockly.Colours', 'Blockly.ConnectionDB', 'Blockly.constants', 'Blockly.DropDownDiv', 'Blockly.Events.BlockCreate', 'Blockly.Events.ViewportChange', 'Blockly.TouchGesture', 'Blockly.Grid', 'Blockly.Minimap', 'Blockly.Options', 'Blockly.RenderQueue', 'Blockly.Renderer', 'Blockly.ScrollbarPair', 'Blockly.Touch', 'Blockly.TouchGesture', 'Blockly.Trashcan', 'Blockly.UndoHistoryPanel', 'Blockly.VariablesDynamic', 'Blockly.ViewportCuller', 'Blockly.Workspace', 'Blockly.WorkspaceAudio', 'Blockly.WorkspaceComment', 'Blockly.WorkspaceCommentSvg', 'Blockly.WorkspaceDragSurfaceSvg', 'Blockly.Xml', 'Blockly.ZoomControls', 'goog.array', 'goog.dom', 'goog.math.Coordinate', 'goog.math.Rect']);
 goog.addDependency("../../../" + dir + "/core/xml.js", ['Blockly.Xml'], ['Blockly.Events.BlockCreate', 'Blockly.Events.VarCreate', 'goog.asserts', 'goog.dom']);
 goog.addDependency("../../../" + dir + "/core/zoom_controls.js", ['Blockly.ZoomControls'], ['Blockly.Touch', 'goog.dom']);
 goog.addDependency("../../alltests.js", [], []);
@@ -1738,14 +1759,21 @@ goog.require('Blockly.BlockSvg.render');
 goog.require('Blockly.Blocks');
 goog.require('Blockly.Bubble');
 goog.require('Blockly.BubbleDragger');
+goog.require('Blockly.CategoryPatterns');
+goog.require('Blockly.Collaboration');
+goog.require('Blockly.CollaborationTransport');
 goog.require('Blockly.Colours');
 goog.require('Blockly.Comment');
+goog.require('Blockly.CompactRenderer');
 goog.require('Blockly.Connection');
 goog.require('Blockly.ConnectionDB');
 goog.require('Blockly.ContextMenu');
 goog.require('Blockly.Css');
 goog.require('Blockly.DraggedConnectionManager');
 goog.require('Blockly.DropDownDiv');
+goog.require('Blockly.EventPlayer');
+goog.require('Blockly.EventRecorder');
+goog.require('Blockly.EventSubscriptions');
 goog.require('Blockly.Events');
 goog.require('Blockly.Events.Abstract');
 goog.require('Blockly.Events.BlockBase');
@@ -1761,13 +1789,20 @@ goog.require('Blockly.Events.CommentDelete');
 goog.require('Blockly.Events.CommentMove');
 goog.require('Blockly.Events.Create');
 goog.require('Blockly.Events.Delete');
+goog.require('Blockly.Events.DragOverDeleteArea');
 goog.require('Blockly.Events.EndBlockDrag');
+goog.require('Blockly.Events.FieldEditorOpen');
+goog.require('Blockly.Events.FlyoutOpen');
 goog.require('Blockly.Events.Move');
+goog.require('Blockly.Events.Presence');
+goog.require('Blockly.Events.StartBlockDrag');
+goog.require('Blockly.Events.ToolboxCategorySelect');
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.Events.VarBase');
 goog.require('Blockly.Events.VarCreate');
 goog.require('Blockly.Events.VarDelete');
 goog.require('Blockly.Events.VarRename');
+goog.require('Blockly.Events.ViewportChange');
 goog.require('Blockly.Extensions');
 goog.require('Blockly.Field');
 goog.require('Blockly.FieldAngle');
@@ -1801,38 +1836,56 @@ goog.require('Blockly.HorizontalFlyout');
 goog.require('Blockly.Icon');
 goog.require('Blockly.Input');
 goog.require('Blockly.InsertionMarkerManager');
+goog.require('Blockly.Json');
+goog.require('Blockly.LocalCollaborationHub');
+goog.require('Blockly.Minimap');
 goog.require('Blockly.Msg');
 goog.require('Blockly.Mutator');
 goog.require('Blockly.Names');
 goog.require('Blockly.Options');
 goog.require('Blockly.PXTUtils');
 goog.require('Blockly.Procedures');
+goog.require('Blockly.RemotePresence');
+goog.require('Blockly.RenderQueue');
 goog.require('Blockly.RenderedConnection');
+goog.require('Blockly.Renderer');
 goog.require('Blockly.Scrollbar');
 goog.require('Blockly.ScrollbarPair');
+goog.require('Blockly.Theme');
 goog.require('Blockly.Toolbox');
 goog.require('Blockly.Tooltip');
 goog.require('Blockly.Touch');
 goog.require('Blockly.TouchGesture');
+goog.require('Blockly.TouchRenderer');
 goog.require('Blockly.Trashcan');
+goog.require('Blockly.UndoHistory');
+goog.require('Blockly.UndoHistoryPanel');
+goog.require('Blockly.UnknownBlock');
 goog.require('Blockly.VariableMap');
 goog.require('Blockly.VariableModel');
 goog.require('Blockly.Variables');
 goog.require('Blockly.VariablesDynamic');
 goog.require('Blockly.VerticalFlyout');
+goog.require('Blockly.ViewportCuller');
+goog.require('Blockly.ViewportFollow');
 goog.require('Blockly.Warning');
+goog.require('Blockly.WebSocketTransport');
 goog.require('Blockly.WidgetDiv');
 goog.require('Blockly.Workspace');
 goog.require('Blockly.WorkspaceAudio');
 goog.require('Blockly.WorkspaceComment');
 goog.require('Blockly.WorkspaceCommentSvg');
 goog.require('Blockly.WorkspaceCommentSvg.render');
+goog.require('Blockly.WorkspaceDiff');
+goog.require('Blockly.WorkspaceDiffSvg');
 goog.require('Blockly.WorkspaceDragSurfaceSvg');
 goog.require('Blockly.WorkspaceDragger');
 goog.require('Blockly.WorkspaceSvg');
 goog.require('Blockly.Xml');
 goog.require('Blockly.ZoomControls');
 goog.require('Blockly.constants');
+goog.require('Blockly.exportPng');
+goog.require('Blockly.exportSvg');
 goog.require('Blockly.inject');
 goog.require('Blockly.pxtBlocklyUtils');
 goog.require('Blockly.utils');
@@ -60,6 +60,12 @@ Blockly.PXTBlockly.FunctionUtils.mutationToDom = function() {
     argNode.setAttribute('type', arg.type);
     container.appendChild(argNode);
   });
+  if (this.returnType_) {
+    container.setAttribute('returntype', this.returnType_);
+    if (this.returnTypeDeclared_) {
+      container.setAttribute('returntypedeclared', 'true');
+    }
+  }
 
   return container;
 };
@@ -88,6 +94,9 @@ Blockly.PXTBlockly.FunctionUtils.domToMutation = function(xmlElement) {
   this.arguments_ = args;
   this.name_ = xmlElement.getAttribute('name');
   this.functionId_ = xmlElement.getAttribute('functionid');
+  this.returnType_ = xmlElement.getAttribute('returntype') || null;
+  this.returnTypeDeclared_ = !!this.returnType_ &&
+      xmlElement.getAttribute('returntypedeclared') == 'true';
   this.ensureIds_();
   this.updateDisplay_();
 };
@@ -110,6 +119,7 @@ Blockly.PXTBlockly.FunctionUtils.ensureIds_ = function() {
       }
       break;
     case Blockly.FUNCTION_CALL_BLOCK_TYPE:
+    case Blockly.FUNCTION_CALL_OUTPUT_BLOCK_TYPE:
       var def = Blockly.Functions.getDefinition(this.name_, this.workspace);
       if (def) {
         this.functionId_ = def.getFunctionId();
@@ -157,6 +167,27 @@ Blockly.PXTBlockly.FunctionUtils.getArguments = function() {
   return this.arguments_;
 };
 
+/**
+ * Returns the type of the value returned by this function, or null if the
+ * function does not return a value.
+ * @return {?string} The return type (string, number, boolean, any or a custom
+ *     type).
+ * @this Blockly.Block
+ */
+Blockly.PXTBlockly.FunctionUtils.getReturnType = function() {
+  return this.returnType_;
+};
+
+/**
+ * Returns whether the return type of this function was declared by the user,
+ * as opposed to being inferred from the function's return blocks.
+ * @return {boolean} True if the return type was declared.
+ * @this Blockly.Block
+ */
+Blockly.PXTBlockly.FunctionUtils.isReturnTypeDeclared = function() {
+  return this.returnTypeDeclared_;
+};
+
 /**
  * Add or remove the statement block from this function definition.
  * @param {boolean} hasStatements True if a statement block is needed.
@@ -189,6 +220,13 @@ Blockly.PXTBlockly.FunctionUtils.updateDisplay_ = function() {
 
   this.createAllInputs_(connectionMap);
   this.deleteShadows_(connectionMap);
+  if (this.outputConnection) {
+    // Reporter calls output the value returned by the function.
+    this.setOutputShape(this.returnType_ == 'boolean' ?
+        Blockly.OUTPUT_SHAPE_HEXAGONAL : Blockly.OUTPUT_SHAPE_ROUND);
+    this.outputConnection.setCheck(
+        Blockly.Functions.getReturnTypeCheck(this.returnType_));
+  }
 
   this.rendered = wasRendered;
   if (wasRendered && !this.isInsertionMarker() && this.initSvg) {
@@ -264,6 +302,7 @@ Blockly.PXTBlockly.FunctionUtils.createAllInputs_ = function(connectionMap) {
   var labelText = '';
   switch (this.type) {
     case Blockly.FUNCTION_CALL_BLOCK_TYPE:
+    case Blockly.FUNCTION_CALL_OUTPUT_BLOCK_TYPE:
       labelText = Blockly.Msg.FUNCTIONS_CALL_TITLE;
       break;
     case Blockly.FUNCTION_DEFINITION_BLOCK_TYPE:
@@ -715,6 +754,19 @@ Blockly.PXTBlockly.FunctionUtils.addCustomExternal = function(typeName) {
   this.addParam_(typeName, Blockly.Msg.FUNCTIONS_DEFAULT_CUSTOM_ARG_NAME);
 };
 
+/**
+ * Externally-visible function to declare the type of the value returned by
+ * the function, or to go back to inferring it from the function's return
+ * blocks.
+ * @param {?string} returnType The return type (string, number, boolean, any or
+ *  a custom type), or null to infer it.
+ * @public
+ */
+Blockly.PXTBlockly.FunctionUtils.setReturnTypeExternal = function(returnType) {
+  this.returnType_ = returnType || null;
+  this.returnTypeDeclared_ = !!returnType;
+};
+
 /**
  * Callback to remove a field, only for the declaration block.
  * @param {Blockly.Field} field The field being removed.
@@ -781,7 +833,8 @@ Blockly.PXTBlockly.FunctionUtils.onCallerChange = function(event) {
       // The function definition exists, ensure the signatures match.
       var defArgs = def.getArguments().slice();
       var thisArgs = this.arguments_.slice();
-      if (JSON.stringify(thisArgs) !== JSON.stringify(defArgs)) {
+      if (JSON.stringify(thisArgs) !== JSON.stringify(defArgs) ||
+          this.getReturnType() !== def.getReturnType()) {
         // The function signature has changed since this block was copied,
         // update it.
         Blockly.Functions.mutateCallersAndDefinition(
@@ -820,6 +873,56 @@ Blockly.PXTBlockly.FunctionUtils.onCallerChange = function(event) {
   }
 };
 
+/**
+ * Function definitions that do not declare a return type infer it from the
+ * return blocks they contain. Update the inferred type whenever an event is
+ * fired.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @this Blockly.Block
+ */
+Blockly.PXTBlockly.FunctionUtils.onDefinitionChange = function(event) {
+  if (!this.workspace || this.workspace.isFlyout || this.isInsertionMarker() ||
+      event.type == Blockly.Events.UI || this.isReturnTypeDeclared()) {
+    return;
+  }
+  if (Blockly.Functions.inferReturnType(this) != this.getReturnType()) {
+    // Group the new return type with the change that caused it, so that undo
+    // reverts both at once.
+    Blockly.Events.setGroup(event.group);
+    Blockly.Functions.mutateCallersAndDefinition(
+        this.getName(), this.workspace, this.mutationToDom());
+    Blockly.Events.setGroup(false);
+  }
+};
+
+/**
+ * Return blocks are only valid inside a function definition. Disable them
+ * anywhere else, and restrict the returned value to the declared return type.
+ * @param {!Blockly.Events.Abstract} _event Change event.
+ * @this Blockly.Block
+ */
+Blockly.PXTBlockly.FunctionUtils.onReturnChange = function(_event) {
+  if (!this.workspace || this.workspace.isFlyout ||
+      (this.workspace.isDragging && this.workspace.isDragging())) {
+    return;  // Don't change state at the start of a drag.
+  }
+  var definition = this.getRootBlock();
+  if (definition.type == Blockly.FUNCTION_DEFINITION_BLOCK_TYPE) {
+    var check = definition.isReturnTypeDeclared() ?
+        Blockly.Functions.getReturnTypeCheck(definition.getReturnType()) : null;
+    this.getInput('VALUE').setCheck(check);
+    this.setWarningText(null);
+    if (!this.isInFlyout) {
+      this.setDisabled(false);
+    }
+  } else {
+    this.setWarningText(Blockly.Msg.FUNCTION_RETURN_WARNING);
+    if (!this.isInFlyout && !this.getInheritedDisabled()) {
+      this.setDisabled(true);
+    }
+  }
+};
+
 Blockly.Blocks['function_declaration'] = {
   /**
    * The preview block in the function editor dialog.
@@ -830,6 +933,8 @@ Blockly.Blocks['function_declaration'] = {
     this.name_ = ""; // The name of the function.
     this.arguments_ = []; // The arguments of this function.
     this.functionId_ = ""; // An ID, independent from the block ID, to track a function across its call, definition and declaration blocks.
+    this.returnType_ = null; // The type of the returned value, or null if nothing is returned.
+    this.returnTypeDeclared_ = false; // Whether the return type was declared rather than inferred.
 
     this.createAllInputs_();
     this.setColour(Blockly.Msg.PROCEDURES_HUE);
@@ -846,6 +951,8 @@ Blockly.Blocks['function_declaration'] = {
   getName: Blockly.PXTBlockly.FunctionUtils.getName,
   getFunctionId: Blockly.PXTBlockly.FunctionUtils.getFunctionId,
   getArguments: Blockly.PXTBlockly.FunctionUtils.getArguments,
+  getReturnType: Blockly.PXTBlockly.FunctionUtils.getReturnType,
+  isReturnTypeDeclared: Blockly.PXTBlockly.FunctionUtils.isReturnTypeDeclared,
   removeAllInputs_: Blockly.PXTBlockly.FunctionUtils.removeAllInputs_,
   disconnectOldBlocks_: Blockly.PXTBlockly.FunctionUtils.disconnectOldBlocks_,
   deleteShadows_: Blockly.PXTBlockly.FunctionUtils.deleteShadows_,
@@ -867,6 +974,7 @@ Blockly.Blocks['function_declaration'] = {
   addStringExternal: Blockly.PXTBlockly.FunctionUtils.addStringExternal,
   addNumberExternal: Blockly.PXTBlockly.FunctionUtils.addNumberExternal,
   addCustomExternal: Blockly.PXTBlockly.FunctionUtils.addCustomExternal,
+  setReturnTypeExternal: Blockly.PXTBlockly.FunctionUtils.setReturnTypeExternal,
   updateFunctionSignature: Blockly.PXTBlockly.FunctionUtils.updateDeclarationMutation_
 };
 
@@ -884,6 +992,8 @@ Blockly.Blocks['function_definition'] = {
     this.name_ = ""; // The name of the function.
     this.arguments_ = []; // The arguments of this function.
     this.functionId_ = ""; // An ID, independent from the block ID, to track a function across its call, definition and declaration blocks.
+    this.returnType_ = null; // The type of the returned value, or null if nothing is returned.
+    this.returnTypeDeclared_ = false; // Whether the return type was declared rather than inferred.
 
     this.createAllInputs_();
     if ((this.workspace.options.comments ||
@@ -905,6 +1015,8 @@ Blockly.Blocks['function_definition'] = {
   getName: Blockly.PXTBlockly.FunctionUtils.getName,
   getFunctionId: Blockly.PXTBlockly.FunctionUtils.getFunctionId,
   getArguments: Blockly.PXTBlockly.FunctionUtils.getArguments,
+  getReturnType: Blockly.PXTBlockly.FunctionUtils.getReturnType,
+  isReturnTypeDeclared: Blockly.PXTBlockly.FunctionUtils.isReturnTypeDeclared,
   removeAllInputs_: Blockly.PXTBlockly.FunctionUtils.removeAllInputs_,
   disconnectOldBlocks_: Blockly.PXTBlockly.FunctionUtils.disconnectOldBlocks_,
   deleteShadows_: Blockly.PXTBlockly.FunctionUtils.deleteShadows_,
@@ -918,7 +1030,8 @@ Blockly.Blocks['function_definition'] = {
   addFunctionLabel_: Blockly.PXTBlockly.FunctionUtils.addLabelField_,
 
   // Only exists on function_definition.
-  createArgumentReporter_: Blockly.PXTBlockly.FunctionUtils.createArgumentReporter_
+  createArgumentReporter_: Blockly.PXTBlockly.FunctionUtils.createArgumentReporter_,
+  onchange: Blockly.PXTBlockly.FunctionUtils.onDefinitionChange
 };
 
 Blockly.Blocks['function_call'] = {
@@ -934,6 +1047,8 @@ Blockly.Blocks['function_call'] = {
     this.name_ = ""; // The name of the function.
     this.arguments_ = []; // The arguments of this function.
     this.functionId_ = ""; // An ID, independent from the block ID, to track a function across its call, definition and declaration blocks.
+    this.returnType_ = null; // The type of the returned value, or null if nothing is returned.
+    this.returnTypeDeclared_ = false; // Whether the return type was declared rather than inferred.
 
     this.setPreviousStatement(true);
     this.setNextStatement(true);
@@ -947,6 +1062,8 @@ Blockly.Blocks['function_call'] = {
   getName: Blockly.PXTBlockly.FunctionUtils.getName,
   getFunctionId: Blockly.PXTBlockly.FunctionUtils.getFunctionId,
   getArguments: Blockly.PXTBlockly.FunctionUtils.getArguments,
+  getReturnType: Blockly.PXTBlockly.FunctionUtils.getReturnType,
+  isReturnTypeDeclared: Blockly.PXTBlockly.FunctionUtils.isReturnTypeDeclared,
   removeAllInputs_: Blockly.PXTBlockly.FunctionUtils.removeAllInputs_,
   disconnectOldBlocks_: Blockly.PXTBlockly.FunctionUtils.disconnectOldBlocks_,
   deleteShadows_: Blockly.PXTBlockly.FunctionUtils.deleteShadows_,
@@ -959,12 +1076,77 @@ Blockly.Blocks['function_call'] = {
   populateArgument_: Blockly.PXTBlockly.FunctionUtils.populateArgumentOnCaller_,
   addFunctionLabel_: Blockly.PXTBlockly.FunctionUtils.addLabelField_,
 
-  // Only exists on function_call.
+  // Only exists on function_call and function_call_output.
   attachShadow_: Blockly.PXTBlockly.FunctionUtils.attachShadow_,
   buildShadowDom_: Blockly.PXTBlockly.FunctionUtils.buildShadowDom_,
   onchange: Blockly.PXTBlockly.FunctionUtils.onCallerChange
 };
 
+Blockly.Blocks['function_call_output'] = {
+  /**
+   * Block for calling a function and reporting its return value.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.jsonInit({
+      "extensions": ["function_contextmenu_edit"]
+    });
+    /* Data known about the function. */
+    this.name_ = ""; // The name of the function.
+    this.arguments_ = []; // The arguments of this function.
+    this.functionId_ = ""; // An ID, independent from the block ID, to track a function across its call, definition and declaration blocks.
+    this.returnType_ = null; // The type of the returned value, or null if nothing is returned.
+    this.returnTypeDeclared_ = false; // Whether the return type was declared rather than inferred.
+
+    this.setInputsInline(true);
+    this.setOutput(true);
+    this.setColour(Blockly.Msg.PROCEDURES_HUE);
+    this.setHelpUrl(Blockly.Msg.PROCEDURES_CALLRETURN_HELPURL);
+    this.setTooltip(Blockly.Msg.FUNCTION_CALL_OUTPUT_TOOLTIP);
+  },
+  // Shared.
+  mutationToDom: Blockly.PXTBlockly.FunctionUtils.mutationToDom,
+  domToMutation: Blockly.PXTBlockly.FunctionUtils.domToMutation,
+  getName: Blockly.PXTBlockly.FunctionUtils.getName,
+  getFunctionId: Blockly.PXTBlockly.FunctionUtils.getFunctionId,
+  getArguments: Blockly.PXTBlockly.FunctionUtils.getArguments,
+  getReturnType: Blockly.PXTBlockly.FunctionUtils.getReturnType,
+  isReturnTypeDeclared: Blockly.PXTBlockly.FunctionUtils.isReturnTypeDeclared,
+  removeAllInputs_: Blockly.PXTBlockly.FunctionUtils.removeAllInputs_,
+  disconnectOldBlocks_: Blockly.PXTBlockly.FunctionUtils.disconnectOldBlocks_,
+  deleteShadows_: Blockly.PXTBlockly.FunctionUtils.deleteShadows_,
+  createAllInputs_: Blockly.PXTBlockly.FunctionUtils.createAllInputs_,
+  updateDisplay_: Blockly.PXTBlockly.FunctionUtils.updateDisplay_,
+  setStatements_: Blockly.PXTBlockly.FunctionUtils.setStatements_,
+  ensureIds_: Blockly.PXTBlockly.FunctionUtils.ensureIds_,
+
+  // Exists on all three blocks, but have different implementations.
+  populateArgument_: Blockly.PXTBlockly.FunctionUtils.populateArgumentOnCaller_,
+  addFunctionLabel_: Blockly.PXTBlockly.FunctionUtils.addLabelField_,
+
+  // Only exists on function_call and function_call_output.
+  attachShadow_: Blockly.PXTBlockly.FunctionUtils.attachShadow_,
+  buildShadowDom_: Blockly.PXTBlockly.FunctionUtils.buildShadowDom_,
+  onchange: Blockly.PXTBlockly.FunctionUtils.onCallerChange
+};
+
+Blockly.Blocks['function_return'] = {
+  /**
+   * Block for returning from a function, optionally with a value.
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.appendValueInput('VALUE')
+        .appendField(Blockly.Msg.PROCEDURES_DEFRETURN_RETURN);
+    this.setInputsInline(true);
+    this.setPreviousStatement(true);
+    this.setColour(Blockly.Msg.PROCEDURES_HUE);
+    this.setTooltip(Blockly.Msg.FUNCTION_RETURN_TOOLTIP);
+    this.setHelpUrl(Blockly.Msg.PROCEDURES_DEFRETURN_HELPURL);
+  },
+  onchange: Blockly.PXTBlockly.FunctionUtils.onReturnChange
+};
+
 // Argument editor and reporter helpers
 
 /**
@@ -256,6 +256,14 @@ Blockly.Block.prototype.colourSecondary_ = '#000000';
  */
 Blockly.Block.prototype.colourTertiary_ = '#000000';
 
+/**
+ * pxt-blockly: The colours that were passed to setColour, before the
+ * workspace's theme was applied, or null if the colour was never set.
+ * @type {Array.<number|string|undefined>}
+ * @private
+ */
+Blockly.Block.prototype.colourArgs_ = null;
+
 /**
  * Fill colour used to override default shadow colour behaviour.
  * @type {string}
@@ -882,6 +890,17 @@ Blockly.Block.prototype.makeColour_ = function(colour) {
  * @param {number|string} colourTertiary HSV hue value, or #RRGGBB string.
  */
 Blockly.Block.prototype.setColour = function(colour, colourSecondary, colourTertiary) {
+  this.colourArgs_ = [colour, colourSecondary, colourTertiary];
+  // pxt-blockly: the workspace's theme may colour this block's category
+  // differently, in which case the secondary and tertiary colours are derived
+  // from the theme's colour.
+  var themeColour = this.workspace ?
+      this.workspace.getTheme().getCategoryColour(colour) : colour;
+  if (themeColour !== colour) {
+    colour = themeColour;
+    colourSecondary = undefined;
+    colourTertiary = undefined;
+  }
   this.colour_ = this.makeColour_(colour);
   if (colourSecondary !== undefined) {
     this.colourSecondary_ = this.makeColour_(colourSecondary);
@@ -902,6 +921,16 @@ Blockly.Block.prototype.setColour = function(colour, colourSecondary, colourTert
   }
 };
 
+/**
+ * pxt-blockly: Colour the block again with the colours it was given, after
+ * the theme of its workspace has changed.
+ */
+Blockly.Block.prototype.refreshColour = function() {
+  if (this.colourArgs_) {
+    this.setColour.apply(this, this.colourArgs_);
+  }
+};
+
 /**
  * Sets a callback function to use whenever the block's parent workspace
  * changes, replacing any prior onchange handler. This is usually only called
@@ -29,7 +29,9 @@ goog.provide('Blockly.BlockDragger');
 goog.require('Blockly.BlockAnimations');
 goog.require('Blockly.InsertionMarkerManager');
 goog.require('Blockly.Events.BlockMove');
+goog.require('Blockly.Events.DragOverDeleteArea');
 goog.require('Blockly.Events.EndBlockDrag');
+goog.require('Blockly.Events.StartBlockDrag');
 
 goog.require('goog.math.Coordinate');
 goog.require('goog.asserts');
@@ -175,6 +177,7 @@ Blockly.BlockDragger.prototype.startBlockDrag = function(currentDragDeltaXY, hea
   // the block dragger, which would also let the block not track the block drag
   // surface.
   this.draggingBlock_.moveToDragSurface_();
+  this.fireStartDragEvent_();
 
   var toolbox = this.workspace_.getToolbox();
   if (toolbox) {
@@ -267,6 +270,15 @@ Blockly.BlockDragger.prototype.fireEndDragEvent_ = function() {
   Blockly.Events.fire(event);
 };
 
+/**
+ * pxt-blockly: Fire a start_drag event at the start of a block drag.
+ * @private
+ */
+Blockly.BlockDragger.prototype.fireStartDragEvent_ = function() {
+  var event = new Blockly.Events.StartBlockDrag(this.draggingBlock_);
+  Blockly.Events.fire(event);
+};
+
 /**
  * Shut the trash can and, if necessary, delete the dragging block.
  * Should be called at the end of a block drag.
@@ -296,7 +308,13 @@ Blockly.BlockDragger.prototype.maybeDeleteBlock_ = function() {
  * @private
  */
 Blockly.BlockDragger.prototype.updateCursorDuringBlockDrag_ = function() {
-  this.wouldDeleteBlock_ = this.draggedConnectionManager_.wouldDeleteBlock();
+  var wouldDeleteBlock = this.draggedConnectionManager_.wouldDeleteBlock();
+  if (wouldDeleteBlock != this.wouldDeleteBlock_) {
+    // pxt-blockly: Tell listeners when the block enters or leaves a delete area.
+    Blockly.Events.fire(new Blockly.Events.DragOverDeleteArea(
+        this.draggingBlock_, wouldDeleteBlock));
+  }
+  this.wouldDeleteBlock_ = wouldDeleteBlock;
   var trashcan = this.workspace_.trashcan;
   if (this.wouldDeleteBlock_) {
     this.draggingBlock_.setDeleteStyle(true);
@@ -27,456 +27,32 @@
 goog.provide('Blockly.BlockSvg.render');
 
 goog.require('Blockly.BlockSvg');
+goog.require('Blockly.Renderer');
 goog.require('Blockly.pxtBlocklyUtils');
 goog.require('Blockly.utils');
 
 
-// UI constants for rendering blocks.
 /**
-* Grid unit to pixels conversion
-* @const
-*/
-Blockly.BlockSvg.GRID_UNIT = 4;
-
-/**
- * Width of horizontal puzzle tab.
- * @const
- */
-Blockly.BlockSvg.TAB_WIDTH = 8;
-
-/**
- * Horizontal space between elements.
- * @const
- */
-Blockly.BlockSvg.SEP_SPACE_X = 2 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Vertical space between elements.
- * @const
- */
-Blockly.BlockSvg.SEP_SPACE_Y = 2 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum width of a block.
- * @const
- */
-Blockly.BlockSvg.MIN_BLOCK_X = 16 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum width of a block with output (reporters).
- * @const
- */
-Blockly.BlockSvg.MIN_BLOCK_X_OUTPUT = 12 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum width of a shadow block with output (single fields).
- * @const
- */
-Blockly.BlockSvg.MIN_BLOCK_X_SHADOW_OUTPUT = 10 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum height of a block.
- * @const
- */
-Blockly.BlockSvg.MIN_BLOCK_Y = 12 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Height of extra row after a statement input.
- * @const
- */
-Blockly.BlockSvg.EXTRA_STATEMENT_ROW_Y = 8 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum width of a C- or E-shaped block.
- * @const
- */
-Blockly.BlockSvg.MIN_BLOCK_X_WITH_STATEMENT = 40 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum height of a shadow block with output and a single field.
- * This is used for shadow blocks that only contain a field - which are smaller than even reporters.
- * @const
- */
-Blockly.BlockSvg.MIN_BLOCK_Y_SINGLE_FIELD_OUTPUT = 8 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum height of a non-shadow block with output, i.e. a reporter.
- * @const
- */
-Blockly.BlockSvg.MIN_BLOCK_Y_REPORTER = 10 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum space for a statement input height.
- * @const
- */
-Blockly.BlockSvg.MIN_STATEMENT_INPUT_HEIGHT = 6 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Width of vertical notch.
- * @const
- */
-Blockly.BlockSvg.NOTCH_WIDTH = 8 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Height of vertical notch.
- * @const
- */
-Blockly.BlockSvg.NOTCH_HEIGHT = 2 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Rounded corner radius.
- * @const
- */
-Blockly.BlockSvg.CORNER_RADIUS = 1 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum width of statement input edge on the left, in px.
- * @const
- */
-Blockly.BlockSvg.STATEMENT_INPUT_EDGE_WIDTH = 4 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Inner space between edge of statement input and notch.
- * @const
- */
-Blockly.BlockSvg.STATEMENT_INPUT_INNER_SPACE = 2 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Do blocks with no previous or output connections have a 'hat' on top?
- * @const
- */
-Blockly.BlockSvg.START_HAT = false;
-
-/**
- * Height of the top hat.
- * @const
- */
-Blockly.BlockSvg.START_HAT_HEIGHT = 16;
-
-/**
- * Height of the vertical separator line for icons that appear at the left edge
- * of a block, such as extension icons.
- * @const
- */
-Blockly.BlockSvg.ICON_SEPARATOR_HEIGHT = 10 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Path of the top hat's curve.
- * @const
- */
-Blockly.BlockSvg.START_HAT_PATH = 'c 25,-22 71,-22 96,0';
-
-/**
- * SVG path for drawing next/previous notch from left to right.
- * @const
- */
-Blockly.BlockSvg.NOTCH_PATH_LEFT = (
-  'c 2,0 3,1 4,2 ' +
-  'l 4,4 ' +
-  'c 1,1 2,2 4,2 ' +
-  'h 12 ' +
-  'c 2,0 3,-1 4,-2 ' +
-  'l 4,-4 ' +
-  'c 1,-1 2,-2 4,-2'
-);
-
-/**
- * SVG path for drawing next/previous notch from right to left.
- * @const
- */
-Blockly.BlockSvg.NOTCH_PATH_RIGHT = (
-  'c -2,0 -3,1 -4,2 '+
-  'l -4,4 ' +
-  'c -1,1 -2,2 -4,2 ' +
-  'h -12 ' +
-  'c -2,0 -3,-1 -4,-2 ' +
-  'l -4,-4 ' +
-  'c -1,-1 -2,-2 -4,-2'
-);
-
-/**
- * Amount of padding before the notch.
- * @const
- */
-Blockly.BlockSvg.NOTCH_START_PADDING = 3 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * SVG start point for drawing the top-left corner.
- * @const
- */
-Blockly.BlockSvg.TOP_LEFT_CORNER_START =
-    'm 0,' + Blockly.BlockSvg.CORNER_RADIUS;
-
-/**
- * SVG path for drawing the rounded top-left corner.
- * @const
- */
-Blockly.BlockSvg.TOP_LEFT_CORNER =
-    'A ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 ' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',0';
-
-/**
- * SVG path for drawing the rounded top-right corner.
- * @const
- */
-Blockly.BlockSvg.TOP_RIGHT_CORNER =
-    'a ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 ' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS;
-
-/**
- * SVG path for drawing the rounded bottom-right corner.
- * @const
- */
-Blockly.BlockSvg.BOTTOM_RIGHT_CORNER =
-    ' a ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 -' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS;
-
-/**
- * SVG path for drawing the rounded bottom-left corner.
- * @const
- */
-Blockly.BlockSvg.BOTTOM_LEFT_CORNER =
-    'a ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-     Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,1 -' +
-     Blockly.BlockSvg.CORNER_RADIUS + ',-' +
-     Blockly.BlockSvg.CORNER_RADIUS;
-
-/**
- * SVG path for drawing the top-left corner of a statement input.
- * @const
- */
-Blockly.BlockSvg.INNER_TOP_LEFT_CORNER =
-    ' a ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,0 -' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS;
-
-/**
- * SVG path for drawing the bottom-left corner of a statement input.
- * Includes the rounded inside corner.
- * @const
- */
-Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER =
-    'a ' + Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS + ' 0 0,0 ' +
-    Blockly.BlockSvg.CORNER_RADIUS + ',' +
-    Blockly.BlockSvg.CORNER_RADIUS;
-
-/**
- * SVG path for an empty hexagonal input shape.
- * @const
- */
-Blockly.BlockSvg.INPUT_SHAPE_HEXAGONAL =
-    'M ' + 4 * Blockly.BlockSvg.GRID_UNIT + ',0 ' +
-    ' h ' + 4 * Blockly.BlockSvg.GRID_UNIT +
-    ' l ' + 4 * Blockly.BlockSvg.GRID_UNIT + ',' + 4 * Blockly.BlockSvg.GRID_UNIT +
-    ' l ' + -4 * Blockly.BlockSvg.GRID_UNIT + ',' + 4 * Blockly.BlockSvg.GRID_UNIT +
-    ' h ' + -4 * Blockly.BlockSvg.GRID_UNIT +
-    ' l ' + -4 * Blockly.BlockSvg.GRID_UNIT + ',' + -4 * Blockly.BlockSvg.GRID_UNIT +
-    ' l ' + 4 * Blockly.BlockSvg.GRID_UNIT + ',' + -4 * Blockly.BlockSvg.GRID_UNIT +
-    ' z';
-
-/**
- * Width of empty boolean input shape.
- * @const
- */
-Blockly.BlockSvg.INPUT_SHAPE_HEXAGONAL_WIDTH = 12 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * SVG path for an empty square input shape.
- * @const
- */
-Blockly.BlockSvg.INPUT_SHAPE_SQUARE =
-    Blockly.BlockSvg.TOP_LEFT_CORNER_START +
-    Blockly.BlockSvg.TOP_LEFT_CORNER +
-    ' h ' + (12 * Blockly.BlockSvg.GRID_UNIT - 2 * Blockly.BlockSvg.CORNER_RADIUS) +
-    Blockly.BlockSvg.TOP_RIGHT_CORNER +
-    ' v ' + (8 * Blockly.BlockSvg.GRID_UNIT - 2 * Blockly.BlockSvg.CORNER_RADIUS) +
-    Blockly.BlockSvg.BOTTOM_RIGHT_CORNER +
-    ' h ' + (-12 * Blockly.BlockSvg.GRID_UNIT + 2 * Blockly.BlockSvg.CORNER_RADIUS) +
-    Blockly.BlockSvg.BOTTOM_LEFT_CORNER +
-    ' z';
-
-/**
- * Width of empty square input shape.
- * @const
- */
-Blockly.BlockSvg.INPUT_SHAPE_SQUARE_WIDTH = 10 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * SVG path for an empty round input shape.
- * @const
- */
-
-Blockly.BlockSvg.INPUT_SHAPE_ROUND =
-  'M ' + (4 * Blockly.BlockSvg.GRID_UNIT) + ',0' +
-  ' h ' + (4 * Blockly.BlockSvg.GRID_UNIT) +
-  ' a ' + (4 * Blockly.BlockSvg.GRID_UNIT) + ' ' +
-      (4 * Blockly.BlockSvg.GRID_UNIT) + ' 0 0 1 0 ' + (8 * Blockly.BlockSvg.GRID_UNIT) +
-  ' h ' + (-4 * Blockly.BlockSvg.GRID_UNIT) +
-  ' a ' + (4 * Blockly.BlockSvg.GRID_UNIT) + ' ' +
-      (4 * Blockly.BlockSvg.GRID_UNIT) + ' 0 0 1 0 -' + (8 * Blockly.BlockSvg.GRID_UNIT) +
-  ' z';
-
-/**
- * Width of empty round input shape.
- * @const
- */
-Blockly.BlockSvg.INPUT_SHAPE_ROUND_WIDTH = 12 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Height of empty input shape.
- * @const
- */
-Blockly.BlockSvg.INPUT_SHAPE_HEIGHT = 8 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Height of user inputs
- * @const
- */
-Blockly.BlockSvg.FIELD_HEIGHT = 8 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Width of user inputs
- * @const
- */
-Blockly.BlockSvg.FIELD_WIDTH = 6 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Editable field padding (left/right of the text).
- * @const
- */
-Blockly.BlockSvg.EDITABLE_FIELD_PADDING = 6;
-
-/**
- * Square box field padding (left/right of the text).
- * @const
- */
-Blockly.BlockSvg.BOX_FIELD_PADDING = 2 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Drop-down arrow padding.
- * @const
- */
-Blockly.BlockSvg.DROPDOWN_ARROW_PADDING = 2 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Minimum width of user inputs during editing
- * @const
- */
-Blockly.BlockSvg.FIELD_WIDTH_MIN_EDIT = 8 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Maximum width of user inputs during editing
- * @const
- */
-Blockly.BlockSvg.FIELD_WIDTH_MAX_EDIT = Infinity;
-
-/**
- * Maximum height of user inputs during editing
- * @const
- */
-Blockly.BlockSvg.FIELD_HEIGHT_MAX_EDIT = Blockly.BlockSvg.FIELD_HEIGHT;
-
-/**
- * Top padding of user inputs
- * @const
- */
-Blockly.BlockSvg.FIELD_TOP_PADDING = 0.5 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Corner radius of number inputs
- * @const
- */
-Blockly.BlockSvg.NUMBER_FIELD_CORNER_RADIUS = 4 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Corner radius of text inputs
- * @const
- */
-Blockly.BlockSvg.TEXT_FIELD_CORNER_RADIUS = 1 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Default radius for a field, in px.
- * @const
- */
-Blockly.BlockSvg.FIELD_DEFAULT_CORNER_RADIUS = 4 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Max text display length for a field (per-horizontal/vertical)
- * @const
- */
-Blockly.BlockSvg.MAX_DISPLAY_LENGTH = Infinity;
-
-/**
- * Minimum X of inputs and fields for blocks with a previous connection.
- * Ensures that inputs will not overlap with the top notch of blocks.
- * @const
- */
-Blockly.BlockSvg.INPUT_AND_FIELD_MIN_X = 12 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Vertical padding around inline elements.
- * @const
- */
-Blockly.BlockSvg.INLINE_PADDING_Y = 1 * Blockly.BlockSvg.GRID_UNIT;
-
-/**
- * Point size of text field before animation. Must match size in CSS.
- * See implementation in field_textinput.
- */
-Blockly.BlockSvg.FIELD_TEXTINPUT_FONTSIZE_INITIAL = 12;
-
-/**
- * Point size of text field after animation.
- * See implementation in field_textinput.
- */
-Blockly.BlockSvg.FIELD_TEXTINPUT_FONTSIZE_FINAL = 12;
-
-/**
- * Whether text fields are allowed to expand past their truncated block size.
- * @const{boolean}
- */
-Blockly.BlockSvg.FIELD_TEXTINPUT_EXPAND_PAST_TRUNCATION = false;
-
-/**
- * Whether text fields should animate their positioning.
- * @const{boolean}
- */
-Blockly.BlockSvg.FIELD_TEXTINPUT_ANIMATE_POSITIONING = false;
-
-/**
- * Map of output/input shapes and the amount they should cause a block to be padded.
- * Outer key is the outer shape, inner key is the inner shape.
- * When a block with the outer shape contains an input block with the inner shape
- * on its left or right edge, that side is extended by the padding specified.
- * See also: `Blockly.BlockSvg.computeOutputPadding_`.
- */
-Blockly.BlockSvg.SHAPE_IN_SHAPE_PADDING = {
-  1: { // Outer shape: hexagon.
-    0: 5 * Blockly.BlockSvg.GRID_UNIT, // Field in hexagon.
-    1: 2 * Blockly.BlockSvg.GRID_UNIT, // Hexagon in hexagon.
-    2: 5 * Blockly.BlockSvg.GRID_UNIT, // Round in hexagon.
-    3: 5 * Blockly.BlockSvg.GRID_UNIT // Square in hexagon.
-  },
-  2: { // Outer shape: round.
-    0: 3 * Blockly.BlockSvg.GRID_UNIT, // Field in round.
-    1: 3 * Blockly.BlockSvg.GRID_UNIT, // Hexagon in round.
-    2: 1 * Blockly.BlockSvg.GRID_UNIT, // Round in round.
-    3: 2 * Blockly.BlockSvg.GRID_UNIT // Square in round.
-  },
-  3: { // Outer shape: square.
-    0: 2 * Blockly.BlockSvg.GRID_UNIT, // Field in square.
-    1: 2 * Blockly.BlockSvg.GRID_UNIT, // Hexagon in square.
-    2: 2 * Blockly.BlockSvg.GRID_UNIT, // Round in square.
-    3: 2 * Blockly.BlockSvg.GRID_UNIT // Square in square.
-  }
-};
+ * The sizes and shapes of the default renderer, as Blockly.BlockSvg.GRID_UNIT
+ * and so on.  Blocks are drawn with the renderer of their workspace, so these
+ * read and write the default renderer: setting Blockly.BlockSvg.START_HAT
+ * still changes how blocks are drawn in workspaces that do not choose a
+ * renderer.  As before, sizes computed from the one that is set are not
+ * computed again.  Use Blockly.Renderer.register to change other renderers.
+ */
+Object.keys(Blockly.Renderer.get(Blockly.Renderer.DEFAULT)).forEach(
+    function(name) {
+      Object.defineProperty(Blockly.BlockSvg, name, {
+        configurable: true,
+        enumerable: true,
+        get: function() {
+          return Blockly.Renderer.get(Blockly.Renderer.DEFAULT)[name];
+        },
+        set: function(value) {
+          Blockly.Renderer.get(Blockly.Renderer.DEFAULT)[name] = value;
+        }
+      });
+    });
 
 /**
  * Change the colour of a block.
@@ -535,6 +111,47 @@ Blockly.BlockSvg.prototype.updateColour = function() {
       field.setText(null);
     }
   }
+
+  this.updateCategoryPattern();
+};
+
+/**
+ * pxt-blockly: Path that draws the pattern of the block's category over its
+ * colour, or null if no pattern is drawn.
+ * @type {SVGElement}
+ * @private
+ */
+Blockly.BlockSvg.prototype.svgPathPattern_ = null;
+
+/**
+ * pxt-blockly: Draw the pattern of the block's category over the block, or
+ * remove it if the workspace's category patterns are hidden.  Shadow blocks
+ * and insertion markers have no pattern.
+ * @package
+ */
+Blockly.BlockSvg.prototype.updateCategoryPattern = function() {
+  var patterns = this.workspace.getCategoryPatterns();
+  var fill = null;
+  if (patterns && this.colourArgs_ && !this.isShadow() &&
+      !this.isInsertionMarker()) {
+    fill = patterns.getFill(this.colourArgs_[0]);
+  }
+  if (!fill) {
+    if (this.svgPathPattern_) {
+      goog.dom.removeNode(this.svgPathPattern_);
+      this.svgPathPattern_ = null;
+    }
+    return;
+  }
+  if (!this.svgPathPattern_) {
+    this.svgPathPattern_ = this.svgPath_.cloneNode(true);
+    this.svgPathPattern_.setAttribute('class', 'blocklyCategoryPattern');
+    this.svgPathPattern_.setAttribute('stroke', 'none');
+    this.svgPathPattern_.removeAttribute('fill-opacity');
+    this.svgGroup_.insertBefore(this.svgPathPattern_,
+        this.svgPath_.nextSibling);
+  }
+  this.svgPathPattern_.setAttribute('fill', fill);
 };
 
 /**
@@ -590,6 +207,7 @@ Blockly.BlockSvg.prototype.highlightShapeForInput = function(conn, add) {
  * @return {!{height: number, width: number}} Object with height and width properties.
  */
 Blockly.BlockSvg.prototype.getHeightWidth = function() {
+  var renderer = this.workspace.getRenderer();
   var height = this.height;
   var width = this.width;
   // Recursively add size of subsequent blocks.
@@ -597,7 +215,7 @@ Blockly.BlockSvg.prototype.getHeightWidth = function() {
   if (nextBlock) {
     var nextHeightWidth = nextBlock.getHeightWidth();
     height += nextHeightWidth.height;
-    height -= Blockly.BlockSvg.NOTCH_HEIGHT; // Exclude height of connected notch.
+    height -= renderer.NOTCH_HEIGHT; // Exclude height of connected notch.
     width = Math.max(width, nextHeightWidth.width);
   }
   return {height: height, width: width};
@@ -610,10 +228,17 @@ Blockly.BlockSvg.prototype.getHeightWidth = function() {
  *   If true, also render block's parent, grandparent, etc.  Defaults to true.
  */
 Blockly.BlockSvg.prototype.render = function(opt_bubble) {
+  var renderer = this.workspace.getRenderer();
+  // pxt-blockly: text can only be measured in the document, so a stack that
+  // was culled for being offscreen is attached again.
+  var culler = this.workspace.getCuller();
+  if (culler) {
+    culler.attach(this.getRootBlock());
+  }
   Blockly.Field.startCache();
   this.rendered = true;
 
-  var cursorX = Blockly.BlockSvg.SEP_SPACE_X;
+  var cursorX = renderer.SEP_SPACE_X;
   if (this.RTL) {
     cursorX = -cursorX;
   }
@@ -623,7 +248,7 @@ Blockly.BlockSvg.prototype.render = function(opt_bubble) {
     cursorX = icons[i].renderIcon(cursorX);
   }
   cursorX += this.RTL ?
-      Blockly.BlockSvg.SEP_SPACE_X : -Blockly.BlockSvg.SEP_SPACE_X;
+      renderer.SEP_SPACE_X : -renderer.SEP_SPACE_X;
   // If there are no icons, cursorX will be 0, otherwise it will be the
   // width that the first label needs to move over by.
 
@@ -646,6 +271,17 @@ Blockly.BlockSvg.prototype.render = function(opt_bubble) {
   Blockly.Field.stopCache();
 };
 
+/**
+ * pxt-blockly: Render the block on the next animation frame, together with
+ * any other changes to it or to the blocks around it.  Use this instead of
+ * render when the block may change again before it is drawn.
+ * @param {boolean=} opt_bumpNeighbours If true, bump unconnected blocks away
+ *     from this block once it has been rendered.
+ */
+Blockly.BlockSvg.prototype.queueRender = function(opt_bumpNeighbours) {
+  this.workspace.getRenderQueue().add(this, opt_bumpNeighbours);
+};
+
 /**
  * Render a list of fields starting at the specified location.
  * @param {!Array.<!Blockly.Field>} fieldList List of fields.
@@ -659,6 +295,7 @@ Blockly.BlockSvg.prototype.render = function(opt_bubble) {
 Blockly.BlockSvg.prototype.renderFields_ =
     function(fieldList, cursorX, cursorY, rowIndex) {
     /* eslint-disable indent */
+  var renderer = this.workspace.getRenderer();
   if (this.RTL) {
     cursorX = -cursorX;
   }
@@ -673,8 +310,8 @@ Blockly.BlockSvg.prototype.renderFields_ =
     if (this.previousConnection && !(field instanceof Blockly.FieldLabel) &&
         !(field instanceof Blockly.FieldImage) && rowIndex == 0) {
       cursorX = this.RTL ?
-        Math.min(cursorX, -Blockly.BlockSvg.INPUT_AND_FIELD_MIN_X) :
-        Math.max(cursorX, Blockly.BlockSvg.INPUT_AND_FIELD_MIN_X);
+        Math.min(cursorX, -renderer.INPUT_AND_FIELD_MIN_X) :
+        Math.max(cursorX, renderer.INPUT_AND_FIELD_MIN_X);
     }
     // Offset the field upward by half its height.
     // This vertically centers the fields around cursorY.
@@ -686,14 +323,14 @@ Blockly.BlockSvg.prototype.renderFields_ =
       translateX = cursorX;
       translateY = cursorY + yOffset;
       if (field.renderWidth) {
-        cursorX -= Blockly.BlockSvg.SEP_SPACE_X;
+        cursorX -= renderer.SEP_SPACE_X;
       }
     } else {
       translateX = cursorX + field.renderSep;
       translateY = cursorY + yOffset;
       if (field.renderWidth) {
         cursorX += field.renderSep + field.renderWidth +
-            Blockly.BlockSvg.SEP_SPACE_X;
+            renderer.SEP_SPACE_X;
       }
     }
     if (this.RTL &&
@@ -721,6 +358,7 @@ Blockly.BlockSvg.prototype.renderFields_ =
  * @private
  */
 Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
+  var renderer = this.workspace.getRenderer();
   var inputList = this.inputList;
   var inputRows = [];
   // Block will be drawn from 0 (left edge) to rightEdge, in px.
@@ -780,15 +418,15 @@ Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
         paddedWidth = bBox.width;
       } else {
         // No block connected - use the size of the rendered empty input shape.
-        paddedHeight = Blockly.BlockSvg.INPUT_SHAPE_HEIGHT;
+        paddedHeight = renderer.INPUT_SHAPE_HEIGHT;
       }
       if (input.connection.type === Blockly.INPUT_VALUE) {
-        paddedHeight += 2 * Blockly.BlockSvg.INLINE_PADDING_Y;
+        paddedHeight += 2 * renderer.INLINE_PADDING_Y;
       }
       if (input.connection.type === Blockly.NEXT_STATEMENT) {
         // Subtract height of notch, only if the last block in the stack has a next connection.
         if (row.statementNotchAtBottom) {
-          paddedHeight -= Blockly.BlockSvg.NOTCH_HEIGHT;
+          paddedHeight -= renderer.NOTCH_HEIGHT;
         }
       }
       input.renderHeight = Math.max(input.renderHeight, paddedHeight);
@@ -803,13 +441,13 @@ Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
     var previousFieldEditable = false;
     for (var j = 0, field; field = input.fieldRow[j]; j++) {
       if (j != 0) {
-        input.fieldWidth += Blockly.BlockSvg.SEP_SPACE_X;
+        input.fieldWidth += renderer.SEP_SPACE_X;
       }
       // Get the dimensions of the field.
       var fieldSize = field.getSize();
       field.renderWidth = fieldSize.width;
       field.renderSep = (previousFieldEditable && field.EDITABLE) ?
-          Blockly.BlockSvg.SEP_SPACE_X : 0;
+          renderer.SEP_SPACE_X : 0;
       input.fieldWidth += field.renderWidth + field.renderSep;
       row.height = Math.max(row.height, fieldSize.height);
       previousFieldEditable = field.EDITABLE;
@@ -842,7 +480,7 @@ Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
   this.computeOutputPadding_(inputRows);
   // Compute the statement edge.
   // This is the width of a block where statements are nested.
-  inputRows.statementEdge = Blockly.BlockSvg.STATEMENT_INPUT_EDGE_WIDTH +
+  inputRows.statementEdge = renderer.STATEMENT_INPUT_EDGE_WIDTH +
       fieldStatementWidth;
 
   // Compute the preferred right edge.
@@ -863,16 +501,17 @@ Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
  * @private
  */
 Blockly.BlockSvg.prototype.computeInputWidth_ = function(input) {
+  var renderer = this.workspace.getRenderer();
   // Empty input shape widths.
   if (input.type == Blockly.INPUT_VALUE &&
       (!input.connection || !input.connection.isConnected())) {
     switch (input.connection.getOutputShape()) {
       case Blockly.OUTPUT_SHAPE_SQUARE:
-        return Blockly.BlockSvg.INPUT_SHAPE_SQUARE_WIDTH;
+        return renderer.INPUT_SHAPE_SQUARE_WIDTH;
       case Blockly.OUTPUT_SHAPE_ROUND:
-        return Blockly.BlockSvg.INPUT_SHAPE_ROUND_WIDTH;
+        return renderer.INPUT_SHAPE_ROUND_WIDTH;
       case Blockly.OUTPUT_SHAPE_HEXAGONAL:
-        return Blockly.BlockSvg.INPUT_SHAPE_HEXAGONAL_WIDTH;
+        return renderer.INPUT_SHAPE_HEXAGONAL_WIDTH;
       default:
         return 0;
     }
@@ -892,22 +531,23 @@ Blockly.BlockSvg.prototype.computeInputWidth_ = function(input) {
  */
 Blockly.BlockSvg.prototype.computeInputHeight_ = function(input, row,
     previousRow) {
+  var renderer = this.workspace.getRenderer();
   if (this.inputList.length === 1 && this.outputConnection &&
       (this.isShadow())) {
     // "Lone" field blocks are smaller.
-    return Blockly.BlockSvg.MIN_BLOCK_Y_SINGLE_FIELD_OUTPUT;
+    return renderer.MIN_BLOCK_Y_SINGLE_FIELD_OUTPUT;
   } else if (this.outputConnection) {
     // All other reporters.
-    return Blockly.BlockSvg.MIN_BLOCK_Y_REPORTER;
+    return renderer.MIN_BLOCK_Y_REPORTER;
   } else if (row.type == Blockly.NEXT_STATEMENT) {
     // Statement input.
-    return Blockly.BlockSvg.MIN_STATEMENT_INPUT_HEIGHT;
+    return renderer.MIN_STATEMENT_INPUT_HEIGHT;
   } else if (previousRow && previousRow.type == Blockly.NEXT_STATEMENT) {
     // Extra row for below statement input.
-    return Blockly.BlockSvg.EXTRA_STATEMENT_ROW_Y;
+    return renderer.EXTRA_STATEMENT_ROW_Y;
   } else {
     // All other blocks.
-    return Blockly.BlockSvg.MIN_BLOCK_Y;
+    return renderer.MIN_BLOCK_Y;
   }
 };
 
@@ -918,6 +558,7 @@ Blockly.BlockSvg.prototype.computeInputHeight_ = function(input, row,
  * @return {!Object} The new row, with the correct type and default sizing info.
  */
 Blockly.BlockSvg.prototype.createRowForInput_ = function(input, isInline) {
+  var renderer = this.workspace.getRenderer();
   // Create new row.
   var row = [];
   if (!isInline || input.type != Blockly.NEXT_STATEMENT) {
@@ -927,8 +568,8 @@ Blockly.BlockSvg.prototype.createRowForInput_ = function(input, isInline) {
   }
   row.height = 0;
   // Default padding for a block: same as separators between fields/inputs.
-  row.paddingStart = Blockly.BlockSvg.SEP_SPACE_X;
-  row.paddingEnd = Blockly.BlockSvg.SEP_SPACE_X;
+  row.paddingStart = renderer.SEP_SPACE_X;
+  row.paddingEnd = renderer.SEP_SPACE_X;
   return row;
 };
 
@@ -939,22 +580,23 @@ Blockly.BlockSvg.prototype.createRowForInput_ = function(input, isInline) {
  * @return {number} The preferred right edge of the block.
  */
 Blockly.BlockSvg.prototype.computeRightEdge_ = function(curEdge, hasStatement) {
+  var renderer = this.workspace.getRenderer();
   var edge = curEdge;
   if (this.previousConnection || this.nextConnection) {
     // Blocks with notches
-    edge = Math.max(edge, Blockly.BlockSvg.MIN_BLOCK_X);
+    edge = Math.max(edge, renderer.MIN_BLOCK_X);
   } else if (this.outputConnection) {
     if (this.isShadow() && !Blockly.pxtBlocklyUtils.isShadowArgumentReporter(this)) {
       // Single-fields
-      edge = Math.max(edge, Blockly.BlockSvg.MIN_BLOCK_X_SHADOW_OUTPUT);
+      edge = Math.max(edge, renderer.MIN_BLOCK_X_SHADOW_OUTPUT);
     } else {
       // Reporters
-      edge = Math.max(edge, Blockly.BlockSvg.MIN_BLOCK_X_OUTPUT);
+      edge = Math.max(edge, renderer.MIN_BLOCK_X_OUTPUT);
     }
   }
   if (hasStatement) {
     // Statement blocks (C- or E- shaped) have a longer minimum width.
-    edge = Math.max(edge, Blockly.BlockSvg.MIN_BLOCK_X_WITH_STATEMENT);
+    edge = Math.max(edge, renderer.MIN_BLOCK_X_WITH_STATEMENT);
   }
 
   // Ensure insertion markers are at least insertionMarkerMinWidth_ wide.
@@ -972,6 +614,7 @@ Blockly.BlockSvg.prototype.computeRightEdge_ = function(curEdge, hasStatement) {
  * @param {!Array.<!Array.<!Object>>} inputRows Partially calculated rows.
  */
 Blockly.BlockSvg.prototype.computeOutputPadding_ = function(inputRows) {
+  var renderer = this.workspace.getRenderer();
   // Only apply to blocks with outputs and not single fields (shadows).
   if (!this.getOutputShape() || !this.outputConnection ||
       (this.isShadow() && !Blockly.pxtBlocklyUtils.isShadowArgumentReporter(this))) {
@@ -1011,12 +654,12 @@ Blockly.BlockSvg.prototype.computeOutputPadding_ = function(inputRows) {
       // https://github.com/LLK/scratch-blocks/issues/376
       if (shape == Blockly.OUTPUT_SHAPE_HEXAGONAL &&
           otherShape != Blockly.OUTPUT_SHAPE_HEXAGONAL) {
-        var deltaHeight = firstInput.renderHeight - Blockly.BlockSvg.MIN_BLOCK_Y_REPORTER;
+        var deltaHeight = firstInput.renderHeight - renderer.MIN_BLOCK_Y_REPORTER;
         // One grid unit per level of nesting.
         row.paddingStart += deltaHeight / 2;
       }
     }
-    row.paddingStart += Blockly.BlockSvg.SHAPE_IN_SHAPE_PADDING[shape][otherShape];
+    row.paddingStart += renderer.SHAPE_IN_SHAPE_PADDING[shape][otherShape];
     // End row padding: based on last input or last field.
     var lastInput = row[row.length - 1];
     // In checking the right/end side, any value input takes precedence over any field.
@@ -1037,7 +680,7 @@ Blockly.BlockSvg.prototype.computeOutputPadding_ = function(inputRows) {
       // https://github.com/LLK/scratch-blocks/issues/376
       if (shape == Blockly.OUTPUT_SHAPE_HEXAGONAL &&
           otherShape != Blockly.OUTPUT_SHAPE_HEXAGONAL) {
-        var deltaHeight = lastInput.renderHeight - Blockly.BlockSvg.MIN_BLOCK_Y_REPORTER;
+        var deltaHeight = lastInput.renderHeight - renderer.MIN_BLOCK_Y_REPORTER;
         // One grid unit per level of nesting.
         row.paddingEnd += deltaHeight / 2;
       }
@@ -1046,12 +689,12 @@ Blockly.BlockSvg.prototype.computeOutputPadding_ = function(inputRows) {
       otherShape = 0;
     }
     // pxtblockly: custom padding end to support multi-line blocks
-    row.paddingEnd += Blockly.BlockSvg.SHAPE_IN_SHAPE_PADDING[shape][otherShape];
+    row.paddingEnd += renderer.SHAPE_IN_SHAPE_PADDING[shape][otherShape];
     if (shape == Blockly.OUTPUT_SHAPE_ROUND && inputRows.length > 1 && inputRows.bottomEdge > 0) {
       // Multi-line reporter blocks need extra padding
       // assumes the edge of the circle clamps 2 units vertically at the start of the block
       var radius = inputRows.bottomEdge / 2;
-      var topPad = Blockly.BlockSvg.GRID_UNIT * 2;
+      var topPad = renderer.GRID_UNIT * 2;
       var roundPad = radius * (1 - Math.sin(Math.acos((radius - topPad) / radius)));
       row.paddingStart += roundPad;
       row.paddingEnd += roundPad;
@@ -1068,17 +711,19 @@ Blockly.BlockSvg.prototype.computeOutputPadding_ = function(inputRows) {
  * @private
  */
 Blockly.BlockSvg.prototype.renderDraw_ = function(iconWidth, inputRows) {
+  var renderer = this.workspace.getRenderer();
   this.startHat_ = false;
   // Should the top left corners be rounded or square?
   // Currently, it is squared only if it's a hat.
   this.squareTopLeftCorner_ = false;
   // pxtblockly: support a starthat on blocks that have it enabled
   if (!this.outputConnection && !this.previousConnection
-      && (Blockly.BlockSvg.START_HAT || this.getStartHat())) {
+      && (renderer.START_HAT || this.getStartHat())) {
     // No output or previous connection.
     this.squareTopLeftCorner_ = true;
     this.startHat_ = true;
-    inputRows.rightEdge = Math.max(inputRows.rightEdge, 100);
+    inputRows.rightEdge = Math.max(inputRows.rightEdge,
+        renderer.START_HAT_WIDTH);
   }
 
   // Amount of space to skip drawing the top and bottom,
@@ -1108,6 +753,7 @@ Blockly.BlockSvg.prototype.renderDraw_ = function(iconWidth, inputRows) {
   if (this.svgPathWarningHighlight_) this.svgPathWarningHighlight_.setAttribute('d', pathString);
   if (this.svgPathHighlight_) this.svgPathHighlight_.setAttribute('d', pathString);
   if (this.svgPathSelected_) this.svgPathSelected_.setAttribute('d', pathString);
+  if (this.svgPathPattern_) this.svgPathPattern_.setAttribute('d', pathString);
 
   if (this.RTL) {
     // Mirror the block's path.
@@ -1116,6 +762,7 @@ Blockly.BlockSvg.prototype.renderDraw_ = function(iconWidth, inputRows) {
     if (this.svgPathWarningHighlight_) this.svgPathWarningHighlight_.setAttribute('transform', 'scale(-1 1)');
     if (this.svgPathHighlight_) this.svgPathHighlight_.setAttribute('transform', 'scale(-1 1)');
     if (this.svgPathSelected_) this.svgPathSelected_.setAttribute('transform', 'scale(-1 1)');
+    if (this.svgPathPattern_) this.svgPathPattern_.setAttribute('transform', 'scale(-1 1)');
   }
 };
 
@@ -1178,30 +825,31 @@ Blockly.BlockSvg.prototype.renderClassify_ = function() {
  */
 Blockly.BlockSvg.prototype.renderDrawTop_ = function(steps, rightEdge) {
   /* eslint-disable indent */
+  var renderer = this.workspace.getRenderer();
   // Position the cursor at the top-left starting point.
   if (this.squareTopLeftCorner_) {
     steps.push('m 0,0');
     if (this.startHat_) {
-      steps.push(Blockly.BlockSvg.START_HAT_PATH);
+      steps.push(renderer.START_HAT_PATH);
     }
     // Skip space for the output shape
     if (this.edgeShapeWidth_) {
       steps.push('m ' + this.edgeShapeWidth_ + ',0');
     }
   } else {
-    steps.push(Blockly.BlockSvg.TOP_LEFT_CORNER_START);
+    steps.push(renderer.TOP_LEFT_CORNER_START);
     // Top-left rounded corner.
-    steps.push(Blockly.BlockSvg.TOP_LEFT_CORNER);
+    steps.push(renderer.TOP_LEFT_CORNER);
   }
 
   // Top edge.
   if (this.previousConnection) {
     // Space before the notch
-    steps.push('H', Blockly.BlockSvg.NOTCH_START_PADDING);
-    steps.push(Blockly.BlockSvg.NOTCH_PATH_LEFT);
+    steps.push('H', renderer.NOTCH_START_PADDING);
+    steps.push(renderer.NOTCH_PATH_LEFT);
     // Create previous block connection.
     var connectionX = (this.RTL ?
-        -Blockly.BlockSvg.NOTCH_WIDTH : Blockly.BlockSvg.NOTCH_WIDTH);
+        -renderer.NOTCH_WIDTH : renderer.NOTCH_WIDTH);
     this.previousConnection.setOffsetInBlock(connectionX, 0);
   }
   this.width = rightEdge;
@@ -1218,6 +866,7 @@ Blockly.BlockSvg.prototype.renderDrawTop_ = function(steps, rightEdge) {
  */
 Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
     inputRows, iconWidth) {
+  var renderer = this.workspace.getRenderer();
   var cursorX = 0;
   var cursorY = 0;
   var connectionX, connectionY;
@@ -1235,8 +884,8 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
     if (rowHeight > 0) {
       if (!this_.edgeShape_) {
         // Include corner radius in drawing the horizontal line.
-        steps.push('H', prevCursorX - Blockly.BlockSvg.CORNER_RADIUS - this_.edgeShapeWidth_);
-        steps.push(Blockly.BlockSvg.TOP_RIGHT_CORNER);
+        steps.push('H', prevCursorX - renderer.CORNER_RADIUS - this_.edgeShapeWidth_);
+        steps.push(renderer.TOP_RIGHT_CORNER);
       } else {
         // Don't include corner radius - no corner (edge shape drawn).
         steps.push('H', prevCursorX - this_.edgeShapeWidth_);
@@ -1244,7 +893,7 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
       // Subtract CORNER_RADIUS * 2 to account for the top right corner
       // and also the bottom right corner. Only move vertically the non-corner length.
       if (!this_.edgeShape_) {
-        steps.push('v', rowHeight - Blockly.BlockSvg.CORNER_RADIUS * 2);
+        steps.push('v', rowHeight - renderer.CORNER_RADIUS * 2);
       }
       rowHeight = 0;
     }
@@ -1263,7 +912,7 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
         // In renderFields_, the field is further centered
         // by its own rendered height.
         var fieldY = cursorY + row.height / 2;
-        var fieldX = Blockly.BlockSvg.getAlignedCursor_(cursorX, input,
+        var fieldX = this.getAlignedCursor_(cursorX, input,
             inputRows.rightEdge);
 
         cursorX = this.renderFields_(input.fieldRow, fieldX, fieldY, y);
@@ -1272,7 +921,7 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
           // In blocks with a notch, inputs should be bumped to a min X,
           // to avoid overlapping with the notch.
           if (this.previousConnection) {
-            cursorX = Math.max(cursorX, Blockly.BlockSvg.INPUT_AND_FIELD_MIN_X);
+            cursorX = Math.max(cursorX, renderer.INPUT_AND_FIELD_MIN_X);
           }
           connectionX = this.RTL ? -cursorX : cursorX;
           // Attempt to center the connection vertically.
@@ -1280,14 +929,14 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
           connectionY = cursorY + connectionYOffset;
           input.connection.setOffsetInBlock(connectionX, connectionY);
           this.renderInputShape_(input, cursorX, cursorY + connectionYOffset);
-          cursorX += input.renderWidth + Blockly.BlockSvg.SEP_SPACE_X;
+          cursorX += input.renderWidth + renderer.SEP_SPACE_X;
 
           // pxtblockly: Used for calculating multiple connection points
           input.connection.renderedWidth_ = input.renderWidth;
         }
       }
       // Remove final separator and replace it with right-padding.
-      cursorX -= Blockly.BlockSvg.SEP_SPACE_X;
+      cursorX -= renderer.SEP_SPACE_X;
       cursorX += row.paddingEnd;
       // Update right edge for all inputs, such that all rows
       // stretch to be at least the size of all previous rows.
@@ -1307,12 +956,12 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
       // Align fields vertically within the row.
       // In renderFields_, the field is further centered by its own height.
       var fieldY = cursorY;
-      fieldY += Blockly.BlockSvg.MIN_STATEMENT_INPUT_HEIGHT / 2;
+      fieldY += renderer.MIN_STATEMENT_INPUT_HEIGHT / 2;
       this.renderFields_(input.fieldRow, fieldX, fieldY, y);
       // Move to the start of the notch.
-      cursorX = inputRows.statementEdge + Blockly.BlockSvg.NOTCH_WIDTH;
+      cursorX = inputRows.statementEdge + renderer.NOTCH_WIDTH;
 
-      Blockly.BlockSvg.drawStatementInputFromTopRight_(steps, cursorX,
+      this.drawStatementInputFromTopRight_(steps, cursorX,
           inputRows.rightEdge, row);
 
       // Create statement connection.
@@ -1326,9 +975,9 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
           inputRows[y + 1].type == Blockly.NEXT_STATEMENT) {
         // If the final input is a statement stack, add a small row underneath.
         // Consecutive statement stacks are also separated by a small divider.
-        steps.push(Blockly.BlockSvg.TOP_RIGHT_CORNER);
-        steps.push('v', Blockly.BlockSvg.EXTRA_STATEMENT_ROW_Y - 2 * Blockly.BlockSvg.CORNER_RADIUS);
-        cursorY += Blockly.BlockSvg.EXTRA_STATEMENT_ROW_Y;
+        steps.push(renderer.TOP_RIGHT_CORNER);
+        steps.push('v', renderer.EXTRA_STATEMENT_ROW_Y - 2 * renderer.CORNER_RADIUS);
+        cursorY += renderer.EXTRA_STATEMENT_ROW_Y;
       }
     }
     cursorY += row.height;
@@ -1337,7 +986,7 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
   flushRows();
   this.drawEdgeShapeRight_(steps);
   if (!inputRows.length) {
-    cursorY = Blockly.BlockSvg.MIN_BLOCK_Y;
+    cursorY = renderer.MIN_BLOCK_Y;
     steps.push('V', cursorY);
   }
   return cursorY;
@@ -1352,6 +1001,7 @@ Blockly.BlockSvg.prototype.renderDrawRight_ = function(steps,
  * @param {Number} y Y offset of input.
  */
 Blockly.BlockSvg.prototype.renderInputShape_ = function(input, x, y) {
+  var renderer = this.workspace.getRenderer();
   var inputShape = input.outlinePath;
   if (!inputShape) {
     // No input shape for this input - e.g., the block is an insertion marker.
@@ -1363,13 +1013,13 @@ Blockly.BlockSvg.prototype.renderInputShape_ = function(input, x, y) {
   } else {
     var inputShapeX = 0, inputShapeY = 0;
     var inputShapeInfo =
-        Blockly.BlockSvg.getInputShapeInfo_(input.connection.getOutputShape());
+        this.getInputShapeInfo_(input.connection.getOutputShape());
     if (this.RTL) {
       inputShapeX = -x - inputShapeInfo.width;
     } else {
       inputShapeX = x;
     }
-    inputShapeY = y - (Blockly.BlockSvg.INPUT_SHAPE_HEIGHT / 2);
+    inputShapeY = y - (renderer.INPUT_SHAPE_HEIGHT / 2);
     inputShape.setAttribute('d', inputShapeInfo.path);
     inputShape.setAttribute('transform',
         'translate(' + inputShapeX + ',' + inputShapeY + ')'
@@ -1386,31 +1036,32 @@ Blockly.BlockSvg.prototype.renderInputShape_ = function(input, x, y) {
  * @private
  */
 Blockly.BlockSvg.prototype.renderDrawBottom_ = function(steps, cursorY) {
+  var renderer = this.workspace.getRenderer();
   this.height = cursorY;
   if (!this.edgeShape_) {
-    steps.push(Blockly.BlockSvg.BOTTOM_RIGHT_CORNER);
+    steps.push(renderer.BOTTOM_RIGHT_CORNER);
   }
   if (this.nextConnection) {
     // Move to the right-side of the notch.
     var notchStart = (
-      Blockly.BlockSvg.NOTCH_WIDTH +
-      Blockly.BlockSvg.NOTCH_START_PADDING +
-      Blockly.BlockSvg.CORNER_RADIUS
+      renderer.NOTCH_WIDTH +
+      renderer.NOTCH_START_PADDING +
+      renderer.CORNER_RADIUS
     );
     steps.push('H', notchStart, ' ');
-    steps.push(Blockly.BlockSvg.NOTCH_PATH_RIGHT);
+    steps.push(renderer.NOTCH_PATH_RIGHT);
     // Create next block connection.
-    var connectionX = this.RTL ? -Blockly.BlockSvg.NOTCH_WIDTH :
-        Blockly.BlockSvg.NOTCH_WIDTH;
+    var connectionX = this.RTL ? -renderer.NOTCH_WIDTH :
+        renderer.NOTCH_WIDTH;
     this.nextConnection.setOffsetInBlock(connectionX, cursorY);
     // Include height of notch in block height.
-    this.height += Blockly.BlockSvg.NOTCH_HEIGHT;
+    this.height += renderer.NOTCH_HEIGHT;
   }
   // Bottom horizontal line
   if (!this.edgeShape_) {
-    steps.push('H', Blockly.BlockSvg.CORNER_RADIUS);
+    steps.push('H', renderer.CORNER_RADIUS);
     // Bottom left corner
-    steps.push(Blockly.BlockSvg.BOTTOM_LEFT_CORNER);
+    steps.push(renderer.BOTTOM_LEFT_CORNER);
   } else {
     steps.push('H', this.edgeShapeWidth_);
   }
@@ -1499,11 +1150,12 @@ Blockly.BlockSvg.prototype.positionNewBlock =
  *     the bottom.
  * @private
  */
-Blockly.BlockSvg.drawStatementInputFromTopRight_ = function(steps, cursorX,
+Blockly.BlockSvg.prototype.drawStatementInputFromTopRight_ = function(steps, cursorX,
     rightEdge, row) {
-  Blockly.BlockSvg.drawStatementInputTop_(steps, cursorX);
-  steps.push('v', row.height - 2 * Blockly.BlockSvg.CORNER_RADIUS);
-  Blockly.BlockSvg.drawStatementInputBottom_(steps, rightEdge, row);
+  var renderer = this.workspace.getRenderer();
+  this.drawStatementInputTop_(steps, cursorX);
+  steps.push('v', row.height - 2 * renderer.CORNER_RADIUS);
+  this.drawStatementInputBottom_(steps, rightEdge, row);
 };
 
 /**
@@ -1514,13 +1166,14 @@ Blockly.BlockSvg.drawStatementInputFromTopRight_ = function(steps, cursorX,
  *     of the input.
  * @private
  */
-Blockly.BlockSvg.drawStatementInputTop_ = function(steps, cursorX) {
-  steps.push(Blockly.BlockSvg.BOTTOM_RIGHT_CORNER);
-  steps.push('H', cursorX + Blockly.BlockSvg.STATEMENT_INPUT_INNER_SPACE +
-    2 * Blockly.BlockSvg.CORNER_RADIUS);
-  steps.push(Blockly.BlockSvg.NOTCH_PATH_RIGHT);
-  steps.push('h', '-' + Blockly.BlockSvg.STATEMENT_INPUT_INNER_SPACE);
-  steps.push(Blockly.BlockSvg.INNER_TOP_LEFT_CORNER);
+Blockly.BlockSvg.prototype.drawStatementInputTop_ = function(steps, cursorX) {
+  var renderer = this.workspace.getRenderer();
+  steps.push(renderer.BOTTOM_RIGHT_CORNER);
+  steps.push('H', cursorX + renderer.STATEMENT_INPUT_INNER_SPACE +
+    2 * renderer.CORNER_RADIUS);
+  steps.push(renderer.NOTCH_PATH_RIGHT);
+  steps.push('h', '-' + renderer.STATEMENT_INPUT_INNER_SPACE);
+  steps.push(renderer.INNER_TOP_LEFT_CORNER);
 };
 
 /**
@@ -1534,13 +1187,14 @@ Blockly.BlockSvg.drawStatementInputTop_ = function(steps, cursorX) {
  *     the bottom.
  * @private
  */
-Blockly.BlockSvg.drawStatementInputBottom_ = function(steps, rightEdge, row) {
-  steps.push(Blockly.BlockSvg.INNER_BOTTOM_LEFT_CORNER);
+Blockly.BlockSvg.prototype.drawStatementInputBottom_ = function(steps, rightEdge, row) {
+  var renderer = this.workspace.getRenderer();
+  steps.push(renderer.INNER_BOTTOM_LEFT_CORNER);
   if (row.statementNotchAtBottom) {
-    steps.push('h ', Blockly.BlockSvg.STATEMENT_INPUT_INNER_SPACE);
-    steps.push(Blockly.BlockSvg.NOTCH_PATH_LEFT);
+    steps.push('h ', renderer.STATEMENT_INPUT_INNER_SPACE);
+    steps.push(renderer.NOTCH_PATH_LEFT);
   }
-  steps.push('H', rightEdge - Blockly.BlockSvg.CORNER_RADIUS);
+  steps.push('H', rightEdge - renderer.CORNER_RADIUS);
 };
 
 /**
@@ -1552,26 +1206,27 @@ Blockly.BlockSvg.drawStatementInputBottom_ = function(steps, rightEdge, row) {
  *     of the argument type, and a width.
  * @private
  */
-Blockly.BlockSvg.getInputShapeInfo_ = function(shape) {
+Blockly.BlockSvg.prototype.getInputShapeInfo_ = function(shape) {
+  var renderer = this.workspace.getRenderer();
   var inputShapePath = null;
   var inputShapeArgType = null;
   var inputShapeWidth = 0;
 
   switch (shape) {
     case Blockly.OUTPUT_SHAPE_HEXAGONAL:
-      inputShapePath = Blockly.BlockSvg.INPUT_SHAPE_HEXAGONAL;
-      inputShapeWidth = Blockly.BlockSvg.INPUT_SHAPE_HEXAGONAL_WIDTH;
+      inputShapePath = renderer.INPUT_SHAPE_HEXAGONAL;
+      inputShapeWidth = renderer.INPUT_SHAPE_HEXAGONAL_WIDTH;
       inputShapeArgType = 'boolean';
       break;
     case Blockly.OUTPUT_SHAPE_ROUND:
-      inputShapePath = Blockly.BlockSvg.INPUT_SHAPE_ROUND;
-      inputShapeWidth = Blockly.BlockSvg.INPUT_SHAPE_ROUND_WIDTH;
+      inputShapePath = renderer.INPUT_SHAPE_ROUND;
+      inputShapeWidth = renderer.INPUT_SHAPE_ROUND_WIDTH;
       inputShapeArgType = 'round';
       break;
     case Blockly.OUTPUT_SHAPE_SQUARE:
     default:  // If the input connection is not connected, draw a hole shape.
-      inputShapePath = Blockly.BlockSvg.INPUT_SHAPE_SQUARE;
-      inputShapeWidth = Blockly.BlockSvg.INPUT_SHAPE_SQUARE_WIDTH;
+      inputShapePath = renderer.INPUT_SHAPE_SQUARE;
+      inputShapeWidth = renderer.INPUT_SHAPE_SQUARE_WIDTH;
       inputShapeArgType = 'square';
       break;
   }
@@ -1592,10 +1247,11 @@ Blockly.BlockSvg.getInputShapeInfo_ = function(shape) {
  * @return {number} The new cursor position.
  * @private
  */
-Blockly.BlockSvg.getAlignedCursor_ = function(cursorX, input, rightEdge) {
+Blockly.BlockSvg.prototype.getAlignedCursor_ = function(cursorX, input, rightEdge) {
+  var renderer = this.workspace.getRenderer();
   // Align inline field rows (left/right/centre).
   if (input.align === Blockly.ALIGN_RIGHT) {
-    cursorX = Math.max(cursorX, rightEdge - input.fieldWidth - Blockly.BlockSvg.SEP_SPACE_X);
+    cursorX = Math.max(cursorX, rightEdge - input.fieldWidth - renderer.SEP_SPACE_X);
   } else if (input.align === Blockly.ALIGN_CENTRE) {
     cursorX = Math.max(cursorX, rightEdge / 2 - input.fieldWidth / 2);
   }
@@ -35,7 +35,12 @@ goog.provide('Blockly');
 
 goog.require('Blockly.BlockSvg.render');
 goog.require('Blockly.WorkspaceCommentSvg.render');
+goog.require('Blockly.Collaboration');
+goog.require('Blockly.RemotePresence');
+goog.require('Blockly.ViewportFollow');
 goog.require('Blockly.DropDownDiv');
+goog.require('Blockly.EventPlayer');
+goog.require('Blockly.EventRecorder');
 goog.require('Blockly.Events');
 goog.require('Blockly.FieldAngle');
 goog.require('Blockly.FieldCheckbox');
@@ -57,14 +62,20 @@ goog.require('Blockly.FieldSlider');
 goog.require('Blockly.FieldString');
 goog.require("Blockly.FieldTextInputRemovable");
 goog.require('Blockly.Generator');
+goog.require('Blockly.Json');
 goog.require('Blockly.Msg');
 goog.require('Blockly.Procedures');
 goog.require('Blockly.Functions');
 goog.require('Blockly.Toolbox');
 goog.require('Blockly.Touch');
+goog.require('Blockly.UnknownBlock');
 goog.require('Blockly.WidgetDiv');
+goog.require('Blockly.WorkspaceDiff');
+goog.require('Blockly.WorkspaceDiffSvg');
 goog.require('Blockly.WorkspaceSvg');
 goog.require('Blockly.constants');
+goog.require('Blockly.exportPng');
+goog.require('Blockly.exportSvg');
 goog.require('Blockly.inject');
 goog.require('Blockly.utils');
 
@@ -351,6 +362,9 @@ Blockly.hideChaffInternal_ = function(opt_allowToolbox) {
         workspace.toolbox_.flyout_.autoClose) {
       workspace.toolbox_.clearSelection();
     }
+    if (workspace.trashcan) {
+      workspace.trashcan.closeFlyout();
+    }
   }
 };
 
@@ -431,7 +445,9 @@ Blockly.jsonInitFactory_ = function(jsonDef) {
 
 /**
  * Define blocks from an array of JSON block definitions, as might be generated
- * by the Blockly Developer Tools.
+ * by the Blockly Developer Tools.  A definition may declare its 'version' and
+ * the 'upgrades' for XML saved with older versions (see
+ * Blockly.Xml.upgradeBlockDom_).
  * @param {!Array.<!Object>} jsonArray An array of JSON block definitions.
  */
 Blockly.defineBlocksWithJsonArray = function(jsonArray) {
@@ -453,9 +469,14 @@ Blockly.defineBlocksWithJsonArray = function(jsonArray) {
               'Block definition #' + i + ' in JSON array' +
               ' overwrites prior definition of "' + typename + '".');
         }
-        Blockly.Blocks[typename] = {
+        var definition = {
           init: Blockly.jsonInitFactory_(elem)
         };
+        if (elem['version'] !== undefined) {
+          definition.version = elem['version'];
+          definition.upgrades = elem['upgrades'];
+        }
+        Blockly.Blocks[typename] = definition;
       }
     }
   }
@@ -407,7 +407,7 @@ Blockly.Bubble.prototype.setAnchorLocation = function(xy) {
 Blockly.Bubble.prototype.layoutBubble_ = function() {
   // Compute the preferred bubble location.
   var relativeLeft = -this.width_ / 4;
-  var relativeTop = -this.height_ - Blockly.BlockSvg.MIN_BLOCK_Y;
+  var relativeTop = -this.height_ - this.workspace_.getRenderer().MIN_BLOCK_Y;
   // Prevent the bubble from being off-screen.
   var metrics = this.workspace_.getMetrics();
   metrics.viewWidth /= this.workspace_.scale;
@@ -430,7 +430,7 @@ Blockly.Bubble.prototype.layoutBubble_ = function() {
       relativeLeft = metrics.viewLeft - anchorX;
     } else if (metrics.viewLeft + metrics.viewWidth <
         anchorX + relativeLeft + this.width_ +
-        Blockly.BlockSvg.SEP_SPACE_X +
+        this.workspace_.getRenderer().SEP_SPACE_X +
         Blockly.Scrollbar.scrollbarThickness) {
       // Slide the bubble left until it is onscreen.
       relativeLeft = metrics.viewLeft + metrics.viewWidth - anchorX -
@@ -0,0 +1,235 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Patterns that are drawn over blocks and toolbox categories so
+ * that categories can be told apart without relying on colour alone.
+ */
+'use strict';
+
+goog.provide('Blockly.CategoryPatterns');
+
+goog.require('Blockly.utils');
+
+
+/**
+ * Class for the patterns of a workspace's categories.  The patterns are only
+ * drawn while they are visible, which is chosen with the 'categoryPatterns'
+ * injection option and with workspace.setCategoryPatternsVisible().
+ * @param {boolean|Object.<string, ?string>=} opt_options True to show the
+ *     default patterns, or patterns to use instead of the defaults.  Keys are
+ *     either the name of a hue message, e.g. 'LOGIC_HUE', or a colour that
+ *     blocks are given, e.g. '#5C81A6'.  Values are the names of patterns in
+ *     Blockly.CategoryPatterns.PATTERNS, or null for no pattern.  Patterns are
+ *     hidden when this is not given.
+ * @constructor
+ */
+Blockly.CategoryPatterns = function(opt_options) {
+  /**
+   * Pattern names, by category, that were chosen by the caller.  These are
+   * looked up before Blockly.CategoryPatterns.DEFAULTS, so that a chosen
+   * colour that is also the hue of a built-in category is not hidden by it.
+   * @type {!Object.<string, ?string>}
+   * @private
+   */
+  this.patterns_ = {};
+  if (goog.isObject(opt_options)) {
+    for (var key in opt_options) {
+      this.setPattern(key, opt_options[key]);
+    }
+  }
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.visible_ = !!opt_options;
+
+  /**
+   * The IDs of the pattern elements, by pattern name, once they have been
+   * created.
+   * @type {Object.<string, string>}
+   * @private
+   */
+  this.ids_ = null;
+};
+
+/**
+ * The shapes of the patterns, by name.  Each pattern is a list of SVG elements
+ * that are drawn in white on a 10x10 tile.
+ * @type {!Object.<string, !Array.<!Array>>}
+ */
+Blockly.CategoryPatterns.PATTERNS = {
+  'dots': [['circle', {'cx': 5, 'cy': 5, 'r': 1.5, 'stroke': 'none'}]],
+  'stripes': [['path', {'d': 'M -1 1 L 1 -1 M 0 10 L 10 0 M 9 11 L 11 9'}]],
+  'grid': [['path', {'d': 'M 0 0.5 H 10 M 0.5 0 V 10', 'stroke-width': 1}]],
+  'crosshatch': [['path', {'d': 'M 0 0 L 10 10 M 10 0 L 0 10',
+    'stroke-width': 1}]],
+  'zigzag': [['path', {'d': 'M 0 7 L 2.5 3 L 5 7 L 7.5 3 L 10 7',
+    'fill': 'none'}]],
+  'checks': [
+    ['rect', {'width': 5, 'height': 5, 'stroke': 'none'}],
+    ['rect', {'x': 5, 'y': 5, 'width': 5, 'height': 5, 'stroke': 'none'}]
+  ],
+  'waves': [['path', {'d': 'M 0 5 Q 2.5 2 5 5 T 10 5', 'fill': 'none'}]],
+  'triangles': [['path', {'d': 'M 5 2 L 8 8 L 2 8 Z', 'stroke': 'none'}]],
+  'lines': [['path', {'d': 'M 0 5 H 10', 'stroke-width': 2}]]
+};
+
+/**
+ * The patterns of the built-in categories.
+ * @type {!Object.<string, string>}
+ */
+Blockly.CategoryPatterns.DEFAULTS = {
+  'LOGIC_HUE': 'dots',
+  'LOOPS_HUE': 'stripes',
+  'MATH_HUE': 'grid',
+  'TEXTS_HUE': 'zigzag',
+  'LISTS_HUE': 'crosshatch',
+  'COLOUR_HUE': 'checks',
+  'VARIABLES_HUE': 'waves',
+  'VARIABLES_DYNAMIC_HUE': 'triangles',
+  'PROCEDURES_HUE': 'lines',
+  'REPORTERS_HUE': 'lines'
+};
+
+/**
+ * Size of a pattern's tile, in workspace units.
+ * @type {number}
+ * @const
+ */
+Blockly.CategoryPatterns.SIZE = 10;
+
+/**
+ * Opacity of the patterns, so that the colour of the category shows through.
+ * @type {number}
+ * @const
+ */
+Blockly.CategoryPatterns.OPACITY = 0.4;
+
+/**
+ * Create the pattern elements for this workspace.
+ * @param {string} rnd A random ID to append to the patterns' IDs.
+ * @param {!SVGElement} defs The root SVG element for this workspace's defs.
+ * @package
+ */
+Blockly.CategoryPatterns.prototype.createDom = function(rnd, defs) {
+  /*
+    <pattern id="blocklyCategoryPattern-dots-837493"
+             patternUnits="userSpaceOnUse" width="10" height="10">
+      <g fill="#fff" stroke="#fff" stroke-width="1.5" opacity="0.4">
+        <circle cx="5" cy="5" r="1.5" stroke="none" />
+      </g>
+    </pattern>
+  */
+  this.ids_ = {};
+  for (var name in Blockly.CategoryPatterns.PATTERNS) {
+    var pattern = Blockly.utils.createSvgElement('pattern',
+        {
+          'id': 'blocklyCategoryPattern-' + name + '-' + rnd,
+          'patternUnits': 'userSpaceOnUse',
+          'width': Blockly.CategoryPatterns.SIZE,
+          'height': Blockly.CategoryPatterns.SIZE
+        }, defs);
+    var group = Blockly.utils.createSvgElement('g',
+        {
+          'fill': '#fff',
+          'stroke': '#fff',
+          'stroke-width': 1.5,
+          'opacity': Blockly.CategoryPatterns.OPACITY
+        }, pattern);
+    var shapes = Blockly.CategoryPatterns.PATTERNS[name];
+    for (var i = 0; i < shapes.length; i++) {
+      Blockly.utils.createSvgElement(shapes[i][0], shapes[i][1], group);
+    }
+    this.ids_[name] = pattern.id;
+  }
+};
+
+/**
+ * Change the pattern of a category.  Workspaces need to be refreshed with
+ * workspace.refreshCategoryPatterns() afterwards.
+ * @param {string} category The name of a hue message, e.g. 'LOGIC_HUE', or a
+ *     colour that blocks are given, e.g. '#5C81A6'.
+ * @param {?string} pattern The name of a pattern in
+ *     Blockly.CategoryPatterns.PATTERNS, or null for no pattern.
+ * @throws {Error} If there is no pattern with that name.
+ */
+Blockly.CategoryPatterns.prototype.setPattern = function(category, pattern) {
+  if (pattern !== null && !Blockly.CategoryPatterns.PATTERNS[pattern]) {
+    throw Error('Unknown category pattern: "' + pattern + '"');
+  }
+  this.patterns_[category] = pattern;
+};
+
+/**
+ * Get the name of the pattern of a category.
+ * @param {number|string} colour The colour of the block or category, as an
+ *     HSV hue value or #RRGGBB string.
+ * @return {?string} The name of the pattern, or null if it has none.
+ */
+Blockly.CategoryPatterns.prototype.getPattern = function(colour) {
+  var pattern = Blockly.utils.getCategoryEntry(this.patterns_, colour);
+  if (pattern === undefined) {
+    pattern = Blockly.utils.getCategoryEntry(
+        Blockly.CategoryPatterns.DEFAULTS, colour);
+  }
+  return pattern || null;
+};
+
+/**
+ * Get the fill that draws the pattern of a category.
+ * @param {number|string|undefined} colour The colour of the block or category,
+ *     as an HSV hue value or #RRGGBB string.
+ * @return {?string} A fill such as 'url(#id)', or null if the patterns are
+ *     hidden or the category has no pattern.
+ */
+Blockly.CategoryPatterns.prototype.getFill = function(colour) {
+  if (!this.visible_ || !this.ids_ || colour === undefined) {
+    return null;
+  }
+  var pattern = this.getPattern(colour);
+  return pattern ? 'url(#' + this.ids_[pattern] + ')' : null;
+};
+
+/**
+ * @return {boolean} True if the patterns are drawn.
+ */
+Blockly.CategoryPatterns.prototype.isVisible = function() {
+  return this.visible_;
+};
+
+/**
+ * Show or hide the patterns.  Workspaces need to be refreshed with
+ * workspace.refreshCategoryPatterns() afterwards.
+ * @param {boolean} visible True to draw the patterns.
+ */
+Blockly.CategoryPatterns.prototype.setVisible = function(visible) {
+  this.visible_ = visible;
+};
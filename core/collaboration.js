@@ -0,0 +1,236 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Real-time collaborative editing of a workspace.  Local events
+ * are sent as JSON over a transport that delivers every message to every
+ * participant in the same order.  That order decides concurrent edits: each
+ * participant ends up with the changes applied in that order, so the last
+ * field change wins and a block moved after it was deleted stays deleted.
+ */
+'use strict';
+
+goog.provide('Blockly.Collaboration');
+
+goog.require('Blockly.CollaborationTransport');
+goog.require('Blockly.Events');
+goog.require('Blockly.utils');
+
+
+/**
+ * Class for connecting a workspace to a collaboration session.  All
+ * participants must start with the same workspace contents.
+ * @param {!Blockly.Workspace} workspace The workspace to share.
+ * @param {!Blockly.CollaborationTransport} transport The transport to the
+ *     other participants.
+ * @param {string=} opt_siteId Unique ID of this participant.
+ * @constructor
+ */
+Blockly.Collaboration = function(workspace, transport, opt_siteId) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {!Blockly.CollaborationTransport}
+   * @private
+   */
+  this.transport_ = transport;
+
+  /**
+   * Unique ID of this participant.
+   * @type {string}
+   */
+  this.siteId = opt_siteId || Blockly.utils.genUid();
+
+  /**
+   * Number of local messages sent.
+   * @type {number}
+   * @private
+   */
+  this.sent_ = 0;
+
+  /**
+   * Local changes that have been sent, but not yet received back in the
+   * agreed order.  They are undone and redone around remote changes received
+   * in the meantime, since those come first in the agreed order.
+   * @type {!Array.<{id: string, events: !Array.<!Blockly.Events.Abstract>}>}
+   * @private
+   */
+  this.pending_ = [];
+
+  /**
+   * True while applying remote changes, whose events must not be sent.
+   * @type {boolean}
+   * @private
+   */
+  this.applying_ = false;
+
+  /**
+   * Events fired while applying changes, if they are being collected.
+   * @type {Array.<!Blockly.Events.Abstract>}
+   * @private
+   */
+  this.captured_ = null;
+
+  this.listener_ = workspace.addChangeListener(this.onChange_.bind(this));
+  transport.setReceiver(this.receive_.bind(this));
+};
+
+/**
+ * Types of events that are not shared.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Collaboration.UNSHARED_TYPES_ = Blockly.Events.UI_TYPES;
+
+/**
+ * @return {boolean} True if local changes are waiting for their turn in the
+ *     agreed order.
+ */
+Blockly.Collaboration.prototype.hasPendingChanges = function() {
+  return this.pending_.length > 0;
+};
+
+/**
+ * Stop sharing the workspace.
+ */
+Blockly.Collaboration.prototype.dispose = function() {
+  this.workspace_.removeChangeListener(this.listener_);
+  this.transport_.setReceiver(null);
+  this.pending_.length = 0;
+};
+
+/**
+ * Send the local events of the workspace, and collect the events fired while
+ * applying changes.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.Collaboration.prototype.onChange_ = function(event) {
+  if (event.type == Blockly.Events.PRESENCE) {
+    // Presence is not an edit, so it does not wait for its turn.
+    if (event.siteId == this.siteId) {
+      this.transport_.send({site: this.siteId, presence: event.toJson()});
+    }
+    return;
+  }
+  if (Blockly.Collaboration.UNSHARED_TYPES_.indexOf(event.type) != -1 ||
+      event.isNull()) {
+    return;
+  }
+  if (this.applying_) {
+    if (this.captured_) {
+      this.captured_.push(event);
+    }
+    return;
+  }
+  var id = this.siteId + ':' + (++this.sent_);
+  this.pending_.push({id: id, events: [event]});
+  this.transport_.send({
+    site: this.siteId,
+    id: id,
+    events: [event.toJson()]
+  });
+};
+
+/**
+ * Handle a message in the agreed order.  Messages from this participant
+ * confirm the oldest pending change; other messages are applied before the
+ * pending changes.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.Collaboration.prototype.receive_ = function(message) {
+  // Make sure every local change so far is pending.
+  Blockly.Events.flush();
+  if (message['presence']) {
+    if (message['site'] != this.siteId) {
+      Blockly.Events.fire(
+          Blockly.Events.fromJson(message['presence'], this.workspace_));
+    }
+    return;
+  }
+  if (message['site'] == this.siteId) {
+    var confirmed = this.pending_.shift();
+    if (!confirmed || confirmed.id != message['id']) {
+      console.warn('Collaboration message ' + message['id'] +
+          ' received out of order.');
+    }
+    return;
+  }
+  var existingGroup = Blockly.Events.getGroup();
+  var existingRecordUndo = Blockly.Events.recordUndo;
+  this.applying_ = true;
+  Blockly.Events.recordUndo = false;
+  try {
+    for (var i = this.pending_.length - 1; i >= 0; i--) {
+      this.run_(this.pending_[i].events, false);
+    }
+    var remoteEvents = message['events'].map(function(json) {
+      return Blockly.Events.fromJson(json, this.workspace_);
+    }, this);
+    Blockly.Events.setGroup(remoteEvents.length ? remoteEvents[0].group : '');
+    this.run_(remoteEvents, true);
+    for (var i = 0, change; change = this.pending_[i]; i++) {
+      Blockly.Events.setGroup(change.events.length ?
+          change.events[0].group : '');
+      // Keep what actually happened, so that undoing it again is exact.
+      change.events = this.run_(change.events, true);
+    }
+  } finally {
+    Blockly.Events.setGroup(existingGroup);
+    Blockly.Events.recordUndo = existingRecordUndo;
+    this.applying_ = false;
+  }
+};
+
+/**
+ * Run events on the workspace.
+ * @param {!Array.<!Blockly.Events.Abstract>} events The events, in the order
+ *     in which they happened.
+ * @param {boolean} forward True to redo the events, false to undo them.
+ * @return {!Array.<!Blockly.Events.Abstract>} The events fired by running
+ *     them.
+ * @private
+ */
+Blockly.Collaboration.prototype.run_ = function(events, forward) {
+  this.captured_ = [];
+  try {
+    for (var i = 0; i < events.length; i++) {
+      events[forward ? i : events.length - 1 - i].run(forward);
+    }
+    Blockly.Events.flush();
+    return this.captured_;
+  } finally {
+    this.captured_ = null;
+  }
+};
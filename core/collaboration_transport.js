@@ -0,0 +1,197 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Transports that carry the messages of Blockly.Collaboration
+ * between participants.
+ */
+'use strict';
+
+goog.provide('Blockly.CollaborationTransport');
+goog.provide('Blockly.LocalCollaborationHub');
+goog.provide('Blockly.WebSocketTransport');
+
+
+/**
+ * Interface for sending collaboration messages.  Every message sent by any
+ * participant must be received by every participant, including the sender,
+ * and all participants must receive the messages in the same order.  A relay
+ * server that broadcasts messages in the order it gets them does this.
+ * @interface
+ */
+Blockly.CollaborationTransport = function() {};
+
+/**
+ * Send a message to all participants.
+ * @param {!Object} message A JSON-serializable message.
+ */
+Blockly.CollaborationTransport.prototype.send = function(
+    /* eslint-disable no-unused-vars */ message
+    /* eslint-enable no-unused-vars */) {};
+
+/**
+ * Set the function to call with each message received.
+ * @param {?function(!Object)} receiver The function, or null to stop
+ *     receiving.
+ */
+Blockly.CollaborationTransport.prototype.setReceiver = function(
+    /* eslint-disable no-unused-vars */ receiver
+    /* eslint-enable no-unused-vars */) {};
+
+/**
+ * Class for an in-memory relay between participants in the same page, for
+ * tests and demos.
+ * @param {boolean=} opt_manual True to only deliver messages when deliver() is
+ *     called, rather than asynchronously after each send.
+ * @constructor
+ */
+Blockly.LocalCollaborationHub = function(opt_manual) {
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.manual_ = !!opt_manual;
+
+  /**
+   * Messages sent but not yet delivered, in order.
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.queue_ = [];
+
+  /**
+   * Connected endpoints.
+   * @type {!Array.<!Blockly.LocalCollaborationHub.Endpoint_>}
+   * @private
+   */
+  this.endpoints_ = [];
+};
+
+/**
+ * Connect a new participant.
+ * @return {!Blockly.CollaborationTransport} The participant's transport.
+ */
+Blockly.LocalCollaborationHub.prototype.connect = function() {
+  var endpoint = new Blockly.LocalCollaborationHub.Endpoint_(this);
+  this.endpoints_.push(endpoint);
+  return endpoint;
+};
+
+/**
+ * Deliver the messages sent so far to every participant.  Messages sent
+ * while delivering are delivered too.
+ */
+Blockly.LocalCollaborationHub.prototype.deliver = function() {
+  while (this.queue_.length) {
+    // Messages travel as text, as they would over a network.
+    var text = this.queue_.shift();
+    var endpoints = this.endpoints_.slice();
+    for (var i = 0, endpoint; endpoint = endpoints[i]; i++) {
+      if (endpoint.receiver_) {
+        endpoint.receiver_(JSON.parse(text));
+      }
+    }
+  }
+};
+
+/**
+ * @return {number} The number of messages waiting to be delivered.
+ */
+Blockly.LocalCollaborationHub.prototype.getQueueLength = function() {
+  return this.queue_.length;
+};
+
+/**
+ * Queue a message for delivery.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.LocalCollaborationHub.prototype.enqueue_ = function(message) {
+  if (!this.manual_ && !this.queue_.length) {
+    setTimeout(this.deliver.bind(this), 0);
+  }
+  this.queue_.push(JSON.stringify(message));
+};
+
+/**
+ * A participant's connection to a local hub.
+ * @param {!Blockly.LocalCollaborationHub} hub The hub.
+ * @implements {Blockly.CollaborationTransport}
+ * @constructor
+ * @private
+ */
+Blockly.LocalCollaborationHub.Endpoint_ = function(hub) {
+  this.hub_ = hub;
+  this.receiver_ = null;
+};
+
+/** @override */
+Blockly.LocalCollaborationHub.Endpoint_.prototype.send = function(message) {
+  this.hub_.enqueue_(message);
+};
+
+/** @override */
+Blockly.LocalCollaborationHub.Endpoint_.prototype.setReceiver = function(
+    receiver) {
+  this.receiver_ = receiver;
+};
+
+/**
+ * Class for a transport over a WebSocket connected to a relay server that
+ * sends every message it gets to all of its clients, including the sender.
+ * @param {!WebSocket} socket The open socket.
+ * @implements {Blockly.CollaborationTransport}
+ * @constructor
+ */
+Blockly.WebSocketTransport = function(socket) {
+  this.socket_ = socket;
+  this.receiver_ = null;
+  socket.addEventListener('message', this.onMessage_.bind(this));
+};
+
+/** @override */
+Blockly.WebSocketTransport.prototype.send = function(message) {
+  this.socket_.send(JSON.stringify(message));
+};
+
+/** @override */
+Blockly.WebSocketTransport.prototype.setReceiver = function(receiver) {
+  this.receiver_ = receiver;
+};
+
+/**
+ * Pass a message from the server to the receiver.
+ * @param {!MessageEvent} e The socket's message event.
+ * @private
+ */
+Blockly.WebSocketTransport.prototype.onMessage_ = function(e) {
+  if (this.receiver_) {
+    this.receiver_(JSON.parse(e.data));
+  }
+};
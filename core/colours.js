@@ -52,10 +52,17 @@ Blockly.Colours = {
   "warningGlow": "#E53D00",
   "warningGlowSize": 1.1,
   "warningGlowOpacity": 1,
+  "diffAddedGlow": "#2ECC71",
+  "diffAddedGlowSize": 1.1,
+  "diffAddedGlowOpacity": 1,
+  "diffChanged": "#F39C12",
+  "unknownBlock": "#9E9E9E",
   "colourPickerStroke": "#FFFFFF",
   // CSS colours: support RGBA
   "fieldShadow": "rgba(255, 255, 255, 0.2)",
   "dropDownShadow": "rgba(0, 0, 0, .3)",
+  "dropDownBackground": "#FFFFFF",
+  "dropDownBorder": "#DDDDDD",
   "numPadBackground": "#547AB2",
   "numPadBorder": "#435F91",
   "numPadActiveBackground": "#435F91",
@@ -328,3 +328,22 @@ Blockly.FUNCTION_DECLARATION_BLOCK_TYPE = 'function_declaration';
  * @const {string}
  */
 Blockly.FUNCTION_CALL_BLOCK_TYPE = 'function_call';
+
+/**
+ * The type of all procedure call blocks that report the returned value.
+ * @const {string}
+ */
+Blockly.FUNCTION_CALL_OUTPUT_BLOCK_TYPE = 'function_call_output';
+
+/**
+ * The type of the block that returns from a procedure definition.
+ * @const {string}
+ */
+Blockly.FUNCTION_RETURN_BLOCK_TYPE = 'function_return';
+
+/**
+ * The type of the placeholder block used for block types that are not
+ * registered.
+ * @const {string}
+ */
+Blockly.UNKNOWN_BLOCK_TYPE = 'unknown_block';
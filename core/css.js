@@ -83,16 +83,33 @@ Blockly.Css.inject = function(hasCss, pathToMedia) {
   if (Blockly.Css.styleSheet_) {
     return;
   }
+  // Strip off any trailing slash (either Unix or Windows).
+  Blockly.Css.mediaPath_ = pathToMedia.replace(/[\\\/]$/, '');
   // Placeholder for cursor rule.  Must be first rule (index 0).
   var text = '.blocklyDraggable {}\n';
   if (hasCss) {
-    text += Blockly.Css.CONTENT.join('\n');
-    if (Blockly.FieldDate) {
-      text += Blockly.FieldDate.CSS.join('\n');
-    }
+    text += Blockly.Css.getContent();
+  }
+
+  // Inject CSS tag at start of head.
+  var cssNode = document.createElement('style');
+  document.head.insertBefore(cssNode, document.head.firstChild);
+
+  var cssTextNode = document.createTextNode(text);
+  cssNode.appendChild(cssTextNode);
+  Blockly.Css.styleSheet_ = cssNode.sheet;
+};
+
+/**
+ * Get the text of Blockly's CSS, with the media path and the current colours
+ * filled in.
+ * @return {string} The CSS text.
+ */
+Blockly.Css.getContent = function() {
+  var text = Blockly.Css.CONTENT.join('\n');
+  if (Blockly.FieldDate) {
+    text += Blockly.FieldDate.CSS.join('\n');
   }
-  // Strip off any trailing slash (either Unix or Windows).
-  Blockly.Css.mediaPath_ = pathToMedia.replace(/[\\\/]$/, '');
   text = text.replace(/<<<PATH>>>/g, Blockly.Css.mediaPath_);
   // Dynamically replace colours in the CSS text, in case they have
   // been set at run-time injection.
@@ -105,14 +122,7 @@ Blockly.Css.inject = function(hasCss, pathToMedia) {
       );
     }
   }
-
-  // Inject CSS tag at start of head.
-  var cssNode = document.createElement('style');
-  document.head.insertBefore(cssNode, document.head.firstChild);
-
-  var cssTextNode = document.createTextNode(text);
-  cssNode.appendChild(cssTextNode);
-  Blockly.Css.styleSheet_ = cssNode.sheet;
+  return text;
 };
 
 /**
@@ -374,6 +384,11 @@ Blockly.Css.CONTENT = [
     'transition: stroke .4s;',
   '}',
 
+  // pxt-blockly: category patterns are drawn over blocks, not clicked
+  '.blocklyCategoryPattern {',
+    'pointer-events: none;',
+  '}',
+
   // pxtblockly: highlight reporter blocks on hover
   '.blocklyDraggable:not(.blocklySelected)>.blocklyPath.blocklyReporterHover {',
     'stroke-width: 2px;',
@@ -721,6 +736,26 @@ Blockly.Css.CONTENT = [
     'opacity: 1;',
   '}',
 
+  // pxt-blockly: minimap
+  '.blocklyMinimapBackground {',
+    'cursor: pointer;',
+    'fill: $colour_toolbox;',
+    'fill-opacity: .9;',
+    'stroke: $colour_scrollbar;',
+  '}',
+
+  '.blocklyMinimapComment {',
+    'fill: #FAF6BD;',
+    'stroke: #F9F3A1;',
+  '}',
+
+  '.blocklyMinimapViewport {',
+    'fill: $colour_toolboxHover;',
+    'fill-opacity: .1;',
+    'stroke: $colour_toolboxHover;',
+    'stroke-width: 1.5px;',
+  '}',
+
   /* Darken flyout scrollbars due to being on a grey background. */
   /* By contrast, workspace scrollbars are on a white background. */
   '.blocklyFlyout .blocklyScrollbarHandle {',
@@ -904,6 +939,12 @@ Blockly.Css.CONTENT = [
     'vertical-align: middle;',
   '}',
 
+  // pxt-blockly: swatch showing the pattern of a category
+  '.blocklyTreePattern {',
+    'margin: 0 3px;',
+    'vertical-align: middle;',
+  '}',
+
   '.blocklyToolboxDelete .blocklyTreeLabel {',
     'cursor: url("<<<PATH>>>/handdelete.cur"), auto;',
   '}',
@@ -1251,6 +1292,87 @@ Blockly.Css.CONTENT = [
     'stroke-width: 5px;',
   '}',
 
+  // pxt-blockly: Workspace diff view
+  '.blocklyDiffBadge {',
+    'fill: $colour_diffChanged;',
+    'stroke: #fff;',
+    'stroke-width: 1px;',
+  '}',
+
+  '.blocklyPresence {',
+    'pointer-events: none;',
+  '}',
+
+  '.blocklyPresenceSelection {',
+    'fill: none;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyPresenceViewport {',
+    'fill: none;',
+    'stroke-width: 2px;',
+    'stroke-dasharray: 8 4;',
+  '}',
+
+  '.blocklyPresenceName {',
+    'font-family: sans-serif;',
+    'font-size: 12px;',
+    'paint-order: stroke;',
+    'stroke: #fff;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyUndoHistory {',
+    'position: absolute;',
+    'top: 8px;',
+    'right: 8px;',
+    'width: 200px;',
+    'max-height: 50%;',
+    'overflow-y: auto;',
+    'background-color: #fff;',
+    'border: 1px solid #ddd;',
+    'border-radius: 4px;',
+    'font-family: sans-serif;',
+    'font-size: 12px;',
+    'z-index: 30;',
+  '}',
+
+  '.blocklyUndoHistoryRtl {',
+    'right: auto;',
+    'left: 8px;',
+  '}',
+
+  '.blocklyUndoHistoryTitle {',
+    'padding: 6px 8px;',
+    'font-weight: bold;',
+    'border-bottom: 1px solid #ddd;',
+  '}',
+
+  '.blocklyUndoHistoryEntry {',
+    'padding: 4px 8px;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyUndoHistoryEntry:hover {',
+    'background-color: #eee;',
+  '}',
+
+  '.blocklyUndoHistoryCurrent {',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyUndoHistoryUndone {',
+    'color: #999;',
+  '}',
+
+  '.blocklyUndoHistoryCheckpoint {',
+    'margin: 0 4px;',
+    'padding: 0 4px;',
+    'border-radius: 2px;',
+    'background-color: #4C97FF;',
+    'color: #fff;',
+  '}',
+
   // pxt-blockly: Argument editor
   '.blocklyTextRemoveIcon {',
     'position: absolute;',
@@ -28,6 +28,8 @@
 
 goog.provide('Blockly.DropDownDiv');
 
+goog.require('Blockly.Events.FieldEditorOpen');
+
 goog.require('goog.dom');
 goog.require('goog.style');
 
@@ -171,6 +173,18 @@ Blockly.DropDownDiv.setColour = function(backgroundColour, borderColour) {
   Blockly.DropDownDiv.DIV_.style.borderColor = borderColour;
 };
 
+/**
+ * pxt-blockly: Colour the drop-down with a workspace's theme, for fields whose
+ * drop-down is not coloured like their block.
+ * @param {!Blockly.Theme} theme The theme of the field's workspace.
+ */
+Blockly.DropDownDiv.setTheme = function(theme) {
+  theme.injectCss();
+  Blockly.DropDownDiv.DIV_.setAttribute('data-theme', theme.name);
+  Blockly.DropDownDiv.setColour(theme.getColour('dropDownBackground'),
+      theme.getColour('dropDownBorder'));
+};
+
 /**
  * Set the category for the drop-down.
  * @param {string} category The new category for the drop-down.
@@ -264,6 +278,7 @@ Blockly.DropDownDiv.showPositionedByField = function(owner,
 Blockly.DropDownDiv.show = function(owner, primaryX, primaryY, secondaryX, secondaryY, opt_onHide) {
   Blockly.DropDownDiv.owner_ = owner;
   Blockly.DropDownDiv.onHide_ = opt_onHide;
+  Blockly.Events.FieldEditorOpen.update();
   var metrics = Blockly.DropDownDiv.getPositionMetrics(primaryX, primaryY, secondaryX, secondaryY);
   // Update arrow CSS
   Blockly.DropDownDiv.arrow_.style.transform = 'translate(' +
@@ -435,6 +450,7 @@ Blockly.DropDownDiv.hideWithoutAnimation = function() {
     Blockly.DropDownDiv.onHide_();
     Blockly.DropDownDiv.onHide_ = null;
   }
+  Blockly.Events.FieldEditorOpen.update();
 };
 
 
@@ -0,0 +1,314 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Replays a session recorded by Blockly.EventRecorder onto a
+ * workspace, which may be headless.
+ */
+'use strict';
+
+goog.provide('Blockly.EventPlayer');
+
+goog.require('Blockly.EventRecorder');
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
+
+
+/**
+ * Class for replaying a recorded session onto a workspace.  The workspace is
+ * cleared and loaded with the starting point of the recording the first time
+ * anything is played.
+ * @param {!Blockly.Workspace} workspace The workspace to replay onto.
+ * @param {!Blockly.EventRecorder.Recording} recording The recording.
+ * @constructor
+ */
+Blockly.EventPlayer = function(workspace, recording) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {!Blockly.EventRecorder.Recording}
+   * @private
+   */
+  this.recording_ = recording;
+
+  /**
+   * Playback speed, relative to the speed of the recording.
+   * @type {number}
+   * @private
+   */
+  this.speed_ = 1;
+
+  /**
+   * Index of the next event to replay.
+   * @type {number}
+   * @private
+   */
+  this.position_ = 0;
+
+  /**
+   * Position in the recording, in milliseconds.
+   * @type {number}
+   * @private
+   */
+  this.time_ = 0;
+
+  /**
+   * Whether the workspace has been loaded with the starting point.
+   * @type {boolean}
+   * @private
+   */
+  this.started_ = false;
+
+  /**
+   * Pending timer ID while playing, otherwise null.
+   * @type {?number}
+   * @private
+   */
+  this.timer_ = null;
+
+  /**
+   * Time at which the pending timer was set.
+   * @type {number}
+   * @private
+   */
+  this.timerStart_ = 0;
+
+  /**
+   * Function to call when playing reaches the end.
+   * @type {?function()}
+   * @private
+   */
+  this.onFinish_ = null;
+};
+
+/**
+ * Set the playback speed.  Takes effect immediately while playing.
+ * @param {number} speed Speed relative to the recording, e.g. 2 for twice as
+ *     fast.
+ */
+Blockly.EventPlayer.prototype.setSpeed = function(speed) {
+  if (!(speed > 0)) {
+    throw Error('Playback speed must be positive: ' + speed);
+  }
+  var playing = this.isPlaying();
+  if (playing) {
+    this.pause();
+  }
+  this.speed_ = speed;
+  if (playing) {
+    this.play(this.onFinish_ || undefined);
+  }
+};
+
+/**
+ * @return {number} The playback speed.
+ */
+Blockly.EventPlayer.prototype.getSpeed = function() {
+  return this.speed_;
+};
+
+/**
+ * Play the recording in real time (scaled by the speed) from the current
+ * position.
+ * @param {function()=} opt_onFinish Function to call when the end is reached.
+ */
+Blockly.EventPlayer.prototype.play = function(opt_onFinish) {
+  this.pause();
+  this.start_();
+  this.onFinish_ = opt_onFinish || null;
+  this.scheduleNext_();
+};
+
+/**
+ * Stop playing, keeping the current position.
+ */
+Blockly.EventPlayer.prototype.pause = function() {
+  if (this.timer_ == null) {
+    return;
+  }
+  clearTimeout(this.timer_);
+  this.timer_ = null;
+  var next = this.recording_.events[this.position_];
+  var elapsed = (goog.now() - this.timerStart_) * this.speed_;
+  this.time_ = Math.min(next.time, this.time_ + elapsed);
+};
+
+/**
+ * @return {boolean} True while playing.
+ */
+Blockly.EventPlayer.prototype.isPlaying = function() {
+  return this.timer_ != null;
+};
+
+/**
+ * Replay the next group of events that happened at the same time, without
+ * waiting.
+ * @return {boolean} False if the end had already been reached.
+ */
+Blockly.EventPlayer.prototype.step = function() {
+  this.start_();
+  var next = this.recording_.events[this.position_];
+  if (!next) {
+    return false;
+  }
+  this.time_ = next.time;
+  this.replayUntil_(this.time_);
+  if (this.isPlaying()) {
+    clearTimeout(this.timer_);
+    this.scheduleNext_();
+  }
+  return true;
+};
+
+/**
+ * Stop playing and replay all remaining events at once.
+ */
+Blockly.EventPlayer.prototype.finish = function() {
+  this.pause();
+  this.start_();
+  this.time_ = this.recording_.duration;
+  this.replayUntil_(Infinity);
+};
+
+/**
+ * Stop playing and go back to the starting point of the recording.
+ */
+Blockly.EventPlayer.prototype.reset = function() {
+  this.pause();
+  this.started_ = false;
+  this.position_ = 0;
+  this.time_ = 0;
+  this.start_();
+};
+
+/**
+ * @return {number} The position in the recording, in milliseconds.
+ */
+Blockly.EventPlayer.prototype.getTime = function() {
+  if (this.isPlaying()) {
+    var next = this.recording_.events[this.position_];
+    var elapsed = (goog.now() - this.timerStart_) * this.speed_;
+    return Math.min(next.time, this.time_ + elapsed);
+  }
+  return this.time_;
+};
+
+/**
+ * @return {number} The length of the recording, in milliseconds.
+ */
+Blockly.EventPlayer.prototype.getDuration = function() {
+  return this.recording_.duration;
+};
+
+/**
+ * Stop playing.
+ */
+Blockly.EventPlayer.prototype.dispose = function() {
+  this.pause();
+  this.onFinish_ = null;
+};
+
+/**
+ * Load the starting point of the recording, unless already done.  Loading is
+ * not undoable.
+ * @private
+ */
+Blockly.EventPlayer.prototype.start_ = function() {
+  if (this.started_) {
+    return;
+  }
+  this.started_ = true;
+  Blockly.Events.disable();
+  try {
+    this.workspace_.clear();
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(this.recording_.xml),
+        this.workspace_);
+  } finally {
+    Blockly.Events.enable();
+  }
+  this.workspace_.clearUndo();
+};
+
+/**
+ * Set a timer for the next group of events, or finish if there are none.
+ * @private
+ */
+Blockly.EventPlayer.prototype.scheduleNext_ = function() {
+  var next = this.recording_.events[this.position_];
+  if (!next) {
+    this.timer_ = null;
+    this.time_ = Math.max(this.time_, this.recording_.duration);
+    var onFinish = this.onFinish_;
+    this.onFinish_ = null;
+    if (onFinish) {
+      onFinish();
+    }
+    return;
+  }
+  var delay = Math.max(0, (next.time - this.time_) / this.speed_);
+  this.timerStart_ = goog.now();
+  this.timer_ = setTimeout(this.tick_.bind(this), delay);
+};
+
+/**
+ * Replay the events that are due and wait for the next ones.
+ * @private
+ */
+Blockly.EventPlayer.prototype.tick_ = function() {
+  this.time_ = this.recording_.events[this.position_].time;
+  this.replayUntil_(this.time_);
+  this.scheduleNext_();
+};
+
+/**
+ * Replay the events up to a time.  Events are run in their original groups,
+ * so that they are undone together.
+ * @param {number} time Position in the recording, in milliseconds.
+ * @private
+ */
+Blockly.EventPlayer.prototype.replayUntil_ = function(time) {
+  var events = this.recording_.events;
+  var existingGroup = Blockly.Events.getGroup();
+  try {
+    while (this.position_ < events.length &&
+        events[this.position_].time <= time) {
+      var json = events[this.position_].event;
+      this.position_++;
+      var event = Blockly.Events.fromJson(json, this.workspace_);
+      Blockly.Events.setGroup(event.group || existingGroup || false);
+      event.run(true);
+    }
+  } finally {
+    Blockly.Events.setGroup(existingGroup || false);
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Records the events of a workspace with their timestamps, so
+ * that the session can be replayed by Blockly.EventPlayer.
+ */
+'use strict';
+
+goog.provide('Blockly.EventRecorder');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
+
+
+/**
+ * Class for recording the events of a workspace.
+ * @param {!Blockly.Workspace} workspace The workspace to record.
+ * @param {boolean=} opt_includeUi True to also record UI events such as
+ *     selection, clicks, drags and scrolling, and presence events, which
+ *     change nothing on replay.
+ * @constructor
+ */
+Blockly.EventRecorder = function(workspace, opt_includeUi) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.includeUi_ = !!opt_includeUi;
+
+  /**
+   * The change listener while recording, otherwise null.
+   * @type {Function}
+   * @private
+   */
+  this.listener_ = null;
+
+  /**
+   * Time at which recording started, or null if never started.
+   * @type {?number}
+   * @private
+   */
+  this.startTime_ = null;
+
+  /**
+   * Time at which recording stopped, or null while recording.
+   * @type {?number}
+   * @private
+   */
+  this.stopTime_ = null;
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.xml_ = '';
+
+  /**
+   * @type {!Array.<{time: number, event: !Object}>}
+   * @private
+   */
+  this.events_ = [];
+};
+
+/**
+ * A recorded session: the XML text of the workspace when recording started,
+ * the events as JSON with their time in milliseconds since the start, and the
+ * length of the session in milliseconds.  It is plain JSON, so it can be
+ * saved with JSON.stringify.
+ * @typedef {{xml: string, duration: number,
+ *     events: !Array.<{time: number, event: !Object}>}}
+ */
+Blockly.EventRecorder.Recording;
+
+/**
+ * Start a new recording, discarding any previous one.  The current contents
+ * of the workspace become the starting point of the recording.
+ */
+Blockly.EventRecorder.prototype.start = function() {
+  this.stop();
+  this.xml_ = Blockly.Xml.domToText(
+      Blockly.Xml.workspaceToDom(this.workspace_));
+  this.events_ = [];
+  this.startTime_ = goog.now();
+  this.stopTime_ = null;
+  this.listener_ = this.workspace_.addChangeListener(
+      this.onChange_.bind(this));
+};
+
+/**
+ * Stop recording.  Does nothing if not recording.
+ */
+Blockly.EventRecorder.prototype.stop = function() {
+  if (!this.listener_) {
+    return;
+  }
+  this.workspace_.removeChangeListener(this.listener_);
+  this.listener_ = null;
+  this.stopTime_ = goog.now();
+};
+
+/**
+ * @return {boolean} True if events are being recorded.
+ */
+Blockly.EventRecorder.prototype.isRecording = function() {
+  return !!this.listener_;
+};
+
+/**
+ * Get the recording so far.
+ * @return {!Blockly.EventRecorder.Recording} A copy of the recording.
+ */
+Blockly.EventRecorder.prototype.getRecording = function() {
+  var end = this.stopTime_ == null ? goog.now() : this.stopTime_;
+  return {
+    xml: this.xml_,
+    duration: this.startTime_ == null ? 0 : end - this.startTime_,
+    events: this.events_.map(function(entry) {
+      return {time: entry.time, event: JSON.parse(JSON.stringify(entry.event))};
+    })
+  };
+};
+
+/**
+ * Stop recording and release the workspace.
+ */
+Blockly.EventRecorder.prototype.dispose = function() {
+  this.stop();
+  this.events_ = [];
+};
+
+/**
+ * Record an event of the workspace.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.EventRecorder.prototype.onChange_ = function(event) {
+  if ((Blockly.Events.UI_TYPES.indexOf(event.type) != -1 ||
+      event.type == Blockly.Events.PRESENCE) && !this.includeUi_) {
+    return;
+  }
+  this.events_.push({
+    time: goog.now() - this.startTime_,
+    event: event.toJson()
+  });
+};
@@ -0,0 +1,277 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Subscriptions to the events of a workspace, filtered by type,
+ *     block and group.
+ */
+'use strict';
+
+goog.provide('Blockly.EventSubscriptions');
+
+goog.require('goog.array');
+
+
+/**
+ * Class for the subscriptions of a workspace.  Subscriptions are indexed by
+ * event type and block ID, so that firing an event only costs anything for the
+ * subscriptions that could match it.  Use Blockly.Workspace.prototype.on to
+ * subscribe.
+ * @constructor
+ */
+Blockly.EventSubscriptions = function() {
+  /**
+   * Lists of subscriptions by event type, then by block ID.  Subscriptions to
+   * the events of any block are listed under ''.
+   * @type {!Object.<string, !Object.<string,
+   *     !Array.<!Blockly.EventSubscriptions.Subscription_>>>}
+   * @private
+   */
+  this.byType_ = Object.create(null);
+};
+
+/**
+ * Which events a subscription matches, and how they are delivered.
+ * blockId: Only events of this block.
+ * group: Only events of this group.  '' for events not in a group.
+ * recordUndo: Only events that are (true) or are not (false) undoable.
+ * debounce: Wait until no event has matched for this many milliseconds, then
+ *     deliver the last event.
+ * batch: Deliver an array of all the events that matched while waiting,
+ *     instead of only the last one.  Without debounce, waits until the events
+ *     being fired now have all fired.
+ * @typedef {{blockId: (string|undefined),
+ *            group: (string|undefined),
+ *            recordUndo: (boolean|undefined),
+ *            debounce: (number|undefined),
+ *            batch: (boolean|undefined)}}
+ */
+Blockly.EventSubscriptions.Options;
+
+/**
+ * Subscribe to events.
+ * @param {string|!Array.<string>} types The event type or types to match,
+ *     such as Blockly.Events.CHANGE.
+ * @param {!Blockly.EventSubscriptions.Options} options Which events to match,
+ *     and how to deliver them.
+ * @param {function(?)} handler Function to call with each matching event, or
+ *     with an array of events when batching.
+ * @return {function()} Function that ends the subscription.
+ */
+Blockly.EventSubscriptions.prototype.add = function(types, options, handler) {
+  if (!goog.isArray(types)) {
+    types = [types];
+  }
+  var subscription =
+      new Blockly.EventSubscriptions.Subscription_(options, handler);
+  var blockId = options.blockId || '';
+  for (var i = 0; i < types.length; i++) {
+    var byBlock = this.byType_[types[i]];
+    if (!byBlock) {
+      byBlock = this.byType_[types[i]] = Object.create(null);
+    }
+    if (!byBlock[blockId]) {
+      byBlock[blockId] = [];
+    }
+    if (byBlock[blockId].indexOf(subscription) == -1) {
+      byBlock[blockId].push(subscription);
+    }
+  }
+  var thisSubscriptions = this;
+  return function() {
+    thisSubscriptions.remove_(types, blockId, subscription);
+  };
+};
+
+/**
+ * End a subscription.
+ * @param {!Array.<string>} types The event types it matches.
+ * @param {string} blockId The block ID it matches, or ''.
+ * @param {!Blockly.EventSubscriptions.Subscription_} subscription The
+ *     subscription.
+ * @private
+ */
+Blockly.EventSubscriptions.prototype.remove_ = function(types, blockId,
+    subscription) {
+  subscription.dispose();
+  for (var i = 0; i < types.length; i++) {
+    var byBlock = this.byType_[types[i]];
+    if (byBlock && byBlock[blockId]) {
+      goog.array.remove(byBlock[blockId], subscription);
+      if (!byBlock[blockId].length) {
+        delete byBlock[blockId];
+      }
+    }
+  }
+};
+
+/**
+ * Deliver an event to the subscriptions that match it.
+ * @param {!Blockly.Events.Abstract} event The event.
+ */
+Blockly.EventSubscriptions.prototype.dispatch = function(event) {
+  var byBlock = this.byType_[event.type];
+  if (!byBlock) {
+    return;
+  }
+  // Copy the lists in case a handler subscribes or unsubscribes.
+  var subscriptions = byBlock[''] ? byBlock[''].slice() : [];
+  if (event.blockId && byBlock[event.blockId]) {
+    subscriptions = subscriptions.concat(byBlock[event.blockId]);
+  }
+  for (var i = 0, subscription; subscription = subscriptions[i]; i++) {
+    if (subscription.matches(event)) {
+      subscription.deliver(event);
+    }
+  }
+};
+
+/**
+ * End all the subscriptions, without delivering the events they are waiting
+ * to deliver.
+ */
+Blockly.EventSubscriptions.prototype.dispose = function() {
+  for (var type in this.byType_) {
+    for (var blockId in this.byType_[type]) {
+      var subscriptions = this.byType_[type][blockId];
+      for (var i = 0; i < subscriptions.length; i++) {
+        subscriptions[i].dispose();
+      }
+    }
+  }
+  this.byType_ = Object.create(null);
+};
+
+/**
+ * Class for one subscription.
+ * @param {!Blockly.EventSubscriptions.Options} options Which events to match,
+ *     and how to deliver them.
+ * @param {function(?)} handler Function to deliver the events to.
+ * @constructor
+ * @private
+ */
+Blockly.EventSubscriptions.Subscription_ = function(options, handler) {
+  /**
+   * @type {!Blockly.EventSubscriptions.Options}
+   * @private
+   */
+  this.options_ = options;
+
+  /**
+   * @type {function(?)}
+   * @private
+   */
+  this.handler_ = handler;
+
+  /**
+   * Events waiting to be delivered.
+   * @type {!Array.<!Blockly.Events.Abstract>}
+   * @private
+   */
+  this.pending_ = [];
+
+  /**
+   * PID of the timeout that delivers the waiting events, or 0 if none.
+   * @type {number}
+   * @private
+   */
+  this.pid_ = 0;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.disposed_ = false;
+};
+
+/**
+ * Whether an event of the right type and block matches the other filters.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @return {boolean} True if it matches.
+ */
+Blockly.EventSubscriptions.Subscription_.prototype.matches = function(event) {
+  var options = this.options_;
+  if (this.disposed_) {
+    return false;
+  }
+  if (options.group !== undefined && (event.group || '') != options.group) {
+    return false;
+  }
+  if (options.recordUndo !== undefined &&
+      !!event.recordUndo != options.recordUndo) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Deliver an event, now or once the subscription is done waiting.
+ * @param {!Blockly.Events.Abstract} event The event.
+ */
+Blockly.EventSubscriptions.Subscription_.prototype.deliver = function(event) {
+  var options = this.options_;
+  if (!options.debounce && !options.batch) {
+    this.handler_(event);
+    return;
+  }
+  this.pending_.push(event);
+  if (this.pid_) {
+    if (!options.debounce) {
+      return;
+    }
+    clearTimeout(this.pid_);
+  }
+  var thisSubscription = this;
+  this.pid_ = setTimeout(function() {
+    thisSubscription.flush_();
+  }, options.debounce || 0);
+};
+
+/**
+ * Deliver the waiting events.
+ * @private
+ */
+Blockly.EventSubscriptions.Subscription_.prototype.flush_ = function() {
+  var events = this.pending_;
+  this.pending_ = [];
+  this.pid_ = 0;
+  if (!this.disposed_ && events.length) {
+    this.handler_(this.options_.batch ? events : events[events.length - 1]);
+  }
+};
+
+/**
+ * Stop delivering events.
+ */
+Blockly.EventSubscriptions.Subscription_.prototype.dispose = function() {
+  this.disposed_ = true;
+  clearTimeout(this.pid_);
+  this.pid_ = 0;
+  this.pending_.length = 0;
+};
@@ -156,12 +156,79 @@ Blockly.Events.UI = 'ui';
  */
 Blockly.Events.END_DRAG = 'end_drag';
 
+/**
+ * pxt-blockly: Name of event that starts a block drag
+ * @const
+ */
+Blockly.Events.START_DRAG = 'start_drag';
+
+/**
+ * pxt-blockly: Name of event fired when a dragged block starts or stops being
+ * over a delete area
+ * @const
+ */
+Blockly.Events.DRAG_OVER_DELETE_AREA = 'drag_over_delete_area';
+
+/**
+ * pxt-blockly: Name of event that selects a toolbox category
+ * @const
+ */
+Blockly.Events.TOOLBOX_CATEGORY_SELECT = 'toolbox_category_select';
+
+/**
+ * pxt-blockly: Name of event that opens or closes a flyout
+ * @const
+ */
+Blockly.Events.FLYOUT_OPEN = 'flyout_open';
+
+/**
+ * pxt-blockly: Name of event that scrolls or zooms a workspace
+ * @const
+ */
+Blockly.Events.VIEWPORT_CHANGE = 'viewport_change';
+
+/**
+ * pxt-blockly: Name of event that opens or closes a field editor
+ * @const
+ */
+Blockly.Events.FIELD_EDITOR_OPEN = 'field_editor_open';
+
+/**
+ * pxt-blockly: Types of events that record what the user does in the editor
+ * rather than a change to the workspace.  They never undo or redo.
+ * @type {!Array.<string>}
+ */
+Blockly.Events.UI_TYPES = [
+  Blockly.Events.UI,
+  Blockly.Events.START_DRAG,
+  Blockly.Events.END_DRAG,
+  Blockly.Events.DRAG_OVER_DELETE_AREA,
+  Blockly.Events.TOOLBOX_CATEGORY_SELECT,
+  Blockly.Events.FLYOUT_OPEN,
+  Blockly.Events.VIEWPORT_CHANGE,
+  Blockly.Events.FIELD_EDITOR_OPEN
+];
+
+/**
+ * pxt-blockly: Name of event that describes where a collaborator is working.
+ * @const
+ */
+Blockly.Events.PRESENCE = 'presence';
+
 /**
  * List of events queued for firing.
  * @private
  */
 Blockly.Events.FIRE_QUEUE_ = [];
 
+/**
+ * Transactions in progress, innermost last, with the events they are holding.
+ * @type {!Array.<{workspaceId: string,
+ *     events: !Array.<!Blockly.Events.Abstract>}>}
+ * @private
+ */
+Blockly.Events.transactions_ = [];
+
 /**
  * Create a custom event and fire it.
  * @param {!Blockly.Events.Abstract} event Custom data for event.
@@ -170,6 +237,14 @@ Blockly.Events.fire = function(event) {
   if (!Blockly.Events.isEnabled()) {
     return;
   }
+  for (var i = Blockly.Events.transactions_.length - 1; i >= 0; i--) {
+    var transaction = Blockly.Events.transactions_[i];
+    if (transaction.workspaceId == event.workspaceId) {
+      // Held until the transaction succeeds.
+      transaction.events.push(event);
+      return;
+    }
+  }
   if (!Blockly.Events.FIRE_QUEUE_.length) {
     // First event added; schedule a firing of the event queue.
     setTimeout(Blockly.Events.fireNow_, 0);
@@ -192,6 +267,16 @@ Blockly.Events.fireNow_ = function() {
   }
 };
 
+/**
+ * Fire the queued events now instead of waiting for the timeout, so that
+ * listeners have seen every change made so far.
+ */
+Blockly.Events.flush = function() {
+  if (Blockly.Events.FIRE_QUEUE_.length) {
+    Blockly.Events.fireNow_();
+  }
+};
+
 /**
  * Filter the queued events and merge duplicates.
  * @param {!Array.<!Blockly.Events.Abstract>} queueIn Array of events.
@@ -224,6 +309,13 @@ Blockly.Events.filter = function(queueIn, forward) {
           event.name == lastEvent.name) {
         // Merge change events.
         lastEvent.newValue = event.newValue;
+      } else if (event.type == Blockly.Events.VIEWPORT_CHANGE) {
+        // pxt-blockly: Merge scrolls and zooms, keeping the first old scale.
+        lastEvent.viewLeft = event.viewLeft;
+        lastEvent.viewTop = event.viewTop;
+        lastEvent.viewWidth = event.viewWidth;
+        lastEvent.viewHeight = event.viewHeight;
+        lastEvent.scale = event.scale;
       } else if (event.type == Blockly.Events.UI &&
           event.element == 'click' &&
           (lastEvent.element == 'commentOpen' ||
@@ -309,6 +401,46 @@ Blockly.Events.setGroup = function(state) {
   }
 };
 
+/**
+ * Make a change to a workspace all or nothing.  The events of the workspace
+ * are grouped, and held back from listeners until the function returns.  If it
+ * throws, the events are undone instead and never fired, leaving the workspace
+ * as it was.  Changes made while events are disabled are not undone.
+ * @param {!Blockly.Workspace} workspace The workspace being changed.
+ * @param {function():T} fn Function making the change.
+ * @return {T} The value returned by the function.
+ * @template T
+ */
+Blockly.Events.transaction = function(workspace, fn) {
+  var existingGroup = Blockly.Events.getGroup();
+  if (!existingGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  var transaction = {workspaceId: workspace.id, events: []};
+  Blockly.Events.transactions_.push(transaction);
+  try {
+    var result = fn();
+  } catch (e) {
+    goog.array.remove(Blockly.Events.transactions_, transaction);
+    Blockly.Events.disable();
+    try {
+      for (var i = transaction.events.length - 1; i >= 0; i--) {
+        transaction.events[i].run(false);
+      }
+    } finally {
+      Blockly.Events.enable();
+    }
+    throw e;
+  } finally {
+    goog.array.remove(Blockly.Events.transactions_, transaction);
+    Blockly.Events.setGroup(existingGroup);
+  }
+  for (var i = 0, event; event = transaction.events[i]; i++) {
+    Blockly.Events.fire(event);
+  }
+  return result;
+};
+
 /**
  * Compute a list of the IDs of the specified block and all its descendants.
  * @param {!Blockly.Block} block The root block.
@@ -374,6 +506,27 @@ Blockly.Events.fromJson = function(json, workspace) {
     case Blockly.Events.END_DRAG:
       event = new Blockly.Events.EndBlockDrag(null, false);
       break;
+    case Blockly.Events.PRESENCE:
+      event = new Blockly.Events.Presence(null, '', '', '');
+      break;
+    case Blockly.Events.START_DRAG:
+      event = new Blockly.Events.StartBlockDrag(null);
+      break;
+    case Blockly.Events.DRAG_OVER_DELETE_AREA:
+      event = new Blockly.Events.DragOverDeleteArea(null, false);
+      break;
+    case Blockly.Events.TOOLBOX_CATEGORY_SELECT:
+      event = new Blockly.Events.ToolboxCategorySelect(null, null, null);
+      break;
+    case Blockly.Events.FLYOUT_OPEN:
+      event = new Blockly.Events.FlyoutOpen(null, false);
+      break;
+    case Blockly.Events.VIEWPORT_CHANGE:
+      event = new Blockly.Events.ViewportChange(null, 1);
+      break;
+    case Blockly.Events.FIELD_EDITOR_OPEN:
+      event = new Blockly.Events.FieldEditorOpen(null, false);
+      break;
     default:
       throw 'Unknown event type.';
   }
@@ -0,0 +1,339 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Export of blocks and workspaces as standalone SVG and PNG
+ * images.
+ */
+'use strict';
+
+goog.provide('Blockly.exportPng');
+goog.provide('Blockly.exportSvg');
+
+goog.require('Blockly.BlockSvg');
+goog.require('Blockly.Css');
+goog.require('Blockly.WorkspaceSvg');
+goog.require('Blockly.Xml');
+goog.require('Blockly.utils');
+
+goog.require('goog.Uri');
+goog.require('goog.asserts');
+goog.require('goog.dom');
+
+
+/**
+ * Options for exporting images.
+ * padding: Space around the blocks, in workspace units (default 10).
+ * scale: Size of a workspace unit in the image, in pixels (default 1).
+ * background: Colour to fill the image with (default transparent).
+ * @typedef {{padding: (number|undefined), scale: (number|undefined),
+ *     background: (string|undefined)}}
+ */
+Blockly.ExportOptions;
+
+/**
+ * XML namespace of 'xlink:href' attributes.
+ * @const {string}
+ * @private
+ */
+Blockly.EXPORT_XLINK_NS_ = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Matches 'url(...)' in CSS.  The groups are the quote, if any, and the URL.
+ * @const {!RegExp}
+ * @private
+ */
+Blockly.EXPORT_CSS_URL_REGEXP_ = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+
+/**
+ * Data URIs of the images and CSS assets loaded by earlier exports, keyed by
+ * absolute URL.
+ * @type {!Object.<string, string>}
+ * @private
+ */
+Blockly.exportImageCache_ = Object.create(null);
+
+/**
+ * Export a rendered workspace, or a block and the blocks below it in its
+ * stack, as an SVG document.  Blockly's CSS and the workspace's filters and
+ * patterns are copied into the document, and it is cropped to the bounding box
+ * of the blocks.
+ * The returned text is not standalone: only images and CSS assets that are
+ * data URIs, or were loaded by an earlier export, are embedded, and the others
+ * are linked by absolute URL.  Pass a callback to get a standalone document,
+ * with every image and CSS asset that can be loaded embedded.
+ * @param {!Blockly.WorkspaceSvg|!Blockly.BlockSvg} workspaceOrBlock What to
+ *     export.
+ * @param {Blockly.ExportOptions=} opt_options Export options.
+ * @param {function(string)=} opt_callback Called with the standalone SVG text
+ *     once every image and CSS asset that can be loaded is embedded.
+ * @return {string} The SVG text, which may link to images and CSS assets.
+ */
+Blockly.exportSvg = function(workspaceOrBlock, opt_options, opt_callback) {
+  var svg = Blockly.exportSvgDom_(workspaceOrBlock, opt_options || {});
+  var pending = Blockly.embedExportImages_(svg);
+  var text = Blockly.Xml.domToText(svg);
+  if (opt_callback) {
+    Blockly.loadExportImages_(pending, function() {
+      Blockly.embedExportImages_(svg);
+      opt_callback(Blockly.Xml.domToText(svg));
+    });
+  }
+  return text;
+};
+
+/**
+ * Export a rendered workspace, or a block and the blocks below it in its
+ * stack, as a PNG image.
+ * @param {!Blockly.WorkspaceSvg|!Blockly.BlockSvg} workspaceOrBlock What to
+ *     export.
+ * @param {Blockly.ExportOptions} options Export options, or null.
+ * @param {function(?string)} callback Called with the data URL of the PNG, or
+ *     null if the image could not be drawn.
+ */
+Blockly.exportPng = function(workspaceOrBlock, options, callback) {
+  var svg = Blockly.exportSvgDom_(workspaceOrBlock, options || {});
+  var width = Number(svg.getAttribute('width'));
+  var height = Number(svg.getAttribute('height'));
+  Blockly.loadExportImages_(Blockly.embedExportImages_(svg), function() {
+    Blockly.embedExportImages_(svg);
+    var text = Blockly.Xml.domToText(svg);
+    var image = new Image();
+    image.onload = function() {
+      var canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      try {
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        callback(canvas.toDataURL('image/png'));
+      } catch (e) {
+        // Images that could not be embedded taint the canvas.
+        callback(null);
+      }
+    };
+    image.onerror = function() {
+      callback(null);
+    };
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(text);
+  });
+};
+
+/**
+ * Build the SVG document for an export.
+ * @param {!Blockly.WorkspaceSvg|!Blockly.BlockSvg} workspaceOrBlock What to
+ *     export.
+ * @param {!Blockly.ExportOptions} options Export options.
+ * @return {!Element} The 'svg' element.
+ * @private
+ */
+Blockly.exportSvgDom_ = function(workspaceOrBlock, options) {
+  var padding = options.padding === undefined ? 10 : options.padding;
+  var scale = options.scale || 1;
+  var workspace;
+  var content = [];
+  var box;
+  if (workspaceOrBlock instanceof Blockly.BlockSvg) {
+    var block = workspaceOrBlock;
+    workspace = block.workspace;
+    goog.asserts.assert(block.rendered, 'Only rendered blocks can be exported.');
+    var xy = block.getRelativeToSurfaceXY();
+    var root = block.getSvgRoot().cloneNode(true);
+    root.setAttribute('transform', 'translate(' + xy.x + ',' + xy.y + ')');
+    content.push(root);
+    var rectangle = block.getBoundingRectangle();
+    box = {
+      x: rectangle.topLeft.x,
+      y: rectangle.topLeft.y,
+      width: rectangle.bottomRight.x - rectangle.topLeft.x,
+      height: rectangle.bottomRight.y - rectangle.topLeft.y
+    };
+  } else {
+    workspace = workspaceOrBlock;
+    goog.asserts.assert(workspace.rendered,
+        'Only rendered workspaces can be exported.');
+    var canvases = [workspace.getCanvas(), workspace.getBubbleCanvas()];
+    for (var i = 0; i < canvases.length; i++) {
+      var canvas = canvases[i].cloneNode(true);
+      canvas.removeAttribute('transform');
+      content.push(canvas);
+    }
+    // Stacks that are far outside the view are not on the block canvas.
+    var culler = workspace.getCuller();
+    if (culler) {
+      var culled = culler.getCulledBlocks();
+      for (var i = 0; i < culled.length; i++) {
+        content[0].appendChild(culled[i].getSvgRoot().cloneNode(true));
+      }
+    }
+    box = workspace.getBlocksBoundingBox();
+  }
+
+  var width = (box.width + 2 * padding) * scale;
+  var height = (box.height + 2 * padding) * scale;
+  // The serializer declares the SVG namespace itself.
+  var svg = Blockly.utils.createSvgElement('svg', {
+    'version': '1.1',
+    'class': workspace.getParentSvg().getAttribute('class'),
+    'style': 'background-color: transparent',
+    'width': width,
+    'height': height,
+    'viewBox': '0 0 ' + width + ' ' + height
+  }, null);
+  svg.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink',
+      Blockly.EXPORT_XLINK_NS_);
+  var defs = Blockly.utils.createSvgElement('defs', {}, svg);
+  var style = Blockly.utils.createSvgElement('style', {}, defs);
+  style.appendChild(document.createTextNode(Blockly.Css.getContent()));
+  var workspaceDefs = workspace.getParentSvg().getElementsByTagName('defs');
+  for (var i = 0; i < workspaceDefs.length; i++) {
+    for (var j = 0, def; def = workspaceDefs[i].childNodes[j]; j++) {
+      defs.appendChild(def.cloneNode(true));
+    }
+  }
+  if (options.background) {
+    Blockly.utils.createSvgElement('rect', {
+      'width': width,
+      'height': height,
+      'fill': options.background
+    }, svg);
+  }
+  var group = Blockly.utils.createSvgElement('g', {
+    'transform': 'scale(' + scale + ') translate(' + (padding - box.x) + ',' +
+        (padding - box.y) + ')'
+  }, svg);
+  for (var i = 0; i < content.length; i++) {
+    group.appendChild(content[i]);
+  }
+  // Selection and other highlighting are not part of the picture.
+  var selected = group.getElementsByClassName('blocklySelected');
+  while (selected.length) {
+    Blockly.utils.removeClass(selected[0], 'blocklySelected');
+  }
+  var presence = group.getElementsByClassName('blocklyPresenceLayer');
+  while (presence.length) {
+    goog.dom.removeNode(presence[0]);
+  }
+  return svg;
+};
+
+/**
+ * Embed the images and CSS assets in an exported document that are known, and
+ * make the links of the others absolute.
+ * @param {!Element} svg The 'svg' element of the export.
+ * @return {!Array.<string>} Absolute URLs of the assets not embedded.
+ * @private
+ */
+Blockly.embedExportImages_ = function(svg) {
+  var pending = [];
+  var images = svg.getElementsByTagName('image');
+  for (var i = 0, image; image = images[i]; i++) {
+    var href = image.getAttributeNS(Blockly.EXPORT_XLINK_NS_, 'href') ||
+        image.getAttribute('href');
+    if (href) {
+      image.setAttributeNS(Blockly.EXPORT_XLINK_NS_, 'xlink:href',
+          Blockly.embedExportUrl_(href, pending));
+    }
+  }
+  // The inlined CSS links to the media directory, e.g. for sprites.
+  var styles = svg.getElementsByTagName('style');
+  for (var i = 0, style; style = styles[i]; i++) {
+    style.textContent = style.textContent.replace(
+        Blockly.EXPORT_CSS_URL_REGEXP_, function(match, quote, href) {
+          return 'url(' + quote + Blockly.embedExportUrl_(href, pending) +
+              quote + ')';
+        });
+  }
+  return pending;
+};
+
+/**
+ * Find what an exported document should link to for an asset.
+ * @param {string} href URL of the asset, relative to the page.
+ * @param {!Array.<string>} pending Absolute URLs of the assets not embedded,
+ *     which the asset is added to if it is not known.
+ * @return {string} The data URI of the asset if it is known, otherwise its
+ *     absolute URL.
+ * @private
+ */
+Blockly.embedExportUrl_ = function(href, pending) {
+  // Data URIs are already embedded, and fragments refer to the document.
+  if (href.indexOf('data:') == 0 || href.charAt(0) == '#') {
+    return href;
+  }
+  var url = goog.Uri.resolve(document.baseURI, href).toString();
+  var dataUri = Blockly.exportImageCache_[url];
+  if (dataUri) {
+    return dataUri;
+  }
+  if (pending.indexOf(url) == -1) {
+    pending.push(url);
+  }
+  return url;
+};
+
+/**
+ * Load images and CSS assets as data URIs into the export image cache.  Assets
+ * that fail to load are left out.
+ * @param {!Array.<string>} urls Absolute URLs of the assets.
+ * @param {function()} callback Called once every asset is loaded or failed.
+ * @private
+ */
+Blockly.loadExportImages_ = function(urls, callback) {
+  if (!urls.length) {
+    callback();
+    return;
+  }
+  var remaining = urls.length;
+  var done = function() {
+    remaining--;
+    if (!remaining) {
+      callback();
+    }
+  };
+  urls.forEach(function(url) {
+    var request = new XMLHttpRequest();
+    request.open('GET', url);
+    request.responseType = 'blob';
+    request.onload = function() {
+      if (request.status && request.status != 200) {
+        done();
+        return;
+      }
+      var reader = new FileReader();
+      reader.onload = function() {
+        Blockly.exportImageCache_[url] = /** @type {string} */ (reader.result);
+        done();
+      };
+      reader.onerror = done;
+      reader.readAsDataURL(request.response);
+    };
+    request.onerror = done;
+    request.send();
+  });
+};
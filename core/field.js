@@ -30,6 +30,7 @@ goog.provide('Blockly.Field');
 
 goog.require('Blockly.Events.BlockChange');
 goog.require('Blockly.Gesture');
+goog.require('Blockly.Renderer');
 
 goog.require('goog.asserts');
 goog.require('goog.dom');
@@ -238,7 +239,7 @@ Blockly.Field.prototype.init = function() {
   this.textElement_ = Blockly.utils.createSvgElement('text',
       {'class': this.className_,
         'x': fieldX,
-        'y': size.height / 2 + Blockly.BlockSvg.FIELD_TOP_PADDING,
+        'y': size.height / 2 + this.getRenderer().FIELD_TOP_PADDING,
         'dominant-baseline': 'middle',
         'dy': goog.userAgent.EDGE_OR_IE ? Blockly.Field.IE_TEXT_OFFSET : '0',
         'text-anchor': 'middle'},
@@ -414,6 +415,17 @@ Blockly.Field.prototype.getSvgRoot = function() {
   return /** @type {!Element} */ (this.fieldGroup_);
 };
 
+/**
+ * pxt-blockly: Get the renderer that this field is drawn with.
+ * @return {!Blockly.Renderer} The renderer of the source block's workspace,
+ *     or the default renderer if the field is not on a rendered workspace.
+ */
+Blockly.Field.prototype.getRenderer = function() {
+  var workspace = this.sourceBlock_ && this.sourceBlock_.workspace;
+  return workspace && workspace.rendered ? workspace.getRenderer() :
+      Blockly.Renderer.get(Blockly.Renderer.DEFAULT);
+};
+
 /**
  * Draws the border with the correct width.
  * Saves the computed width in a property.
@@ -438,7 +450,7 @@ Blockly.Field.prototype.render_ = function() {
     // visible field (FIELD_WIDTH), center it there instead,
     // unless there is a drop-down arrow.
     if (this.sourceBlock_.isShadow() && !this.positionArrow) {
-      var minOffset = Blockly.BlockSvg.FIELD_WIDTH / 2;
+      var minOffset = this.getRenderer().FIELD_WIDTH / 2;
       if (this.sourceBlock_.RTL) {
         // X position starts at the left edge of the block, in both RTL and LTR.
         // First offset by the width of the block to move to the right edge,
@@ -477,7 +489,7 @@ Blockly.Field.prototype.updateWidth = function() {
 
   // Add padding to left and right of text.
   if (this.EDITABLE) {
-    width += Blockly.BlockSvg.EDITABLE_FIELD_PADDING;
+    width += this.getRenderer().EDITABLE_FIELD_PADDING;
   }
 
   // Adjust width for left margin
@@ -496,7 +508,7 @@ Blockly.Field.prototype.updateWidth = function() {
 
   // Add padding to any drawn box.
   if (this.box_) {
-    width += 2 * Blockly.BlockSvg.BOX_FIELD_PADDING;
+    width += 2 * this.getRenderer().BOX_FIELD_PADDING;
   }
 
   // Set width of the field.
@@ -657,8 +669,7 @@ Blockly.Field.prototype.forceRerender = function() {
   this.size_.width = 0;
 
   if (this.sourceBlock_ && this.sourceBlock_.rendered) {
-    this.sourceBlock_.render();
-    this.sourceBlock_.bumpNeighbours_();
+    this.sourceBlock_.queueRender(true);
   }
 };
 
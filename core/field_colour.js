@@ -198,7 +198,7 @@ Blockly.FieldColour.prototype.showEditor_ = function() {
   this.colorPicker_ = this.createWidget_();
 
   Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_);
-  Blockly.DropDownDiv.setColour('#ffffff', '#dddddd');
+  Blockly.DropDownDiv.setTheme(this.sourceBlock_.workspace.getTheme());
   if (this.sourceBlock_.parentBlock_) {
     Blockly.DropDownDiv.setCategory(this.sourceBlock_.parentBlock_.getCategory());
   }
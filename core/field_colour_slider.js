@@ -295,7 +295,7 @@ Blockly.FieldColourSlider.prototype.showEditor_ = function() {
         goog.ui.Component.EventType.CHANGE,
         this.sliderCallbackFactory_('brightness'));
 
-  Blockly.DropDownDiv.setColour('#ffffff', '#dddddd');
+  Blockly.DropDownDiv.setTheme(this.sourceBlock_.workspace.getTheme());
   Blockly.DropDownDiv.setCategory(this.sourceBlock_.parentBlock_.getCategory());
   Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_);
 
@@ -148,8 +148,8 @@ Blockly.FieldDropdown.prototype.init = function() {
   // If not in a shadow block, draw a box.
   if (this.shouldShowRect_()) {
     this.box_ = Blockly.utils.createSvgElement('rect', {
-      'rx': Blockly.BlockSvg.CORNER_RADIUS,
-      'ry': Blockly.BlockSvg.CORNER_RADIUS,
+      'rx': this.getRenderer().CORNER_RADIUS,
+      'ry': this.getRenderer().CORNER_RADIUS,
       'x': 0,
       'y': 0,
       'width': this.size_.width,
@@ -501,8 +501,7 @@ Blockly.FieldDropdown.prototype.setText = function(text) {
     this.textElement_.parentNode.appendChild(this.arrow_);
   }
   if (this.sourceBlock_ && this.sourceBlock_.rendered) {
-    this.sourceBlock_.render();
-    this.sourceBlock_.bumpNeighbours_();
+    this.sourceBlock_.queueRender(true);
   }
 };
 
@@ -516,17 +515,18 @@ Blockly.FieldDropdown.prototype.positionArrow = function(x) {
     return 0;
   }
 
+  var renderer = this.getRenderer();
   var addedWidth = 0;
   if (this.sourceBlock_.RTL) {
-    this.arrowX_ = this.arrowSize_ - Blockly.BlockSvg.DROPDOWN_ARROW_PADDING;
-    addedWidth = this.arrowSize_ + Blockly.BlockSvg.DROPDOWN_ARROW_PADDING;
+    this.arrowX_ = this.arrowSize_ - renderer.DROPDOWN_ARROW_PADDING;
+    addedWidth = this.arrowSize_ + renderer.DROPDOWN_ARROW_PADDING;
   } else {
-    this.arrowX_ = x + Blockly.BlockSvg.DROPDOWN_ARROW_PADDING / 2;
-    addedWidth = this.arrowSize_ + Blockly.BlockSvg.DROPDOWN_ARROW_PADDING;
+    this.arrowX_ = x + renderer.DROPDOWN_ARROW_PADDING / 2;
+    addedWidth = this.arrowSize_ + renderer.DROPDOWN_ARROW_PADDING;
   }
   if (this.box_) {
     // Bump positioning to the right for a box-type drop-down.
-    this.arrowX_ += Blockly.BlockSvg.BOX_FIELD_PADDING;
+    this.arrowX_ += renderer.BOX_FIELD_PADDING;
   }
   this.arrow_.setAttribute('transform',
       'translate(' + this.arrowX_ + ',' + this.arrowY_ + ')'
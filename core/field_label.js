@@ -83,7 +83,7 @@ Blockly.FieldLabel.prototype.init = function() {
   // Build the DOM.
   this.textElement_ = Blockly.utils.createSvgElement('text',
       {'class': this.className_,
-      'y': Blockly.BlockSvg.FIELD_TOP_PADDING,
+      'y': this.getRenderer().FIELD_TOP_PADDING,
       'text-anchor': 'middle',
       'dominant-baseline': 'middle',
       'dy': goog.userAgent.EDGE_OR_IE ? Blockly.Field.IE_TEXT_OFFSET : '0'
@@ -124,7 +124,7 @@ Blockly.FieldLabelHover.prototype.render_ = function() {
 
     // If half the text length is not at least center of
     // visible field (FIELD_WIDTH), center it there instead.
-    var minOffset = Blockly.BlockSvg.FIELD_WIDTH / 2;
+    var minOffset = this.getRenderer().FIELD_WIDTH / 2;
     if (this.sourceBlock_.RTL) {
       // X position starts at the left edge of the block, in both RTL and LTR.
       // First offset by the width of the block to move to the right edge,
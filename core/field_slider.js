@@ -131,7 +131,7 @@ Blockly.FieldSlider.prototype.showSlider_ = function() {
   this.addSlider_(contentDiv);
 
   // Set colour and size of drop-down
-  Blockly.DropDownDiv.setColour('#ffffff', '#dddddd');
+  Blockly.DropDownDiv.setTheme(this.sourceBlock_.workspace.getTheme());
   Blockly.DropDownDiv.showPositionedByBlock(this, this.sourceBlock_);
 
   if (this.slider_) this.slider_.setVisible(true);
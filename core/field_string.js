@@ -149,8 +149,7 @@ Blockly.FieldString.prototype.setText = function(text) {
     this.textElement_.parentNode.appendChild(this.quoteRight_);
   }
   if (this.sourceBlock_ && this.sourceBlock_.rendered) {
-    this.sourceBlock_.render();
-    this.sourceBlock_.bumpNeighbours_();
+    this.sourceBlock_.queueRender(true);
   }
 };
 
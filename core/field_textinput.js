@@ -127,8 +127,8 @@ Blockly.FieldTextInput.prototype.init = function() {
   // If not in a shadow block, draw a box
   if (notInShadow) {
     this.box_ = Blockly.utils.createSvgElement('rect', {
-      'rx': Blockly.BlockSvg.CORNER_RADIUS,
-      'ry': Blockly.BlockSvg.CORNER_RADIUS,
+      'rx': this.getRenderer().CORNER_RADIUS,
+      'ry': this.getRenderer().CORNER_RADIUS,
       'x': 0,
       'y': 0,
       'width': this.size_.width,
@@ -288,9 +288,9 @@ Blockly.FieldTextInput.prototype.showEditor_ = function(
   if (opt_withArrow) {
     // Move text in input to account for displayed drop-down arrow.
     if (this.sourceBlock_.RTL) {
-      htmlInput.style.paddingLeft = (this.arrowSize_ + Blockly.BlockSvg.DROPDOWN_ARROW_PADDING) + 'px';
+      htmlInput.style.paddingLeft = (this.arrowSize_ + this.getRenderer().DROPDOWN_ARROW_PADDING) + 'px';
     } else {
-      htmlInput.style.paddingRight = (this.arrowSize_ + Blockly.BlockSvg.DROPDOWN_ARROW_PADDING) + 'px';
+      htmlInput.style.paddingRight = (this.arrowSize_ + this.getRenderer().DROPDOWN_ARROW_PADDING) + 'px';
     }
     // Create the arrow.
     var dropDownArrow =
@@ -331,7 +331,7 @@ Blockly.FieldTextInput.prototype.showEditor_ = function(
 
   // Add animation transition properties
   var transitionProperties = 'box-shadow ' + Blockly.FieldTextInput.ANIMATION_TIME + 's';
-  if (Blockly.BlockSvg.FIELD_TEXTINPUT_ANIMATE_POSITIONING) {
+  if (this.getRenderer().FIELD_TEXTINPUT_ANIMATE_POSITIONING) {
     div.style.transition += ',padding ' + Blockly.FieldTextInput.ANIMATION_TIME + 's,' +
       'width ' + Blockly.FieldTextInput.ANIMATION_TIME + 's,' +
       'height ' + Blockly.FieldTextInput.ANIMATION_TIME + 's,' +
@@ -340,7 +340,7 @@ Blockly.FieldTextInput.prototype.showEditor_ = function(
   div.style.transition = transitionProperties;
   htmlInput.style.transition = 'font-size ' + Blockly.FieldTextInput.ANIMATION_TIME + 's';
   // The animated properties themselves
-  htmlInput.style.fontSize = Blockly.BlockSvg.FIELD_TEXTINPUT_FONTSIZE_FINAL + 'pt';
+  htmlInput.style.fontSize = this.getRenderer().FIELD_TEXTINPUT_FONTSIZE_FINAL + 'pt';
   div.style.boxShadow = '0px 0px 0px 4px ' + Blockly.Colours.fieldShadow;
 };
 
@@ -487,7 +487,7 @@ Blockly.FieldTextInput.prototype.onHtmlInputChange_ = function(e) {
   } else if (goog.userAgent.WEBKIT) {
     // Cursor key.  Render the source block to show the caret moving.
     // Chrome only (version 26, OS X).
-    this.sourceBlock_.render();
+    this.sourceBlock_.queueRender();
   }
   this.resizeEditor_();
 };
@@ -516,6 +516,9 @@ Blockly.FieldTextInput.prototype.validate_ = function() {
  * @private
  */
 Blockly.FieldTextInput.prototype.resizeEditor_ = function() {
+  // The editor is sized from the rendered field and block, so draw the changes
+  // now rather than on the next animation frame.
+  this.sourceBlock_.workspace.getRenderQueue().flush();
   var scale = this.sourceBlock_.workspace.scale;
   var div = Blockly.WidgetDiv.DIV;
 
@@ -527,7 +530,7 @@ Blockly.FieldTextInput.prototype.resizeEditor_ = function() {
   }
 
   var width;
-  if (Blockly.BlockSvg.FIELD_TEXTINPUT_EXPAND_PAST_TRUNCATION) {
+  if (this.getRenderer().FIELD_TEXTINPUT_EXPAND_PAST_TRUNCATION) {
     // Resize the box based on the measured width of the text, pre-truncation
     var textWidth = Blockly.pxtBlocklyUtils.measureText(
         Blockly.FieldTextInput.htmlInput_.style.fontSize,
@@ -544,11 +547,11 @@ Blockly.FieldTextInput.prototype.resizeEditor_ = function() {
     width = initialWidth;
   }
   // The width must be at least FIELD_WIDTH and at most FIELD_WIDTH_MAX_EDIT
-  width = Math.max(width, Blockly.BlockSvg.FIELD_WIDTH_MIN_EDIT * scale);
-  width = Math.min(width, Blockly.BlockSvg.FIELD_WIDTH_MAX_EDIT * scale);
+  width = Math.max(width, this.getRenderer().FIELD_WIDTH_MIN_EDIT * scale);
+  width = Math.min(width, this.getRenderer().FIELD_WIDTH_MAX_EDIT * scale);
 
   var inputHeight = this.getTotalFields_() == 1 ?
-    this.sourceBlock_.getHeightWidth().height : Blockly.BlockSvg.FIELD_HEIGHT_MAX_EDIT;
+    this.sourceBlock_.getHeightWidth().height : this.getRenderer().FIELD_HEIGHT_MAX_EDIT;
 
   // Add 1px to width and height to account for border (pre-scale)
   div.style.width = (width / scale + 1) + 'px';
@@ -601,9 +604,9 @@ Blockly.FieldTextInput.prototype.resizeEditor_ = function() {
 */
 Blockly.FieldTextInput.prototype.getBorderRadius = function() {
   if (this.sourceBlock_.getOutputShape() == Blockly.OUTPUT_SHAPE_ROUND) {
-    return Blockly.BlockSvg.NUMBER_FIELD_CORNER_RADIUS;
+    return this.getRenderer().NUMBER_FIELD_CORNER_RADIUS;
   }
-  return Blockly.BlockSvg.TEXT_FIELD_CORNER_RADIUS;
+  return this.getRenderer().TEXT_FIELD_CORNER_RADIUS;
 };
 
 /**
@@ -626,7 +629,7 @@ Blockly.FieldTextInput.prototype.widgetDispose_ = function() {
     Blockly.Events.setGroup(false);
 
     // Animation of disposal
-    htmlInput.style.fontSize = Blockly.BlockSvg.FIELD_TEXTINPUT_FONTSIZE_INITIAL + 'pt';
+    htmlInput.style.fontSize = thisField.getRenderer().FIELD_TEXTINPUT_FONTSIZE_INITIAL + 'pt';
     div.style.boxShadow = '';
     // Resize to actual size of final source block.
     if (thisField.sourceBlock_) {
@@ -636,7 +639,7 @@ Blockly.FieldTextInput.prototype.widgetDispose_ = function() {
         div.style.height = (size.height + 1) + 'px';
       } else {
         div.style.width = (thisField.size_.width + 1) + 'px';
-        div.style.height = (Blockly.BlockSvg.FIELD_HEIGHT_MAX_EDIT + 1) + 'px';
+        div.style.height = (thisField.getRenderer().FIELD_HEIGHT_MAX_EDIT + 1) + 'px';
       }
     }
     div.style.marginLeft = 0;
@@ -685,7 +688,10 @@ Blockly.FieldTextInput.prototype.maybeSaveEdit_ = function() {
     }
   }
   this.setText(text);
-  this.sourceBlock_.rendered && this.sourceBlock_.render();
+  if (this.sourceBlock_.rendered) {
+    this.sourceBlock_.queueRender();
+    this.sourceBlock_.workspace.getRenderQueue().flush();
+  }
   // pxtblockly: Fire a UI event that an edit was complete
   if (this.sourceBlock_.workspace) {
     Blockly.Events.fire(new Blockly.Events.Ui(
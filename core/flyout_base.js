@@ -29,6 +29,7 @@ goog.provide('Blockly.Flyout');
 goog.require('Blockly.Block');
 goog.require('Blockly.Events');
 goog.require('Blockly.Events.BlockCreate');
+goog.require('Blockly.Events.FlyoutOpen');
 goog.require('Blockly.Events.VarCreate');
 goog.require('Blockly.FlyoutButton');
 goog.require('Blockly.Gesture');
@@ -389,6 +390,16 @@ Blockly.Flyout.prototype.hide = function() {
   if (!this.isVisible()) {
     return;
   }
+  this.hide_();
+  Blockly.Events.fire(
+      new Blockly.Events.FlyoutOpen(this.targetWorkspace_, false));
+};
+
+/**
+ * Hide and empty the flyout, without firing an event.
+ * @private
+ */
+Blockly.Flyout.prototype.hide_ = function() {
   this.setVisible(false);
   // Delete all the event listeners.
   for (var x = 0, listen; listen = this.listeners_[x]; x++) {
@@ -410,7 +421,11 @@ Blockly.Flyout.prototype.hide = function() {
  */
 Blockly.Flyout.prototype.show = function(xmlList) {
   this.workspace_.setResizesEnabled(false);
-  this.hide();
+  // pxt-blockly: Showing other blocks in an open flyout does not close it.
+  var wasVisible = this.isVisible();
+  if (wasVisible) {
+    this.hide_();
+  }
   this.clearOldBlocks_();
 
   // Handle dynamic categories, represented by a name instead of a list of XML.
@@ -499,6 +514,11 @@ Blockly.Flyout.prototype.show = function(xmlList) {
 
   this.reflowWrapper_ = this.reflow.bind(this);
   this.workspace_.addChangeListener(this.reflowWrapper_);
+
+  if (!wasVisible) {
+    Blockly.Events.fire(
+        new Blockly.Events.FlyoutOpen(this.targetWorkspace_, true));
+  }
 };
 
 /**
@@ -693,7 +713,7 @@ Blockly.Flyout.prototype.moveRectToBlock_ = function(rect, block) {
   // For hat blocks we want to shift them down by the hat height
   // since the y coordinate is the corner, not the top of the hat.
   var hatOffset =
-      block.startHat_ ? Blockly.BlockSvg.START_HAT_HEIGHT : 0;
+      block.startHat_ ? this.workspace_.getRenderer().START_HAT_HEIGHT : 0;
   if (hatOffset) {
     block.moveBy(0, hatOffset);
   }
@@ -759,7 +779,8 @@ Blockly.Flyout.prototype.placeNewBlock_ = function(oldBlock) {
   // pxt-blockly: special handling for function calls, where we must convert
   // the flyout-workspace variable to a main-workspace variable if the function
   // has custom argument types.
-  if (oldBlock.type == 'function_call') {
+  if (oldBlock.type == Blockly.FUNCTION_CALL_BLOCK_TYPE ||
+      oldBlock.type == Blockly.FUNCTION_CALL_OUTPUT_BLOCK_TYPE) {
     oldBlock.inputList.forEach(function(i) {
       if (i.connection && i.connection.targetConnection &&
           i.connection.targetBlock().type == 'variables_get') {
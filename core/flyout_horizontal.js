@@ -253,7 +253,7 @@ Blockly.HorizontalFlyout.prototype.wheel_ = function(e) {
 Blockly.HorizontalFlyout.prototype.layout_ = function(contents, gaps) {
   this.workspace_.scale = this.targetWorkspace_.scale;
   var margin = this.MARGIN;
-  var cursorX = this.RTL ? margin : margin + Blockly.BlockSvg.TAB_WIDTH;
+  var cursorX = this.RTL ? margin : margin + this.workspace_.getRenderer().TAB_WIDTH;
   var cursorY = margin;
   if (this.RTL) {
     contents = contents.reverse();
@@ -274,7 +274,7 @@ Blockly.HorizontalFlyout.prototype.layout_ = function(contents, gaps) {
       var blockHW = block.getHeightWidth();
 
       // Figure out where to place the block.
-      var tab = block.outputConnection ? Blockly.BlockSvg.TAB_WIDTH : 0;
+      var tab = block.outputConnection ? this.workspace_.getRenderer().TAB_WIDTH : 0;
       var moveX = cursorX
       if (this.RTL) {
         moveX += blockHW.width;
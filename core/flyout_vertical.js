@@ -241,7 +241,7 @@ Blockly.VerticalFlyout.prototype.wheel_ = function(e) {
 Blockly.VerticalFlyout.prototype.layout_ = function(contents, gaps) {
   this.workspace_.scale = this.targetWorkspace_.scale;
   var margin = this.MARGIN;
-  var cursorX = this.RTL ? margin : margin + Blockly.BlockSvg.TAB_WIDTH;
+  var cursorX = this.RTL ? margin : margin + this.workspace_.getRenderer().TAB_WIDTH;
   var cursorY = margin;
 
   for (var i = 0, item; item = contents[i]; i++) {
@@ -353,19 +353,20 @@ Blockly.VerticalFlyout.prototype.getClientRect = function() {
  */
 Blockly.VerticalFlyout.prototype.reflowInternal_ = function() {
   this.workspace_.scale = this.targetWorkspace_.scale;
+  var tabWidth = this.workspace_.getRenderer().TAB_WIDTH;
   var flyoutWidth = 0;
   var blocks = this.workspace_.getTopBlocks(false);
   for (var i = 0, block; block = blocks[i]; i++) {
     var width = block.getHeightWidth().width;
     if (block.outputConnection) {
-      width -= Blockly.BlockSvg.TAB_WIDTH;
+      width -= tabWidth;
     }
     flyoutWidth = Math.max(flyoutWidth, width);
   }
   for (var i = 0, button; button = this.buttons_[i]; i++) {
     flyoutWidth = Math.max(flyoutWidth, button.width);
   }
-  flyoutWidth += this.MARGIN * 1.5 + Blockly.BlockSvg.TAB_WIDTH;
+  flyoutWidth += this.MARGIN * 1.5 + tabWidth;
   flyoutWidth *= this.workspace_.scale;
   flyoutWidth += Blockly.Scrollbar.scrollbarThickness;
 
@@ -383,7 +384,7 @@ Blockly.VerticalFlyout.prototype.reflowInternal_ = function() {
         // With the flyoutWidth known, right-align the blocks.
         var oldX = block.getRelativeToSurfaceXY().x;
         var newX = flyoutWidth / this.workspace_.scale - this.MARGIN -
-            Blockly.BlockSvg.TAB_WIDTH;
+            tabWidth;
         block.moveBy(newX - oldX, 0);
       }
       if (block.flyoutRect_) {
@@ -395,7 +396,7 @@ Blockly.VerticalFlyout.prototype.reflowInternal_ = function() {
       for (var i = 0, button; button = this.buttons_[i]; i++) {
         var y = button.getPosition().y;
         var x = flyoutWidth / this.workspace_.scale - button.width - this.MARGIN -
-            Blockly.BlockSvg.TAB_WIDTH;
+            tabWidth;
         button.moveTo(x, y);
       }
     }
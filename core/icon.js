@@ -161,9 +161,9 @@ Blockly.Icon.prototype.renderIcon = function(cursorX) {
       'translate(' + cursorX + ',' + TOP_MARGIN + '),scale(1.4)');
   this.computeIconLocation();
   if (this.block_.RTL) {
-    cursorX -= Blockly.BlockSvg.SEP_SPACE_X;
+    cursorX -= this.block_.workspace.getRenderer().SEP_SPACE_X;
   } else {
-    cursorX += width + Blockly.BlockSvg.SEP_SPACE_X;
+    cursorX += width + this.block_.workspace.getRenderer().SEP_SPACE_X;
   }
   return cursorX;
 };
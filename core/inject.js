@@ -283,6 +283,34 @@ Blockly.createDom_ = function(container, options) {
       {'in': 'outColor', 'in2': 'outBlur',
         'operator': 'in', 'result': 'outGlow'}, warningGlowFilter);
 
+  // pxt-blockly: Filter for blocks added since the old version in a diff
+  var diffAddedGlowFilter = Blockly.utils.createSvgElement('filter',
+      {
+        'id': 'blocklyDiffAddedGlowFilter' + rnd,
+        'height': '160%',
+        'width': '180%',
+        y: '-30%',
+        x: '-40%'
+      },
+      defs);
+  Blockly.utils.createSvgElement('feGaussianBlur',
+      {
+        'in': 'SourceGraphic',
+        'stdDeviation': Blockly.Colours.diffAddedGlowSize
+      },
+      diffAddedGlowFilter);
+  // Set all gaussian blur pixels to 1 opacity before applying flood
+  var componentTransfer = Blockly.utils.createSvgElement('feComponentTransfer', {'result': 'outBlur'}, diffAddedGlowFilter);
+  Blockly.utils.createSvgElement('feFuncA',
+      {'type': 'table', 'tableValues': '0' + goog.string.repeat(' 1', 16)}, componentTransfer);
+  // Color the highlight
+  Blockly.utils.createSvgElement('feFlood',
+      {'flood-color': Blockly.Colours.diffAddedGlow,
+        'flood-opacity': Blockly.Colours.diffAddedGlowOpacity, 'result': 'outColor'}, diffAddedGlowFilter);
+  Blockly.utils.createSvgElement('feComposite',
+      {'in': 'outColor', 'in2': 'outBlur',
+        'operator': 'in', 'result': 'outGlow'}, diffAddedGlowFilter);
+
   var selectedGlowFilter = Blockly.utils.createSvgElement('filter',
       {
         'id': 'blocklySelectedGlowFilter' + rnd,
@@ -397,6 +425,8 @@ Blockly.createDom_ = function(container, options) {
       {'width': 10, 'height': 10, 'fill': '#aaa'}, disabledPattern);
   Blockly.utils.createSvgElement('path',
       {'d': 'M 0 0 L 10 10 M 10 0 L 0 10', 'stroke': '#cc0'}, disabledPattern);
+  // pxt-blockly: patterns that tell block categories apart without colour.
+  options.categoryPatterns.createDom(rnd, defs);
 
   // Add dropdown and quote image definitions
   var arrowSize = 12;
@@ -431,6 +461,7 @@ Blockly.createDom_ = function(container, options) {
   options.replacementGlowFilterId = replacementGlowFilter.id;
   options.highlightGlowFilterId = highlightGlowFilter.id;
   options.warningGlowFilterId = warningGlowFilter.id;
+  options.diffAddedGlowFilterId = diffAddedGlowFilter.id;
   options.selectedGlowFilterId = selectedGlowFilter.id;
   options.disabledPatternId = disabledPattern.id;
   options.gridPattern = Blockly.Grid.createDom(rnd, options.gridOptions, defs);
@@ -453,12 +484,22 @@ Blockly.createMainWorkspace_ = function(svg, options, blockDragSurface, workspac
   var mainWorkspace = new Blockly.WorkspaceSvg(options, blockDragSurface, workspaceDragSurface);
   mainWorkspace.scale = options.zoomOptions.startScale;
   svg.appendChild(mainWorkspace.createDom('blocklyMainBackground'));
+  // pxt-blockly: colour the background, toolbox and flyout with the theme.
+  mainWorkspace.applyThemeClass_();
 
   if (!options.hasCategories && options.languageTree) {
     // Add flyout as an <svg> that is a sibling of the workspace svg.
     var flyout = mainWorkspace.addFlyout_('svg');
     Blockly.utils.insertAfter(flyout, svg);
   }
+  if (mainWorkspace.trashcan) {
+    // pxt-blockly: the trashcan's flyout is also a sibling of the workspace svg.
+    mainWorkspace.trashcan.createFlyout(svg);
+  }
+
+  if (options.hasUndoHistory) {
+    mainWorkspace.addUndoHistoryPanel_();
+  }
 
   // A null translation will also apply the correct initial scale.
   mainWorkspace.translate(0, 0);
@@ -0,0 +1,583 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview JSON reader and writer. The JSON format carries the same
+ * information as the XML format, and converts to and from it without loss.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Json
+ * @namespace
+ **/
+goog.provide('Blockly.Json');
+
+goog.require('Blockly.Xml');
+
+goog.require('goog.dom');
+
+
+/**
+ * Block attributes that are stored as booleans, in the order in which
+ * Blockly.Xml.blockToDom writes them.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Json.BOOLEAN_ATTRIBUTES_ = ['inline', 'collapsed', 'disabled',
+  'deletable', 'movable', 'editable'];
+
+/**
+ * Encode a workspace as JSON.
+ * @param {!Blockly.Workspace} workspace The workspace containing blocks.
+ * @param {boolean=} opt_noId True if the encoder should skip the block IDs.
+ * @return {!Object} JSON object with the variables, comments and blocks of
+ *     the workspace.
+ */
+Blockly.Json.workspaceToJson = function(workspace, opt_noId) {
+  return Blockly.Json.domToJson(
+      Blockly.Xml.workspaceToDom(workspace, opt_noId));
+};
+
+/**
+ * Decode a JSON workspace and create its blocks on the workspace.
+ * @param {!Object} json JSON object, as produced by workspaceToJson.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {Array.<string>} An array containing new block IDs.
+ */
+Blockly.Json.jsonToWorkspace = function(json, workspace) {
+  return Blockly.Xml.domToWorkspace(Blockly.Json.jsonToDom(json), workspace);
+};
+
+/**
+ * Encode a block subtree as JSON.
+ * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ID.
+ * @return {!Object} JSON object describing the block and its children.
+ */
+Blockly.Json.blockToJson = function(block, opt_noId) {
+  return Blockly.Json.blockDomToJson(Blockly.Xml.blockToDom(block, opt_noId));
+};
+
+/**
+ * Decode a JSON block and create a block (and possibly sub blocks) on the
+ * workspace.
+ * @param {!Object} json JSON object, as produced by blockToJson.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.Block} The root block created.
+ */
+Blockly.Json.jsonToBlock = function(json, workspace) {
+  return Blockly.Xml.domToBlock(Blockly.Json.jsonToBlockDom(json), workspace);
+};
+
+/**
+ * Convert workspace XML into JSON.
+ * @param {!Element} xml XML DOM, as produced by Blockly.Xml.workspaceToDom.
+ * @return {!Object} The equivalent JSON object.
+ */
+Blockly.Json.domToJson = function(xml) {
+  var json = {};
+  var blocks = [];
+  var comments = [];
+  for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+    if (xmlChild.nodeType != 1) {
+      continue;
+    }
+    switch (xmlChild.nodeName.toLowerCase()) {
+      case 'variables':
+        json['variables'] = Blockly.Json.variablesDomToJson_(xmlChild);
+        break;
+      case 'comment':
+        comments.push(Blockly.Json.commentDomToJson_(xmlChild));
+        break;
+      case 'block':
+      case 'shadow':
+        blocks.push(Blockly.Json.blockDomToJson(xmlChild));
+        break;
+      default:
+        console.warn('Ignoring unknown tag: ' + xmlChild.nodeName);
+    }
+  }
+  if (comments.length) {
+    json['comments'] = comments;
+  }
+  json['blocks'] = blocks;
+  return json;
+};
+
+/**
+ * Convert a JSON workspace into XML.
+ * @param {!Object} json JSON object, as produced by domToJson.
+ * @return {!Element} The equivalent XML DOM.
+ */
+Blockly.Json.jsonToDom = function(json) {
+  var xml = goog.dom.createDom('xml');
+  if (json['variables']) {
+    xml.appendChild(Blockly.Json.jsonToVariablesDom_(json['variables']));
+  }
+  var comments = json['comments'] || [];
+  for (var i = 0; i < comments.length; i++) {
+    xml.appendChild(Blockly.Json.jsonToCommentDom_(comments[i]));
+  }
+  var blocks = json['blocks'] || [];
+  for (var i = 0; i < blocks.length; i++) {
+    xml.appendChild(Blockly.Json.jsonToBlockDom(blocks[i]));
+  }
+  return xml;
+};
+
+/**
+ * Convert an XML block or shadow element into JSON.
+ * @param {!Element} xmlBlock XML block element.
+ * @return {!Object} The equivalent JSON object.
+ */
+Blockly.Json.blockDomToJson = function(xmlBlock) {
+  var json = Blockly.Json.blockElementToJson_(xmlBlock);
+  if (xmlBlock.nodeName.toLowerCase() == 'shadow') {
+    json['shadow'] = true;
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON block into an XML block or shadow element.
+ * @param {!Object} json JSON object, as produced by blockDomToJson.
+ * @return {!Element} The equivalent XML element.
+ */
+Blockly.Json.jsonToBlockDom = function(json) {
+  return Blockly.Json.jsonToBlockElement_(json,
+      json['shadow'] ? 'shadow' : 'block');
+};
+
+/**
+ * Convert an XML block or shadow element into JSON, without marking shadows.
+ * @param {!Element} xmlBlock XML block element.
+ * @return {!Object} The equivalent JSON object.
+ * @private
+ */
+Blockly.Json.blockElementToJson_ = function(xmlBlock) {
+  var json = {};
+  var attributes = {};
+  for (var i = 0, attr; attr = xmlBlock.attributes[i]; i++) {
+    var name = attr.name;
+    if (name == 'type' || name == 'id') {
+      json[name] = attr.value;
+    } else if (name == 'x' || name == 'y') {
+      json[name] = Blockly.Json.parseNumber_(attr.value);
+    } else if (Blockly.Json.BOOLEAN_ATTRIBUTES_.indexOf(name) != -1) {
+      json[name] = attr.value == 'true' || attr.value == name;
+    } else {
+      attributes[name] = attr.value;
+    }
+  }
+  if (Object.keys(attributes).length) {
+    json['attributes'] = attributes;
+  }
+
+  for (var i = 0, xmlChild; xmlChild = xmlBlock.childNodes[i]; i++) {
+    if (xmlChild.nodeType != 1) {
+      // Ignore any text at the <block> level.  It's all whitespace anyway.
+      continue;
+    }
+    var name = xmlChild.getAttribute('name');
+    switch (xmlChild.nodeName.toLowerCase()) {
+      case 'mutation':
+        json['mutation'] = Blockly.Json.elementToJson_(xmlChild);
+        break;
+      case 'title':
+        // Titles were renamed to field in December 2013.
+        // Fall through.
+      case 'field':
+        json['fields'] = json['fields'] || {};
+        json['fields'][name] = Blockly.Json.fieldDomToJson_(xmlChild);
+        break;
+      case 'comment':
+        json['comment'] = Blockly.Json.blockCommentDomToJson_(xmlChild);
+        break;
+      case 'data':
+        json['data'] = xmlChild.textContent;
+        break;
+      case 'value':
+      case 'statement':
+        var input = Blockly.Json.connectionDomToJson_(xmlChild);
+        input['type'] = xmlChild.nodeName.toLowerCase();
+        json['inputs'] = json['inputs'] || {};
+        json['inputs'][name] = input;
+        break;
+      case 'next':
+        json['next'] = Blockly.Json.connectionDomToJson_(xmlChild);
+        break;
+      default:
+        // Unknown tag; ignore.  Same principle as HTML parsers.
+        console.warn('Ignoring unknown tag: ' + xmlChild.nodeName);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON block into an XML element with the given tag name.
+ * @param {!Object} json JSON object, as produced by blockElementToJson_.
+ * @param {string} tagName Either 'block' or 'shadow'.
+ * @return {!Element} The equivalent XML element.
+ * @private
+ */
+Blockly.Json.jsonToBlockElement_ = function(json, tagName) {
+  var element = goog.dom.createDom(tagName);
+  element.setAttribute('type', json['type']);
+  if (json['id'] != undefined) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['mutation']) {
+    element.appendChild(
+        Blockly.Json.jsonToElement_(json['mutation'], 'mutation'));
+  }
+  var fields = json['fields'] || {};
+  for (var name in fields) {
+    element.appendChild(Blockly.Json.jsonToFieldDom_(name, fields[name]));
+  }
+  if (json['comment']) {
+    element.appendChild(
+        Blockly.Json.jsonToBlockCommentDom_(json['comment']));
+  }
+  if (json['data'] != undefined) {
+    element.appendChild(goog.dom.createDom('data', null, json['data']));
+  }
+  var inputs = json['inputs'] || {};
+  for (var name in inputs) {
+    var container = goog.dom.createDom(inputs[name]['type'] || 'value');
+    container.setAttribute('name', name);
+    Blockly.Json.jsonToConnectionDom_(inputs[name], container, true);
+    element.appendChild(container);
+  }
+  for (var i = 0; i < Blockly.Json.BOOLEAN_ATTRIBUTES_.length; i++) {
+    var attr = Blockly.Json.BOOLEAN_ATTRIBUTES_[i];
+    if (json[attr] != undefined) {
+      element.setAttribute(attr, !!json[attr]);
+    }
+  }
+  var attributes = json['attributes'] || {};
+  for (var name in attributes) {
+    element.setAttribute(name, attributes[name]);
+  }
+  if (json['next']) {
+    var container = goog.dom.createDom('next');
+    Blockly.Json.jsonToConnectionDom_(json['next'], container, false);
+    element.appendChild(container);
+  }
+  if (json['x'] != undefined) {
+    element.setAttribute('x', json['x']);
+  }
+  if (json['y'] != undefined) {
+    element.setAttribute('y', json['y']);
+  }
+  return element;
+};
+
+/**
+ * Convert the block and shadow inside a value, statement or next element into
+ * JSON.
+ * @param {!Element} xml The value, statement or next element.
+ * @return {!Object} JSON object with optional 'block' and 'shadow' entries.
+ * @private
+ */
+Blockly.Json.connectionDomToJson_ = function(xml) {
+  var json = {};
+  for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+    if (xmlChild.nodeType != 1) {
+      continue;
+    }
+    var name = xmlChild.nodeName.toLowerCase();
+    if (name == 'block' || name == 'shadow') {
+      json[name] = Blockly.Json.blockElementToJson_(xmlChild);
+    }
+  }
+  return json;
+};
+
+/**
+ * Add the block and shadow described by the given JSON to a value, statement
+ * or next element.
+ * @param {!Object} json JSON object, as produced by connectionDomToJson_.
+ * @param {!Element} container The value, statement or next element.
+ * @param {boolean} shadowFirst True if the shadow goes before the block, as
+ *     Blockly.Xml.blockToDom writes inputs.
+ * @private
+ */
+Blockly.Json.jsonToConnectionDom_ = function(json, container, shadowFirst) {
+  var shadow = json['shadow'] &&
+      Blockly.Json.jsonToBlockElement_(json['shadow'], 'shadow');
+  if (shadow && shadowFirst) {
+    container.appendChild(shadow);
+  }
+  if (json['block']) {
+    container.appendChild(
+        Blockly.Json.jsonToBlockElement_(json['block'], 'block'));
+  }
+  if (shadow && !shadowFirst) {
+    container.appendChild(shadow);
+  }
+};
+
+/**
+ * Convert an XML field element into JSON. Variable fields become an object
+ * describing the variable, other fields become their text value.
+ * @param {!Element} xml The field element.
+ * @return {string|!Object} The equivalent JSON value.
+ * @private
+ */
+Blockly.Json.fieldDomToJson_ = function(xml) {
+  if (!xml.hasAttribute('id') && !xml.hasAttribute('variabletype')) {
+    return xml.textContent;
+  }
+  var json = {'name': xml.textContent};
+  if (xml.hasAttribute('id')) {
+    json['id'] = xml.getAttribute('id');
+  }
+  if (xml.hasAttribute('variabletype')) {
+    json['type'] = xml.getAttribute('variabletype');
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON field value into an XML field element.
+ * @param {string} name The name of the field.
+ * @param {string|!Object} json JSON value, as produced by fieldDomToJson_.
+ * @return {!Element} The equivalent XML element.
+ * @private
+ */
+Blockly.Json.jsonToFieldDom_ = function(name, json) {
+  if (typeof json != 'object') {
+    var field = goog.dom.createDom('field', null, String(json));
+    field.setAttribute('name', name);
+    return field;
+  }
+  var field = goog.dom.createDom('field', null, json['name']);
+  field.setAttribute('name', name);
+  if (json['id'] != undefined) {
+    field.setAttribute('id', json['id']);
+  }
+  if (json['type'] != undefined) {
+    field.setAttribute('variabletype', json['type']);
+  }
+  return field;
+};
+
+/**
+ * Convert an XML block comment into JSON.
+ * @param {!Element} xml The comment element inside a block.
+ * @return {!Object} The equivalent JSON object.
+ * @private
+ */
+Blockly.Json.blockCommentDomToJson_ = function(xml) {
+  var json = {'text': xml.textContent};
+  if (xml.hasAttribute('pinned')) {
+    json['pinned'] = xml.getAttribute('pinned') == 'true';
+  }
+  if (xml.hasAttribute('h')) {
+    json['h'] = Blockly.Json.parseNumber_(xml.getAttribute('h'));
+  }
+  if (xml.hasAttribute('w')) {
+    json['w'] = Blockly.Json.parseNumber_(xml.getAttribute('w'));
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON block comment into XML.
+ * @param {!Object} json JSON object, as produced by blockCommentDomToJson_.
+ * @return {!Element} The equivalent comment element.
+ * @private
+ */
+Blockly.Json.jsonToBlockCommentDom_ = function(json) {
+  var comment = goog.dom.createDom('comment', null, json['text']);
+  var attributes = ['pinned', 'h', 'w'];
+  for (var i = 0; i < attributes.length; i++) {
+    if (json[attributes[i]] != undefined) {
+      comment.setAttribute(attributes[i], json[attributes[i]]);
+    }
+  }
+  return comment;
+};
+
+/**
+ * Convert an XML workspace comment into JSON.
+ * @param {!Element} xml The top-level comment element.
+ * @return {!Object} The equivalent JSON object.
+ * @private
+ */
+Blockly.Json.commentDomToJson_ = function(xml) {
+  var json = {};
+  if (xml.hasAttribute('id')) {
+    json['id'] = xml.getAttribute('id');
+  }
+  json['text'] = xml.textContent;
+  if (xml.hasAttribute('data')) {
+    json['data'] = xml.getAttribute('data');
+  }
+  var attributes = ['x', 'y', 'h', 'w'];
+  for (var i = 0; i < attributes.length; i++) {
+    if (xml.hasAttribute(attributes[i])) {
+      json[attributes[i]] =
+          Blockly.Json.parseNumber_(xml.getAttribute(attributes[i]));
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON workspace comment into XML.
+ * @param {!Object} json JSON object, as produced by commentDomToJson_.
+ * @return {!Element} The equivalent comment element.
+ * @private
+ */
+Blockly.Json.jsonToCommentDom_ = function(json) {
+  var comment = goog.dom.createDom('comment');
+  var attributes = ['id', 'data', 'x', 'y', 'h', 'w'];
+  for (var i = 0; i < attributes.length; i++) {
+    if (json[attributes[i]] != undefined) {
+      comment.setAttribute(attributes[i], json[attributes[i]]);
+    }
+  }
+  comment.textContent = json['text'] || '';
+  return comment;
+};
+
+/**
+ * Convert an XML list of variables into JSON.
+ * @param {!Element} xml The variables element.
+ * @return {!Array.<!Object>} List of variables with name, type and ID.
+ * @private
+ */
+Blockly.Json.variablesDomToJson_ = function(xml) {
+  var variables = [];
+  for (var i = 0, xmlChild; xmlChild = xml.children[i]; i++) {
+    var variable = {'name': xmlChild.textContent};
+    if (xmlChild.hasAttribute('type')) {
+      variable['type'] = xmlChild.getAttribute('type');
+    }
+    if (xmlChild.hasAttribute('id')) {
+      variable['id'] = xmlChild.getAttribute('id');
+    }
+    variables.push(variable);
+  }
+  return variables;
+};
+
+/**
+ * Convert a JSON list of variables into XML.
+ * @param {!Array.<!Object>} json List of variables, as produced by
+ *     variablesDomToJson_.
+ * @return {!Element} The equivalent variables element.
+ * @private
+ */
+Blockly.Json.jsonToVariablesDom_ = function(json) {
+  var variables = goog.dom.createDom('variables');
+  for (var i = 0; i < json.length; i++) {
+    var element = goog.dom.createDom('variable', null, json[i]['name']);
+    if (json[i]['type'] != undefined) {
+      element.setAttribute('type', json[i]['type']);
+    }
+    if (json[i]['id'] != undefined) {
+      element.setAttribute('id', json[i]['id']);
+    }
+    variables.appendChild(element);
+  }
+  return variables;
+};
+
+/**
+ * Convert an arbitrary XML element, such as a block mutation, into JSON.
+ * Whitespace between elements is dropped.
+ * @param {!Element} xml The XML element.
+ * @return {!Object} JSON object with the element's attributes and children.
+ *     Child elements are nested objects with a 'name', text is a string.
+ * @private
+ */
+Blockly.Json.elementToJson_ = function(xml) {
+  var attributes = {};
+  for (var i = 0, attr; attr = xml.attributes[i]; i++) {
+    if (attr.name != 'xmlns') {
+      attributes[attr.name] = attr.value;
+    }
+  }
+  var children = [];
+  for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+    if (xmlChild.nodeType == 1) {
+      var child = Blockly.Json.elementToJson_(xmlChild);
+      child['name'] = xmlChild.nodeName;
+      children.push(child);
+    } else if (xmlChild.nodeType == 3 && xmlChild.data.trim() != '') {
+      children.push(xmlChild.data);
+    }
+  }
+  var json = {'attributes': attributes};
+  if (children.length) {
+    json['children'] = children;
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON object produced by elementToJson_ back into XML.
+ * @param {!Object} json JSON object describing the element.
+ * @param {string} tagName The name of the element.
+ * @return {!Element} The equivalent XML element.
+ * @private
+ */
+Blockly.Json.jsonToElement_ = function(json, tagName) {
+  var element = goog.dom.createDom(tagName);
+  var attributes = json['attributes'] || {};
+  for (var name in attributes) {
+    element.setAttribute(name, attributes[name]);
+  }
+  var children = json['children'] || [];
+  for (var i = 0; i < children.length; i++) {
+    if (typeof children[i] == 'string') {
+      element.appendChild(document.createTextNode(children[i]));
+    } else {
+      element.appendChild(
+          Blockly.Json.jsonToElement_(children[i], children[i]['name']));
+    }
+  }
+  return element;
+};
+
+/**
+ * Parse a numeric attribute. Values that are not numbers are kept as strings
+ * so that they survive a round trip.
+ * @param {string} value The attribute value.
+ * @return {number|string} The number, or the original value.
+ * @private
+ */
+Blockly.Json.parseNumber_ = function(value) {
+  var number = Number(value);
+  return (value.trim() === '' || isNaN(number)) ? value : number;
+};
@@ -0,0 +1,496 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview A small map of the whole workspace in the corner of the view,
+ * which scrolls the workspace when it is clicked or dragged.
+ */
+'use strict';
+
+goog.provide('Blockly.Minimap');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Touch');
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+goog.require('goog.math.Rect');
+
+
+/**
+ * Class for a minimap.  Each top-level block stack and workspace comment is
+ * drawn as a rectangle, along with a rectangle for the visible part of the
+ * workspace.  The rectangles are updated one at a time as their stacks and
+ * comments are created, moved and deleted.  Turned on with the 'minimap'
+ * injection option.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to sit in.
+ * @constructor
+ */
+Blockly.Minimap = function(workspace) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * The rectangles of the top-level stacks and comments, by the ID of their
+   * top block or comment.  Bounds are in workspace units.
+   * @type {!Object.<string, !{element: !Element, bounds: !goog.math.Rect}>}
+   * @private
+   */
+  this.items_ = Object.create(null);
+
+  /**
+   * Functions that stop the minimap's event subscriptions.
+   * @type {!Array.<function()>}
+   * @private
+   */
+  this.unsubscribes_ = [];
+
+  /**
+   * Minimap pixels per workspace unit.
+   * @type {number}
+   * @private
+   */
+  this.scale_ = 1;
+
+  /**
+   * Position in the minimap, in pixels, of the workspace's origin.
+   * @type {!goog.math.Coordinate}
+   * @private
+   */
+  this.origin_ = new goog.math.Coordinate(0, 0);
+
+  /**
+   * Mouse move and up handlers while the minimap is dragged.
+   * @type {Array.<!Array.<!Array>>}
+   * @private
+   */
+  this.dragWrappers_ = null;
+};
+
+/**
+ * Width of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.WIDTH_ = 160;
+
+/**
+ * Height of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.HEIGHT_ = 120;
+
+/**
+ * Space between the edge of the minimap and its contents.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.PADDING_ = 6;
+
+/**
+ * Distance between minimap and bottom edge of workspace.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.MARGIN_BOTTOM_ = 20;
+
+/**
+ * Distance between minimap and right edge of workspace.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.MARGIN_SIDE_ = 20;
+
+/**
+ * The SVG group containing the minimap.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgGroup_ = null;
+
+/**
+ * The background of the minimap, which is clicked to scroll.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgBackground_ = null;
+
+/**
+ * The SVG group holding the rectangles, scaled to fit the minimap.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgContent_ = null;
+
+/**
+ * The rectangle showing the visible part of the workspace.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgViewport_ = null;
+
+/**
+ * Left coordinate of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.left_ = 0;
+
+/**
+ * Top coordinate of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.top_ = 0;
+
+/**
+ * Create the minimap.
+ * @return {!Element} The minimap SVG group.
+ */
+Blockly.Minimap.prototype.createDom = function() {
+  /* Here's the markup that will be generated:
+  <g class="blocklyMinimap">
+    <rect class="blocklyMinimapBackground" width="160" height="120"></rect>
+    <g transform="translate(80, 60) scale(0.1)">
+      <rect class="blocklyMinimapBlock" fill="#5C81A6" ...></rect>
+      <rect class="blocklyMinimapComment" ...></rect>
+      <rect class="blocklyMinimapViewport" ...></rect>
+    </g>
+  </g>
+  */
+  this.svgGroup_ = Blockly.utils.createSvgElement('g',
+      {'class': 'blocklyMinimap'}, null);
+  this.svgBackground_ = Blockly.utils.createSvgElement('rect',
+      {
+        'class': 'blocklyMinimapBackground',
+        'width': this.WIDTH_,
+        'height': this.HEIGHT_,
+        'rx': 4,
+        'ry': 4
+      },
+      this.svgGroup_);
+  this.svgContent_ = Blockly.utils.createSvgElement('g', {}, this.svgGroup_);
+  this.svgViewport_ = Blockly.utils.createSvgElement('rect',
+      {
+        'class': 'blocklyMinimapViewport',
+        'vector-effect': 'non-scaling-stroke'
+      },
+      this.svgContent_);
+
+  Blockly.bindEventWithChecks_(this.svgGroup_, 'mousedown', this,
+      this.onMouseDown_);
+  return this.svgGroup_;
+};
+
+/**
+ * Initialize the minimap.
+ * @param {number} bottom Distance from workspace bottom to bottom of minimap.
+ * @return {number} Distance from workspace bottom to the top of minimap.
+ */
+Blockly.Minimap.prototype.init = function(bottom) {
+  this.bottom_ = this.MARGIN_BOTTOM_ + bottom;
+  var workspace = this.workspace_;
+  this.unsubscribes_.push(workspace.on([
+    Blockly.Events.CREATE,
+    Blockly.Events.MOVE,
+    Blockly.Events.DELETE,
+    Blockly.Events.COMMENT_CREATE,
+    Blockly.Events.COMMENT_MOVE,
+    Blockly.Events.COMMENT_DELETE
+  ], {batch: true}, this.onChange_.bind(this)));
+  this.unsubscribes_.push(workspace.on(Blockly.Events.VIEWPORT_CHANGE,
+      {batch: true}, this.layout_.bind(this)));
+  var blocks = workspace.getTopBlocks(false);
+  for (var i = 0; i < blocks.length; i++) {
+    this.updateBlock_(blocks[i].id);
+  }
+  var comments = workspace.getTopComments(false);
+  for (var i = 0; i < comments.length; i++) {
+    this.updateComment_(comments[i].id);
+  }
+  return this.bottom_ + this.HEIGHT_;
+};
+
+/**
+ * Dispose of this minimap.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.Minimap.prototype.dispose = function() {
+  for (var i = 0; i < this.unsubscribes_.length; i++) {
+    this.unsubscribes_[i]();
+  }
+  this.unsubscribes_.length = 0;
+  this.endDrag_();
+  if (this.svgGroup_) {
+    goog.dom.removeNode(this.svgGroup_);
+    this.svgGroup_ = null;
+  }
+  this.svgBackground_ = null;
+  this.svgContent_ = null;
+  this.svgViewport_ = null;
+  this.items_ = Object.create(null);
+};
+
+/**
+ * Move the minimap to the bottom-right corner.
+ */
+Blockly.Minimap.prototype.position = function() {
+  var metrics = this.workspace_.getMetrics();
+  if (!metrics) {
+    // There are no metrics available (workspace is probably not visible).
+    return;
+  }
+  if (this.workspace_.RTL) {
+    this.left_ = this.MARGIN_SIDE_ + Blockly.Scrollbar.scrollbarThickness;
+    if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_LEFT) {
+      this.left_ += metrics.flyoutWidth;
+      if (this.workspace_.toolbox_) {
+        this.left_ += metrics.absoluteLeft;
+      }
+    }
+  } else {
+    this.left_ = metrics.viewWidth + metrics.absoluteLeft -
+        this.WIDTH_ - this.MARGIN_SIDE_ - Blockly.Scrollbar.scrollbarThickness;
+
+    if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_RIGHT) {
+      this.left_ -= metrics.flyoutWidth;
+    }
+  }
+  this.top_ = metrics.viewHeight + metrics.absoluteTop -
+      this.HEIGHT_ - this.bottom_;
+  if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_BOTTOM) {
+    this.top_ -= metrics.flyoutHeight;
+  }
+  this.svgGroup_.setAttribute('transform',
+      'translate(' + this.left_ + ',' + this.top_ + ')');
+  this.layout_();
+};
+
+/**
+ * Update the rectangles of the stacks and comments that a batch of events
+ * created, moved or deleted.
+ * @param {!Array.<!Blockly.Events.Abstract>} events The events.
+ * @private
+ */
+Blockly.Minimap.prototype.onChange_ = function(events) {
+  if (!this.svgGroup_) {
+    return;
+  }
+  for (var i = 0, event; event = events[i]; i++) {
+    if (event.commentId) {
+      this.updateComment_(event.commentId);
+    } else {
+      this.updateBlock_(event.blockId);
+      if (event.oldParentId) {
+        // The stack that the block left has changed size.
+        this.updateBlock_(event.oldParentId);
+      }
+    }
+  }
+  this.layout_();
+};
+
+/**
+ * Draw the rectangle of the stack that a block is in, and remove the block's
+ * own rectangle if it is no longer the top of a stack.
+ * @param {string} id The ID of the block.
+ * @private
+ */
+Blockly.Minimap.prototype.updateBlock_ = function(id) {
+  var block = this.workspace_.getBlockById(id);
+  if (!block || block.workspace != this.workspace_) {
+    this.removeItem_(id);
+    return;
+  }
+  var root = block.getRootBlock();
+  if (root != block) {
+    this.removeItem_(id);
+  }
+  var element = this.updateItem_(root.id, root.getBoundingRectangle(),
+      'blocklyMinimapBlock');
+  element.setAttribute('fill', root.getColour());
+};
+
+/**
+ * Draw the rectangle of a workspace comment, or remove it if the comment has
+ * been deleted.
+ * @param {string} id The ID of the comment.
+ * @private
+ */
+Blockly.Minimap.prototype.updateComment_ = function(id) {
+  var comment = this.workspace_.getCommentById(id);
+  if (!comment) {
+    this.removeItem_(id);
+    return;
+  }
+  this.updateItem_(id, comment.getBoundingRectangle(), 'blocklyMinimapComment');
+};
+
+/**
+ * Create or move the rectangle of a stack or comment.
+ * @param {string} id The ID of the top block or comment.
+ * @param {!{topLeft: !goog.math.Coordinate, bottomRight: !goog.math.Coordinate}}
+ *     rectangle Its bounding rectangle in workspace units.
+ * @param {string} className The CSS class of the rectangle.
+ * @return {!Element} The rectangle element.
+ * @private
+ */
+Blockly.Minimap.prototype.updateItem_ = function(id, rectangle, className) {
+  var item = this.items_[id];
+  if (!item) {
+    item = {
+      element: Blockly.utils.createSvgElement('rect', {'class': className},
+          null),
+      bounds: new goog.math.Rect(0, 0, 0, 0)
+    };
+    // Keep the viewport on top.
+    this.svgContent_.insertBefore(item.element, this.svgViewport_);
+    this.items_[id] = item;
+  }
+  var bounds = item.bounds;
+  bounds.left = rectangle.topLeft.x;
+  bounds.top = rectangle.topLeft.y;
+  bounds.width = rectangle.bottomRight.x - rectangle.topLeft.x;
+  bounds.height = rectangle.bottomRight.y - rectangle.topLeft.y;
+  item.element.setAttribute('x', bounds.left);
+  item.element.setAttribute('y', bounds.top);
+  item.element.setAttribute('width', bounds.width);
+  item.element.setAttribute('height', bounds.height);
+  return item.element;
+};
+
+/**
+ * Remove the rectangle of a stack or comment, if there is one.
+ * @param {string} id The ID of the top block or comment.
+ * @private
+ */
+Blockly.Minimap.prototype.removeItem_ = function(id) {
+  var item = this.items_[id];
+  if (item) {
+    goog.dom.removeNode(item.element);
+    delete this.items_[id];
+  }
+};
+
+/**
+ * Get the number of stacks and comments drawn on the minimap.
+ * @return {number} The number of rectangles, not counting the viewport.
+ */
+Blockly.Minimap.prototype.getItemCount = function() {
+  return Object.keys(this.items_).length;
+};
+
+/**
+ * Fit the stacks, comments and the visible part of the workspace into the
+ * minimap.  Only the transform of the contents and the viewport rectangle
+ * change, so this is cheap however many stacks there are.
+ * @private
+ */
+Blockly.Minimap.prototype.layout_ = function() {
+  if (!this.svgGroup_) {
+    return;
+  }
+  var view = this.workspace_.getViewportRect();
+  var bounds = view ? view.clone() : null;
+  for (var id in this.items_) {
+    if (bounds) {
+      bounds.boundingRect(this.items_[id].bounds);
+    } else {
+      bounds = this.items_[id].bounds.clone();
+    }
+  }
+  if (!bounds || !bounds.width || !bounds.height) {
+    return;
+  }
+  var innerWidth = this.WIDTH_ - 2 * this.PADDING_;
+  var innerHeight = this.HEIGHT_ - 2 * this.PADDING_;
+  this.scale_ = Math.min(innerWidth / bounds.width,
+      innerHeight / bounds.height);
+  // Center the contents.
+  this.origin_.x = this.PADDING_ - bounds.left * this.scale_ +
+      (innerWidth - bounds.width * this.scale_) / 2;
+  this.origin_.y = this.PADDING_ - bounds.top * this.scale_ +
+      (innerHeight - bounds.height * this.scale_) / 2;
+  this.svgContent_.setAttribute('transform',
+      'translate(' + this.origin_.x + ',' + this.origin_.y + ') ' +
+      'scale(' + this.scale_ + ')');
+  if (view) {
+    this.svgViewport_.setAttribute('x', view.left);
+    this.svgViewport_.setAttribute('y', view.top);
+    this.svgViewport_.setAttribute('width', view.width);
+    this.svgViewport_.setAttribute('height', view.height);
+  }
+};
+
+/**
+ * Scroll the workspace so that the point under the mouse is in the center of
+ * the view.
+ * @param {!Event} e A mouse event.
+ * @private
+ */
+Blockly.Minimap.prototype.scrollTo_ = function(e) {
+  var clientRect = this.svgBackground_.getBoundingClientRect();
+  var x = (e.clientX - clientRect.left - this.origin_.x) / this.scale_;
+  var y = (e.clientY - clientRect.top - this.origin_.y) / this.scale_;
+  this.workspace_.centerOnPoint(x, y);
+};
+
+/**
+ * Handle a mouse down on the minimap by scrolling to the point clicked, and
+ * keep scrolling while the mouse is dragged.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Minimap.prototype.onMouseDown_ = function(e) {
+  this.workspace_.markFocused();
+  this.endDrag_();
+  this.scrollTo_(e);
+  this.dragWrappers_ = [
+    Blockly.bindEventWithChecks_(document, 'mousemove', this, this.scrollTo_),
+    Blockly.bindEventWithChecks_(document, 'mouseup', this, this.endDrag_)
+  ];
+  e.stopPropagation();  // Don't start a workspace scroll.
+  e.preventDefault();  // Stop double-clicking from selecting text.
+};
+
+/**
+ * Stop scrolling the workspace with the mouse.
+ * @private
+ */
+Blockly.Minimap.prototype.endDrag_ = function() {
+  if (this.dragWrappers_) {
+    Blockly.unbindEvent_(this.dragWrappers_[0]);
+    Blockly.unbindEvent_(this.dragWrappers_[1]);
+    this.dragWrappers_ = null;
+    Blockly.Touch.clearTouchIdentifier();  // Don't block future drags.
+  }
+};
@@ -28,7 +28,10 @@
 'use strict';
 
 goog.provide('Blockly.Options');
+goog.require('Blockly.CategoryPatterns');
 goog.require('Blockly.Colours');
+goog.require('Blockly.Renderer');
+goog.require('Blockly.Theme');
 
 
 /**
@@ -44,6 +47,7 @@ Blockly.Options = function(options) {
     var languageTree = null;
     var hasCategories = false;
     var hasTrashcan = false;
+    var maxTrashcanContents = 0;
     var hasCollapse = false;
     var hasComments = false;
     var hasDisable = false;
@@ -56,6 +60,11 @@ Blockly.Options = function(options) {
     if (hasTrashcan === undefined) {
       hasTrashcan = hasCategories;
     }
+    var maxTrashcanContents = hasTrashcan ?
+        options['maxTrashcanContents'] : 0;
+    if (maxTrashcanContents === undefined) {
+      maxTrashcanContents = 32;
+    }
     var hasCollapse = options['collapse'];
     if (hasCollapse === undefined) {
       hasCollapse = hasCategories;
@@ -140,12 +149,20 @@ Blockly.Options = function(options) {
   this.hasCategories = hasCategories;
   this.hasScrollbars = hasScrollbars;
   this.hasTrashcan = hasTrashcan;
+  this.maxTrashcanContents = maxTrashcanContents;
+  this.hasUndoHistory = !readOnly && !!options['undoHistory'];
   this.hasSounds = hasSounds;
   this.hasCss = hasCss;
   this.horizontalLayout = horizontalLayout;
   this.languageTree = languageTree;
   this.gridOptions = Blockly.Options.parseGridOptions_(options);
   this.zoomOptions = Blockly.Options.parseZoomOptions_(options);
+  this.renderer = Blockly.Options.parseRenderer_(options);
+  this.theme = Blockly.Options.parseTheme_(options);
+  this.categoryPatterns =
+      new Blockly.CategoryPatterns(options['categoryPatterns']);
+  this.viewportCulling = !!options['viewportCulling'];
+  this.hasMinimap = !!options['minimap'];
   this.toolboxPosition = toolboxPosition;
 
   // PXT specific:
@@ -234,6 +251,36 @@ Blockly.Options.parseZoomOptions_ = function(options) {
   return zoomOptions;
 };
 
+/**
+ * pxt-blockly: Find the renderer that the user chose, either by name or as a
+ * Blockly.Renderer instance.  Names are those of Blockly.Renderer.register.
+ * @param {!Object} options Dictionary of options.
+ * @return {!Blockly.Renderer} The renderer.
+ * @private
+ */
+Blockly.Options.parseRenderer_ = function(options) {
+  var renderer = options['renderer'];
+  if (renderer instanceof Blockly.Renderer) {
+    return renderer;
+  }
+  return Blockly.Renderer.get(renderer || Blockly.Renderer.DEFAULT);
+};
+
+/**
+ * pxt-blockly: Find the theme that the user chose, either by name or as a
+ * Blockly.Theme instance.  Names are those of Blockly.Theme.register.
+ * @param {!Object} options Dictionary of options.
+ * @return {!Blockly.Theme} The theme.
+ * @private
+ */
+Blockly.Options.parseTheme_ = function(options) {
+  var theme = options['theme'];
+  if (theme instanceof Blockly.Theme) {
+    return theme;
+  }
+  return Blockly.Theme.get(theme || Blockly.Theme.DEFAULT);
+};
+
 /**
  * Parse the user-specified grid options, using reasonable defaults where
  * behaviour is unspecified. See grid documentation:
@@ -0,0 +1,141 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Event describing where a collaborator is working.
+ */
+'use strict';
+
+goog.provide('Blockly.Events.Presence');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Events.Abstract');
+
+
+/**
+ * Class for a presence event.  It describes where a participant of a shared
+ * workspace is working: their cursor, their selected block and the part of the
+ * workspace they can see.  Presence events are never undone or redone.
+ * @param {Blockly.Workspace} workspace The workspace of the participant.
+ *     Null for a blank event.
+ * @param {string} siteId Unique ID of the participant.
+ * @param {string} name Name to show next to the participant's cursor.
+ * @param {string} colour Colour of the participant's cursor and selection.
+ * @param {goog.math.Coordinate=} opt_cursor Position of the cursor in
+ *     workspace units, if it is over the workspace.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.Presence = function(workspace, siteId, name, colour,
+    opt_cursor) {
+  Blockly.Events.Presence.superClass_.constructor.call(this);
+  // Presence is never part of an undoable group.
+  this.group = '';
+  this.recordUndo = false;
+  if (!workspace) {
+    return;  // Blank event to be populated by fromJson.
+  }
+  this.workspaceId = workspace.id;
+  this.siteId = siteId;
+  this.name = name;
+  this.colour = colour;
+  this.cursor = opt_cursor ? {x: opt_cursor.x, y: opt_cursor.y} : null;
+  var selected = Blockly.selected;
+  this.selectedId = (selected && selected.workspace == workspace) ?
+      selected.id : null;
+  this.viewport = null;
+  var metrics = workspace.getMetrics && workspace.getMetrics();
+  if (metrics) {
+    var scale = workspace.scale;
+    this.viewport = {
+      left: metrics.viewLeft / scale,
+      top: metrics.viewTop / scale,
+      width: metrics.viewWidth / scale,
+      height: metrics.viewHeight / scale,
+      scale: scale
+    };
+  }
+};
+goog.inherits(Blockly.Events.Presence, Blockly.Events.Abstract);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.Presence.prototype.type = Blockly.Events.PRESENCE;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.Presence.prototype.toJson = function() {
+  var json = Blockly.Events.Presence.superClass_.toJson.call(this);
+  json['siteId'] = this.siteId;
+  json['name'] = this.name;
+  json['colour'] = this.colour;
+  if (this.cursor) {
+    json['cursor'] = {'x': this.cursor.x, 'y': this.cursor.y};
+  }
+  if (this.selectedId) {
+    json['selectedId'] = this.selectedId;
+  }
+  if (this.viewport) {
+    json['viewport'] = {
+      'left': this.viewport.left,
+      'top': this.viewport.top,
+      'width': this.viewport.width,
+      'height': this.viewport.height,
+      'scale': this.viewport.scale
+    };
+  }
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.Presence.prototype.fromJson = function(json) {
+  Blockly.Events.Presence.superClass_.fromJson.call(this, json);
+  this.group = '';
+  this.siteId = json['siteId'];
+  this.name = json['name'];
+  this.colour = json['colour'];
+  var cursor = json['cursor'];
+  this.cursor = cursor ? {x: cursor['x'], y: cursor['y']} : null;
+  this.selectedId = json['selectedId'] || null;
+  var viewport = json['viewport'];
+  this.viewport = viewport ? {
+    left: viewport['left'],
+    top: viewport['top'],
+    width: viewport['width'],
+    height: viewport['height'],
+    scale: viewport['scale']
+  } : null;
+};
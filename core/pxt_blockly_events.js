@@ -33,11 +33,20 @@
  */
 'use strict';
 
+goog.provide('Blockly.Events.DragOverDeleteArea');
 goog.provide('Blockly.Events.EndBlockDrag');
+goog.provide('Blockly.Events.FieldEditorOpen');
+goog.provide('Blockly.Events.FlyoutOpen');
+goog.provide('Blockly.Events.StartBlockDrag');
+goog.provide('Blockly.Events.ToolboxCategorySelect');
+goog.provide('Blockly.Events.ViewportChange');
 
 goog.require('Blockly.Events');
+goog.require('Blockly.Events.Abstract');
 goog.require('Blockly.Events.BlockBase');
 
+goog.require('goog.math.Rect');
+
 /**
  * Class for a block end drag event.
  * @param {Blockly.Block} block The moved block.  Null for a blank event.
@@ -87,3 +96,349 @@ Blockly.Events.EndBlockDrag.prototype.fromJson = function(json) {
   this.blockId = json['blockId'];
   this.allNestedIds = json['allNestedIds'];
 };
+
+/**
+ * Class for a block start drag event.
+ * @param {Blockly.Block} block The dragged block.  Null for a blank event.
+ * @extends {Blockly.Events.BlockBase}
+ * @constructor
+ */
+Blockly.Events.StartBlockDrag = function(block) {
+  if (!block) {
+    return;  // Blank event to be populated by fromJson.
+  }
+  Blockly.Events.StartBlockDrag.superClass_.constructor.call(this, block);
+  this.recordUndo = false;
+  this.allNestedIds = block.getDescendants().map(function(b) { return b.id; });
+};
+goog.inherits(Blockly.Events.StartBlockDrag, Blockly.Events.BlockBase);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.StartBlockDrag.prototype.type = Blockly.Events.START_DRAG;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.StartBlockDrag.prototype.toJson = function() {
+  var json = Blockly.Events.StartBlockDrag.superClass_.toJson.call(this);
+  json['allNestedIds'] = this.allNestedIds;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.StartBlockDrag.prototype.fromJson = function(json) {
+  Blockly.Events.StartBlockDrag.superClass_.fromJson.call(this, json);
+  this.allNestedIds = json['allNestedIds'];
+};
+
+/**
+ * Class for an event fired when a dragged block starts or stops being over a
+ * delete area, such as the trash can or the toolbox.
+ * @param {Blockly.Block} block The dragged block.  Null for a blank event.
+ * @param {boolean} isOverDeleteArea True if the block would be deleted if it
+ *     were dropped now.
+ * @extends {Blockly.Events.BlockBase}
+ * @constructor
+ */
+Blockly.Events.DragOverDeleteArea = function(block, isOverDeleteArea) {
+  if (!block) {
+    return;  // Blank event to be populated by fromJson.
+  }
+  Blockly.Events.DragOverDeleteArea.superClass_.constructor.call(this, block);
+  this.recordUndo = false;
+  this.isOverDeleteArea = isOverDeleteArea;
+};
+goog.inherits(Blockly.Events.DragOverDeleteArea, Blockly.Events.BlockBase);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.DragOverDeleteArea.prototype.type =
+    Blockly.Events.DRAG_OVER_DELETE_AREA;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.DragOverDeleteArea.prototype.toJson = function() {
+  var json = Blockly.Events.DragOverDeleteArea.superClass_.toJson.call(this);
+  json['isOverDeleteArea'] = this.isOverDeleteArea;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.DragOverDeleteArea.prototype.fromJson = function(json) {
+  Blockly.Events.DragOverDeleteArea.superClass_.fromJson.call(this, json);
+  this.isOverDeleteArea = json['isOverDeleteArea'];
+};
+
+/**
+ * Class for a toolbox category select event.
+ * @param {Blockly.Workspace} workspace The workspace of the toolbox.
+ *     Null for a blank event.
+ * @param {?string} oldCategory Name of the previously selected category, or
+ *     null if none was selected.
+ * @param {?string} newCategory Name of the selected category, or null if the
+ *     selection was cleared.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.ToolboxCategorySelect = function(workspace, oldCategory,
+    newCategory) {
+  Blockly.Events.ToolboxCategorySelect.superClass_.constructor.call(this);
+  this.recordUndo = false;
+  if (!workspace) {
+    return;  // Blank event to be populated by fromJson.
+  }
+  this.workspaceId = workspace.id;
+  this.oldCategory = oldCategory;
+  this.newCategory = newCategory;
+};
+goog.inherits(Blockly.Events.ToolboxCategorySelect, Blockly.Events.Abstract);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.ToolboxCategorySelect.prototype.type =
+    Blockly.Events.TOOLBOX_CATEGORY_SELECT;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.ToolboxCategorySelect.prototype.toJson = function() {
+  var json =
+      Blockly.Events.ToolboxCategorySelect.superClass_.toJson.call(this);
+  json['oldCategory'] = this.oldCategory;
+  json['newCategory'] = this.newCategory;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.ToolboxCategorySelect.prototype.fromJson = function(json) {
+  Blockly.Events.ToolboxCategorySelect.superClass_.fromJson.call(this, json);
+  this.oldCategory = json['oldCategory'];
+  this.newCategory = json['newCategory'];
+};
+
+/**
+ * Class for a flyout open or close event.  Showing other blocks in a flyout
+ * that is already open does not fire one.
+ * @param {Blockly.Workspace} workspace The workspace the flyout adds blocks
+ *     to.  Null for a blank event.
+ * @param {boolean} isOpen True if the flyout opened, false if it closed.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.FlyoutOpen = function(workspace, isOpen) {
+  Blockly.Events.FlyoutOpen.superClass_.constructor.call(this);
+  this.recordUndo = false;
+  if (!workspace) {
+    return;  // Blank event to be populated by fromJson.
+  }
+  this.workspaceId = workspace.id;
+  this.isOpen = isOpen;
+};
+goog.inherits(Blockly.Events.FlyoutOpen, Blockly.Events.Abstract);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.FlyoutOpen.prototype.type = Blockly.Events.FLYOUT_OPEN;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.FlyoutOpen.prototype.toJson = function() {
+  var json = Blockly.Events.FlyoutOpen.superClass_.toJson.call(this);
+  json['isOpen'] = this.isOpen;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.FlyoutOpen.prototype.fromJson = function(json) {
+  Blockly.Events.FlyoutOpen.superClass_.fromJson.call(this, json);
+  this.isOpen = json['isOpen'];
+};
+
+/**
+ * Class for an event fired when a workspace is scrolled or zoomed.
+ * @param {Blockly.WorkspaceSvg} workspace The workspace.  Null for a blank
+ *     event.
+ * @param {number} oldScale The zoom factor before the change.
+ * @extends {Blockly.Events.Abstract}
+ * @constructor
+ */
+Blockly.Events.ViewportChange = function(workspace, oldScale) {
+  Blockly.Events.ViewportChange.superClass_.constructor.call(this);
+  this.recordUndo = false;
+  if (!workspace) {
+    return;  // Blank event to be populated by fromJson.
+  }
+  this.workspaceId = workspace.id;
+  // The visible part of the workspace, in workspace units.
+  var rect = workspace.getViewportRect();
+  this.viewLeft = rect ? rect.left : 0;
+  this.viewTop = rect ? rect.top : 0;
+  this.viewWidth = rect ? rect.width : 0;
+  this.viewHeight = rect ? rect.height : 0;
+  this.scale = workspace.scale;
+  this.oldScale = oldScale;
+};
+goog.inherits(Blockly.Events.ViewportChange, Blockly.Events.Abstract);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.ViewportChange.prototype.type = Blockly.Events.VIEWPORT_CHANGE;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.ViewportChange.prototype.toJson = function() {
+  var json = Blockly.Events.ViewportChange.superClass_.toJson.call(this);
+  json['viewLeft'] = this.viewLeft;
+  json['viewTop'] = this.viewTop;
+  json['viewWidth'] = this.viewWidth;
+  json['viewHeight'] = this.viewHeight;
+  json['scale'] = this.scale;
+  json['oldScale'] = this.oldScale;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.ViewportChange.prototype.fromJson = function(json) {
+  Blockly.Events.ViewportChange.superClass_.fromJson.call(this, json);
+  this.viewLeft = json['viewLeft'];
+  this.viewTop = json['viewTop'];
+  this.viewWidth = json['viewWidth'];
+  this.viewHeight = json['viewHeight'];
+  this.scale = json['scale'];
+  this.oldScale = json['oldScale'];
+};
+
+/**
+ * @return {!goog.math.Rect} The visible part of the workspace, in workspace
+ *     units.
+ */
+Blockly.Events.ViewportChange.prototype.getViewportRect = function() {
+  return new goog.math.Rect(this.viewLeft, this.viewTop, this.viewWidth,
+      this.viewHeight);
+};
+
+/**
+ * @return {boolean} True if the workspace was zoomed, false if it was only
+ *     scrolled.
+ */
+Blockly.Events.ViewportChange.prototype.isZoom = function() {
+  return this.scale != this.oldScale;
+};
+
+/**
+ * Class for a field editor open or close event.
+ * @param {Blockly.Field} field The edited field.  Null for a blank event.
+ * @param {boolean} isOpen True if the editor opened, false if it closed.
+ * @extends {Blockly.Events.BlockBase}
+ * @constructor
+ */
+Blockly.Events.FieldEditorOpen = function(field, isOpen) {
+  if (!field) {
+    return;  // Blank event to be populated by fromJson.
+  }
+  Blockly.Events.FieldEditorOpen.superClass_.constructor.call(this,
+      field.sourceBlock_);
+  this.recordUndo = false;
+  this.name = field.name;
+  this.isOpen = isOpen;
+};
+goog.inherits(Blockly.Events.FieldEditorOpen, Blockly.Events.BlockBase);
+
+/**
+ * Type of this event.
+ * @type {string}
+ */
+Blockly.Events.FieldEditorOpen.prototype.type =
+    Blockly.Events.FIELD_EDITOR_OPEN;
+
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
+Blockly.Events.FieldEditorOpen.prototype.toJson = function() {
+  var json = Blockly.Events.FieldEditorOpen.superClass_.toJson.call(this);
+  if (this.name) {
+    json['name'] = this.name;
+  }
+  json['isOpen'] = this.isOpen;
+  return json;
+};
+
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.FieldEditorOpen.prototype.fromJson = function(json) {
+  Blockly.Events.FieldEditorOpen.superClass_.fromJson.call(this, json);
+  this.name = json['name'];
+  this.isOpen = json['isOpen'];
+};
+
+/**
+ * The field whose editor is open, if any.
+ * @type {Blockly.Field}
+ * @private
+ */
+Blockly.Events.FieldEditorOpen.openField_ = null;
+
+/**
+ * Fire open and close events for the field that owns the widget div or the
+ * drop-down div.  Called whenever either of them changes owner.  An editor
+ * that uses both divs is open while it owns either.
+ * @package
+ */
+Blockly.Events.FieldEditorOpen.update = function() {
+  var field = null;
+  var owners = [Blockly.WidgetDiv.owner_, Blockly.DropDownDiv.owner_];
+  for (var i = 0; i < owners.length && !field; i++) {
+    if (owners[i] instanceof Blockly.Field && owners[i].sourceBlock_ &&
+        owners[i].sourceBlock_.workspace) {
+      field = owners[i];
+    }
+  }
+  var oldField = Blockly.Events.FieldEditorOpen.openField_;
+  if (field == oldField) {
+    return;
+  }
+  Blockly.Events.FieldEditorOpen.openField_ = field;
+  if (oldField && oldField.sourceBlock_ && oldField.sourceBlock_.workspace) {
+    Blockly.Events.fire(new Blockly.Events.FieldEditorOpen(oldField, false));
+  }
+  if (field) {
+    Blockly.Events.fire(new Blockly.Events.FieldEditorOpen(field, true));
+  }
+};
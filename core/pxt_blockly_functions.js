@@ -86,6 +86,9 @@ Blockly.Functions.flyoutCategory = function(workspace) {
       block.setAttribute('gap', 16);
       var mutation = goog.dom.createDom('mutation');
       mutation.setAttribute('name', name);
+      if (functionList[i].getReturnType()) {
+        mutation.setAttribute('returntype', functionList[i].getReturnType());
+      }
       block.appendChild(mutation);
       for (var j = 0; j < args.length; j++) {
         var arg = goog.dom.createDom('arg');
@@ -99,7 +102,19 @@ Blockly.Functions.flyoutCategory = function(workspace) {
   }
 
   var existingFunctions = Blockly.Functions.getAllFunctionDefinitionBlocks(workspace);
-  populateFunctions(existingFunctions, 'function_call');
+  populateFunctions(existingFunctions, Blockly.FUNCTION_CALL_BLOCK_TYPE);
+  // Functions that return a value can also be called as reporters.
+  var returningFunctions = existingFunctions.filter(function(definition) {
+    return !!definition.getReturnType();
+  });
+  populateFunctions(returningFunctions, Blockly.FUNCTION_CALL_OUTPUT_BLOCK_TYPE);
+  if (existingFunctions.length) {
+    // Return blocks only work inside a function definition.
+    var returnBlock = goog.dom.createDom('block');
+    returnBlock.setAttribute('type', Blockly.FUNCTION_RETURN_BLOCK_TYPE);
+    returnBlock.setAttribute('gap', 16);
+    xmlList.push(returnBlock);
+  }
   return xmlList;
 };
 
@@ -307,7 +322,8 @@ Blockly.Functions.createFunctionCallbackFactory_ = function(workspace) {
 Blockly.Functions.editFunctionCallback_ = function(block) {
   // Edit can come from either the function definition or a function call.
   // Normalize by setting the block to the definition block for the function.
-  if (block.type == Blockly.Functions_CALL_BLOCK_TYPE) {
+  if (block.type == Blockly.FUNCTION_CALL_BLOCK_TYPE ||
+      block.type == Blockly.FUNCTION_CALL_OUTPUT_BLOCK_TYPE) {
     // This is a call block, find the definition block corresponding to the
     // name. Make sure to search the correct workspace, call block can be in flyout.
     var workspaceToSearch = block.workspace.isFlyout ?
@@ -475,9 +491,60 @@ Blockly.Functions.getArgMap = function(mutation, inverse) {
   return map;
 };
 
+/**
+ * Converts a function return type to the check used by the output connection
+ * of reporter calls, and by the value input of return blocks.
+ * @param {?string} returnType The return type of a function.
+ * @return {?string} The connection check, or null if any value is accepted.
+ * @package
+ */
+Blockly.Functions.getReturnTypeCheck = function(returnType) {
+  if (!returnType || returnType == 'any') {
+    return null;
+  }
+  if (Blockly.Functions.isCustomType(returnType)) {
+    return returnType;
+  }
+  return returnType.charAt(0).toUpperCase() + returnType.slice(1);
+};
+
+/**
+ * Infer the return type of a function from the values attached to the return
+ * blocks inside its definition.
+ * @param {!Blockly.Block} definitionBlock The function definition block.
+ * @return {?string} The type of the returned values, 'any' if they have
+ *     different or unknown types, or null if no value is returned.
+ */
+Blockly.Functions.inferReturnType = function(definitionBlock) {
+  var returnType = null;
+  var descendants = definitionBlock.getDescendants(false);
+  for (var i = 0; i < descendants.length; i++) {
+    if (descendants[i].type != Blockly.FUNCTION_RETURN_BLOCK_TYPE) {
+      continue;
+    }
+    var value = descendants[i].getInputTargetBlock('VALUE');
+    if (!value) {
+      continue;
+    }
+    var check = value.outputConnection.check_;
+    var valueType = check && check.length == 1 ?
+        Blockly.Functions.getReporterArgumentType(check[0]) : 'any';
+    if (returnType && returnType != valueType) {
+      return 'any';
+    }
+    returnType = valueType;
+  }
+  return returnType;
+};
+
 /**
  * Find and edit all callers and the definition of a function using a new
  * mutation.
+ * The mutation declares the function's return type if it has a "returntype"
+ * attribute and a "returntypedeclared" attribute set to "true". Otherwise the
+ * return type is inferred from the return blocks inside the definition.
+ * Callers that use the result of the function are unplugged, with a warning,
+ * once the function stops returning a value.
  * @param {string} name Name of function.
  * @param {!Blockly.Workspace} ws The workspace to find callers in.
  * @param {!Element} mutation New mutation for the callers.
@@ -486,10 +553,24 @@ Blockly.Functions.getArgMap = function(mutation, inverse) {
 Blockly.Functions.mutateCallersAndDefinition = function(name, ws, mutation) {
   var definitionBlock = Blockly.Functions.getDefinition(name, ws);
   if (definitionBlock) {
+    if (mutation.getAttribute('returntypedeclared') != 'true') {
+      var returnType = Blockly.Functions.inferReturnType(definitionBlock);
+      mutation = mutation.cloneNode(true);
+      mutation.removeAttribute('returntypedeclared');
+      if (returnType) {
+        mutation.setAttribute('returntype', returnType);
+      } else {
+        mutation.removeAttribute('returntype');
+      }
+    }
     var callers = Blockly.Functions.getCallers(name, definitionBlock.workspace);
     callers.push(definitionBlock);
-    Blockly.Events.setGroup(true);
+    var existingGroup = Blockly.Events.getGroup();
+    if (!existingGroup) {
+      Blockly.Events.setGroup(true);
+    }
     callers.forEach(function(caller) {
+      var oldReturnType = caller.getReturnType();
       var oldMutationDom = caller.mutationToDom();
       var oldMutation = oldMutationDom && Blockly.Xml.domToText(oldMutationDom);
       caller.domToMutation(mutation);
@@ -530,6 +611,16 @@ Blockly.Functions.mutateCallersAndDefinition = function(name, ws, mutation) {
             }
           });
         } else {
+          if (caller.type == Blockly.FUNCTION_CALL_OUTPUT_BLOCK_TYPE) {
+            // There is no result to use without a return type.
+            if (!caller.getReturnType() && oldReturnType) {
+              caller.unplug();
+              caller.setWarningText(
+                  Blockly.Msg.FUNCTION_CALL_OUTPUT_NO_RETURN_WARNING);
+            } else if (caller.getReturnType()) {
+              caller.setWarningText(null);
+            }
+          }
           // For the callers, we need to bump blocks that were connected to any
           // argument that has since been deleted.
           setTimeout(function() {
@@ -538,7 +629,9 @@ Blockly.Functions.mutateCallersAndDefinition = function(name, ws, mutation) {
         }
       }
     });
-    Blockly.Events.setGroup(false);
+    if (!existingGroup) {
+      Blockly.Events.setGroup(false);
+    }
   } else {
     console.warn('Attempted to change function ' + name + ', but no definition block was found on the workspace');
   }
@@ -0,0 +1,295 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Shows where the other participants of a shared workspace are
+ * working: their cursors, their selected blocks and their views.
+ */
+'use strict';
+
+goog.provide('Blockly.RemotePresence');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Events.Presence');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+goog.require('goog.math.Rect');
+
+
+/**
+ * Class for showing the presence of remote participants on a workspace.
+ * Presence events fired on the workspace by other participants, for instance
+ * by a Blockly.Collaboration, are shown automatically.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to draw on.
+ * @param {string=} opt_siteId Unique ID of the local participant, whose own
+ *     presence events are not shown.
+ * @constructor
+ */
+Blockly.RemotePresence = function(workspace, opt_siteId) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {?string}
+   * @private
+   */
+  this.siteId_ = opt_siteId || null;
+
+  /**
+   * Latest presence event of each remote participant, by site ID.
+   * @type {!Object.<string, !Blockly.Events.Presence>}
+   * @private
+   */
+  this.presence_ = Object.create(null);
+
+  /**
+   * SVG group of each remote participant, by site ID.
+   * @type {!Object.<string, !Element>}
+   * @private
+   */
+  this.svgGroups_ = Object.create(null);
+
+  /**
+   * Whether to outline the part of the workspace each participant can see.
+   * @type {boolean}
+   * @private
+   */
+  this.showViewports_ = false;
+
+  /**
+   * The bubble canvas moves and scales with the workspace, and is drawn above
+   * the blocks.
+   * @type {!Element}
+   * @private
+   */
+  this.svgLayer_ = Blockly.utils.createSvgElement('g',
+      {'class': 'blocklyPresenceLayer'}, workspace.getBubbleCanvas());
+
+  this.listener_ = workspace.addChangeListener(this.onChange_.bind(this));
+};
+
+/**
+ * Path of a cursor arrow whose tip is at the origin.
+ * @type {string}
+ * @const
+ */
+Blockly.RemotePresence.CURSOR_PATH =
+    'M 0,0 L 0,16 L 4.5,12 L 8,19 L 10.5,18 L 7,11 L 12,11 Z';
+
+/**
+ * Space between a selected block and its outline, in workspace units.
+ * @type {number}
+ * @const
+ */
+Blockly.RemotePresence.SELECTION_PADDING = 4;
+
+/**
+ * Show or update the presence of a remote participant.
+ * @param {!Blockly.Events.Presence} event The participant's latest presence.
+ */
+Blockly.RemotePresence.prototype.update = function(event) {
+  this.presence_[event.siteId] = event;
+  this.render_(event.siteId);
+};
+
+/**
+ * Stop showing a remote participant, for instance when they leave.
+ * @param {string} siteId Unique ID of the participant.
+ */
+Blockly.RemotePresence.prototype.remove = function(siteId) {
+  delete this.presence_[siteId];
+  if (this.svgGroups_[siteId]) {
+    goog.dom.removeNode(this.svgGroups_[siteId]);
+    delete this.svgGroups_[siteId];
+  }
+};
+
+/**
+ * @return {!Array.<{siteId: string, name: string, colour: string}>} The
+ *     remote participants, ordered by name.
+ */
+Blockly.RemotePresence.prototype.getCollaborators = function() {
+  var collaborators = [];
+  for (var siteId in this.presence_) {
+    var event = this.presence_[siteId];
+    collaborators.push({siteId: siteId, name: event.name, colour: event.colour});
+  }
+  return collaborators.sort(function(a, b) {
+    return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+  });
+};
+
+/**
+ * Get the part of the workspace a remote participant can see.
+ * @param {string} siteId Unique ID of the participant.
+ * @return {goog.math.Rect} The view in workspace units, or null if unknown.
+ */
+Blockly.RemotePresence.prototype.getViewport = function(siteId) {
+  var event = this.presence_[siteId];
+  var viewport = event && event.viewport;
+  return viewport ? new goog.math.Rect(viewport.left, viewport.top,
+      viewport.width, viewport.height) : null;
+};
+
+/**
+ * Set whether to outline the part of the workspace each participant can see.
+ * @param {boolean} show True to outline the views.
+ */
+Blockly.RemotePresence.prototype.setShowViewports = function(show) {
+  this.showViewports_ = show;
+  this.renderAll_();
+};
+
+/**
+ * Scroll and zoom the workspace to show what a remote participant sees.
+ * @param {string} siteId Unique ID of the participant.
+ * @return {boolean} True if the participant's view is known.
+ */
+Blockly.RemotePresence.prototype.jumpTo = function(siteId) {
+  var event = this.presence_[siteId];
+  var viewport = event && event.viewport;
+  var workspace = this.workspace_;
+  if (!viewport) {
+    return false;
+  }
+  if (!workspace.scrollbar) {
+    console.warn('Tried to scroll a non-scrollable workspace.');
+    return false;
+  }
+  workspace.setScale(viewport.scale);
+  // As in centerOnBlock, put the center of the view in the center.
+  var metrics = workspace.getMetrics();
+  var x = (viewport.left + viewport.width / 2) * workspace.scale -
+      metrics.contentLeft - metrics.viewWidth / 2;
+  var y = (viewport.top + viewport.height / 2) * workspace.scale -
+      metrics.contentTop - metrics.viewHeight / 2;
+  Blockly.hideChaff();
+  workspace.scrollbar.set(x, y);
+  return true;
+};
+
+/**
+ * Stop showing remote participants.
+ */
+Blockly.RemotePresence.prototype.dispose = function() {
+  this.workspace_.removeChangeListener(this.listener_);
+  goog.dom.removeNode(this.svgLayer_);
+  this.presence_ = Object.create(null);
+  this.svgGroups_ = Object.create(null);
+};
+
+/**
+ * Show the presence events of other participants, and follow the selected
+ * blocks as they change.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.RemotePresence.prototype.onChange_ = function(event) {
+  if (event.type == Blockly.Events.PRESENCE) {
+    if (event.siteId != this.siteId_) {
+      this.update(/** @type {!Blockly.Events.Presence} */ (event));
+    }
+  } else if (Blockly.Events.UI_TYPES.indexOf(event.type) == -1) {
+    this.renderAll_();
+  }
+};
+
+/**
+ * Redraw every remote participant.
+ * @private
+ */
+Blockly.RemotePresence.prototype.renderAll_ = function() {
+  for (var siteId in this.presence_) {
+    this.render_(siteId);
+  }
+};
+
+/**
+ * Redraw a remote participant.
+ * @param {string} siteId Unique ID of the participant.
+ * @private
+ */
+Blockly.RemotePresence.prototype.render_ = function(siteId) {
+  var event = this.presence_[siteId];
+  if (this.svgGroups_[siteId]) {
+    goog.dom.removeNode(this.svgGroups_[siteId]);
+  }
+  var group = Blockly.utils.createSvgElement('g',
+      {'class': 'blocklyPresence', 'data-site': siteId}, this.svgLayer_);
+  this.svgGroups_[siteId] = group;
+
+  var viewport = event.viewport;
+  if (this.showViewports_ && viewport) {
+    Blockly.utils.createSvgElement('rect', {
+      'class': 'blocklyPresenceViewport',
+      'x': viewport.left,
+      'y': viewport.top,
+      'width': viewport.width,
+      'height': viewport.height,
+      'stroke': event.colour
+    }, group);
+  }
+  var block = event.selectedId &&
+      this.workspace_.getBlockById(event.selectedId);
+  if (block && block.rendered) {
+    var box = block.getBoundingRectangle();
+    var padding = Blockly.RemotePresence.SELECTION_PADDING;
+    Blockly.utils.createSvgElement('rect', {
+      'class': 'blocklyPresenceSelection',
+      'x': box.topLeft.x - padding,
+      'y': box.topLeft.y - padding,
+      'width': box.bottomRight.x - box.topLeft.x + 2 * padding,
+      'height': box.bottomRight.y - box.topLeft.y + 2 * padding,
+      'rx': padding,
+      'ry': padding,
+      'stroke': event.colour
+    }, group);
+  }
+  if (event.cursor) {
+    var cursor = Blockly.utils.createSvgElement('g', {
+      'class': 'blocklyPresenceCursor',
+      'transform': 'translate(' + event.cursor.x + ',' + event.cursor.y + ')'
+    }, group);
+    Blockly.utils.createSvgElement('path', {
+      'd': Blockly.RemotePresence.CURSOR_PATH,
+      'fill': event.colour
+    }, cursor);
+    var name = Blockly.utils.createSvgElement('text', {
+      'class': 'blocklyPresenceName',
+      'x': 14,
+      'y': 28,
+      'fill': event.colour
+    }, cursor);
+    name.appendChild(document.createTextNode(event.name));
+  }
+};
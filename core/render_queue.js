@@ -0,0 +1,240 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview A queue of blocks waiting to be rendered, so that many changes
+ *     to the same blocks cost one render per animation frame.
+ */
+'use strict';
+
+goog.provide('Blockly.RenderQueue');
+
+
+/**
+ * Class for the queue of blocks that a workspace will render on the next
+ * animation frame.  Rendering a block lays out its parent again, and its
+ * parent's parent, so rendering blocks one at a time renders the blocks at
+ * the top of a stack once per change below them.  The queue renders each
+ * changed block and each of their ancestors once.  Use
+ * Blockly.BlockSvg.prototype.queueRender to add a block.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace whose blocks are
+ *     rendered.
+ * @constructor
+ */
+Blockly.RenderQueue = function(workspace) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Blocks waiting to be rendered, by ID.
+   * @type {!Object.<string, !Blockly.BlockSvg>}
+   * @private
+   */
+  this.blocks_ = Object.create(null);
+
+  /**
+   * IDs of the queued blocks whose neighbours should be bumped away from them
+   * once they have been rendered.
+   * @type {!Object.<string, boolean>}
+   * @private
+   */
+  this.bumps_ = Object.create(null);
+
+  /**
+   * ID of the requested animation frame, or 0 if none is requested.
+   * @type {number}
+   * @private
+   */
+  this.frame_ = 0;
+
+  /**
+   * Number of batches in progress.  See startBatch.
+   * @type {number}
+   * @private
+   */
+  this.batches_ = 0;
+};
+
+/**
+ * Add a block to the queue.  It will be rendered on the next animation frame,
+ * or when the queue is flushed.  Adding a block that is already queued does
+ * nothing.
+ * @param {!Blockly.BlockSvg} block The block to render.
+ * @param {boolean=} opt_bumpNeighbours If true, bump unconnected blocks away
+ *     from the block once it has been rendered.
+ */
+Blockly.RenderQueue.prototype.add = function(block, opt_bumpNeighbours) {
+  this.blocks_[block.id] = block;
+  if (opt_bumpNeighbours) {
+    this.bumps_[block.id] = true;
+  }
+  if (!this.frame_ && !this.batches_) {
+    this.frame_ = Blockly.RenderQueue.requestFrame_(this.flush.bind(this));
+  }
+};
+
+/**
+ * Whether a block is waiting to be rendered.
+ * @param {!Blockly.BlockSvg} block The block.
+ * @return {boolean} True if the block is queued.
+ */
+Blockly.RenderQueue.prototype.has = function(block) {
+  return block.id in this.blocks_;
+};
+
+/**
+ * Stop the queue from being flushed on the next animation frame until
+ * endBatch is called, e.g. while a whole workspace is loaded.
+ */
+Blockly.RenderQueue.prototype.startBatch = function() {
+  this.batches_++;
+  this.cancelFrame_();
+};
+
+/**
+ * End a batch started by startBatch.  The queue is flushed when the outermost
+ * batch ends.
+ */
+Blockly.RenderQueue.prototype.endBatch = function() {
+  this.batches_--;
+  if (!this.batches_) {
+    this.flush();
+  }
+};
+
+/**
+ * Whether a batch is in progress.
+ * @return {boolean} True between startBatch and the matching endBatch.
+ */
+Blockly.RenderQueue.prototype.inBatch = function() {
+  return this.batches_ > 0;
+};
+
+/**
+ * Render all the queued blocks and their ancestors now.  Children are
+ * rendered before their parents, so that each block is rendered once, around
+ * the final sizes of its children.
+ */
+Blockly.RenderQueue.prototype.flush = function() {
+  this.cancelFrame_();
+  var queued = this.blocks_;
+  var bumps = this.bumps_;
+  this.blocks_ = Object.create(null);
+  this.bumps_ = Object.create(null);
+
+  var blocks = [];
+  var depths = Object.create(null);
+  for (var id in queued) {
+    var block = queued[id];
+    if (block.workspace != this.workspace_) {
+      continue;  // Deleted block.
+    }
+    var ancestors = [];
+    while (block && !(block.id in depths)) {
+      ancestors.push(block);
+      block = block.getParent();
+    }
+    // The depth of the highest block that was not already counted.
+    var depth = block ? depths[block.id] + 1 : 0;
+    for (var i = 0; i < ancestors.length; i++) {
+      depths[ancestors[i].id] = depth + ancestors.length - 1 - i;
+      blocks.push(ancestors[i]);
+    }
+  }
+  if (!blocks.length) {
+    return;
+  }
+  blocks.sort(function(a, b) {
+    return depths[b.id] - depths[a.id];
+  });
+  Blockly.Field.startCache();
+  try {
+    for (var i = 0; i < blocks.length; i++) {
+      blocks[i].render(false);
+    }
+  } finally {
+    Blockly.Field.stopCache();
+  }
+  for (var id in bumps) {
+    if (queued[id].workspace == this.workspace_) {
+      queued[id].bumpNeighbours_();
+    }
+  }
+  // Allow the scrollbars to resize to the new contents.
+  Blockly.resizeSvgContents(this.workspace_);
+};
+
+/**
+ * Forget the queued blocks and stop waiting for an animation frame.
+ */
+Blockly.RenderQueue.prototype.dispose = function() {
+  this.cancelFrame_();
+  this.blocks_ = Object.create(null);
+  this.bumps_ = Object.create(null);
+};
+
+/**
+ * Stop waiting for an animation frame, if one has been requested.
+ * @private
+ */
+Blockly.RenderQueue.prototype.cancelFrame_ = function() {
+  if (this.frame_) {
+    Blockly.RenderQueue.cancelFrame_(this.frame_);
+    this.frame_ = 0;
+  }
+};
+
+/**
+ * Call a function on the next animation frame.
+ * @param {function()} callback The function to call.
+ * @return {number} ID of the request, for cancelFrame_.
+ * @private
+ */
+Blockly.RenderQueue.requestFrame_ = function(callback) {
+  if (window.requestAnimationFrame) {
+    return window.requestAnimationFrame(callback);
+  }
+  return setTimeout(callback, 16);
+};
+
+/**
+ * Cancel a request made by requestFrame_.
+ * @param {number} id ID of the request.
+ * @private
+ */
+Blockly.RenderQueue.cancelFrame_ = function(id) {
+  if (window.cancelAnimationFrame) {
+    window.cancelAnimationFrame(id);
+  } else {
+    clearTimeout(id);
+  }
+};
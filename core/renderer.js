@@ -0,0 +1,604 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview The geometry that blocks are drawn with, and a registry of
+ * renderers so that each workspace can draw its blocks differently.
+ */
+'use strict';
+
+goog.provide('Blockly.CompactRenderer');
+goog.provide('Blockly.Renderer');
+goog.provide('Blockly.TouchRenderer');
+
+
+/**
+ * Class for the sizes and shapes that blocks are drawn with.  Every rendered
+ * workspace has a renderer, chosen with the 'renderer' injection option.
+ * All sizes are multiples of the grid unit, so a renderer can be made larger
+ * or smaller as a whole.  Subclasses may change any size after calling this
+ * constructor, then call initShapes() to redraw the shapes with the new sizes.
+ * @param {number=} opt_gridUnit Grid unit to pixels conversion.  Defaults
+ *     to 4.
+ * @constructor
+ */
+Blockly.Renderer = function(opt_gridUnit) {
+  /**
+   * Grid unit to pixels conversion.
+   * @type {number}
+   */
+  this.GRID_UNIT = opt_gridUnit || 4;
+
+  /**
+   * Width of horizontal puzzle tab.
+   * @type {number}
+   */
+  this.TAB_WIDTH = 2 * this.GRID_UNIT;
+
+  /**
+   * Horizontal space between elements.
+   * @type {number}
+   */
+  this.SEP_SPACE_X = 2 * this.GRID_UNIT;
+
+  /**
+   * Vertical space between elements.
+   * @type {number}
+   */
+  this.SEP_SPACE_Y = 2 * this.GRID_UNIT;
+
+  /**
+   * Minimum width of a block.
+   * @type {number}
+   */
+  this.MIN_BLOCK_X = 16 * this.GRID_UNIT;
+
+  /**
+   * Minimum width of a block with output (reporters).
+   * @type {number}
+   */
+  this.MIN_BLOCK_X_OUTPUT = 12 * this.GRID_UNIT;
+
+  /**
+   * Minimum width of a shadow block with output (single fields).
+   * @type {number}
+   */
+  this.MIN_BLOCK_X_SHADOW_OUTPUT = 10 * this.GRID_UNIT;
+
+  /**
+   * Minimum height of a block.
+   * @type {number}
+   */
+  this.MIN_BLOCK_Y = 12 * this.GRID_UNIT;
+
+  /**
+   * Height of extra row after a statement input.
+   * @type {number}
+   */
+  this.EXTRA_STATEMENT_ROW_Y = 8 * this.GRID_UNIT;
+
+  /**
+   * Minimum width of a C- or E-shaped block.
+   * @type {number}
+   */
+  this.MIN_BLOCK_X_WITH_STATEMENT = 40 * this.GRID_UNIT;
+
+  /**
+   * Minimum height of a shadow block with output and a single field.
+   * This is used for shadow blocks that only contain a field - which are
+   * smaller than even reporters.
+   * @type {number}
+   */
+  this.MIN_BLOCK_Y_SINGLE_FIELD_OUTPUT = 8 * this.GRID_UNIT;
+
+  /**
+   * Minimum height of a non-shadow block with output, i.e. a reporter.
+   * @type {number}
+   */
+  this.MIN_BLOCK_Y_REPORTER = 10 * this.GRID_UNIT;
+
+  /**
+   * Minimum space for a statement input height.
+   * @type {number}
+   */
+  this.MIN_STATEMENT_INPUT_HEIGHT = 6 * this.GRID_UNIT;
+
+  /**
+   * Width of vertical notch.
+   * @type {number}
+   */
+  this.NOTCH_WIDTH = 8 * this.GRID_UNIT;
+
+  /**
+   * Height of vertical notch.
+   * @type {number}
+   */
+  this.NOTCH_HEIGHT = 2 * this.GRID_UNIT;
+
+  /**
+   * Rounded corner radius.
+   * @type {number}
+   */
+  this.CORNER_RADIUS = 1 * this.GRID_UNIT;
+
+  /**
+   * Minimum width of statement input edge on the left, in px.
+   * @type {number}
+   */
+  this.STATEMENT_INPUT_EDGE_WIDTH = 4 * this.GRID_UNIT;
+
+  /**
+   * Inner space between edge of statement input and notch.
+   * @type {number}
+   */
+  this.STATEMENT_INPUT_INNER_SPACE = 2 * this.GRID_UNIT;
+
+  /**
+   * Do blocks with no previous or output connections have a 'hat' on top?
+   * @type {boolean}
+   */
+  this.START_HAT = false;
+
+  /**
+   * Height of the top hat.
+   * @type {number}
+   */
+  this.START_HAT_HEIGHT = 4 * this.GRID_UNIT;
+
+  /**
+   * Minimum width of a block with a top hat.
+   * @type {number}
+   */
+  this.START_HAT_WIDTH = 25 * this.GRID_UNIT;
+
+  /**
+   * Height of the vertical separator line for icons that appear at the left edge
+   * of a block, such as extension icons.
+   * @type {number}
+   */
+  this.ICON_SEPARATOR_HEIGHT = 10 * this.GRID_UNIT;
+
+  /**
+   * Amount of padding before the notch.
+   * @type {number}
+   */
+  this.NOTCH_START_PADDING = 3 * this.GRID_UNIT;
+
+  /**
+   * Width of empty boolean input shape.
+   * @type {number}
+   */
+  this.INPUT_SHAPE_HEXAGONAL_WIDTH = 12 * this.GRID_UNIT;
+
+  /**
+   * Width of empty square input shape.
+   * @type {number}
+   */
+  this.INPUT_SHAPE_SQUARE_WIDTH = 10 * this.GRID_UNIT;
+
+  /**
+   * Width of empty round input shape.
+   * @type {number}
+   */
+  this.INPUT_SHAPE_ROUND_WIDTH = 12 * this.GRID_UNIT;
+
+  /**
+   * Height of empty input shape.
+   * @type {number}
+   */
+  this.INPUT_SHAPE_HEIGHT = 8 * this.GRID_UNIT;
+
+  /**
+   * Height of user inputs
+   * @type {number}
+   */
+  this.FIELD_HEIGHT = 8 * this.GRID_UNIT;
+
+  /**
+   * Width of user inputs
+   * @type {number}
+   */
+  this.FIELD_WIDTH = 6 * this.GRID_UNIT;
+
+  /**
+   * Editable field padding (left/right of the text).
+   * @type {number}
+   */
+  this.EDITABLE_FIELD_PADDING = 1.5 * this.GRID_UNIT;
+
+  /**
+   * Square box field padding (left/right of the text).
+   * @type {number}
+   */
+  this.BOX_FIELD_PADDING = 2 * this.GRID_UNIT;
+
+  /**
+   * Drop-down arrow padding.
+   * @type {number}
+   */
+  this.DROPDOWN_ARROW_PADDING = 2 * this.GRID_UNIT;
+
+  /**
+   * Minimum width of user inputs during editing
+   * @type {number}
+   */
+  this.FIELD_WIDTH_MIN_EDIT = 8 * this.GRID_UNIT;
+
+  /**
+   * Maximum width of user inputs during editing
+   * @type {number}
+   */
+  this.FIELD_WIDTH_MAX_EDIT = Infinity;
+
+  /**
+   * Maximum height of user inputs during editing
+   * @type {number}
+   */
+  this.FIELD_HEIGHT_MAX_EDIT = this.FIELD_HEIGHT;
+
+  /**
+   * Top padding of user inputs
+   * @type {number}
+   */
+  this.FIELD_TOP_PADDING = 0.5 * this.GRID_UNIT;
+
+  /**
+   * Corner radius of number inputs
+   * @type {number}
+   */
+  this.NUMBER_FIELD_CORNER_RADIUS = 4 * this.GRID_UNIT;
+
+  /**
+   * Corner radius of text inputs
+   * @type {number}
+   */
+  this.TEXT_FIELD_CORNER_RADIUS = 1 * this.GRID_UNIT;
+
+  /**
+   * Default radius for a field, in px.
+   * @type {number}
+   */
+  this.FIELD_DEFAULT_CORNER_RADIUS = 4 * this.GRID_UNIT;
+
+  /**
+   * Max text display length for a field (per-horizontal/vertical)
+   * @type {number}
+   */
+  this.MAX_DISPLAY_LENGTH = Infinity;
+
+  /**
+   * Minimum X of inputs and fields for blocks with a previous connection.
+   * Ensures that inputs will not overlap with the top notch of blocks.
+   * @type {number}
+   */
+  this.INPUT_AND_FIELD_MIN_X = 12 * this.GRID_UNIT;
+
+  /**
+   * Vertical padding around inline elements.
+   * @type {number}
+   */
+  this.INLINE_PADDING_Y = 1 * this.GRID_UNIT;
+
+  /**
+   * Point size of text field before animation. Must match size in CSS.
+   * See implementation in field_textinput.
+   * @type {number}
+   */
+  this.FIELD_TEXTINPUT_FONTSIZE_INITIAL = 12;
+
+  /**
+   * Point size of text field after animation.
+   * See implementation in field_textinput.
+   * @type {number}
+   */
+  this.FIELD_TEXTINPUT_FONTSIZE_FINAL = 12;
+
+  /**
+   * Whether text fields are allowed to expand past their truncated block size.
+   * @type {boolean}
+   */
+  this.FIELD_TEXTINPUT_EXPAND_PAST_TRUNCATION = false;
+
+  /**
+   * Whether text fields should animate their positioning.
+   * @type {boolean}
+   */
+  this.FIELD_TEXTINPUT_ANIMATE_POSITIONING = false;
+
+  /**
+   * Map of output/input shapes and the amount they should cause a block to be padded.
+   * Outer key is the outer shape, inner key is the inner shape.
+   * When a block with the outer shape contains an input block with the inner shape
+   * on its left or right edge, that side is extended by the padding specified.
+   * See also: `this.computeOutputPadding_`.
+   * @type {!Object.<number, !Object.<number, number>>}
+   */
+  this.SHAPE_IN_SHAPE_PADDING = {
+    1: { // Outer shape: hexagon.
+      0: 5 * this.GRID_UNIT, // Field in hexagon.
+      1: 2 * this.GRID_UNIT, // Hexagon in hexagon.
+      2: 5 * this.GRID_UNIT, // Round in hexagon.
+      3: 5 * this.GRID_UNIT // Square in hexagon.
+    },
+    2: { // Outer shape: round.
+      0: 3 * this.GRID_UNIT, // Field in round.
+      1: 3 * this.GRID_UNIT, // Hexagon in round.
+      2: 1 * this.GRID_UNIT, // Round in round.
+      3: 2 * this.GRID_UNIT // Square in round.
+    },
+    3: { // Outer shape: square.
+      0: 2 * this.GRID_UNIT, // Field in square.
+      1: 2 * this.GRID_UNIT, // Hexagon in square.
+      2: 2 * this.GRID_UNIT, // Round in square.
+      3: 2 * this.GRID_UNIT // Square in square.
+    }
+  };
+
+  this.initShapes();
+};
+
+/**
+ * Name of the renderer used by workspaces that do not choose one.
+ * @type {string}
+ * @const
+ */
+Blockly.Renderer.DEFAULT = 'default';
+
+/**
+ * Renderer classes, by name.
+ * @type {!Object.<string, function(new:Blockly.Renderer)>}
+ * @private
+ */
+Blockly.Renderer.registry_ = Object.create(null);
+
+/**
+ * Renderers that have been created, by name.  Renderers hold no state, so
+ * workspaces that use the same renderer share one instance.
+ * @type {!Object.<string, !Blockly.Renderer>}
+ * @private
+ */
+Blockly.Renderer.instances_ = Object.create(null);
+
+/**
+ * Register a renderer so that workspaces can choose it by name.  Registering
+ * a name again replaces the renderer for workspaces created afterwards.
+ * @param {string} name The name of the renderer, e.g. 'touch'.
+ * @param {function(new:Blockly.Renderer)} rendererClass The renderer's
+ *     constructor, which must take no arguments.
+ */
+Blockly.Renderer.register = function(name, rendererClass) {
+  Blockly.Renderer.registry_[name] = rendererClass;
+  delete Blockly.Renderer.instances_[name];
+};
+
+/**
+ * Get a registered renderer.
+ * @param {string} name The name of the renderer.
+ * @return {!Blockly.Renderer} The renderer.
+ * @throws {Error} If no renderer is registered with that name.
+ */
+Blockly.Renderer.get = function(name) {
+  if (!Blockly.Renderer.instances_[name]) {
+    var rendererClass = Blockly.Renderer.registry_[name];
+    if (!rendererClass) {
+      throw Error('Unknown renderer: "' + name + '"');
+    }
+    Blockly.Renderer.instances_[name] = new rendererClass();
+  }
+  return Blockly.Renderer.instances_[name];
+};
+
+/**
+ * Compute the SVG paths of the renderer from its sizes.
+ */
+Blockly.Renderer.prototype.initShapes = function() {
+  // The notch and hat paths are drawn for a grid unit of 4.
+  var scale = this.GRID_UNIT / 4;
+
+  /**
+   * Path of the top hat's curve.
+   * @type {string}
+   */
+  this.START_HAT_PATH = Blockly.Renderer.scalePath_('c 25,-22 71,-22 96,0',
+      scale);
+
+  /**
+   * SVG path for drawing next/previous notch from left to right.
+   * @type {string}
+   */
+  this.NOTCH_PATH_LEFT = Blockly.Renderer.scalePath_(
+      'c 2,0 3,1 4,2 ' +
+      'l 4,4 ' +
+      'c 1,1 2,2 4,2 ' +
+      'h 12 ' +
+      'c 2,0 3,-1 4,-2 ' +
+      'l 4,-4 ' +
+      'c 1,-1 2,-2 4,-2', scale);
+
+  /**
+   * SVG path for drawing next/previous notch from right to left.
+   * @type {string}
+   */
+  this.NOTCH_PATH_RIGHT = Blockly.Renderer.scalePath_(
+      'c -2,0 -3,1 -4,2 ' +
+      'l -4,4 ' +
+      'c -1,1 -2,2 -4,2 ' +
+      'h -12 ' +
+      'c -2,0 -3,-1 -4,-2 ' +
+      'l -4,-4 ' +
+      'c -1,-1 -2,-2 -4,-2', scale);
+
+  /**
+   * SVG start point for drawing the top-left corner.
+   * @type {string}
+   */
+  this.TOP_LEFT_CORNER_START =
+      'm 0,' + this.CORNER_RADIUS;
+
+  /**
+   * SVG path for drawing the rounded top-left corner.
+   * @type {string}
+   */
+  this.TOP_LEFT_CORNER =
+      'A ' + this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS + ' 0 0,1 ' +
+      this.CORNER_RADIUS + ',0';
+
+  /**
+   * SVG path for drawing the rounded top-right corner.
+   * @type {string}
+   */
+  this.TOP_RIGHT_CORNER =
+      'a ' + this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS + ' 0 0,1 ' +
+      this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS;
+
+  /**
+   * SVG path for drawing the rounded bottom-right corner.
+   * @type {string}
+   */
+  this.BOTTOM_RIGHT_CORNER =
+      ' a ' + this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS + ' 0 0,1 -' +
+      this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS;
+
+  /**
+   * SVG path for drawing the rounded bottom-left corner.
+   * @type {string}
+   */
+  this.BOTTOM_LEFT_CORNER =
+      'a ' + this.CORNER_RADIUS + ',' +
+       this.CORNER_RADIUS + ' 0 0,1 -' +
+       this.CORNER_RADIUS + ',-' +
+       this.CORNER_RADIUS;
+
+  /**
+   * SVG path for drawing the top-left corner of a statement input.
+   * @type {string}
+   */
+  this.INNER_TOP_LEFT_CORNER =
+      ' a ' + this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS + ' 0 0,0 -' +
+      this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS;
+
+  /**
+   * SVG path for drawing the bottom-left corner of a statement input.
+   * Includes the rounded inside corner.
+   * @type {string}
+   */
+  this.INNER_BOTTOM_LEFT_CORNER =
+      'a ' + this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS + ' 0 0,0 ' +
+      this.CORNER_RADIUS + ',' +
+      this.CORNER_RADIUS;
+
+  /**
+   * SVG path for an empty hexagonal input shape.
+   * @type {string}
+   */
+  this.INPUT_SHAPE_HEXAGONAL =
+      'M ' + 4 * this.GRID_UNIT + ',0 ' +
+      ' h ' + 4 * this.GRID_UNIT +
+      ' l ' + 4 * this.GRID_UNIT + ',' + 4 * this.GRID_UNIT +
+      ' l ' + -4 * this.GRID_UNIT + ',' + 4 * this.GRID_UNIT +
+      ' h ' + -4 * this.GRID_UNIT +
+      ' l ' + -4 * this.GRID_UNIT + ',' + -4 * this.GRID_UNIT +
+      ' l ' + 4 * this.GRID_UNIT + ',' + -4 * this.GRID_UNIT +
+      ' z';
+
+  /**
+   * SVG path for an empty square input shape.
+   * @type {string}
+   */
+  this.INPUT_SHAPE_SQUARE =
+      this.TOP_LEFT_CORNER_START +
+      this.TOP_LEFT_CORNER +
+      ' h ' + (12 * this.GRID_UNIT - 2 * this.CORNER_RADIUS) +
+      this.TOP_RIGHT_CORNER +
+      ' v ' + (8 * this.GRID_UNIT - 2 * this.CORNER_RADIUS) +
+      this.BOTTOM_RIGHT_CORNER +
+      ' h ' + (-12 * this.GRID_UNIT + 2 * this.CORNER_RADIUS) +
+      this.BOTTOM_LEFT_CORNER +
+      ' z';
+
+  /**
+   * SVG path for an empty round input shape.
+   * @type {string}
+   */
+  this.INPUT_SHAPE_ROUND =
+    'M ' + (4 * this.GRID_UNIT) + ',0' +
+    ' h ' + (4 * this.GRID_UNIT) +
+    ' a ' + (4 * this.GRID_UNIT) + ' ' +
+        (4 * this.GRID_UNIT) + ' 0 0 1 0 ' + (8 * this.GRID_UNIT) +
+    ' h ' + (-4 * this.GRID_UNIT) +
+    ' a ' + (4 * this.GRID_UNIT) + ' ' +
+        (4 * this.GRID_UNIT) + ' 0 0 1 0 -' + (8 * this.GRID_UNIT) +
+    ' z';
+};
+
+/**
+ * Multiply every number in an SVG path.
+ * @param {string} path The path.
+ * @param {number} scale The factor to multiply by.
+ * @return {string} The scaled path.
+ * @private
+ */
+Blockly.Renderer.scalePath_ = function(path, scale) {
+  return path.replace(/-?\d+(\.\d+)?/g, function(number) {
+    return String(Number(number) * scale);
+  });
+};
+
+/**
+ * Class for a renderer with smaller blocks, for instance for previews.
+ * @extends {Blockly.Renderer}
+ * @constructor
+ */
+Blockly.CompactRenderer = function() {
+  Blockly.CompactRenderer.superClass_.constructor.call(this, 3);
+};
+goog.inherits(Blockly.CompactRenderer, Blockly.Renderer);
+
+/**
+ * Class for a renderer with larger blocks and fields, which are easier to
+ * pick up and drop on touch screens.
+ * @extends {Blockly.Renderer}
+ * @constructor
+ */
+Blockly.TouchRenderer = function() {
+  Blockly.TouchRenderer.superClass_.constructor.call(this, 5);
+};
+goog.inherits(Blockly.TouchRenderer, Blockly.Renderer);
+
+Blockly.Renderer.register(Blockly.Renderer.DEFAULT, Blockly.Renderer);
+Blockly.Renderer.register('compact', Blockly.CompactRenderer);
+Blockly.Renderer.register('touch', Blockly.TouchRenderer);
@@ -0,0 +1,247 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview The colours of a workspace, and a registry of themes so that
+ * each workspace can be coloured differently and switched at runtime.
+ */
+'use strict';
+
+goog.provide('Blockly.Theme');
+
+goog.require('Blockly.Colours');
+goog.require('Blockly.utils');
+
+
+/**
+ * Class for a set of colours that a workspace is drawn with.  Every workspace
+ * has a theme, chosen with the 'theme' injection option or with
+ * workspace.setTheme().
+ * @param {string} name The name of the theme.  It is used in a CSS class name,
+ *     so it should only contain letters, digits, '-' and '_'.
+ * @param {!Object.<string, string>} colours Colours to use instead of the
+ *     ones in Blockly.Colours, e.g. {'workspace': '#1E1E1E'}.
+ * @param {Object.<string, string>=} opt_categoryColours Block and toolbox
+ *     category colours to use instead of the usual ones.  Keys are either the
+ *     name of a hue message, e.g. 'LOGIC_HUE', or a colour that blocks are
+ *     given, e.g. '#5C81A6'.  Values are HSV hues or #RRGGBB strings.
+ * @constructor
+ */
+Blockly.Theme = function(name, colours, opt_categoryColours) {
+  /**
+   * The name of the theme.
+   * @type {string}
+   */
+  this.name = name;
+
+  /**
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.colours_ = colours;
+
+  /**
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.categoryColours_ = opt_categoryColours || {};
+
+  /**
+   * The style element holding this theme's CSS, once it has been injected.
+   * @type {Element}
+   * @private
+   */
+  this.styleNode_ = null;
+};
+
+/**
+ * Name of the theme used by workspaces that do not choose one.
+ * @type {string}
+ * @const
+ */
+Blockly.Theme.DEFAULT = 'default';
+
+/**
+ * Themes, by name.
+ * @type {!Object.<string, !Blockly.Theme>}
+ * @private
+ */
+Blockly.Theme.registry_ = Object.create(null);
+
+/**
+ * Register a theme so that workspaces can choose it by name.  Registering a
+ * name again replaces the theme for workspaces that choose it afterwards.
+ * @param {!Blockly.Theme} theme The theme to register under its name.
+ */
+Blockly.Theme.register = function(theme) {
+  Blockly.Theme.registry_[theme.name] = theme;
+};
+
+/**
+ * Get a registered theme.
+ * @param {string} name The name of the theme.
+ * @return {!Blockly.Theme} The theme.
+ * @throws {Error} If no theme is registered with that name.
+ */
+Blockly.Theme.get = function(name) {
+  var theme = Blockly.Theme.registry_[name];
+  if (!theme) {
+    throw Error('Unknown theme: "' + name + '"');
+  }
+  return theme;
+};
+
+/**
+ * CSS rules that a theme colours.  Each rule is scoped to the injection div of
+ * the workspaces using the theme, so that workspaces on the same page can use
+ * different themes.  '$theme' is replaced with the theme's CSS class, '$name'
+ * with its name, and '$colour_' placeholders with the theme's colours.
+ * @type {!Array.<string>}
+ */
+Blockly.Theme.CSS = [
+  '$theme .blocklySvg {background-color: $colour_workspace;}',
+  '$theme .blocklyFlyoutBackground {fill: $colour_flyout;}',
+  '$theme .blocklyScrollbarHandle {fill: $colour_scrollbar;}',
+  '$theme .blocklyScrollbarBackground:hover+.blocklyScrollbarHandle,',
+  '$theme .blocklyScrollbarHandle:hover {fill: $colour_scrollbarHover;}',
+  '$theme .blocklyToolboxDiv {',
+  '  background-color: $colour_toolbox;',
+  '  color: $colour_toolboxText;',
+  '}',
+  '$theme .blocklyMinimapBackground {',
+  '  fill: $colour_toolbox;',
+  '  stroke: $colour_scrollbar;',
+  '}',
+  // The drop-down div is not inside the injection div.  See
+  // Blockly.DropDownDiv.setTheme.
+  '.blocklyDropDownDiv[data-theme="$name"] .blocklyFieldSliderLabel {',
+  '  color: $colour_toolboxText;',
+  '}'
+];
+
+/**
+ * Get one of the theme's colours.
+ * @param {string} name The name of the colour, e.g. 'workspace'.  See
+ *     Blockly.Colours for the names.
+ * @return {string|number} The colour, or the one in Blockly.Colours if the
+ *     theme does not change it.
+ */
+Blockly.Theme.prototype.getColour = function(name) {
+  return name in this.colours_ ? this.colours_[name] : Blockly.Colours[name];
+};
+
+/**
+ * Get the colour that the theme uses for blocks or toolbox categories that
+ * are given a colour.
+ * @param {number|string} colour HSV hue value, or #RRGGBB string.
+ * @return {number|string} The theme's colour, or the colour that was passed
+ *     in if the theme does not change it.
+ */
+Blockly.Theme.prototype.getCategoryColour = function(colour) {
+  var themed = Blockly.utils.getCategoryEntry(this.categoryColours_, colour);
+  return themed === undefined ? colour : themed;
+};
+
+/**
+ * Get the CSS class that is added to the injection div of workspaces that use
+ * this theme.
+ * @return {string} The class name.
+ */
+Blockly.Theme.prototype.getClassName = function() {
+  return 'blocklyTheme-' + this.name;
+};
+
+/**
+ * Add this theme's CSS to the page, if it has not been added already.  A
+ * theme that changes none of the colours adds nothing, so that it does not
+ * hide the page's own CSS.
+ */
+Blockly.Theme.prototype.injectCss = function() {
+  if (this.styleNode_ || !Object.keys(this.colours_).length) {
+    return;
+  }
+  var text = Blockly.Theme.CSS.join('\n')
+      .replace(/\$theme/g, '.' + this.getClassName())
+      .replace(/\$name/g, this.name);
+  var theme = this;
+  text = text.replace(/\$colour_(\w+)/g, function(match, name) {
+    return theme.getColour(name);
+  });
+  this.styleNode_ = document.createElement('style');
+  this.styleNode_.appendChild(document.createTextNode(text));
+  document.head.appendChild(this.styleNode_);
+};
+
+Blockly.Theme.register(new Blockly.Theme(Blockly.Theme.DEFAULT, {}));
+
+Blockly.Theme.register(new Blockly.Theme('dark', {
+  'workspace': '#1E1E1E',
+  'flyout': '#333333',
+  'toolbox': '#252526',
+  'toolboxText': '#E0E0E0',
+  'scrollbar': '#4E4E4E',
+  'scrollbarHover': '#686868',
+  'dropDownBackground': '#2D2D2D',
+  'dropDownBorder': '#555555'
+}, {
+  'LOGIC_HUE': '#466380',
+  'LOOPS_HUE': '#468046',
+  'MATH_HUE': '#465080',
+  'TEXTS_HUE': '#46806C',
+  'LISTS_HUE': '#594680',
+  'COLOUR_HUE': '#805946',
+  'VARIABLES_HUE': '#804663',
+  'VARIABLES_DYNAMIC_HUE': '#804676',
+  'PROCEDURES_HUE': '#764680',
+  'REPORTERS_HUE': '#764680'
+}));
+
+// Every category colour has a contrast ratio of at least 7:1 (WCAG AAA) with
+// the white text on blocks and with the white workspace.
+Blockly.Theme.register(new Blockly.Theme('highContrast', {
+  'workspace': '#FFFFFF',
+  'flyout': '#FFFFFF',
+  'toolbox': '#FFFFFF',
+  'toolboxText': '#000000',
+  'scrollbar': '#000000',
+  'scrollbarHover': '#000000',
+  'dropDownBackground': '#FFFFFF',
+  'dropDownBorder': '#000000'
+}, {
+  'LOGIC_HUE': '#003366',
+  'LOOPS_HUE': '#006600',
+  'MATH_HUE': '#001166',
+  'TEXTS_HUE': '#006644',
+  'LISTS_HUE': '#220066',
+  'COLOUR_HUE': '#662200',
+  'VARIABLES_HUE': '#660033',
+  'VARIABLES_DYNAMIC_HUE': '#660055',
+  'PROCEDURES_HUE': '#550066',
+  'REPORTERS_HUE': '#550066'
+}));
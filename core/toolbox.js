@@ -29,6 +29,7 @@
 
 goog.provide('Blockly.Toolbox');
 
+goog.require('Blockly.Events.ToolboxCategorySelect');
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.Flyout');
 goog.require('Blockly.HorizontalFlyout');
@@ -147,6 +148,14 @@ Blockly.Toolbox.prototype.selectedOption_ = null;
  */
 Blockly.Toolbox.prototype.lastCategory_ = null;
 
+/**
+ * pxt-blockly: Width and height of the swatches that show the patterns of
+ * categories, in pixels.
+ * @type {number}
+ * @const
+ */
+Blockly.Toolbox.PATTERN_SWATCH_SIZE = 16;
+
 /**
  * Initializes the toolbox.
  */
@@ -339,15 +348,12 @@ Blockly.Toolbox.prototype.syncTrees_ = function(treeIn, treeOut, pathToMedia) {
         // (eg. `%{BKY_MATH_HUE}`).
         var colour = Blockly.utils.replaceMessageReferences(
             childIn.getAttribute('colour'));
+        // pxt-blockly: keep the colour so that the category can be coloured
+        // again when the workspace's theme changes.
+        childOut.sourceColour = colour;
+        childOut.hexColour = this.getHexColour_(colour);
         if (goog.isString(colour)) {
-          if (/^#[0-9a-fA-F]{6}$/.test(colour)) {
-            childOut.hexColour = colour;
-          } else {
-            childOut.hexColour = Blockly.hueToRgb(Number(colour));
-          }
           this.hasColours_ = true;
-        } else {
-          childOut.hexColour = '';
         }
         // pxtblockly: support custom icons in toolbox
         var iconClass = childIn.getAttribute('iconclass');
@@ -407,6 +413,100 @@ Blockly.Toolbox.prototype.syncTrees_ = function(treeIn, treeOut, pathToMedia) {
   return openNode;
 };
 
+/**
+ * pxt-blockly: Convert a category's colour to the colour that the workspace's
+ * theme shows it with.
+ * @param {?string} colour HSV hue value or #RRGGBB string, or null if the
+ *     category has no colour.
+ * @return {string} #RRGGBB string, or '' if the category has no colour.
+ * @private
+ */
+Blockly.Toolbox.prototype.getHexColour_ = function(colour) {
+  if (!goog.isString(colour)) {
+    return '';
+  }
+  colour = String(this.workspace_.getTheme().getCategoryColour(colour));
+  if (/^#[0-9a-fA-F]{6}$/.test(colour)) {
+    return colour;
+  }
+  return Blockly.hueToRgb(Number(colour));
+};
+
+/**
+ * pxt-blockly: Colour the categories and the flyout again after the theme of
+ * the workspace has changed.
+ */
+Blockly.Toolbox.prototype.refreshTheme = function() {
+  var toolbox = this;
+  var recolour = function(tree) {
+    var children = tree.getChildren(false);
+    for (var i = 0, child; child = children[i]; i++) {
+      if (child.sourceColour !== undefined) {
+        child.hexColour = toolbox.getHexColour_(child.sourceColour);
+      }
+      recolour(child);
+    }
+  };
+  recolour(this.tree_);
+  this.addColour_();
+  var selected = this.tree_.getSelectedItem();
+  if (selected && selected.getRowElement()) {
+    selected.getRowElement().style.backgroundColor =
+        selected.hexColour || '#57e';
+  }
+  this.flyout_.getWorkspace().refreshTheme();
+};
+
+/**
+ * pxt-blockly: Show the category patterns again after they have been shown,
+ * hidden or changed.
+ */
+Blockly.Toolbox.prototype.refreshCategoryPatterns = function() {
+  this.addColour_();
+  this.flyout_.getWorkspace().refreshCategoryPatterns();
+};
+
+/**
+ * pxt-blockly: Show the pattern of a category in a swatch at the start of its
+ * row, or remove the swatch if the category has no pattern to show.
+ * @param {!Blockly.Toolbox.TreeNode} node The category's tree node.
+ * @param {!Element} element The category's row element.
+ * @private
+ */
+Blockly.Toolbox.prototype.addCategoryPattern_ = function(node, element) {
+  var patterns = this.workspace_.getCategoryPatterns();
+  var fill = patterns && node.sourceColour !== undefined ?
+      patterns.getFill(node.sourceColour) : null;
+  if (!fill) {
+    if (node.patternSwatch_) {
+      goog.dom.removeNode(node.patternSwatch_);
+      node.patternSwatch_ = null;
+    }
+    return;
+  }
+  if (!node.patternSwatch_) {
+    /*
+      <svg class="blocklyTreePattern" width="16" height="16">
+        <rect width="16" height="16" fill="#5C81A6" />
+        <rect width="16" height="16" fill="url(#blocklyCategoryPattern-...)" />
+      </svg>
+    */
+    var size = Blockly.Toolbox.PATTERN_SWATCH_SIZE;
+    node.patternSwatch_ = Blockly.utils.createSvgElement('svg',
+        {'class': 'blocklyTreePattern', 'width': size, 'height': size}, null);
+    Blockly.utils.createSvgElement('rect',
+        {'width': size, 'height': size}, node.patternSwatch_);
+    Blockly.utils.createSvgElement('rect',
+        {'width': size, 'height': size}, node.patternSwatch_);
+  }
+  if (node.patternSwatch_.parentNode != element) {
+    element.insertBefore(node.patternSwatch_, element.firstChild);
+  }
+  var rects = node.patternSwatch_.childNodes;
+  rects[0].setAttribute('fill', node.hexColour || '#ddd');
+  rects[1].setAttribute('fill', fill);
+};
+
 Blockly.Toolbox.prototype.isInverted_ = function() {
   return this.workspace_.options.toolboxOptions && this.workspace_.options.toolboxOptions.inverted;
 };
@@ -471,6 +571,7 @@ Blockly.Toolbox.prototype.addColour_ = function(opt_tree) {
       if (child.disabled) {
         element.style.opacity = toolboxOptions.disabledOpacity;
       }
+      this.addCategoryPattern_(child, element);
     }
     this.addColour_(child);
   }
@@ -665,6 +766,9 @@ Blockly.Toolbox.TreeControl.prototype.setSelectedItem = function(node) {
         oldNode && oldNode.getHtml(), node && node.getHtml());
     event.workspaceId = toolbox.workspace_.id;
     Blockly.Events.fire(event);
+    Blockly.Events.fire(new Blockly.Events.ToolboxCategorySelect(
+        toolbox.workspace_, oldNode && oldNode.getText(),
+        node && node.getText()));
   }
   if (node) {
     toolbox.lastCategory_ = node;
@@ -687,6 +791,14 @@ Blockly.Toolbox.TreeNode = function(toolbox, html, opt_config, opt_domHelper) {
 };
 goog.inherits(Blockly.Toolbox.TreeNode, goog.ui.tree.TreeNode);
 
+/**
+ * pxt-blockly: Swatch showing the pattern of this category, or null if it has
+ * none.
+ * @type {SVGElement}
+ * @private
+ */
+Blockly.Toolbox.TreeNode.prototype.patternSwatch_ = null;
+
 /**
  * Suppress population of the +/- icon.
  * @return {!goog.html.SafeHtml} The source for the icon.
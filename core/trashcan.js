@@ -26,6 +26,8 @@
 
 goog.provide('Blockly.Trashcan');
 
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
 goog.require('goog.Timer');
 goog.require('goog.dom');
 goog.require('goog.math');
@@ -39,6 +41,47 @@ goog.require('goog.math.Rect');
  */
 Blockly.Trashcan = function(workspace) {
   this.workspace_ = workspace;
+
+  /**
+   * Deleted top-level stacks, most recent first.  Each entry holds the ID of
+   * the deleted root block and the XML text needed to recreate the stack.
+   * @type {!Array.<!{id: string, xml: string}>}
+   * @private
+   */
+  this.contents_ = [];
+
+  /**
+   * The trashcan flyout.  Null if the trashcan does not keep any contents.
+   * @type {Blockly.Flyout}
+   * @private
+   */
+  this.flyout_ = null;
+
+  if (workspace.options.maxTrashcanContents <= 0) {
+    return;
+  }
+  // Show the flyout on the opposite side of the workspace from the toolbox.
+  var flyoutWorkspaceOptions = {
+    disabledPatternId: workspace.options.disabledPatternId,
+    parentWorkspace: workspace,
+    RTL: workspace.RTL,
+    oneBasedIndex: workspace.options.oneBasedIndex,
+    horizontalLayout: workspace.horizontalLayout,
+    // pxt-blockly: pass the newFunctions option
+    newFunctions: workspace.options.newFunctions
+  };
+  if (workspace.horizontalLayout) {
+    flyoutWorkspaceOptions.toolboxPosition =
+        workspace.options.toolboxPosition == Blockly.TOOLBOX_AT_TOP ?
+        Blockly.TOOLBOX_AT_BOTTOM : Blockly.TOOLBOX_AT_TOP;
+    this.flyout_ = new Blockly.HorizontalFlyout(flyoutWorkspaceOptions);
+  } else {
+    flyoutWorkspaceOptions.toolboxPosition =
+        workspace.options.toolboxPosition == Blockly.TOOLBOX_AT_RIGHT ?
+        Blockly.TOOLBOX_AT_LEFT : Blockly.TOOLBOX_AT_RIGHT;
+    this.flyout_ = new Blockly.VerticalFlyout(flyoutWorkspaceOptions);
+  }
+  this.changeWrapper_ = workspace.addChangeListener(this.onChange_.bind(this));
 };
 
 /**
@@ -223,6 +266,20 @@ Blockly.Trashcan.prototype.init = function(bottom) {
   return this.bottom_ + this.BODY_HEIGHT_ + this.LID_HEIGHT_;
 };
 
+/**
+ * Create the flyout that shows the contents of the trash, as an <svg> that is
+ * a sibling of the workspace's <svg>.  Called once the workspace is in its
+ * <svg>, like the flyout of the toolbox.
+ * @param {!Element} svg The <svg> element of the workspace.
+ * @package
+ */
+Blockly.Trashcan.prototype.createFlyout = function(svg) {
+  if (this.flyout_) {
+    Blockly.utils.insertAfter(this.flyout_.createDom('svg'), svg);
+    this.flyout_.init(this.workspace_);
+  }
+};
+
 /**
  * Dispose of this trash can.
  * Unlink from all DOM elements to prevent memory leaks.
@@ -232,6 +289,12 @@ Blockly.Trashcan.prototype.dispose = function() {
     goog.dom.removeNode(this.svgGroup_);
     this.svgGroup_ = null;
   }
+  if (this.flyout_) {
+    this.workspace_.removeChangeListener(this.changeWrapper_);
+    this.flyout_.dispose();
+    this.flyout_ = null;
+  }
+  this.contents_.length = 0;
   this.svgLid_ = null;
   this.workspace_ = null;
   goog.Timer.clear(this.lidTask_);
@@ -340,5 +403,132 @@ Blockly.Trashcan.prototype.click = function() {
   if (Math.sqrt(dx * dx + dy * dy) > Blockly.DRAG_RADIUS) {
     return;
   }
-  console.log('TODO: Inspect trash.');
+  if (!this.flyout_ || !this.contents_.length) {
+    return;
+  }
+  this.flyout_.show(this.getContentsXml_());
+};
+
+/**
+ * Hide the flyout showing the contents of the trash, if it is open.
+ */
+Blockly.Trashcan.prototype.closeFlyout = function() {
+  if (this.flyout_) {
+    this.flyout_.hide();
+  }
+};
+
+/**
+ * Get the XML text of the deleted stacks held by the trash, most recently
+ * deleted first.
+ * @return {!Array.<string>} List of XML strings, one per deleted stack.
+ */
+Blockly.Trashcan.prototype.getContents = function() {
+  var xmlList = [];
+  for (var i = 0; i < this.contents_.length; i++) {
+    xmlList.push(this.contents_[i].xml);
+  }
+  return xmlList;
+};
+
+/**
+ * Empty the trash.  Blocks that are in the trash can no longer be restored.
+ */
+Blockly.Trashcan.prototype.emptyContents = function() {
+  this.contents_.length = 0;
+  this.closeFlyout();
+};
+
+/**
+ * Convert the contents of the trash into a list of block elements to show
+ * in the flyout.
+ * @return {!Array.<!Element>} List of block elements.
+ * @private
+ */
+Blockly.Trashcan.prototype.getContentsXml_ = function() {
+  var xmlList = [];
+  for (var i = 0; i < this.contents_.length; i++) {
+    xmlList.push(Blockly.Xml.textToDom(this.contents_[i].xml).firstChild);
+  }
+  return xmlList;
+};
+
+/**
+ * Handle a change on the workspace.  Deleted stacks are added to the trash,
+ * and stacks that are recreated (e.g. by undoing their deletion) are taken
+ * back out of it.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.Trashcan.prototype.onChange_ = function(event) {
+  if (event.type == Blockly.Events.BLOCK_DELETE) {
+    if (event.oldXml.tagName.toLowerCase() == 'shadow') {
+      return;
+    }
+    this.removeContents_(event.blockId);
+    this.contents_.unshift({
+      id: event.blockId,
+      xml: Blockly.Trashcan.cleanBlockXml_(event.oldXml)
+    });
+    var max = this.workspace_.options.maxTrashcanContents;
+    if (this.contents_.length > max) {
+      this.contents_.length = max;
+    }
+  } else if (event.type == Blockly.Events.BLOCK_CREATE) {
+    this.removeContents_(event.blockId);
+  } else {
+    return;
+  }
+  if (this.flyout_.isVisible()) {
+    if (this.contents_.length) {
+      this.flyout_.show(this.getContentsXml_());
+    } else {
+      this.flyout_.hide();
+    }
+  }
+};
+
+/**
+ * Remove the stack with the given root block ID from the trash, if present.
+ * @param {string} id ID of the root block of the stack.
+ * @private
+ */
+Blockly.Trashcan.prototype.removeContents_ = function(id) {
+  for (var i = 0; i < this.contents_.length; i++) {
+    if (this.contents_[i].id == id) {
+      this.contents_.splice(i, 1);
+      return;
+    }
+  }
+};
+
+/**
+ * Strip coordinates from a deleted block's XML so that restored blocks are
+ * placed where they are dropped.  IDs are kept: a block dragged out of the
+ * flyout is created with the ID of the deleted block, which takes its stack
+ * back out of the trash.
+ * @param {!Element} xml XML block element.
+ * @return {string} Text of an XML document containing the cleaned block.
+ * @private
+ */
+Blockly.Trashcan.cleanBlockXml_ = function(xml) {
+  var xmlBlock = xml.cloneNode(true);
+  var nodes = [xmlBlock];
+  var node;
+  while ((node = nodes.pop())) {
+    if (node.nodeType != 1) {
+      continue;
+    }
+    var tagName = node.tagName.toLowerCase();
+    if (tagName == 'block' || tagName == 'shadow') {
+      node.removeAttribute('x');
+      node.removeAttribute('y');
+    }
+    for (var i = 0; i < node.childNodes.length; i++) {
+      nodes.push(node.childNodes[i]);
+    }
+  }
+  var xmlWrapper = goog.dom.createDom('xml');
+  xmlWrapper.appendChild(xmlBlock);
+  return Blockly.Xml.domToText(xmlWrapper);
 };
@@ -0,0 +1,578 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Browsing and jumping through the undo history of a workspace.
+ */
+'use strict';
+
+goog.provide('Blockly.UndoHistory');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Xml');
+
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Class for the undo history of a workspace.  The history is a list of
+ * entries, each of which is undone or redone as one, like the events of a
+ * group are by Blockly.Workspace.prototype.undo.  Use
+ * Blockly.Workspace.prototype.getUndoHistory to get one.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @constructor
+ */
+Blockly.UndoHistory = function(workspace) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Named points in the history.  Each is marked by the last event done
+   * before it, or null for the start of the history.
+   * @type {!Array.<{name: string, marker: Blockly.Events.Abstract}>}
+   * @private
+   */
+  this.checkpoints_ = [];
+
+  /**
+   * Functions to call when the checkpoints change.
+   * @type {!Array.<!Function>}
+   * @private
+   */
+  this.listeners_ = [];
+};
+
+/**
+ * An entry of the history.
+ * @typedef {{description: string,
+ *            events: !Array.<!Blockly.Events.Abstract>}}
+ */
+Blockly.UndoHistory.Entry;
+
+/**
+ * A named point in the history.  Its position is the number of entries done
+ * at that point.
+ * @typedef {{name: string, position: number}}
+ */
+Blockly.UndoHistory.Checkpoint;
+
+/**
+ * Event types in the order they are preferred for describing an entry.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.UndoHistory.DESCRIPTION_ORDER_ = [
+  Blockly.Events.CREATE,
+  Blockly.Events.DELETE,
+  Blockly.Events.VAR_CREATE,
+  Blockly.Events.VAR_DELETE,
+  Blockly.Events.VAR_RENAME,
+  Blockly.Events.COMMENT_CREATE,
+  Blockly.Events.COMMENT_DELETE,
+  Blockly.Events.CHANGE,
+  Blockly.Events.COMMENT_CHANGE,
+  Blockly.Events.MOVE,
+  Blockly.Events.COMMENT_MOVE
+];
+
+/**
+ * Describe the events of an entry for people.  Replace this function to
+ * describe entries differently.
+ * @param {!Array.<!Blockly.Events.Abstract>} events The events of the entry.
+ * @return {string} The description.
+ */
+Blockly.UndoHistory.describe = function(events) {
+  var order = Blockly.UndoHistory.DESCRIPTION_ORDER_;
+  var event = null;
+  for (var i = 0, e; e = events[i]; i++) {
+    var rank = order.indexOf(e.type);
+    if (rank != -1 && (!event || rank < order.indexOf(event.type))) {
+      event = e;
+    }
+  }
+  if (!event) {
+    return Blockly.Msg.UNDO_HISTORY_OTHER;
+  }
+  // Count all the blocks added or deleted by the entry.
+  var count = 0;
+  for (var i = 0, e; e = events[i]; i++) {
+    if (e.type == event.type && e.ids) {
+      count += e.ids.length;
+    }
+  }
+  switch (event.type) {
+    case Blockly.Events.CREATE:
+      return count > 1 ?
+          Blockly.Msg.UNDO_HISTORY_ADD_X_BLOCKS.replace('%1', String(count)) :
+          Blockly.Msg.UNDO_HISTORY_ADD_BLOCK;
+    case Blockly.Events.DELETE:
+      return count > 1 ?
+          Blockly.Msg.UNDO_HISTORY_DELETE_X_BLOCKS.replace('%1',
+              String(count)) :
+          Blockly.Msg.UNDO_HISTORY_DELETE_BLOCK;
+    case Blockly.Events.VAR_CREATE:
+      return Blockly.Msg.UNDO_HISTORY_CREATE_VARIABLE.replace('%1',
+          event.varName);
+    case Blockly.Events.VAR_DELETE:
+      return Blockly.Msg.UNDO_HISTORY_DELETE_VARIABLE.replace('%1',
+          event.varName);
+    case Blockly.Events.VAR_RENAME:
+      return Blockly.Msg.UNDO_HISTORY_RENAME_VARIABLE.replace('%1',
+          event.newName);
+    case Blockly.Events.COMMENT_CREATE:
+      return Blockly.Msg.UNDO_HISTORY_ADD_COMMENT;
+    case Blockly.Events.COMMENT_DELETE:
+      return Blockly.Msg.UNDO_HISTORY_DELETE_COMMENT;
+    case Blockly.Events.CHANGE:
+      return Blockly.Msg.UNDO_HISTORY_CHANGE_BLOCK;
+    case Blockly.Events.COMMENT_CHANGE:
+      return Blockly.Msg.UNDO_HISTORY_EDIT_COMMENT;
+    case Blockly.Events.MOVE:
+      return Blockly.Msg.UNDO_HISTORY_MOVE_BLOCK;
+    case Blockly.Events.COMMENT_MOVE:
+      return Blockly.Msg.UNDO_HISTORY_MOVE_COMMENT;
+  }
+  return Blockly.Msg.UNDO_HISTORY_OTHER;
+};
+
+/**
+ * Split a stack of events into the entries that are undone as one.
+ * @param {!Array.<!Blockly.Events.Abstract>} stack The events, in the order
+ *     in which they happened.
+ * @return {!Array.<!Array.<!Blockly.Events.Abstract>>} The events of each
+ *     entry.
+ * @private
+ */
+Blockly.UndoHistory.split_ = function(stack) {
+  var entries = [];
+  for (var i = 0, event; event = stack[i]; i++) {
+    var last = entries[entries.length - 1];
+    if (last && event.group && event.group == last[last.length - 1].group) {
+      last.push(event);
+    } else {
+      entries.push([event]);
+    }
+  }
+  return entries;
+};
+
+/**
+ * Get the events of every entry, oldest first.
+ * @return {!Array.<!Array.<!Blockly.Events.Abstract>>} The events of each
+ *     entry, in the order in which they happened.
+ * @private
+ */
+Blockly.UndoHistory.prototype.split_ = function() {
+  // The top of the redo stack is the next entry to redo.
+  return Blockly.UndoHistory.split_(this.workspace_.undoStack_).concat(
+      Blockly.UndoHistory.split_(this.workspace_.redoStack_.slice().reverse()));
+};
+
+/**
+ * Get the entries of the history, oldest first.  Entries from getPosition()
+ * onwards have been undone, and can be redone.
+ * @return {!Array.<!Blockly.UndoHistory.Entry>} The entries.
+ */
+Blockly.UndoHistory.prototype.getEntries = function() {
+  return this.split_().map(function(events) {
+    return {description: Blockly.UndoHistory.describe(events), events: events};
+  });
+};
+
+/**
+ * @return {number} The number of entries that are done.
+ */
+Blockly.UndoHistory.prototype.getPosition = function() {
+  return Blockly.UndoHistory.split_(this.workspace_.undoStack_).length;
+};
+
+/**
+ * Undo or redo entries until the given number of entries are done.
+ * @param {number} position The number of entries that should be done.
+ */
+Blockly.UndoHistory.prototype.goTo = function(position) {
+  // Changes still waiting to be fired are not in the history yet.
+  Blockly.Events.flush();
+  var current = this.getPosition();
+  var end = this.split_().length;
+  position = Math.max(0, Math.min(position, end));
+  for (; current > position; current--) {
+    this.workspace_.undo(false);
+  }
+  for (; current < position; current++) {
+    this.workspace_.undo(true);
+  }
+};
+
+/**
+ * Name the current point in the history, replacing any checkpoint with the
+ * same name.
+ * @param {string} name Name of the checkpoint, such as
+ *     "before tutorial step 3".
+ */
+Blockly.UndoHistory.prototype.addCheckpoint = function(name) {
+  this.removeCheckpoint_(name);
+  Blockly.Events.flush();
+  var stack = this.workspace_.undoStack_;
+  this.checkpoints_.push({name: name, marker: stack[stack.length - 1] || null});
+  this.fireChangeListeners_();
+};
+
+/**
+ * Forget a checkpoint.
+ * @param {string} name Name of the checkpoint.
+ */
+Blockly.UndoHistory.prototype.removeCheckpoint = function(name) {
+  if (this.removeCheckpoint_(name)) {
+    this.fireChangeListeners_();
+  }
+};
+
+/**
+ * Forget a checkpoint without telling the listeners.
+ * @param {string} name Name of the checkpoint.
+ * @return {boolean} True if there was such a checkpoint.
+ * @private
+ */
+Blockly.UndoHistory.prototype.removeCheckpoint_ = function(name) {
+  for (var i = 0; i < this.checkpoints_.length; i++) {
+    if (this.checkpoints_[i].name == name) {
+      this.checkpoints_.splice(i, 1);
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Get the checkpoints that can still be reached, in the order of the history.
+ * Checkpoints are lost when the entries after them are undone and replaced by
+ * new changes, or trimmed from the history to keep it within MAX_UNDO events.
+ * The start of the history always remains reachable.
+ * @return {!Array.<!Blockly.UndoHistory.Checkpoint>} The checkpoints.
+ */
+Blockly.UndoHistory.prototype.getCheckpoints = function() {
+  var entries = this.split_();
+  var checkpoints = [];
+  // Lost checkpoints can never be reached again, so forget them.
+  this.checkpoints_ = this.checkpoints_.filter(function(checkpoint) {
+    var position = checkpoint.marker ? -1 : 0;
+    for (var j = 0; j < entries.length && position == -1; j++) {
+      if (entries[j].indexOf(checkpoint.marker) != -1) {
+        position = j + 1;
+      }
+    }
+    if (position != -1) {
+      checkpoints.push({name: checkpoint.name, position: position});
+    }
+    return position != -1;
+  });
+  return checkpoints.sort(function(a, b) {
+    return a.position - b.position;
+  });
+};
+
+/**
+ * Undo or redo entries until the workspace is back at a checkpoint.
+ * @param {string} name Name of the checkpoint.
+ * @return {boolean} True if the checkpoint could be reached.
+ */
+Blockly.UndoHistory.prototype.goToCheckpoint = function(name) {
+  var checkpoints = this.getCheckpoints();
+  for (var i = 0, checkpoint; checkpoint = checkpoints[i]; i++) {
+    if (checkpoint.name == name) {
+      this.goTo(checkpoint.position);
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Encode the history as JSON, so that it can be saved together with the
+ * workspace and restored with fromJson after the workspace is loaded again.
+ * The IDs of the workspace's blocks and variables are saved with it, to tell
+ * whether the history still belongs to the workspace it is restored into.
+ * @return {!Object} JSON representation.
+ */
+Blockly.UndoHistory.prototype.toJson = function() {
+  Blockly.Events.flush();
+  var workspace = this.workspace_;
+  return {
+    'blocks': Blockly.UndoHistory.getBlockIds_(workspace),
+    'variables': Blockly.UndoHistory.getVariableIds_(workspace),
+    'undo': workspace.undoStack_.map(Blockly.UndoHistory.eventToJson_),
+    'redo': workspace.redoStack_.map(Blockly.UndoHistory.eventToJson_),
+    'checkpoints': this.getCheckpoints().map(function(checkpoint) {
+      return {'name': checkpoint.name, 'position': checkpoint.position};
+    })
+  };
+};
+
+/**
+ * Restore a history saved by toJson.  Call this after Blockly.Xml.domToWorkspace
+ * has loaded the workspace that was saved with the history.  The undo and redo
+ * stacks are cleared first, since loading the workspace is not a change to
+ * undo.  If the workspace does not have exactly the blocks and variables it
+ * had when the history was saved, the history is discarded.
+ * @param {Object} json JSON representation, or null if none was saved.
+ * @return {boolean} True if the history was restored.
+ */
+Blockly.UndoHistory.prototype.fromJson = function(json) {
+  // The events fired while loading the workspace are not part of the history.
+  Blockly.Events.flush();
+  var workspace = this.workspace_;
+  workspace.clearUndo();
+  this.checkpoints_ = [];
+  var restored = false;
+  if (json &&
+      Blockly.UndoHistory.sameIds_(json['blocks'],
+          Blockly.UndoHistory.getBlockIds_(workspace)) &&
+      Blockly.UndoHistory.sameIds_(json['variables'],
+          Blockly.UndoHistory.getVariableIds_(workspace))) {
+    var undoStack = null;
+    var redoStack = null;
+    try {
+      undoStack = json['undo'].map(function(eventJson) {
+        return Blockly.UndoHistory.eventFromJson_(eventJson, workspace);
+      });
+      redoStack = json['redo'].map(function(eventJson) {
+        return Blockly.UndoHistory.eventFromJson_(eventJson, workspace);
+      });
+    } catch (e) {
+      console.warn('Discarding undo history that cannot be decoded: ' + e);
+      undoStack = null;
+    }
+    if (undoStack) {
+      Array.prototype.push.apply(workspace.undoStack_, undoStack);
+      Array.prototype.push.apply(workspace.redoStack_, redoStack);
+      var entries = this.split_();
+      var checkpoints = json['checkpoints'] || [];
+      for (var i = 0, checkpoint; checkpoint = checkpoints[i]; i++) {
+        var position = checkpoint['position'];
+        if (position == 0 || entries[position - 1]) {
+          var marker = position ? entries[position - 1][0] : null;
+          this.checkpoints_.push({name: checkpoint['name'], marker: marker});
+        }
+      }
+      restored = true;
+    }
+  } else if (json) {
+    console.warn('Discarding undo history saved with a different workspace.');
+  }
+  this.fireChangeListeners_();
+  return restored;
+};
+
+/**
+ * Encode an event as JSON, including what is needed to undo it.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @return {!Object} JSON representation.
+ * @private
+ */
+Blockly.UndoHistory.eventToJson_ = function(event) {
+  var json = event.toJson();
+  switch (event.type) {
+    case Blockly.Events.DELETE:
+      json['oldXml'] = Blockly.Xml.domToText(event.oldXml);
+      break;
+    case Blockly.Events.CHANGE:
+      json['oldValue'] = event.oldValue;
+      break;
+    case Blockly.Events.MOVE:
+      if (event.oldParentId) {
+        json['oldParentId'] = event.oldParentId;
+      }
+      if (event.oldInputName) {
+        json['oldInputName'] = event.oldInputName;
+      }
+      if (event.oldCoordinate) {
+        json['oldCoordinate'] = Math.round(event.oldCoordinate.x) + ',' +
+            Math.round(event.oldCoordinate.y);
+      }
+      break;
+    case Blockly.Events.COMMENT_DELETE:
+      json['xml'] = Blockly.Xml.domToText(event.xml);
+      break;
+    case Blockly.Events.COMMENT_CHANGE:
+      json['oldContents'] = event.oldContents_;
+      break;
+    case Blockly.Events.COMMENT_MOVE:
+      json['oldCoordinate'] = Math.round(event.oldCoordinate_.x) + ',' +
+          Math.round(event.oldCoordinate_.y);
+      break;
+  }
+  return json;
+};
+
+/**
+ * Decode an event encoded by eventToJson_.
+ * @param {!Object} json JSON representation.
+ * @param {!Blockly.Workspace} workspace The workspace of the event.
+ * @return {!Blockly.Events.Abstract} The event, ready to be undone.
+ * @throws {string} If the event cannot be undone.
+ * @private
+ */
+Blockly.UndoHistory.eventFromJson_ = function(json, workspace) {
+  var event = Blockly.Events.fromJson(json, workspace);
+  switch (event.type) {
+    case Blockly.Events.DELETE:
+      event.oldXml = Blockly.UndoHistory.xmlFromJson_(json['oldXml']);
+      break;
+    case Blockly.Events.CHANGE:
+      event.oldValue = json['oldValue'];
+      break;
+    case Blockly.Events.MOVE:
+      event.oldParentId = json['oldParentId'];
+      event.oldInputName = json['oldInputName'];
+      if (json['oldCoordinate']) {
+        event.oldCoordinate =
+            Blockly.UndoHistory.coordinateFromJson_(json['oldCoordinate']);
+      }
+      break;
+    case Blockly.Events.COMMENT_DELETE:
+      event.xml = Blockly.UndoHistory.xmlFromJson_(json['xml']);
+      break;
+    case Blockly.Events.COMMENT_CHANGE:
+      event.oldContents_ = json['oldContents'];
+      break;
+    case Blockly.Events.COMMENT_MOVE:
+      event.oldCoordinate_ =
+          Blockly.UndoHistory.coordinateFromJson_(json['oldCoordinate']);
+      break;
+  }
+  return event;
+};
+
+/**
+ * Decode the XML of a block or comment.
+ * @param {string} text The XML text.
+ * @return {!Element} The XML element.
+ * @throws {string} If there is no XML.
+ * @private
+ */
+Blockly.UndoHistory.xmlFromJson_ = function(text) {
+  if (!text) {
+    throw 'Missing XML.';
+  }
+  return Blockly.Xml.textToDom('<xml>' + text + '</xml>').firstChild;
+};
+
+/**
+ * Decode a coordinate encoded as "x,y".
+ * @param {string} text The coordinate.
+ * @return {!goog.math.Coordinate} The coordinate.
+ * @throws {string} If there is no coordinate.
+ * @private
+ */
+Blockly.UndoHistory.coordinateFromJson_ = function(text) {
+  if (!text) {
+    throw 'Missing coordinate.';
+  }
+  var xy = text.split(',');
+  return new goog.math.Coordinate(parseFloat(xy[0]), parseFloat(xy[1]));
+};
+
+/**
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<string>} The IDs of all the blocks on the workspace.
+ * @private
+ */
+Blockly.UndoHistory.getBlockIds_ = function(workspace) {
+  return workspace.getAllBlocks().map(function(block) {
+    return block.id;
+  });
+};
+
+/**
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<string>} The IDs of all the variables on the workspace.
+ * @private
+ */
+Blockly.UndoHistory.getVariableIds_ = function(workspace) {
+  return workspace.getAllVariables().map(function(variable) {
+    return variable.getId();
+  });
+};
+
+/**
+ * Whether two lists hold the same IDs, in any order.
+ * @param {Array.<string>} saved The saved IDs, if any.
+ * @param {!Array.<string>} current The current IDs.
+ * @return {boolean} True if the lists match.
+ * @private
+ */
+Blockly.UndoHistory.sameIds_ = function(saved, current) {
+  if (!saved || saved.length != current.length) {
+    return false;
+  }
+  saved = saved.slice().sort();
+  current = current.slice().sort();
+  for (var i = 0; i < saved.length; i++) {
+    if (saved[i] != current[i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * When the checkpoints change, call a function.
+ * @param {!Function} func Function to call.
+ * @return {!Function} Function that can be passed to removeChangeListener.
+ */
+Blockly.UndoHistory.prototype.addChangeListener = function(func) {
+  this.listeners_.push(func);
+  return func;
+};
+
+/**
+ * Stop listening for changes of the checkpoints.
+ * @param {Function} func Function to stop calling.
+ */
+Blockly.UndoHistory.prototype.removeChangeListener = function(func) {
+  var index = this.listeners_.indexOf(func);
+  if (index != -1) {
+    this.listeners_.splice(index, 1);
+  }
+};
+
+/**
+ * Call the functions listening for changes of the checkpoints.
+ * @private
+ */
+Blockly.UndoHistory.prototype.fireChangeListeners_ = function() {
+  var listeners = this.listeners_.slice();
+  for (var i = 0; i < listeners.length; i++) {
+    listeners[i]();
+  }
+};
@@ -0,0 +1,199 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview A panel listing the undo history of a workspace.  Clicking an
+ * entry undoes or redoes the workspace to that point.
+ */
+'use strict';
+
+goog.provide('Blockly.UndoHistoryPanel');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.UndoHistory');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+
+
+/**
+ * Class for a panel showing the undo history of a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @constructor
+ */
+Blockly.UndoHistoryPanel = function(workspace) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {!Blockly.UndoHistory}
+   * @private
+   */
+  this.history_ = workspace.getUndoHistory();
+
+  /**
+   * Whether a render is scheduled.
+   * @type {boolean}
+   * @private
+   */
+  this.renderPending_ = false;
+};
+
+/**
+ * The panel's element.
+ * @type {Element}
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.div_ = null;
+
+/**
+ * The element holding the entries.
+ * @type {Element}
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.list_ = null;
+
+/**
+ * Opaque data that can be passed to Blockly.unbindEvent_.
+ * @type {Array.<!Array>}
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.onClickWrapper_ = null;
+
+/**
+ * Create the panel's elements.
+ * @return {!Element} The panel's element.
+ */
+Blockly.UndoHistoryPanel.prototype.createDom = function() {
+  this.div_ = goog.dom.createDom('div', 'blocklyUndoHistory');
+  if (this.workspace_.RTL) {
+    Blockly.utils.addClass(this.div_, 'blocklyUndoHistoryRtl');
+  }
+  this.div_.appendChild(goog.dom.createDom('div', 'blocklyUndoHistoryTitle',
+      Blockly.Msg.UNDO_HISTORY_TITLE));
+  this.list_ = goog.dom.createDom('div', 'blocklyUndoHistoryList');
+  this.div_.appendChild(this.list_);
+  this.onClickWrapper_ = Blockly.bindEventWithChecks_(this.list_, 'mouseup',
+      this, this.onClick_);
+  this.workspaceListener_ =
+      this.workspace_.addChangeListener(this.onChange_.bind(this));
+  this.historyListener_ =
+      this.history_.addChangeListener(this.scheduleRender_.bind(this));
+  this.render();
+  return this.div_;
+};
+
+/**
+ * Show the current history.
+ */
+Blockly.UndoHistoryPanel.prototype.render = function() {
+  this.renderPending_ = false;
+  if (!this.list_) {
+    return;
+  }
+  goog.dom.removeChildren(this.list_);
+  var position = this.history_.getPosition();
+  var descriptions = [Blockly.Msg.UNDO_HISTORY_START].concat(
+      this.history_.getEntries().map(function(entry) {
+        return entry.description;
+      }));
+  var rows = [];
+  for (var i = 0; i < descriptions.length; i++) {
+    var row = goog.dom.createDom('div', 'blocklyUndoHistoryEntry',
+        descriptions[i]);
+    row.setAttribute('data-position', i);
+    if (i == position) {
+      Blockly.utils.addClass(row, 'blocklyUndoHistoryCurrent');
+    } else if (i > position) {
+      Blockly.utils.addClass(row, 'blocklyUndoHistoryUndone');
+    }
+    rows.push(row);
+    this.list_.appendChild(row);
+  }
+  var checkpoints = this.history_.getCheckpoints();
+  for (var i = 0, checkpoint; checkpoint = checkpoints[i]; i++) {
+    rows[checkpoint.position].appendChild(goog.dom.createDom('span',
+        'blocklyUndoHistoryCheckpoint', checkpoint.name));
+  }
+};
+
+/**
+ * Render once the current batch of events has been handled.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.scheduleRender_ = function() {
+  if (!this.renderPending_) {
+    this.renderPending_ = true;
+    setTimeout(this.render.bind(this), 0);
+  }
+};
+
+/**
+ * Show changes to the history.
+ * @param {!Blockly.Events.Abstract} event The event.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.onChange_ = function(event) {
+  if (Blockly.Events.UI_TYPES.indexOf(event.type) == -1 &&
+      event.type != Blockly.Events.PRESENCE) {
+    this.scheduleRender_();
+  }
+};
+
+/**
+ * Undo or redo to the clicked entry.
+ * @param {!Event} e Mouse up event.
+ * @private
+ */
+Blockly.UndoHistoryPanel.prototype.onClick_ = function(e) {
+  var row = goog.dom.getAncestorByClass(/** @type {Node} */ (e.target),
+      'blocklyUndoHistoryEntry');
+  if (row) {
+    Blockly.hideChaff();
+    this.history_.goTo(Number(row.getAttribute('data-position')));
+  }
+};
+
+/**
+ * Remove the panel.
+ */
+Blockly.UndoHistoryPanel.prototype.dispose = function() {
+  if (this.onClickWrapper_) {
+    Blockly.unbindEvent_(this.onClickWrapper_);
+    this.onClickWrapper_ = null;
+  }
+  this.workspace_.removeChangeListener(this.workspaceListener_);
+  this.history_.removeChangeListener(this.historyListener_);
+  goog.dom.removeNode(this.div_);
+  this.div_ = null;
+  this.list_ = null;
+};
@@ -0,0 +1,142 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Placeholder block for block types that are not registered,
+ * for example blocks from an extension that has not loaded.  The placeholder
+ * keeps the original XML so that it can be saved back unchanged.
+ */
+'use strict';
+
+goog.provide('Blockly.UnknownBlock');
+
+goog.require('Blockly.Blocks');
+goog.require('Blockly.Colours');
+goog.require('Blockly.constants');
+goog.require('Blockly.Xml');
+
+
+/**
+ * Attributes of the original XML that are written from the placeholder's own
+ * state rather than kept verbatim.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.UnknownBlock.STATE_ATTRIBUTES_ = ['x', 'y', 'output'];
+
+Blockly.Blocks[Blockly.UNKNOWN_BLOCK_TYPE] = {
+  /**
+   * Block standing in for a block type that is not registered.
+   * @this Blockly.Block
+   */
+  init: function() {
+    /** @type {Element} */
+    this.originalXml_ = null;
+    this.setColour(Blockly.Colours.unknownBlock);
+    this.setTooltip(Blockly.Msg.UNKNOWN_BLOCK_TOOLTIP);
+  },
+  /**
+   * Remember the XML of the block this placeholder stands in for and take on
+   * a matching shape.  Blocks after it in a stack are not kept, since they are
+   * loaded as real blocks.
+   * @param {!Element} xmlBlock The original 'block' or 'shadow' element.
+   * @this Blockly.Block
+   */
+  setOriginalXml: function(xmlBlock) {
+    var xml = /** @type {!Element} */ (xmlBlock.cloneNode(true));
+    for (var i = 0; i < Blockly.UnknownBlock.STATE_ATTRIBUTES_.length; i++) {
+      xml.removeAttribute(Blockly.UnknownBlock.STATE_ATTRIBUTES_[i]);
+    }
+    Blockly.Xml.deleteNext(xml);
+    this.originalXml_ = xml;
+
+    var type = xml.getAttribute('type');
+    this.appendDummyInput()
+        .appendField(Blockly.Msg.UNKNOWN_BLOCK_TITLE.replace('%1', type));
+    var parent = xmlBlock.parentNode;
+    if ((parent && parent.nodeName.toLowerCase() == 'value') ||
+        xmlBlock.getAttribute('output') == 'true') {
+      this.setOutput(true);
+    } else {
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    }
+  },
+  /**
+   * Get the type of the block this placeholder stands in for.
+   * @return {?string} The original block type.
+   * @this Blockly.Block
+   */
+  getOriginalType: function() {
+    return this.originalXml_ && this.originalXml_.getAttribute('type');
+  },
+  /**
+   * Encode the original block as XML, updated with the placeholder's ID and
+   * state.  Does not include the next block.
+   * @param {boolean=} opt_noId True if the encoder should skip the block ID.
+   * @return {!Element} XML element.
+   * @this Blockly.Block
+   */
+  originalXmlToDom: function(opt_noId) {
+    var element = /** @type {!Element} */ (this.originalXml_.cloneNode(true));
+    // Existing attributes are updated in place to keep their order.
+    if (opt_noId) {
+      element.removeAttribute('id');
+    } else {
+      element.setAttribute('id', this.id);
+    }
+    Blockly.UnknownBlock.setBooleanAttribute_(element, 'disabled',
+        this.disabled);
+    Blockly.UnknownBlock.setBooleanAttribute_(element, 'collapsed',
+        this.isCollapsed());
+    if (this.outputConnection && !this.getParent()) {
+      // Without a 'value' parent the shape would be lost when reloading.
+      element.setAttribute('output', true);
+    }
+    return element;
+  }
+};
+
+/**
+ * Set or remove a boolean attribute, leaving an existing true value as it
+ * was written (e.g. disabled="disabled").
+ * @param {!Element} element The XML element.
+ * @param {string} name The attribute name.
+ * @param {boolean} value The attribute value.
+ * @private
+ */
+Blockly.UnknownBlock.setBooleanAttribute_ = function(element, name, value) {
+  var current = element.getAttribute(name);
+  var isSet = current == 'true' || current == name;
+  if (value && !isSet) {
+    element.setAttribute(name, true);
+  } else if (!value && isSet) {
+    element.removeAttribute(name);
+  }
+};
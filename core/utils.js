@@ -486,6 +486,27 @@ Blockly.utils.checkMessageReferences = function(message) {
   return validSoFar;
 };
 
+/**
+ * pxt-blockly: Find the entry for a block or toolbox category in a map keyed
+ * by category.  Keys are either the name of a hue message, e.g. 'LOGIC_HUE',
+ * or the colour that the category is given, e.g. '#5C81A6'.
+ * @param {!Object.<string, T>} categories Map from category keys to entries.
+ * @param {number|string} colour The colour of the block or category, as an
+ *     HSV hue value or #RRGGBB string.
+ * @return {T|undefined} The matching entry, or undefined if there is none.
+ * @template T
+ */
+Blockly.utils.getCategoryEntry = function(categories, colour) {
+  var wanted = String(colour).toLowerCase();
+  for (var key in categories) {
+    var value = Blockly.Msg[key] !== undefined ? Blockly.Msg[key] : key;
+    if (String(value).toLowerCase() == wanted) {
+      return categories[key];
+    }
+  }
+  return undefined;
+};
+
 /**
  * Internal implementation of the message reference and interpolation token
  * parsing used by tokenizeInterpolation() and replaceMessageReferences().
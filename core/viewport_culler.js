@@ -0,0 +1,171 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Takes the stacks of blocks that are far outside the view of a
+ * workspace out of the document, so that the browser does not paint them.
+ */
+'use strict';
+
+goog.provide('Blockly.ViewportCuller');
+
+goog.require('Blockly.Events');
+goog.require('goog.math.Rect');
+
+
+/**
+ * Class for culling the offscreen stacks of a workspace.  A culled stack's SVG
+ * is detached from the block canvas, and is attached again when the stack is
+ * scrolled into view or rendered.  Culled blocks keep their positions, sizes
+ * and connections, so the connection database and getBlocksBoundingBox are
+ * not affected.  Turned on with the 'viewportCulling' injection option.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to cull.
+ * @constructor
+ */
+Blockly.ViewportCuller = function(workspace) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * The top blocks whose stacks are detached, by ID.
+   * @type {!Object.<string, !Blockly.BlockSvg>}
+   * @private
+   */
+  this.culled_ = Object.create(null);
+
+  // Blocks that are created or moved may have left or entered the view.
+  this.unsubscribe_ = workspace.on(
+      [Blockly.Events.CREATE, Blockly.Events.MOVE], {batch: true},
+      this.update.bind(this));
+};
+
+/**
+ * Distance outside the view, in pixels, within which stacks are kept in the
+ * document, so that they are ready when a short scroll brings them into view.
+ * @type {number}
+ */
+Blockly.ViewportCuller.MARGIN = 200;
+
+/**
+ * Detach the stacks that are outside the view, and attach the ones that are
+ * inside it again.  Called whenever the workspace scrolls or zooms.
+ */
+Blockly.ViewportCuller.prototype.update = function() {
+  var workspace = this.workspace_;
+  var view = workspace.getViewportRect();
+  if (!view || !view.width || !view.height) {
+    return;  // Hidden workspace.  Nothing is known to be offscreen.
+  }
+  var margin = Blockly.ViewportCuller.MARGIN / workspace.scale;
+  view = new goog.math.Rect(view.left - margin, view.top - margin,
+      view.width + 2 * margin, view.height + 2 * margin);
+  this.forgetStale_();
+  var canvas = workspace.getCanvas();
+  var blocks = workspace.getTopBlocks(false);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var bounds = block.getBoundingRectangle();
+    var visible = bounds.topLeft.x <= view.left + view.width &&
+        bounds.bottomRight.x >= view.left &&
+        bounds.topLeft.y <= view.top + view.height &&
+        bounds.bottomRight.y >= view.top;
+    if (visible) {
+      this.attach(block);
+    } else if (!this.culled_[block.id] &&
+        block.getSvgRoot().parentNode == canvas) {
+      // Blocks that are being dragged are not on the canvas.
+      canvas.removeChild(block.getSvgRoot());
+      this.culled_[block.id] = block;
+    }
+  }
+};
+
+/**
+ * Attach a culled stack to the block canvas again.  Does nothing if the stack
+ * is not culled.
+ * @param {!Blockly.BlockSvg} block The top block of the stack.
+ */
+Blockly.ViewportCuller.prototype.attach = function(block) {
+  if (this.culled_[block.id] == block) {
+    delete this.culled_[block.id];
+    if (!block.getParent()) {
+      this.workspace_.getCanvas().appendChild(block.getSvgRoot());
+    }
+  }
+};
+
+/**
+ * Whether a stack is culled.
+ * @param {!Blockly.BlockSvg} block The top block of the stack.
+ * @return {boolean} True if the stack is detached from the canvas.
+ */
+Blockly.ViewportCuller.prototype.isCulled = function(block) {
+  return this.culled_[block.id] == block;
+};
+
+/**
+ * Get the top blocks of the culled stacks, for code that needs to see every
+ * stack's SVG rather than only the ones on the block canvas.
+ * @return {!Array.<!Blockly.BlockSvg>} The culled top blocks.
+ */
+Blockly.ViewportCuller.prototype.getCulledBlocks = function() {
+  this.forgetStale_();
+  var blocks = [];
+  for (var id in this.culled_) {
+    blocks.push(this.culled_[id]);
+  }
+  return blocks;
+};
+
+/**
+ * Attach every culled stack again and stop culling.
+ */
+Blockly.ViewportCuller.prototype.dispose = function() {
+  this.unsubscribe_();
+  this.forgetStale_();
+  for (var id in this.culled_) {
+    this.attach(this.culled_[id]);
+  }
+};
+
+/**
+ * Forget the culled stacks that have been deleted or connected to another
+ * stack.  A connected stack's SVG is moved into its new parent's.
+ * @private
+ */
+Blockly.ViewportCuller.prototype.forgetStale_ = function() {
+  for (var id in this.culled_) {
+    var block = this.culled_[id];
+    if (block.workspace != this.workspace_ || block.getParent()) {
+      delete this.culled_[id];
+    }
+  }
+};
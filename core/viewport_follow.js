@@ -0,0 +1,177 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Lets one workspace lead the view of others, for instance a
+ * teacher's projected workspace and the workspaces of their students.
+ */
+'use strict';
+
+goog.provide('Blockly.ViewportFollow');
+
+goog.require('Blockly.CollaborationTransport');
+goog.require('Blockly.Events');
+goog.require('Blockly.Events.ViewportChange');
+
+
+/**
+ * Class for sharing the view of a workspace.  A leader sends its viewport
+ * whenever it scrolls or zooms, and followers show the same part of the
+ * workspace.  Screens of different sizes show the same content rectangle, not
+ * the same pixels.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace whose view is shared.
+ * @param {!Blockly.CollaborationTransport} transport The transport to send
+ *     and receive viewports over.  It must not be used by anything else.
+ * @constructor
+ */
+Blockly.ViewportFollow = function(workspace, transport) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * @type {!Blockly.CollaborationTransport}
+   * @private
+   */
+  this.transport_ = transport;
+
+  /**
+   * One of Blockly.ViewportFollow.LEAD, Blockly.ViewportFollow.FOLLOW or null.
+   * @type {?string}
+   * @private
+   */
+  this.mode_ = null;
+
+  transport.setReceiver(this.receive_.bind(this));
+  // Scrolling fires many events; only the last one of each batch is sent.
+  this.unsubscribe_ = workspace.on(Blockly.Events.VIEWPORT_CHANGE,
+      {batch: true}, this.onViewportChange_.bind(this));
+};
+
+/**
+ * Mode of a workspace that sends its viewport.
+ * @type {string}
+ * @const
+ */
+Blockly.ViewportFollow.LEAD = 'lead';
+
+/**
+ * Mode of a workspace that shows the viewport of the leader.
+ * @type {string}
+ * @const
+ */
+Blockly.ViewportFollow.FOLLOW = 'follow';
+
+/**
+ * Start sending this workspace's viewport to the followers.
+ */
+Blockly.ViewportFollow.prototype.lead = function() {
+  this.mode_ = Blockly.ViewportFollow.LEAD;
+  this.sendViewport_();
+};
+
+/**
+ * Start showing the leader's viewport.  The current viewport is requested
+ * from the leader, so that the view does not wait for the leader to move.
+ */
+Blockly.ViewportFollow.prototype.follow = function() {
+  this.mode_ = Blockly.ViewportFollow.FOLLOW;
+  this.transport_.send({'viewportRequest': true});
+};
+
+/**
+ * Stop leading or following.
+ */
+Blockly.ViewportFollow.prototype.stop = function() {
+  this.mode_ = null;
+};
+
+/**
+ * @return {boolean} True if this workspace's viewport is being sent.
+ */
+Blockly.ViewportFollow.prototype.isLeading = function() {
+  return this.mode_ == Blockly.ViewportFollow.LEAD;
+};
+
+/**
+ * @return {boolean} True if this workspace shows the leader's viewport.
+ */
+Blockly.ViewportFollow.prototype.isFollowing = function() {
+  return this.mode_ == Blockly.ViewportFollow.FOLLOW;
+};
+
+/**
+ * Stop sharing the view and disconnect from the transport.
+ */
+Blockly.ViewportFollow.prototype.dispose = function() {
+  this.mode_ = null;
+  this.unsubscribe_();
+  this.transport_.setReceiver(null);
+};
+
+/**
+ * Send the latest of a batch of viewport changes when leading.
+ * @param {!Array.<!Blockly.Events.ViewportChange>} events The changes.
+ * @private
+ */
+Blockly.ViewportFollow.prototype.onViewportChange_ = function(events) {
+  if (this.isLeading()) {
+    this.transport_.send({'viewport': events[events.length - 1].toJson()});
+  }
+};
+
+/**
+ * Send the current viewport of the workspace.
+ * @private
+ */
+Blockly.ViewportFollow.prototype.sendViewport_ = function() {
+  var event = new Blockly.Events.ViewportChange(this.workspace_,
+      this.workspace_.scale);
+  this.transport_.send({'viewport': event.toJson()});
+};
+
+/**
+ * Handle a message from the transport.
+ * @param {!Object} message The message.
+ * @private
+ */
+Blockly.ViewportFollow.prototype.receive_ = function(message) {
+  if (message['viewportRequest']) {
+    if (this.isLeading()) {
+      this.sendViewport_();
+    }
+  } else if (message['viewport'] && this.isFollowing()) {
+    var event = Blockly.Events.fromJson(message['viewport'], this.workspace_);
+    if (event.viewWidth > 0 && event.viewHeight > 0) {
+      this.workspace_.showViewportRect(event.getViewportRect());
+    }
+  }
+};
@@ -33,6 +33,7 @@
 goog.provide('Blockly.WidgetDiv');
 
 goog.require('Blockly.Css');
+goog.require('Blockly.Events.FieldEditorOpen');
 goog.require('goog.dom');
 goog.require('goog.dom.TagName');
 goog.require('goog.style');
@@ -120,6 +121,7 @@ Blockly.WidgetDiv.show = function(newOwner, rtl, opt_dispose,
   Blockly.WidgetDiv.DIV.style.top = xy.y + 'px';
   Blockly.WidgetDiv.DIV.style.direction = rtl ? 'rtl' : 'ltr';
   Blockly.WidgetDiv.DIV.style.display = 'block';
+  Blockly.Events.FieldEditorOpen.update();
 };
 
 /**
@@ -178,6 +180,7 @@ Blockly.WidgetDiv.hide = function(opt_noAnimate) {
       Blockly.WidgetDiv.hideAndClearDom_();
     }
   }
+  Blockly.Events.FieldEditorOpen.update();
 };
 
 /**
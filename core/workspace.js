@@ -26,6 +26,9 @@
 
 goog.provide('Blockly.Workspace');
 
+goog.require('Blockly.EventSubscriptions');
+goog.require('Blockly.Theme');
+goog.require('Blockly.UndoHistory');
 goog.require('Blockly.VariableMap');
 goog.require('Blockly.WorkspaceComment');
 goog.require('goog.array');
@@ -72,6 +75,12 @@ Blockly.Workspace = function(opt_options) {
    */
   this.listeners_ = [];
 
+  /**
+   * @type {Blockly.EventSubscriptions}
+   * @private
+   */
+  this.subscriptions_ = null;
+
   /** @type {!Array.<!Function>} */
   this.tapListeners_ = [];
 
@@ -87,6 +96,12 @@ Blockly.Workspace = function(opt_options) {
    */
   this.redoStack_ = [];
 
+  /**
+   * @type {Blockly.UndoHistory}
+   * @private
+   */
+  this.undoHistory_ = null;
+
   /**
    * @type {!Object}
    * @private
@@ -113,6 +128,14 @@ Blockly.Workspace = function(opt_options) {
    * @private
    */
   this.potentialVariableMap_ = null;
+
+  /**
+   * pxt-blockly: The theme chosen for this workspace, or null to use the
+   * theme of the parent workspace.
+   * @type {Blockly.Theme}
+   * @private
+   */
+  this.theme_ = this.options.theme || null;
 };
 
 /**
@@ -140,6 +163,10 @@ Blockly.Workspace.prototype.MAX_UNDO = 1024;
  */
 Blockly.Workspace.prototype.dispose = function() {
   this.listeners_.length = 0;
+  if (this.subscriptions_) {
+    this.subscriptions_.dispose();
+    this.subscriptions_ = null;
+  }
   this.clear();
   // Remove from workspace database.
   delete Blockly.Workspace.WorkspaceDB_[this.id];
@@ -496,6 +523,18 @@ Blockly.Workspace.prototype.clearUndo = function() {
   Blockly.Events.clearPendingUndo();
 };
 
+/**
+ * Get the undo history of this workspace, to list, name or jump to points in
+ * it.
+ * @return {!Blockly.UndoHistory} The undo history.
+ */
+Blockly.Workspace.prototype.getUndoHistory = function() {
+  if (!this.undoHistory_) {
+    this.undoHistory_ = new Blockly.UndoHistory(this);
+  }
+  return this.undoHistory_;
+};
+
 /**
  * @return {boolean} whether there are any events in the redo stack.
  * @package
@@ -530,6 +569,28 @@ Blockly.Workspace.prototype.removeChangeListener = function(func) {
   goog.array.remove(this.listeners_, func);
 };
 
+/**
+ * When an event of the given types happens in this workspace, call a function.
+ * Unlike addChangeListener, events that do not match cost nothing.
+ * @param {string|!Array.<string>} types The event type or types to listen
+ *     for, such as Blockly.Events.CHANGE.
+ * @param {!Blockly.EventSubscriptions.Options|function(?)} options Which
+ *     events to listen for, and how to deliver them.  May be left out.
+ * @param {function(?)=} opt_handler Function to call with each event, or with
+ *     an array of events when batching.
+ * @return {function()} Function that stops the calls.
+ */
+Blockly.Workspace.prototype.on = function(types, options, opt_handler) {
+  if (goog.isFunction(options)) {
+    opt_handler = options;
+    options = {};
+  }
+  if (!this.subscriptions_) {
+    this.subscriptions_ = new Blockly.EventSubscriptions();
+  }
+  return this.subscriptions_.add(types, options, opt_handler);
+};
+
 /**
  * Fire a change event.
  * @param {!Blockly.Events.Abstract} event Event to fire.
@@ -539,7 +600,7 @@ Blockly.Workspace.prototype.fireChangeListener = function(event) {
     this.undoStack_.push(event);
     this.redoStack_.length = 0;
     if (this.undoStack_.length > this.MAX_UNDO) {
-      this.undoStack_.unshift();
+      this.undoStack_.shift();
     }
   }
   // Copy listeners in case a listener attaches/detaches itself.
@@ -547,6 +608,9 @@ Blockly.Workspace.prototype.fireChangeListener = function(event) {
   for (var i = 0, func; func = currentListeners[i]; i++) {
     func(event);
   }
+  if (this.subscriptions_) {
+    this.subscriptions_.dispatch(event);
+  }
 };
 
 /**
@@ -571,6 +635,41 @@ Blockly.Workspace.prototype.getFlyout = function() {
   return null;
 };
 
+/**
+ * pxt-blockly: Get the theme that this workspace is coloured with.  Flyouts and
+ * mutators use the theme of their parent workspace.
+ * @return {!Blockly.Theme} The theme.
+ */
+Blockly.Workspace.prototype.getTheme = function() {
+  if (this.theme_) {
+    return this.theme_;
+  }
+  var parentWorkspace = this.options.parentWorkspace;
+  return parentWorkspace ? parentWorkspace.getTheme() :
+      Blockly.Theme.get(Blockly.Theme.DEFAULT);
+};
+
+/**
+ * pxt-blockly: Change the theme of this workspace and re-colour everything on
+ * it.
+ * @param {string|!Blockly.Theme} theme The name of a registered theme, or a
+ *     theme.
+ */
+Blockly.Workspace.prototype.setTheme = function(theme) {
+  this.theme_ = goog.isString(theme) ? Blockly.Theme.get(theme) : theme;
+  this.refreshTheme();
+};
+
+/**
+ * pxt-blockly: Re-colour the blocks on this workspace with the current theme.
+ */
+Blockly.Workspace.prototype.refreshTheme = function() {
+  var blocks = this.getAllBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    blocks[i].refreshColour();
+  }
+};
+
 /**
  * Find the comment on this workspace with the specified ID.
  * @param {string} id ID of comment to find.
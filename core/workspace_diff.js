@@ -0,0 +1,949 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Semantic comparison and three-way merging of workspace XML.
+ * Blocks are matched by ID, falling back to their type and position in the
+ * block tree when IDs differ (for example XML saved without IDs).
+ */
+'use strict';
+
+/**
+ * @name Blockly.WorkspaceDiff
+ * @namespace
+ **/
+goog.provide('Blockly.WorkspaceDiff');
+
+goog.require('Blockly.Xml');
+
+goog.require('goog.dom');
+
+
+/**
+ * Kinds of changes reported by Blockly.WorkspaceDiff.diff.
+ * @enum {string}
+ */
+Blockly.WorkspaceDiff.ChangeType = {
+  // The block only exists in the new workspace.
+  ADDED: 'added',
+  // The block only exists in the old workspace.
+  REMOVED: 'removed',
+  // The top-level block moved on the canvas.
+  MOVED: 'moved',
+  // The block was attached to a different parent, input or stack position.
+  RECONNECTED: 'reconnected',
+  // The value of a field changed.
+  FIELD_CHANGED: 'fieldChanged',
+  // The mutation, comment, data or an attribute such as 'disabled' changed.
+  PROPERTY_CHANGED: 'propertyChanged'
+};
+
+/**
+ * Kinds of conflicts reported by Blockly.WorkspaceDiff.merge.  Every conflict
+ * is resolved in favour of the local workspace.
+ * @enum {string}
+ */
+Blockly.WorkspaceDiff.ConflictType = {
+  // Both sides changed the same field or property to different values.
+  PROPERTY: 'property',
+  // Both sides attached the block to different places.
+  PLACEMENT: 'placement',
+  // One side deleted a block that the other side changed.  It is kept.
+  DELETE_MODIFY: 'deleteModify',
+  // Both sides attached different blocks to the same input or next
+  // connection.  The remote block is moved to the top level.
+  SLOT: 'slot',
+  // The merged placements formed a loop.  The block is moved to the top
+  // level.
+  CYCLE: 'cycle'
+};
+
+/**
+ * A change between two workspaces.  Depending on the type, it also has
+ * 'oldX', 'oldY', 'newX', 'newY' (moved), 'oldParentId', 'oldInputName',
+ * 'newParentId', 'newInputName' (reconnected, with a null input name for a
+ * next connection or the top level), 'fieldName' (fieldChanged), 'property'
+ * (propertyChanged) and 'oldValue', 'newValue' (fieldChanged and
+ * propertyChanged).
+ * @typedef {{type: Blockly.WorkspaceDiff.ChangeType, blockId: ?string,
+ *     blockType: string}}
+ */
+Blockly.WorkspaceDiff.Change;
+
+/**
+ * A conflict found while merging.  Property conflicts also have 'property'
+ * (the field name for fields) and the 'base', 'local' and 'remote' values.
+ * @typedef {{type: Blockly.WorkspaceDiff.ConflictType, blockId: ?string,
+ *     blockType: string}}
+ */
+Blockly.WorkspaceDiff.Conflict;
+
+/**
+ * Block attributes that identify or position a block rather than describe it.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.WorkspaceDiff.STRUCTURAL_ATTRIBUTES_ = ['id', 'type', 'x', 'y'];
+
+/**
+ * Prefix of the property keys of fields.
+ * @type {string}
+ * @private
+ */
+Blockly.WorkspaceDiff.FIELD_PREFIX_ = 'field:';
+
+/**
+ * Prefix of the property keys of block attributes.
+ * @type {string}
+ * @private
+ */
+Blockly.WorkspaceDiff.ATTRIBUTE_PREFIX_ = '@';
+
+/**
+ * Compare two workspaces.
+ * @param {!Element} oldXml XML DOM of the old workspace.
+ * @param {!Element} newXml XML DOM of the new workspace.
+ * @return {!Array.<!Blockly.WorkspaceDiff.Change>} The changes: removed
+ *     blocks in old document order, then the other changes in new document
+ *     order.
+ */
+Blockly.WorkspaceDiff.diff = function(oldXml, newXml) {
+  var oldTree = Blockly.WorkspaceDiff.parse_(oldXml);
+  var newTree = Blockly.WorkspaceDiff.parse_(newXml);
+  var match = Blockly.WorkspaceDiff.match_(oldTree, newTree);
+  var ChangeType = Blockly.WorkspaceDiff.ChangeType;
+  var changes = [];
+  var change = function(type, record, opt_details) {
+    var result = {type: type, blockId: record.id, blockType: record.type};
+    goog.mixin(result, opt_details || {});
+    changes.push(result);
+  };
+
+  for (var i = 0, oldRecord; oldRecord = oldTree.records[i]; i++) {
+    if (!match.oldToNew[i]) {
+      change(ChangeType.REMOVED, oldRecord);
+    }
+  }
+  for (var i = 0, newRecord; newRecord = newTree.records[i]; i++) {
+    oldRecord = match.newToOld[i];
+    if (!oldRecord) {
+      change(ChangeType.ADDED, newRecord);
+      continue;
+    }
+    // A removed parent is never equal to a new parent.
+    var oldParent = oldRecord.parent ?
+        match.oldToNew[oldRecord.parent.index] || oldRecord.parent : null;
+    if (oldParent != newRecord.parent || oldRecord.slot != newRecord.slot) {
+      change(ChangeType.RECONNECTED, newRecord, {
+        oldParentId: oldRecord.parent && oldRecord.parent.id,
+        oldInputName: Blockly.WorkspaceDiff.slotToInputName_(oldRecord.slot),
+        newParentId: newRecord.parent && newRecord.parent.id,
+        newInputName: Blockly.WorkspaceDiff.slotToInputName_(newRecord.slot)
+      });
+    } else if (!newRecord.parent && oldRecord.position &&
+        newRecord.position && oldRecord.position != newRecord.position) {
+      var oldXY = oldRecord.position.split(',');
+      var newXY = newRecord.position.split(',');
+      change(ChangeType.MOVED, newRecord, {
+        oldX: Number(oldXY[0]),
+        oldY: Number(oldXY[1]),
+        newX: Number(newXY[0]),
+        newY: Number(newXY[1])
+      });
+    }
+    var keys = Blockly.WorkspaceDiff.propertyKeys_([oldRecord, newRecord]);
+    for (var j = 0; j < keys.length; j++) {
+      var oldProperty = oldRecord.properties[keys[j]];
+      var newProperty = newRecord.properties[keys[j]];
+      var oldValue = oldProperty ? oldProperty.value : null;
+      var newValue = newProperty ? newProperty.value : null;
+      if (oldValue == newValue) {
+        continue;
+      }
+      var name = Blockly.WorkspaceDiff.propertyName_(keys[j]);
+      if (Blockly.WorkspaceDiff.isField_(keys[j])) {
+        change(ChangeType.FIELD_CHANGED, newRecord,
+            {fieldName: name, oldValue: oldValue, newValue: newValue});
+      } else {
+        change(ChangeType.PROPERTY_CHANGED, newRecord,
+            {property: name, oldValue: oldValue, newValue: newValue});
+      }
+    }
+  }
+  return changes;
+};
+
+/**
+ * Merge the changes two workspaces made to a common ancestor.  Changes made
+ * by only one side are applied.  Conflicting changes are resolved in favour
+ * of the local workspace and reported; conflicting canvas positions are
+ * resolved the same way without being reported.  Variables are combined from
+ * both sides.
+ * @param {!Element} baseXml XML DOM of the common ancestor.
+ * @param {!Element} localXml XML DOM of the local workspace.
+ * @param {!Element} remoteXml XML DOM of the remote workspace.
+ * @return {{xml: !Element, conflicts: !Array.<!Blockly.WorkspaceDiff.Conflict>}}
+ *     The merged workspace XML, ready for Blockly.Xml.domToWorkspace, and the
+ *     conflicts found.
+ */
+Blockly.WorkspaceDiff.merge = function(baseXml, localXml, remoteXml) {
+  var base = Blockly.WorkspaceDiff.parse_(baseXml);
+  var local = Blockly.WorkspaceDiff.parse_(localXml);
+  var remote = Blockly.WorkspaceDiff.parse_(remoteXml);
+  var state = {
+    nodes: [],
+    base: Object.create(null),
+    local: Object.create(null),
+    remote: Object.create(null),
+    conflicts: [],
+    children: null
+  };
+  Blockly.WorkspaceDiff.createNodes_(base, local, remote, state);
+
+  for (var i = 0, node; node = state.nodes[i]; i++) {
+    Blockly.WorkspaceDiff.mergeNode_(node, state);
+  }
+  Blockly.WorkspaceDiff.resolveStructure_(state);
+
+  var xml = goog.dom.createDom('xml');
+  xml.appendChild(Blockly.WorkspaceDiff.mergeVariables_(
+      [localXml, remoteXml, baseXml]));
+  var comments = Blockly.WorkspaceDiff.mergeComments_(baseXml, localXml,
+      remoteXml);
+  for (var i = 0; i < comments.length; i++) {
+    xml.appendChild(comments[i]);
+  }
+  var order = function(node) {
+    return node.local ? node.local.index :
+        local.records.length + (node.remote || node.base).index;
+  };
+  var topNodes = [];
+  state.children = Object.create(null);
+  for (var i = 0, node; node = state.nodes[i]; i++) {
+    if (!node.present) {
+      continue;
+    }
+    var parent = node.placement.parent;
+    if (parent) {
+      (state.children[parent.key] = state.children[parent.key] || [])
+          .push(node);
+    } else {
+      topNodes.push(node);
+    }
+  }
+  topNodes.sort(function(a, b) {
+    return order(a) - order(b);
+  });
+  for (var i = 0; i < topNodes.length; i++) {
+    var element = Blockly.WorkspaceDiff.nodeToDom_(topNodes[i], state);
+    var xy = (topNodes[i].position || '0,0').split(',');
+    element.setAttribute('x', xy[0]);
+    element.setAttribute('y', xy[1]);
+    xml.appendChild(element);
+  }
+  return {xml: xml, conflicts: state.conflicts};
+};
+
+/**
+ * Flatten workspace XML into a list of block records.
+ * @param {!Element} xml XML DOM of a workspace.
+ * @return {{records: !Array.<!Object>, topRecords: !Array.<!Object>}} All
+ *     block records in document order, and the top-level ones.
+ * @private
+ */
+Blockly.WorkspaceDiff.parse_ = function(xml) {
+  var tree = {records: [], topRecords: []};
+  for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+    var tag = xmlChild.nodeName.toLowerCase();
+    if (tag == 'block' || tag == 'shadow') {
+      tree.topRecords.push(
+          Blockly.WorkspaceDiff.parseBlock_(xmlChild, null, null, tree));
+    }
+  }
+  return tree;
+};
+
+/**
+ * Create the record of a block element and its descendants.  A record's
+ * properties map keys such as 'field:NAME', '@disabled' or 'mutation' to the
+ * property's text value and the element it came from.  Its slot is the
+ * connection it is attached to on its parent: 'value:NAME', 'statement:NAME'
+ * or 'next'.
+ * @param {!Element} element The 'block' or 'shadow' element.
+ * @param {Object} parent The record of the parent block.
+ * @param {?string} slot The slot of the parent that the block is in.
+ * @param {!Object} tree The tree being built.
+ * @return {!Object} The block record.
+ * @private
+ */
+Blockly.WorkspaceDiff.parseBlock_ = function(element, parent, slot, tree) {
+  var record = {
+    index: tree.records.length,
+    id: element.getAttribute('id'),
+    type: element.getAttribute('type'),
+    shadow: element.nodeName.toLowerCase() == 'shadow',
+    parent: parent,
+    slot: slot,
+    position: null,
+    properties: Object.create(null),
+    propertyOrder: [],
+    slots: [],
+    children: []
+  };
+  tree.records.push(record);
+  if (!parent && element.hasAttribute('x') && element.hasAttribute('y')) {
+    record.position = element.getAttribute('x') + ',' +
+        element.getAttribute('y');
+  }
+  var addProperty = function(key, value, opt_element) {
+    record.properties[key] = {value: value, element: opt_element || null};
+    record.propertyOrder.push(key);
+  };
+  for (var i = 0, attribute; attribute = element.attributes[i]; i++) {
+    if (Blockly.WorkspaceDiff.STRUCTURAL_ATTRIBUTES_.indexOf(
+        attribute.name) == -1) {
+      addProperty(Blockly.WorkspaceDiff.ATTRIBUTE_PREFIX_ + attribute.name,
+          attribute.value);
+    }
+  }
+  for (var i = 0, xmlChild; xmlChild = element.childNodes[i]; i++) {
+    if (xmlChild.nodeType != 1) {
+      continue;
+    }
+    var tag = xmlChild.nodeName.toLowerCase();
+    switch (tag) {
+      case 'mutation':
+        addProperty(tag, Blockly.Xml.domToText(xmlChild), xmlChild);
+        break;
+      case 'title':
+      case 'field':
+        addProperty(Blockly.WorkspaceDiff.FIELD_PREFIX_ +
+            xmlChild.getAttribute('name'), xmlChild.textContent, xmlChild);
+        break;
+      case 'comment':
+      case 'data':
+        addProperty(tag, xmlChild.textContent, xmlChild);
+        break;
+      case 'value':
+      case 'statement':
+      case 'next':
+        var childSlot = tag == 'next' ? tag :
+            tag + ':' + xmlChild.getAttribute('name');
+        record.slots.push(childSlot);
+        for (var j = 0, grandchild; grandchild = xmlChild.childNodes[j]; j++) {
+          var childTag = grandchild.nodeName.toLowerCase();
+          if (childTag == 'block' || childTag == 'shadow') {
+            record.children.push(Blockly.WorkspaceDiff.parseBlock_(
+                grandchild, record, childSlot, tree));
+          }
+        }
+        break;
+    }
+  }
+  return record;
+};
+
+/**
+ * Pair up the blocks of two trees.  Blocks with the same ID and type are
+ * paired first.  Blocks whose IDs do not appear in the other tree are then
+ * paired by type: top-level blocks in document order, and other blocks by
+ * their slot in already paired parents.
+ * @param {!Object} oldTree The old tree.
+ * @param {!Object} newTree The new tree.
+ * @return {{oldToNew: !Array.<Object>, newToOld: !Array.<Object>}} Maps
+ *     from record index to the paired record in the other tree.
+ * @private
+ */
+Blockly.WorkspaceDiff.match_ = function(oldTree, newTree) {
+  var oldToNew = [];
+  var newToOld = [];
+  var pair = function(oldRecord, newRecord) {
+    oldToNew[oldRecord.index] = newRecord;
+    newToOld[newRecord.index] = oldRecord;
+  };
+  var oldById = Object.create(null);
+  var newById = Object.create(null);
+  for (var i = 0, record; record = oldTree.records[i]; i++) {
+    if (record.id) {
+      oldById[record.id] = record;
+    }
+  }
+  for (var i = 0, record; record = newTree.records[i]; i++) {
+    if (record.id) {
+      newById[record.id] = record;
+    }
+  }
+  for (var i = 0, oldRecord; oldRecord = oldTree.records[i]; i++) {
+    var newRecord = oldRecord.id && newById[oldRecord.id];
+    if (newRecord && newRecord.type == oldRecord.type &&
+        !newToOld[newRecord.index]) {
+      pair(oldRecord, newRecord);
+    }
+  }
+
+  // Structural fallback, for blocks whose IDs differ between the trees.
+  var canPair = function(oldRecord, newRecord) {
+    return !oldToNew[oldRecord.index] && !newToOld[newRecord.index] &&
+        oldRecord.type == newRecord.type &&
+        oldRecord.shadow == newRecord.shadow &&
+        !(oldRecord.id && newById[oldRecord.id]) &&
+        !(newRecord.id && oldById[newRecord.id]);
+  };
+  for (var i = 0, oldRecord; oldRecord = oldTree.topRecords[i]; i++) {
+    for (var j = 0, newRecord; newRecord = newTree.topRecords[j]; j++) {
+      if (canPair(oldRecord, newRecord)) {
+        pair(oldRecord, newRecord);
+        break;
+      }
+    }
+  }
+  // Records are in document order, so parents are visited before children.
+  for (var i = 0, oldRecord; oldRecord = oldTree.records[i]; i++) {
+    var newParent = oldRecord.parent && oldToNew[oldRecord.parent.index];
+    if (!newParent) {
+      continue;
+    }
+    for (var j = 0, newRecord; newRecord = newParent.children[j]; j++) {
+      if (newRecord.slot == oldRecord.slot && canPair(oldRecord, newRecord)) {
+        pair(oldRecord, newRecord);
+        break;
+      }
+    }
+  }
+  return {oldToNew: oldToNew, newToOld: newToOld};
+};
+
+/**
+ * Create one merge node per distinct block in the three trees.
+ * @param {!Object} base The tree of the common ancestor.
+ * @param {!Object} local The tree of the local workspace.
+ * @param {!Object} remote The tree of the remote workspace.
+ * @param {!Object} state The merge state.
+ * @private
+ */
+Blockly.WorkspaceDiff.createNodes_ = function(base, local, remote, state) {
+  var localMatch = Blockly.WorkspaceDiff.match_(base, local);
+  var remoteMatch = Blockly.WorkspaceDiff.match_(base, remote);
+  var addNode = function(baseRecord, localRecord, remoteRecord) {
+    var node = {
+      key: state.nodes.length,
+      base: baseRecord,
+      local: localRecord,
+      remote: remoteRecord,
+      present: false,
+      properties: null,
+      placement: null,
+      position: null
+    };
+    state.nodes.push(node);
+    if (baseRecord) {
+      state.base[baseRecord.index] = node;
+    }
+    if (localRecord) {
+      state.local[localRecord.index] = node;
+    }
+    if (remoteRecord) {
+      state.remote[remoteRecord.index] = node;
+    }
+  };
+  for (var i = 0, record; record = base.records[i]; i++) {
+    addNode(record, localMatch.oldToNew[i] || null,
+        remoteMatch.oldToNew[i] || null);
+  }
+  // Blocks added on both sides with the same ID are the same block.
+  var remoteAdded = Object.create(null);
+  for (var i = 0, record; record = remote.records[i]; i++) {
+    if (!remoteMatch.newToOld[i] && record.id) {
+      remoteAdded[record.id] = record;
+    }
+  }
+  for (var i = 0, record; record = local.records[i]; i++) {
+    if (!localMatch.newToOld[i]) {
+      var remoteRecord = record.id && remoteAdded[record.id];
+      if (!remoteRecord || remoteRecord.type != record.type ||
+          state.remote[remoteRecord.index]) {
+        remoteRecord = null;
+      }
+      addNode(null, record, remoteRecord);
+    }
+  }
+  for (var i = 0, record; record = remote.records[i]; i++) {
+    if (!remoteMatch.newToOld[i] && !state.remote[i]) {
+      addNode(null, null, record);
+    }
+  }
+};
+
+/**
+ * Decide whether a block survives the merge and merge its properties,
+ * placement and position.
+ * @param {!Object} node The merge node.
+ * @param {!Object} state The merge state.
+ * @private
+ */
+Blockly.WorkspaceDiff.mergeNode_ = function(node, state) {
+  var ConflictType = Blockly.WorkspaceDiff.ConflictType;
+  var source = node.local || node.remote || node.base;
+  var conflict = function(type, opt_details) {
+    var result = {type: type, blockId: source.id, blockType: source.type};
+    goog.mixin(result, opt_details || {});
+    state.conflicts.push(result);
+  };
+  var samePlacement = Blockly.WorkspaceDiff.samePlacement_;
+  var sameProperty = function(a, b) {
+    return (a ? a.value : null) === (b ? b.value : null);
+  };
+
+  var basePlacement = Blockly.WorkspaceDiff.placement_(node.base, 'base',
+      state);
+  var localPlacement = Blockly.WorkspaceDiff.placement_(node.local, 'local',
+      state);
+  var remotePlacement = Blockly.WorkspaceDiff.placement_(node.remote,
+      'remote', state);
+  var keys = Blockly.WorkspaceDiff.propertyKeys_(
+      [node.local, node.remote, node.base]);
+
+  if (node.base && (!node.local || !node.remote)) {
+    var survivor = node.local || node.remote;
+    if (!survivor) {
+      // Deleted on both sides.
+      return;
+    }
+    var modified = !samePlacement(basePlacement,
+        node.local ? localPlacement : remotePlacement);
+    for (var i = 0; !modified && i < keys.length; i++) {
+      modified = !sameProperty(node.base.properties[keys[i]],
+          survivor.properties[keys[i]]);
+    }
+    if (!modified) {
+      // Deleted on one side, untouched on the other.
+      return;
+    }
+    conflict(ConflictType.DELETE_MODIFY);
+  }
+  node.present = true;
+  if (!node.local || !node.remote) {
+    var only = node.local || node.remote;
+    node.properties = only.properties;
+    node.placement = node.local ? localPlacement : remotePlacement;
+    node.position = only.position;
+    return;
+  }
+
+  node.properties = Object.create(null);
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+    var result = Blockly.WorkspaceDiff.mergeValue_(
+        node.base && node.base.properties[key], node.local.properties[key],
+        node.remote.properties[key], sameProperty);
+    if (result.conflict) {
+      var value = function(record) {
+        var property = record && record.properties[key];
+        return property ? property.value : null;
+      };
+      conflict(ConflictType.PROPERTY, {
+        property: Blockly.WorkspaceDiff.propertyName_(key),
+        base: value(node.base),
+        local: value(node.local),
+        remote: value(node.remote)
+      });
+    }
+    if (result.value) {
+      node.properties[key] = result.value;
+    }
+  }
+  var result = Blockly.WorkspaceDiff.mergeValue_(basePlacement,
+      localPlacement, remotePlacement, samePlacement);
+  if (result.conflict) {
+    conflict(ConflictType.PLACEMENT);
+  }
+  node.placement = result.value;
+  node.position = Blockly.WorkspaceDiff.mergeValue_(
+      node.base && node.base.position, node.local.position,
+      node.remote.position, function(a, b) {
+        return a === b;
+      }).value;
+};
+
+/**
+ * Get where a block is attached in one of the merged trees.
+ * @param {Object} record The block record, or null.
+ * @param {string} side 'base', 'local' or 'remote'.
+ * @param {!Object} state The merge state.
+ * @return {?{parent: Object, slot: ?string}} The merge node of the parent
+ *     (null at the top level) and the slot, or null if there is no record.
+ * @private
+ */
+Blockly.WorkspaceDiff.placement_ = function(record, side, state) {
+  return record && {
+    parent: record.parent ? state[side][record.parent.index] : null,
+    slot: record.slot
+  };
+};
+
+/**
+ * Whether two placements are the same.
+ * @param {?{parent: Object, slot: ?string}} a The first placement.
+ * @param {?{parent: Object, slot: ?string}} b The second placement.
+ * @return {boolean} True if both exist and are equal.
+ * @private
+ */
+Blockly.WorkspaceDiff.samePlacement_ = function(a, b) {
+  return !!a && !!b && a.parent == b.parent && a.slot == b.slot;
+};
+
+/**
+ * Three-way merge of a single value.
+ * @param {*} base The value in the common ancestor (undefined or null if
+ *     absent).
+ * @param {*} local The local value.
+ * @param {*} remote The remote value.
+ * @param {function(*, *): boolean} equals Equality test for values.
+ * @return {{value: *, conflict: boolean}} The merged value, and whether both
+ *     sides changed it differently (the local value wins).
+ * @private
+ */
+Blockly.WorkspaceDiff.mergeValue_ = function(base, local, remote, equals) {
+  if (equals(local, remote) || equals(remote, base)) {
+    return {value: local, conflict: false};
+  }
+  if (equals(local, base)) {
+    return {value: remote, conflict: false};
+  }
+  return {value: local, conflict: true};
+};
+
+/**
+ * Repair the merged block tree: break loops, give each slot a single block
+ * and move blocks whose parent is gone to the top level.
+ * @param {!Object} state The merge state.
+ * @private
+ */
+Blockly.WorkspaceDiff.resolveStructure_ = function(state) {
+  var ConflictType = Blockly.WorkspaceDiff.ConflictType;
+  var conflict = function(type, node) {
+    var source = node.local || node.remote || node.base;
+    state.conflicts.push(
+        {type: type, blockId: source.id, blockType: source.type});
+  };
+  var present = state.nodes.filter(function(node) {
+    return node.present;
+  });
+
+  // Loops.
+  for (var i = 0, node; node = present[i]; i++) {
+    var seen = Object.create(null);
+    var current = node;
+    while (current && current.present && !seen[current.key]) {
+      seen[current.key] = true;
+      current = current.placement.parent;
+    }
+    if (current == node) {
+      conflict(ConflictType.CYCLE, node);
+      Blockly.WorkspaceDiff.detachNode_(node);
+    }
+  }
+
+  // Slots with more than one block.  Placements taken from the local
+  // workspace are kept first.
+  var occupied = Object.create(null);
+  var fromLocal = function(node) {
+    return Blockly.WorkspaceDiff.samePlacement_(node.placement,
+        Blockly.WorkspaceDiff.placement_(node.local, 'local', state));
+  };
+  var ordered = present.filter(fromLocal).concat(
+      present.filter(function(node) {
+        return !fromLocal(node);
+      }));
+  for (var i = 0, node; node = ordered[i]; i++) {
+    var parent = node.placement.parent;
+    if (!parent || !parent.present) {
+      continue;
+    }
+    var source = node.local || node.remote || node.base;
+    var slotKey = parent.key + ' ' + node.placement.slot + ' ' +
+        source.shadow;
+    if (occupied[slotKey]) {
+      conflict(ConflictType.SLOT, node);
+      Blockly.WorkspaceDiff.detachNode_(node);
+    } else {
+      occupied[slotKey] = true;
+    }
+  }
+
+  // Blocks whose parent is gone become top-level blocks.  Shadows cannot be
+  // top-level blocks, so they are dropped (along with their own shadows).
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (var i = 0, node; node = present[i]; i++) {
+      if (!node.present) {
+        continue;
+      }
+      var parent = node.placement.parent;
+      if (parent && !parent.present) {
+        Blockly.WorkspaceDiff.detachNode_(node);
+        changed = true;
+      }
+      if (!node.placement.parent &&
+          (node.local || node.remote || node.base).shadow) {
+        node.present = false;
+        changed = true;
+      }
+    }
+  }
+};
+
+/**
+ * Move a merge node to the top level, near the stack it came from.
+ * @param {!Object} node The merge node.
+ * @private
+ */
+Blockly.WorkspaceDiff.detachNode_ = function(node) {
+  var root = node.local || node.remote || node.base;
+  while (root.parent) {
+    root = root.parent;
+  }
+  node.placement = {parent: null, slot: null};
+  node.position = root.position;
+};
+
+/**
+ * Build the XML of a merged block and the merged blocks attached to it.
+ * @param {!Object} node The merge node.
+ * @param {!Object} state The merge state.
+ * @return {!Element} The 'block' or 'shadow' element.
+ * @private
+ */
+Blockly.WorkspaceDiff.nodeToDom_ = function(node, state) {
+  var source = node.local || node.remote || node.base;
+  var element = goog.dom.createDom(source.shadow ? 'shadow' : 'block');
+  element.setAttribute('type', source.type);
+  if (source.id) {
+    element.setAttribute('id', source.id);
+  }
+  var keys = Blockly.WorkspaceDiff.propertyKeys_(
+      [node.local, node.remote, node.base]);
+  for (var i = 0; i < keys.length; i++) {
+    var property = node.properties[keys[i]];
+    if (!property) {
+      continue;
+    }
+    if (property.element) {
+      element.appendChild(property.element.cloneNode(true));
+    } else {
+      element.setAttribute(
+          Blockly.WorkspaceDiff.propertyName_(keys[i]), property.value);
+    }
+  }
+
+  var children = state.children[node.key] || [];
+  var slots = [];
+  [source, node.local, node.remote, node.base].forEach(function(record) {
+    if (record) {
+      for (var i = 0; i < record.slots.length; i++) {
+        if (slots.indexOf(record.slots[i]) == -1) {
+          slots.push(record.slots[i]);
+        }
+      }
+    }
+  });
+  for (var i = 0; i < children.length; i++) {
+    if (slots.indexOf(children[i].placement.slot) == -1) {
+      slots.push(children[i].placement.slot);
+    }
+  }
+  // The next block comes after all inputs.
+  slots.sort(function(a, b) {
+    return (a == 'next') - (b == 'next');
+  });
+  for (var i = 0; i < slots.length; i++) {
+    var slotChildren = children.filter(function(child) {
+      return child.placement.slot == slots[i];
+    });
+    if (!slotChildren.length) {
+      continue;
+    }
+    var isShadow = function(child) {
+      return (child.local || child.remote || child.base).shadow;
+    };
+    // Blockly.Xml.blockToDom puts shadows before blocks in inputs, and after
+    // them in the next connection.
+    slotChildren.sort(function(a, b) {
+      return (isShadow(b) - isShadow(a)) * (slots[i] == 'next' ? -1 : 1);
+    });
+    var separator = slots[i].indexOf(':');
+    var container = goog.dom.createDom(separator == -1 ? slots[i] :
+        slots[i].substring(0, separator));
+    if (separator != -1) {
+      container.setAttribute('name', slots[i].substring(separator + 1));
+    }
+    for (var j = 0; j < slotChildren.length; j++) {
+      container.appendChild(
+          Blockly.WorkspaceDiff.nodeToDom_(slotChildren[j], state));
+    }
+    element.appendChild(container);
+  }
+  return element;
+};
+
+/**
+ * Combine the variables of several workspaces.  Variables are identified by
+ * ID, or by name and type when they have none.
+ * @param {!Array.<!Element>} xmls XML DOMs of the workspaces, in order of
+ *     preference.
+ * @return {!Element} The 'variables' element.
+ * @private
+ */
+Blockly.WorkspaceDiff.mergeVariables_ = function(xmls) {
+  var variables = goog.dom.createDom('variables');
+  var seen = Object.create(null);
+  for (var i = 0; i < xmls.length; i++) {
+    for (var j = 0, xmlChild; xmlChild = xmls[i].childNodes[j]; j++) {
+      if (xmlChild.nodeName.toLowerCase() != 'variables') {
+        continue;
+      }
+      for (var k = 0, variable; variable = xmlChild.children[k]; k++) {
+        var key = variable.getAttribute('id') ||
+            variable.getAttribute('type') + ' ' + variable.textContent;
+        if (!seen[key]) {
+          seen[key] = true;
+          variables.appendChild(variable.cloneNode(true));
+        }
+      }
+    }
+  }
+  return variables;
+};
+
+/**
+ * Three-way merge of workspace comments, by ID.  A comment is kept unless
+ * one side deleted it; its content comes from the side that changed it,
+ * preferring the local side.
+ * @param {!Element} baseXml XML DOM of the common ancestor.
+ * @param {!Element} localXml XML DOM of the local workspace.
+ * @param {!Element} remoteXml XML DOM of the remote workspace.
+ * @return {!Array.<!Element>} The merged 'comment' elements.
+ * @private
+ */
+Blockly.WorkspaceDiff.mergeComments_ = function(baseXml, localXml,
+    remoteXml) {
+  var collect = function(xml) {
+    var comments = Object.create(null);
+    for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+      if (xmlChild.nodeName.toLowerCase() == 'comment') {
+        comments[xmlChild.getAttribute('id')] = xmlChild;
+      }
+    }
+    return comments;
+  };
+  var base = collect(baseXml);
+  var local = collect(localXml);
+  var remote = collect(remoteXml);
+  var sameText = function(a, b) {
+    return (a ? Blockly.Xml.domToText(a) : null) ==
+        (b ? Blockly.Xml.domToText(b) : null);
+  };
+  var merged = [];
+  var seen = Object.create(null);
+  var add = function(id) {
+    if ((base[id] && (!local[id] || !remote[id])) || seen[id]) {
+      return;
+    }
+    seen[id] = true;
+    var comment = local[id] || remote[id];
+    if (local[id] && remote[id]) {
+      comment = Blockly.WorkspaceDiff.mergeValue_(base[id], local[id],
+          remote[id], sameText).value;
+    }
+    merged.push(comment.cloneNode(true));
+  };
+  Object.keys(local).forEach(add);
+  Object.keys(remote).forEach(add);
+  return merged;
+};
+
+/**
+ * Get the property keys of some block records, in document order.
+ * @param {!Array.<Object>} records The records (null entries are skipped).
+ * @return {!Array.<string>} The property keys.
+ * @private
+ */
+Blockly.WorkspaceDiff.propertyKeys_ = function(records) {
+  var keys = [];
+  for (var i = 0; i < records.length; i++) {
+    if (!records[i]) {
+      continue;
+    }
+    for (var j = 0, key; key = records[i].propertyOrder[j]; j++) {
+      if (keys.indexOf(key) == -1) {
+        keys.push(key);
+      }
+    }
+  }
+  return keys;
+};
+
+/**
+ * Whether a property key refers to a field.
+ * @param {string} key The property key.
+ * @return {boolean} True for fields.
+ * @private
+ */
+Blockly.WorkspaceDiff.isField_ = function(key) {
+  return key.indexOf(Blockly.WorkspaceDiff.FIELD_PREFIX_) == 0;
+};
+
+/**
+ * Get the user-facing name of a property: the field or attribute name, or
+ * 'mutation', 'comment' or 'data'.
+ * @param {string} key The property key.
+ * @return {string} The property name.
+ * @private
+ */
+Blockly.WorkspaceDiff.propertyName_ = function(key) {
+  if (Blockly.WorkspaceDiff.isField_(key)) {
+    return key.substring(Blockly.WorkspaceDiff.FIELD_PREFIX_.length);
+  }
+  if (key.indexOf(Blockly.WorkspaceDiff.ATTRIBUTE_PREFIX_) == 0) {
+    return key.substring(Blockly.WorkspaceDiff.ATTRIBUTE_PREFIX_.length);
+  }
+  return key;
+};
+
+/**
+ * Get the input name of a slot.
+ * @param {?string} slot The slot, e.g. 'value:NAME' or 'next'.
+ * @return {?string} The input name, or null for the next connection or the
+ *     top level.
+ * @private
+ */
+Blockly.WorkspaceDiff.slotToInputName_ = function(slot) {
+  return slot && slot != 'next' ? slot.substring(slot.indexOf(':') + 1) : null;
+};
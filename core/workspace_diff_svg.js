@@ -0,0 +1,290 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Read-only view of the changes between two versions of a
+ * workspace.  The new version is drawn with added blocks glowing green, moved
+ * and changed blocks highlighted, changed fields badged and removed blocks
+ * shown as ghosts.
+ */
+'use strict';
+
+/**
+ * @name Blockly.WorkspaceDiffSvg
+ * @namespace
+ **/
+goog.provide('Blockly.WorkspaceDiffSvg');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Tooltip');
+goog.require('Blockly.WorkspaceDiff');
+goog.require('Blockly.Xml');
+goog.require('Blockly.inject');
+goog.require('Blockly.utils');
+
+goog.require('goog.asserts');
+goog.require('goog.object');
+
+
+/**
+ * Prefix of the IDs of ghost blocks, so that they do not clash with the IDs
+ * of the blocks in the new version.
+ * @const {string}
+ */
+Blockly.WorkspaceDiffSvg.GHOST_ID_PREFIX = 'diffGhost_';
+
+/**
+ * Horizontal space between a ghost and the block it was attached to.
+ * @const {number}
+ */
+Blockly.WorkspaceDiffSvg.GHOST_GAP = 20;
+
+/**
+ * Radius of the badge drawn on changed fields.
+ * @const {number}
+ */
+Blockly.WorkspaceDiffSvg.BADGE_RADIUS = 5;
+
+/**
+ * Inject a read-only workspace showing the changes between two versions.
+ * @param {!Element|string} container Containing element, or its ID, or a CSS
+ *     selector.
+ * @param {!Element} oldXml XML DOM of the old version.
+ * @param {!Element} newXml XML DOM of the new version.
+ * @param {Object=} opt_options Injection options.  'readOnly' is always set.
+ * @return {!Blockly.WorkspaceSvg} Newly created main workspace.
+ */
+Blockly.WorkspaceDiffSvg.inject = function(container, oldXml, newXml,
+    opt_options) {
+  var options = goog.object.clone(opt_options || {});
+  options['readOnly'] = true;
+  var workspace = Blockly.inject(container, options);
+  Blockly.WorkspaceDiffSvg.show(workspace, oldXml, newXml);
+  return workspace;
+};
+
+/**
+ * Replace the contents of a read-only workspace with the new version of a
+ * workspace, marked up with the changes from the old version.  Nothing is
+ * recorded in the undo stack.
+ * @param {!Blockly.WorkspaceSvg} workspace A workspace injected with the
+ *     'readOnly' option.
+ * @param {!Element} oldXml XML DOM of the old version.
+ * @param {!Element} newXml XML DOM of the new version.
+ * @return {!Array.<!Blockly.WorkspaceDiff.Change>} The changes shown.  Blocks
+ *     without IDs are given IDs, so every change has a block ID.
+ */
+Blockly.WorkspaceDiffSvg.show = function(workspace, oldXml, newXml) {
+  goog.asserts.assert(workspace.options.readOnly,
+      'Diffs can only be shown on a read-only workspace.');
+  oldXml = Blockly.WorkspaceDiffSvg.withIds_(oldXml);
+  newXml = Blockly.WorkspaceDiffSvg.withIds_(newXml);
+  var changes = Blockly.WorkspaceDiff.diff(oldXml, newXml);
+
+  Blockly.Events.disable();
+  try {
+    workspace.clear();
+    Blockly.Xml.domToWorkspace(newXml, workspace);
+    Blockly.WorkspaceDiffSvg.addGhosts_(workspace, oldXml, changes);
+  } finally {
+    Blockly.Events.enable();
+  }
+
+  // The changes are drawn with the same glows that mark running blocks and
+  // warnings, with a glow of their own for added blocks.
+  var ChangeType = Blockly.WorkspaceDiff.ChangeType;
+  for (var i = 0, change; change = changes[i]; i++) {
+    var block = workspace.getBlockById(change.blockId);
+    if (!block) {
+      continue;
+    }
+    switch (change.type) {
+      case ChangeType.ADDED:
+        block.setHighlightBlock(true);
+        if (block.svgPathHighlight_) {
+          block.svgPathHighlight_.setAttribute('filter',
+              'url(#' + workspace.options.diffAddedGlowFilterId + ')');
+        }
+        break;
+      case ChangeType.FIELD_CHANGED:
+        var field = block.getField(change.fieldName);
+        if (field) {
+          Blockly.WorkspaceDiffSvg.addBadge_(field, change.oldValue);
+        }
+        // Fall through.
+      case ChangeType.MOVED:
+      case ChangeType.RECONNECTED:
+      case ChangeType.PROPERTY_CHANGED:
+        block.setHighlighted(true);
+        break;
+    }
+  }
+  return changes;
+};
+
+/**
+ * Whether a block is a ghost of a removed block.
+ * @param {!Blockly.Block} block The block.
+ * @return {boolean} True for ghosts.
+ */
+Blockly.WorkspaceDiffSvg.isGhost = function(block) {
+  return block.id.indexOf(Blockly.WorkspaceDiffSvg.GHOST_ID_PREFIX) == 0;
+};
+
+/**
+ * Copy workspace XML, giving an ID to every block that lacks one.
+ * @param {!Element} xml XML DOM of a workspace.
+ * @return {!Element} The copy.
+ * @private
+ */
+Blockly.WorkspaceDiffSvg.withIds_ = function(xml) {
+  xml = /** @type {!Element} */ (xml.cloneNode(true));
+  var elements = Blockly.WorkspaceDiffSvg.blockElements_(xml);
+  for (var i = 0; i < elements.length; i++) {
+    if (!elements[i].getAttribute('id')) {
+      elements[i].setAttribute('id', Blockly.utils.genUid());
+    }
+  }
+  return xml;
+};
+
+/**
+ * Get the 'block' and 'shadow' elements inside an element.
+ * @param {!Element} element The element to search.
+ * @return {!Array.<!Element>} The elements, blocks before shadows.
+ * @private
+ */
+Blockly.WorkspaceDiffSvg.blockElements_ = function(element) {
+  var blocks = Array.prototype.slice.call(
+      element.getElementsByTagName('block'));
+  return blocks.concat(Array.prototype.slice.call(
+      element.getElementsByTagName('shadow')));
+};
+
+/**
+ * Draw ghosts of the removed blocks.  Each removed block whose parent still
+ * exists becomes the root of a ghost stack, drawn beside that parent (or at
+ * its old position if it was a top-level block).
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {!Element} oldXml XML DOM of the old version, with IDs.
+ * @param {!Array.<!Blockly.WorkspaceDiff.Change>} changes The changes.
+ * @private
+ */
+Blockly.WorkspaceDiffSvg.addGhosts_ = function(workspace, oldXml, changes) {
+  var removed = Object.create(null);
+  for (var i = 0, change; change = changes[i]; i++) {
+    if (change.type == Blockly.WorkspaceDiff.ChangeType.REMOVED) {
+      removed[change.blockId] = true;
+    }
+  }
+  var elements = Blockly.WorkspaceDiffSvg.blockElements_(oldXml);
+  for (var i = 0, element; element = elements[i]; i++) {
+    var id = element.getAttribute('id');
+    // Shadows are drawn with the ghost of their parent block, if at all.
+    if (!removed[id] || element.nodeName.toLowerCase() == 'shadow') {
+      continue;
+    }
+    var parentElement = element.parentNode == oldXml ? null :
+        element.parentNode.parentNode;
+    if (parentElement && removed[parentElement.getAttribute('id')]) {
+      continue;
+    }
+    var ghostXml = /** @type {!Element} */ (element.cloneNode(true));
+    var descendants = Blockly.WorkspaceDiffSvg.blockElements_(ghostXml);
+    for (var j = 0, descendant; descendant = descendants[j]; j++) {
+      if (!removed[descendant.getAttribute('id')]) {
+        // Still in the new version; drawn there instead.
+        descendant.parentNode.removeChild(descendant);
+      }
+    }
+    descendants = [ghostXml].concat(
+        Blockly.WorkspaceDiffSvg.blockElements_(ghostXml));
+    for (var j = 0, descendant; descendant = descendants[j]; j++) {
+      descendant.setAttribute('id', Blockly.WorkspaceDiffSvg.GHOST_ID_PREFIX +
+          descendant.getAttribute('id'));
+    }
+
+    var ghost = Blockly.Xml.domToBlock(ghostXml, workspace);
+    var parent = parentElement &&
+        workspace.getBlockById(parentElement.getAttribute('id'));
+    var x;
+    var y;
+    if (parent) {
+      var xy = parent.getRelativeToSurfaceXY();
+      var gap = parent.getHeightWidth().width +
+          Blockly.WorkspaceDiffSvg.GHOST_GAP;
+      x = xy.x + (workspace.RTL ? -gap : gap);
+      y = xy.y;
+    } else {
+      var root = element;
+      while (root.parentNode != oldXml) {
+        root = root.parentNode;
+      }
+      x = parseInt(root.getAttribute('x'), 10) || 0;
+      y = parseInt(root.getAttribute('y'), 10) || 0;
+      if (workspace.RTL) {
+        x = workspace.getWidth() - x;
+      }
+    }
+    ghost.moveBy(x, y);
+    // Ghosts are filled with their shadow colour and glow as warnings.
+    var ghostBlocks = ghost.getDescendants(false);
+    for (var j = 0; j < ghostBlocks.length; j++) {
+      ghostBlocks[j].setGlowBlock(true);
+    }
+    ghost.setHighlightWarning(true);
+  }
+};
+
+/**
+ * Draw a badge on a changed field, and show the old value of the field as the
+ * tooltip of the field and the badge.
+ * @param {!Blockly.Field} field The field.
+ * @param {?string} oldValue The old value of the field.
+ * @private
+ */
+Blockly.WorkspaceDiffSvg.addBadge_ = function(field, oldValue) {
+  var group = field.getSvgRoot();
+  if (!group) {
+    return;
+  }
+  var badge = Blockly.utils.createSvgElement('circle', {
+    'class': 'blocklyDiffBadge',
+    'cx': field.getSize().width,
+    'cy': 0,
+    'r': Blockly.WorkspaceDiffSvg.BADGE_RADIUS
+  }, group);
+  var tooltip = Blockly.Msg.DIFF_FIELD_CHANGED_TOOLTIP.replace('%1',
+      oldValue == null ? '' : oldValue);
+  var targets = field.textElement_ ? [badge, field.textElement_] : [badge];
+  for (var i = 0; i < targets.length; i++) {
+    targets[i].tooltip = tooltip;
+    Blockly.Tooltip.bindMouseEvents(targets[i]);
+  }
+};
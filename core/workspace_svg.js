@@ -36,15 +36,21 @@ goog.require('Blockly.ConnectionDB');
 goog.require('Blockly.constants');
 goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.Events.BlockCreate');
+goog.require('Blockly.Events.ViewportChange');
 goog.require('Blockly.TouchGesture');
 goog.require('Blockly.Grid');
+goog.require('Blockly.Minimap');
 goog.require('Blockly.Options');
+goog.require('Blockly.RenderQueue');
+goog.require('Blockly.Renderer');
 goog.require('Blockly.ScrollbarPair');
 goog.require('Blockly.Touch');
 goog.require('Blockly.TouchGesture');
 goog.require('Blockly.Trashcan');
+goog.require('Blockly.UndoHistoryPanel');
 //goog.require('Blockly.VerticalFlyout');
 goog.require('Blockly.VariablesDynamic');
+goog.require('Blockly.ViewportCuller');
 goog.require('Blockly.Workspace');
 goog.require('Blockly.WorkspaceAudio');
 goog.require('Blockly.WorkspaceComment');
@@ -56,6 +62,7 @@ goog.require('Blockly.ZoomControls');
 goog.require('goog.array');
 goog.require('goog.dom');
 goog.require('goog.math.Coordinate');
+goog.require('goog.math.Rect');
 
 
 /**
@@ -112,6 +119,33 @@ Blockly.WorkspaceSvg = function(options, opt_blockDragSurface, opt_wsDragSurface
   this.grid_ = this.options.gridPattern ?
       new Blockly.Grid(options.gridPattern, options.gridOptions) : null;
 
+  /**
+   * pxt-blockly: The sizes and shapes this workspace's blocks are drawn with.
+   * Flyouts and mutators draw with the renderer of their parent workspace.
+   * @type {!Blockly.Renderer}
+   * @private
+   */
+  this.renderer_ = options.renderer ||
+      (options.parentWorkspace && options.parentWorkspace.rendered ?
+          options.parentWorkspace.getRenderer() :
+          Blockly.Renderer.get(Blockly.Renderer.DEFAULT));
+
+  /**
+   * pxt-blockly: Blocks waiting to be rendered on the next animation frame.
+   * @type {!Blockly.RenderQueue}
+   * @private
+   */
+  this.renderQueue_ = new Blockly.RenderQueue(this);
+
+  /**
+   * pxt-blockly: Takes offscreen stacks out of the document, or null if the
+   * 'viewportCulling' option is off.
+   * @type {Blockly.ViewportCuller}
+   * @private
+   */
+  this.culler_ = options.viewportCulling ?
+      new Blockly.ViewportCuller(this) : null;
+
   if (Blockly.Variables && Blockly.Variables.flyoutCategory) {
     this.registerToolboxCategoryCallback(Blockly.VARIABLE_CATEGORY_NAME,
         Blockly.Variables.flyoutCategory);
@@ -179,6 +213,14 @@ Blockly.WorkspaceSvg.prototype.scrollX = 0;
  */
 Blockly.WorkspaceSvg.prototype.scrollY = 0;
 
+/**
+ * pxt-blockly: Horizontal scroll, vertical scroll and scale of the workspace
+ * the last time it was translated, or null if it never was.
+ * @type {Array.<number>}
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.lastViewport_ = null;
+
 /**
  * Horizontal scroll value when scrolling started in pixel units.
  * @type {number}
@@ -394,6 +436,124 @@ Blockly.WorkspaceSvg.prototype.getOriginOffsetInPixels = function() {
   return Blockly.utils.getInjectionDivXY_(this.svgBlockCanvas_);
 };
 
+/**
+ * pxt-blockly: Get the renderer that this workspace's blocks are drawn with.
+ * @return {!Blockly.Renderer} The renderer.
+ */
+Blockly.WorkspaceSvg.prototype.getRenderer = function() {
+  return this.renderer_;
+};
+
+/**
+ * pxt-blockly: Get the queue of blocks that this workspace will render on the
+ * next animation frame.  Flush it to draw the blocks now.
+ * @return {!Blockly.RenderQueue} The render queue.
+ */
+Blockly.WorkspaceSvg.prototype.getRenderQueue = function() {
+  return this.renderQueue_;
+};
+
+/**
+ * pxt-blockly: Get the object that takes this workspace's offscreen stacks
+ * out of the document.
+ * @return {Blockly.ViewportCuller} The culler, or null if the
+ *     'viewportCulling' option is off.
+ */
+Blockly.WorkspaceSvg.prototype.getCuller = function() {
+  return this.culler_;
+};
+
+/**
+ * pxt-blockly: The CSS class of the theme that was last added to the
+ * injection div, or null if none has been added.
+ * @type {?string}
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.themeClassName_ = null;
+
+/**
+ * pxt-blockly: Re-colour the blocks, toolbox and flyout of this workspace with
+ * the current theme.  The background and scrollbars are coloured by the
+ * theme's CSS.
+ * @override
+ */
+Blockly.WorkspaceSvg.prototype.refreshTheme = function() {
+  Blockly.WorkspaceSvg.superClass_.refreshTheme.call(this);
+  if (!this.options.parentWorkspace) {
+    this.applyThemeClass_();
+  }
+  if (this.toolbox_) {
+    this.toolbox_.refreshTheme();
+  }
+  if (this.flyout_) {
+    this.flyout_.getWorkspace().refreshTheme();
+  }
+};
+
+/**
+ * pxt-blockly: Give the injection div the CSS class of the current theme, in
+ * place of the previous theme's class.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.applyThemeClass_ = function() {
+  var injectionDiv = this.getInjectionDiv();
+  if (!injectionDiv) {
+    return;
+  }
+  if (this.themeClassName_) {
+    Blockly.utils.removeClass(injectionDiv, this.themeClassName_);
+  }
+  var theme = this.getTheme();
+  theme.injectCss();
+  this.themeClassName_ = theme.getClassName();
+  Blockly.utils.addClass(injectionDiv, this.themeClassName_);
+};
+
+/**
+ * pxt-blockly: Get the patterns that are drawn over the blocks and toolbox
+ * categories of this workspace.  Flyouts and mutators use the patterns of
+ * their parent workspace.
+ * @return {Blockly.CategoryPatterns} The patterns, or null if this workspace
+ *     has none.
+ */
+Blockly.WorkspaceSvg.prototype.getCategoryPatterns = function() {
+  if (this.options.categoryPatterns) {
+    return this.options.categoryPatterns;
+  }
+  var parentWorkspace = this.options.parentWorkspace;
+  return parentWorkspace ? parentWorkspace.getCategoryPatterns() : null;
+};
+
+/**
+ * pxt-blockly: Show or hide the category patterns of this workspace, its
+ * toolbox and its flyout.
+ * @param {boolean} visible True to draw the patterns.
+ */
+Blockly.WorkspaceSvg.prototype.setCategoryPatternsVisible = function(visible) {
+  var patterns = this.getCategoryPatterns();
+  if (patterns) {
+    patterns.setVisible(visible);
+    this.refreshCategoryPatterns();
+  }
+};
+
+/**
+ * pxt-blockly: Draw the category patterns of the blocks, toolbox and flyout of
+ * this workspace again, after the patterns have been shown, hidden or changed.
+ */
+Blockly.WorkspaceSvg.prototype.refreshCategoryPatterns = function() {
+  var blocks = this.getAllBlocks();
+  for (var i = 0; i < blocks.length; i++) {
+    blocks[i].updateCategoryPattern();
+  }
+  if (this.toolbox_) {
+    this.toolbox_.refreshCategoryPatterns();
+  }
+  if (this.flyout_) {
+    this.flyout_.getWorkspace().refreshCategoryPatterns();
+  }
+};
+
 /**
  * Return the injection div that is a parent of this workspace.
  * Walks the DOM the first time it's called, then returns a cached value.
@@ -469,7 +629,10 @@ Blockly.WorkspaceSvg.prototype.createDom = function(opt_backgroundClass) {
     bottom = this.addTrashcan_(bottom);
   }
   if (this.options.zoomOptions && this.options.zoomOptions.controls) {
-    this.addZoomControls_(bottom);
+    bottom = this.addZoomControls_(bottom);
+  }
+  if (this.options.hasMinimap) {
+    this.addMinimap_(bottom);
   }
 
   if (!this.isFlyout) {
@@ -508,6 +671,11 @@ Blockly.WorkspaceSvg.prototype.dispose = function() {
   if (this.currentGesture_) {
     this.currentGesture_.cancel();
   }
+  this.renderQueue_.dispose();
+  if (this.culler_) {
+    this.culler_.dispose();
+    this.culler_ = null;
+  }
   Blockly.WorkspaceSvg.superClass_.dispose.call(this);
   if (this.svgGroup_) {
     goog.dom.removeNode(this.svgGroup_);
@@ -535,6 +703,14 @@ Blockly.WorkspaceSvg.prototype.dispose = function() {
     this.zoomControls_.dispose();
     this.zoomControls_ = null;
   }
+  if (this.minimap_) {
+    this.minimap_.dispose();
+    this.minimap_ = null;
+  }
+  if (this.undoHistoryPanel_) {
+    this.undoHistoryPanel_.dispose();
+    this.undoHistoryPanel_ = null;
+  }
 
   if (this.audioManager_) {
     this.audioManager_.dispose();
@@ -603,6 +779,31 @@ Blockly.WorkspaceSvg.prototype.addZoomControls_ = function(bottom) {
   return this.zoomControls_.init(bottom);
 };
 
+/**
+ * pxt-blockly: Add a minimap.
+ * @param {number} bottom Distance from workspace bottom to bottom of minimap.
+ * @return {number} Distance from workspace bottom to the top of minimap.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.addMinimap_ = function(bottom) {
+  /** @type {Blockly.Minimap} */
+  this.minimap_ = new Blockly.Minimap(this);
+  var svgMinimap = this.minimap_.createDom();
+  this.svgGroup_.appendChild(svgMinimap);
+  return this.minimap_.init(bottom);
+};
+
+/**
+ * Add a panel showing the undo history.  The workspace must already be in the
+ * page.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.addUndoHistoryPanel_ = function() {
+  /** @type {Blockly.UndoHistoryPanel} */
+  this.undoHistoryPanel_ = new Blockly.UndoHistoryPanel(this);
+  this.getInjectionDiv().appendChild(this.undoHistoryPanel_.createDom());
+};
+
 /**
  * Add a flyout element in an element with the given tag name.
  * @param {string} tagName What type of tag the flyout belongs in.
@@ -706,6 +907,9 @@ Blockly.WorkspaceSvg.prototype.resize = function() {
   if (this.zoomControls_) {
     this.zoomControls_.position();
   }
+  if (this.minimap_) {
+    this.minimap_.position();
+  }
   if (this.scrollbar) {
     this.scrollbar.resize();
   }
@@ -781,6 +985,29 @@ Blockly.WorkspaceSvg.prototype.translate = function(x, y) {
   if (this.blockDragSurface_) {
     this.blockDragSurface_.translateAndScaleGroup(x, y, this.scale);
   }
+  // pxt-blockly: bring the stacks that have scrolled into view back.
+  if (this.culler_) {
+    this.culler_.update();
+  }
+  this.fireViewportChange_();
+};
+
+/**
+ * pxt-blockly: Fire an event if the workspace has been scrolled or zoomed
+ * since the last time it was translated.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.fireViewportChange_ = function() {
+  if (this.isFlyout) {
+    return;
+  }
+  var viewport = [this.scrollX, this.scrollY, this.scale];
+  var last = this.lastViewport_;
+  this.lastViewport_ = viewport;
+  // The first translation sets up the workspace, it does not change it.
+  if (last && !goog.array.equals(last, viewport)) {
+    Blockly.Events.fire(new Blockly.Events.ViewportChange(this, last[2]));
+  }
 };
 
 /**
@@ -1321,7 +1548,7 @@ Blockly.WorkspaceSvg.prototype.cleanUp = function() {
     block.moveBy(-xy.x, cursorY - xy.y);
     block.snapToGrid();
     cursorY = block.getRelativeToSurfaceXY().y +
-        block.getHeightWidth().height + Blockly.BlockSvg.MIN_BLOCK_Y;
+        block.getHeightWidth().height + this.getRenderer().MIN_BLOCK_Y;
   }
   Blockly.Events.setGroup(false);
   this.setResizesEnabled(true);
@@ -1712,6 +1939,60 @@ Blockly.WorkspaceSvg.prototype.centerOnBlock = function(id, animate) {
   }, Blockly.Colours.canvasTransitionLength);
 };
 
+/**
+ * pxt-blockly: Get the part of the workspace that is visible.
+ * @return {goog.math.Rect} The visible rectangle in workspace units, or null
+ *     if the workspace is not visible.
+ */
+Blockly.WorkspaceSvg.prototype.getViewportRect = function() {
+  var metrics = this.getMetrics();
+  if (!metrics) {
+    return null;
+  }
+  return new goog.math.Rect(metrics.viewLeft / this.scale,
+      metrics.viewTop / this.scale, metrics.viewWidth / this.scale,
+      metrics.viewHeight / this.scale);
+};
+
+/**
+ * pxt-blockly: Zoom and scroll so that a rectangle of the workspace is as
+ * large as will fit, in the center of the view.  This shows the part of the
+ * workspace that another screen shows, whatever the size of either screen.
+ * @param {!goog.math.Rect} rect The rectangle in workspace units.
+ */
+Blockly.WorkspaceSvg.prototype.showViewportRect = function(rect) {
+  if (!this.scrollbar) {
+    console.warn('Tried to scroll a non-scrollable workspace.');
+    return;
+  }
+  var metrics = this.getMetrics();
+  if (rect.width > 0 && rect.height > 0 &&
+      metrics.viewWidth > 0 && metrics.viewHeight > 0) {
+    this.setScale(Math.min(metrics.viewWidth / rect.width,
+        metrics.viewHeight / rect.height));
+  }
+  this.centerOnPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+};
+
+/**
+ * pxt-blockly: Scroll so that a point of the workspace is in the center of the
+ * view, without zooming.
+ * @param {number} x The x coordinate of the point, in workspace units.
+ * @param {number} y The y coordinate of the point, in workspace units.
+ */
+Blockly.WorkspaceSvg.prototype.centerOnPoint = function(x, y) {
+  if (!this.scrollbar) {
+    console.warn('Tried to scroll a non-scrollable workspace.');
+    return;
+  }
+  var metrics = this.getMetrics();
+  // As in centerOnBlock, put the point in the center of the view.
+  var scrollX = x * this.scale - metrics.contentLeft - metrics.viewWidth / 2;
+  var scrollY = y * this.scale - metrics.contentTop - metrics.viewHeight / 2;
+  Blockly.hideChaff();
+  this.scrollbar.set(scrollX, scrollY);
+};
+
 /**
  * Set the workspace's zoom factor.
  * @param {number} newScale Zoom factor.
@@ -1733,6 +2014,8 @@ Blockly.WorkspaceSvg.prototype.setScale = function(newScale) {
   } else {
     this.translate(this.scrollX, this.scrollY);
   }
+  // pxt-blockly: The scrollbars only translate the workspace if it moved.
+  this.fireViewportChange_();
   Blockly.hideChaff(false);
   if (this.flyout_) {
     // No toolbox, resize flyout.
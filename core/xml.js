@@ -175,11 +175,21 @@ Blockly.Xml.allFieldsToDom_ = function(block, element) {
  * @return {!Element} Tree of XML elements.
  */
 Blockly.Xml.blockToDom = function(block, opt_noId) {
+  if (block.type == Blockly.UNKNOWN_BLOCK_TYPE) {
+    // Write back the block this placeholder stands in for.
+    var element = block.originalXmlToDom(opt_noId);
+    Blockly.Xml.nextToDom_(block, element, opt_noId);
+    return element;
+  }
   var element = goog.dom.createDom(block.isShadow() ? 'shadow' : 'block');
   element.setAttribute('type', block.type);
   if (!opt_noId) {
     element.setAttribute('id', block.id);
   }
+  var definition = Blockly.Blocks[block.type];
+  if (definition && definition.version) {
+    element.setAttribute('version', definition.version);
+  }
   if (block.mutationToDom) {
     // Custom data for an advanced block.
     var mutation = block.mutationToDom();
@@ -252,6 +262,19 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
     element.setAttribute('editable', false);
   }
 
+  Blockly.Xml.nextToDom_(block, element, opt_noId);
+  return element;
+};
+
+/**
+ * Encode the blocks after a block in its stack, and any shadow on its next
+ * connection.
+ * @param {!Blockly.Block} block The block whose next connection to encode.
+ * @param {!Element} element The XML element of the block.
+ * @param {boolean=} opt_noId True if the encoder should skip the block IDs.
+ * @private
+ */
+Blockly.Xml.nextToDom_ = function(block, element, opt_noId) {
   var nextBlock = block.getNextBlock();
   if (nextBlock) {
     var container = goog.dom.createDom('next', null,
@@ -262,8 +285,6 @@ Blockly.Xml.blockToDom = function(block, opt_noId) {
   if (shadow && (!nextBlock || !nextBlock.isShadow())) {
     container.appendChild(Blockly.Xml.cloneShadow_(shadow));
   }
-
-  return element;
 };
 
 /**
@@ -398,6 +419,11 @@ Blockly.Xml.domToWorkspace = function(xml, workspace) {
   if (workspace.setResizesEnabled) {
     workspace.setResizesEnabled(false);
   }
+  // pxt-blockly: render the new blocks together once they have all been
+  // created.
+  if (workspace.rendered) {
+    workspace.getRenderQueue().startBatch();
+  }
   var variablesFirst = true;
   try {
     for (var i = 0; i < childCount; i++) {
@@ -439,6 +465,9 @@ Blockly.Xml.domToWorkspace = function(xml, workspace) {
       }
     }
   } finally {
+    if (workspace.rendered) {
+      workspace.getRenderQueue().endBatch();
+    }
     if (!existingGroup) {
       Blockly.Events.setGroup(false);
     }
@@ -490,7 +519,7 @@ Blockly.Xml.appendDomToWorkspace = function(xml, workspace) {
         newX = blockXY.x;
       }
     }
-    offsetY = farY - newY + Blockly.BlockSvg.SEP_SPACE_Y;
+    offsetY = farY - newY + workspace.getRenderer().SEP_SPACE_Y;
     offsetX = topX - newX;
     // move the new blocks to append them at the bottom
     var width;  // Not used in LTR.
@@ -534,8 +563,16 @@ Blockly.Xml.domToBlock = function(xmlBlock, workspace) {
       for (var i = blocks.length - 1; i >= 0; i--) {
         blocks[i].initSvg();
       }
+      // pxt-blockly: domToWorkspace renders all of its blocks at the end.
+      // Otherwise render them straight away, as flushing the queue would
+      // resize the workspace a second time.
+      var inBatch = workspace.getRenderQueue().inBatch();
       for (var i = blocks.length - 1; i >= 0; i--) {
-        blocks[i].render(false);
+        if (inBatch) {
+          blocks[i].queueRender();
+        } else {
+          blocks[i].render(false);
+        }
       }
       // Populating the connection database may be deferred until after the
       // blocks have rendered.
@@ -591,6 +628,79 @@ Blockly.Xml.domToVariables = function(xmlVariables, workspace) {
   }
 };
 
+/**
+ * Get the version of a block definition.  Versions start at 1, which is also
+ * the version of blocks saved without a 'version' attribute.
+ * @param {string} type The block type.
+ * @return {number} The version, or 0 if the type is not defined.
+ * @private
+ */
+Blockly.Xml.blockVersion_ = function(type) {
+  var definition = Blockly.Blocks[type];
+  if (!definition) {
+    return 0;
+  }
+  return definition.version || 1;
+};
+
+/**
+ * Bring an XML block element saved with an older version of its block
+ * definition up to date, by running the definition's upgrade functions on it.
+ * A definition declares its current 'version' and a map of 'upgrades' from
+ * each old version to a function that modifies the XML of that version in
+ * place, turning it into the next version.  Nested blocks are upgraded
+ * separately when they are loaded.
+ * @param {!Element} xmlBlock XML block element.
+ * @return {!Element} The element if it is current, otherwise an upgraded copy.
+ * @private
+ */
+Blockly.Xml.upgradeBlockDom_ = function(xmlBlock) {
+  var type = xmlBlock.getAttribute('type');
+  var currentVersion = Blockly.Xml.blockVersion_(type);
+  var version = parseInt(xmlBlock.getAttribute('version'), 10) || 1;
+  if (!currentVersion || version == currentVersion) {
+    return xmlBlock;
+  }
+  if (version > currentVersion) {
+    console.warn('Block "' + type + '" was saved with version ' + version +
+        ', which is newer than the loaded definition (version ' +
+        currentVersion + ').');
+    return xmlBlock;
+  }
+  var upgrades = Blockly.Blocks[type].upgrades || {};
+  xmlBlock = /** @type {!Element} */ (xmlBlock.cloneNode(true));
+  for (; version < currentVersion; version++) {
+    if (upgrades[version]) {
+      upgrades[version](xmlBlock);
+    }
+  }
+  xmlBlock.setAttribute('version', currentVersion);
+  return xmlBlock;
+};
+
+/**
+ * Upgrade every block element inside an element, replacing each outdated one
+ * with its upgraded copy.
+ * @param {!Element} element The element to upgrade, modified in place.
+ * @private
+ */
+Blockly.Xml.upgradeAllBlockDom_ = function(element) {
+  for (var i = 0, child; child = element.childNodes[i]; i++) {
+    if (child.nodeType != 1) {
+      continue;
+    }
+    var tag = child.nodeName.toLowerCase();
+    if ((tag == 'block' || tag == 'shadow') && child.getAttribute('type')) {
+      var upgraded = Blockly.Xml.upgradeBlockDom_(child);
+      if (upgraded != child) {
+        element.replaceChild(upgraded, child);
+        child = upgraded;
+      }
+    }
+    Blockly.Xml.upgradeAllBlockDom_(child);
+  }
+};
+
 /**
  * Decode an XML block tag and create a block (and possibly sub blocks) on the
  * workspace.
@@ -601,11 +711,19 @@ Blockly.Xml.domToVariables = function(xmlVariables, workspace) {
  */
 Blockly.Xml.domToBlockHeadless_ = function(xmlBlock, workspace) {
   var block = null;
+  goog.asserts.assert(xmlBlock.getAttribute('type'),
+      'Block type unspecified: %s', xmlBlock.outerHTML);
+  xmlBlock = Blockly.Xml.upgradeBlockDom_(xmlBlock);
   var prototypeName = xmlBlock.getAttribute('type');
-  goog.asserts.assert(
-      prototypeName, 'Block type unspecified: %s', xmlBlock.outerHTML);
   var id = xmlBlock.getAttribute('id');
-  block = workspace.newBlock(prototypeName, id);
+  var unknown = !Blockly.Blocks[prototypeName];
+  if (unknown) {
+    // Keep blocks from missing extensions as placeholders.
+    block = workspace.newBlock(Blockly.UNKNOWN_BLOCK_TYPE, id);
+    block.setOriginalXml(xmlBlock);
+  } else {
+    block = workspace.newBlock(prototypeName, id);
+  }
 
   var blockChild = null;
   for (var i = 0, xmlChild; xmlChild = xmlBlock.childNodes[i]; i++) {
@@ -613,6 +731,10 @@ Blockly.Xml.domToBlockHeadless_ = function(xmlBlock, workspace) {
       // Ignore any text at the <block> level.  It's all whitespace anyway.
       continue;
     }
+    if (unknown && xmlChild.nodeName.toLowerCase() != 'next') {
+      // Kept as XML by the placeholder.
+      continue;
+    }
     var input;
 
     // Find any enclosed blocks or shadows in this tag.
@@ -814,6 +936,509 @@ Blockly.Xml.domToField_ = function(block, fieldName, xml) {
   }
 };
 
+/**
+ * A problem found in workspace XML by Blockly.Xml.validate.  'path' is an
+ * XPath-like location of the offending element, 'blockId' is the ID of the
+ * block involved (if any).
+ * @typedef {{type: Blockly.Xml.ProblemType, message: string, path: string,
+ *     blockId: ?string}}
+ */
+Blockly.Xml.Problem;
+
+/**
+ * Kinds of problems reported by Blockly.Xml.validate.
+ * @enum {string}
+ */
+Blockly.Xml.ProblemType = {
+  UNKNOWN_TAG: 'unknownTag',
+  MISSING_BLOCK_TYPE: 'missingBlockType',
+  UNKNOWN_BLOCK_TYPE: 'unknownBlockType',
+  BLOCK_INIT_FAILED: 'blockInitFailed',
+  DUPLICATE_BLOCK_ID: 'duplicateBlockId',
+  TOP_LEVEL_SHADOW: 'topLevelShadow',
+  SHADOW_CHILD: 'shadowChild',
+  UNEXPECTED_MUTATION: 'unexpectedMutation',
+  BAD_MUTATION: 'badMutation',
+  UNKNOWN_FIELD: 'unknownField',
+  BAD_FIELD: 'badField',
+  UNKNOWN_INPUT: 'unknownInput',
+  BAD_CONNECTION: 'badConnection',
+  MISPLACED_VARIABLES: 'misplacedVariables',
+  BAD_VARIABLE: 'badVariable'
+};
+
+/**
+ * How Blockly.Xml.domToWorkspaceLenient repairs a problem before loading.
+ * Problems without a fix are ones the loader already tolerates.
+ * @enum {string}
+ * @private
+ */
+Blockly.Xml.ProblemFix_ = {
+  // Skip the block, keeping any blocks after it in the stack.
+  SKIP_BLOCK: 'skipBlock',
+  // Drop the offending element.
+  REMOVE_ELEMENT: 'removeElement',
+  // Merge the 'variables' element into one at the start of the workspace.
+  MOVE_VARIABLES: 'moveVariables'
+};
+
+/**
+ * Check workspace XML for problems that would make Blockly.Xml.domToWorkspace
+ * fail or silently drop data.  Blocks are built on a scratch workspace, so the
+ * given workspace is never modified; it is only used for its options and
+ * existing variables.
+ * @param {!Element} xml XML DOM.
+ * @param {!Blockly.Workspace} workspace The workspace the XML would be
+ *     loaded into.
+ * @return {!Array.<!Blockly.Xml.Problem>} List of problems, in document
+ *     order.  Empty if the XML is valid.
+ */
+Blockly.Xml.validate = function(xml, workspace) {
+  xml = /** @type {!Element} */ (xml.cloneNode(true));
+  Blockly.Xml.upgradeAllBlockDom_(xml);
+  return Blockly.Xml.findProblems_(xml, workspace).map(
+      Blockly.Xml.publicProblem_);
+};
+
+/**
+ * Decode an XML DOM and create blocks on the workspace, skipping anything
+ * that would otherwise abort the load (missing block types, bad mutations,
+ * bad fields, incompatible connections, malformed variables).  Blocks after a
+ * skipped block in a stack are kept.  The given XML is not modified.
+ * @param {!Element} xml XML DOM.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {{blockIds: !Array.<string>, problems:
+ *     !Array.<!Blockly.Xml.Problem>}} The new top-level block IDs and the
+ *     problems found in the XML.
+ */
+Blockly.Xml.domToWorkspaceLenient = function(xml, workspace) {
+  xml = /** @type {!Element} */ (xml.cloneNode(true));
+  Blockly.Xml.upgradeAllBlockDom_(xml);
+  var problems = [];
+  var firstPass = true;
+  while (true) {
+    var found = Blockly.Xml.findProblems_(xml, workspace);
+    var fixable = found.filter(function(problem) {
+      return !!problem.fix;
+    });
+    // Later passes only find problems uncovered by earlier repairs, such as
+    // a spliced stack that no longer fits its new parent.
+    problems = problems.concat(firstPass ? found : fixable);
+    firstPass = false;
+    if (!fixable.length) {
+      break;
+    }
+    for (var i = 0; i < fixable.length; i++) {
+      Blockly.Xml.fixProblem_(xml, fixable[i]);
+    }
+  }
+  var blockIds = Blockly.Xml.domToWorkspace(xml, workspace);
+  return {
+    blockIds: blockIds,
+    problems: problems.map(Blockly.Xml.publicProblem_)
+  };
+};
+
+/**
+ * Strip the internal bookkeeping from a problem before handing it out.
+ * @param {!Object} problem A problem found by Blockly.Xml.findProblems_.
+ * @return {!Blockly.Xml.Problem} The public problem record.
+ * @private
+ */
+Blockly.Xml.publicProblem_ = function(problem) {
+  return {
+    type: problem.type,
+    message: problem.message,
+    path: problem.path,
+    blockId: problem.blockId
+  };
+};
+
+/**
+ * Find the problems in workspace XML, along with the elements they refer to
+ * and how to repair them.
+ * @param {!Element} xml XML DOM.
+ * @param {!Blockly.Workspace} workspace The workspace the XML would be
+ *     loaded into.
+ * @return {!Array.<!Object>} List of problems.
+ * @private
+ */
+Blockly.Xml.findProblems_ = function(xml, workspace) {
+  var problems = [];
+  var scratch = new Blockly.Workspace(workspace.options);
+  Blockly.Events.disable();
+  try {
+    var variables = workspace.getAllVariables();
+    for (var i = 0; i < variables.length; i++) {
+      scratch.createVariable(variables[i].name, variables[i].type,
+          variables[i].getId());
+    }
+    var context = {
+      workspace: scratch,
+      problems: problems,
+      blockIds: Object.create(null)
+    };
+    var variablesFirst = true;
+    for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+      if (xmlChild.nodeType != 1) {
+        continue;
+      }
+      var path = '/xml/' + Blockly.Xml.pathStep_(xmlChild);
+      var name = xmlChild.nodeName.toLowerCase();
+      if (name == 'block') {
+        Blockly.Xml.validateBlock_(xmlChild, path, false, context);
+        variablesFirst = false;
+      } else if (name == 'shadow') {
+        Blockly.Xml.addProblem_(context, Blockly.Xml.ProblemType.TOP_LEVEL_SHADOW,
+            'Shadow block cannot be a top-level block.', path, xmlChild,
+            Blockly.Xml.ProblemFix_.SKIP_BLOCK);
+        variablesFirst = false;
+      } else if (name == 'variables') {
+        if (!variablesFirst) {
+          Blockly.Xml.addProblem_(context,
+              Blockly.Xml.ProblemType.MISPLACED_VARIABLES,
+              '\'variables\' tag must exist once before any blocks.', path,
+              xmlChild, Blockly.Xml.ProblemFix_.MOVE_VARIABLES);
+        }
+        Blockly.Xml.validateVariables_(xmlChild, path, context);
+        variablesFirst = false;
+      } else if (name != 'comment') {
+        Blockly.Xml.addProblem_(context, Blockly.Xml.ProblemType.UNKNOWN_TAG,
+            'Unknown tag \'' + xmlChild.nodeName + '\' is ignored.', path,
+            xmlChild);
+      }
+    }
+  } finally {
+    scratch.dispose();
+    Blockly.Events.enable();
+  }
+  return problems;
+};
+
+/**
+ * Record a problem found while validating.
+ * @param {!Object} context The validation state.
+ * @param {Blockly.Xml.ProblemType} type The kind of problem.
+ * @param {string} message Human-readable description.
+ * @param {string} path Location of the element in the XML.
+ * @param {!Element} element The element the problem refers to.
+ * @param {Blockly.Xml.ProblemFix_=} opt_fix How to repair the problem, if
+ *     the loader cannot cope with it.
+ * @param {?string=} opt_blockId ID of the block involved.
+ * @private
+ */
+Blockly.Xml.addProblem_ = function(context, type, message, path, element,
+    opt_fix, opt_blockId) {
+  context.problems.push({
+    type: type,
+    message: message,
+    path: path,
+    blockId: opt_blockId || null,
+    element: element,
+    fix: opt_fix || null
+  });
+};
+
+/**
+ * Build the path step for an element, e.g. 'block[2]' or
+ * 'value[@name="TEXT"]'.  Indices are only added where siblings share a tag.
+ * @param {!Element} element The element.
+ * @return {string} The path step.
+ * @private
+ */
+Blockly.Xml.pathStep_ = function(element) {
+  var tag = element.nodeName.toLowerCase();
+  var name = element.getAttribute('name');
+  if (name != null) {
+    return tag + '[@name="' + name + '"]';
+  }
+  var index = 0;
+  var count = 0;
+  var siblings = element.parentNode.childNodes;
+  for (var i = 0, sibling; sibling = siblings[i]; i++) {
+    if (sibling.nodeType == 1 && sibling.nodeName.toLowerCase() == tag) {
+      count++;
+      if (sibling == element) {
+        index = count;
+      }
+    }
+  }
+  return count > 1 ? tag + '[' + index + ']' : tag;
+};
+
+/**
+ * Validate a 'variables' element by creating its variables on the scratch
+ * workspace.
+ * @param {!Element} xmlVariables The 'variables' element.
+ * @param {string} path Location of the element in the XML.
+ * @param {!Object} context The validation state.
+ * @private
+ */
+Blockly.Xml.validateVariables_ = function(xmlVariables, path, context) {
+  for (var i = 0, xmlChild; xmlChild = xmlVariables.children[i]; i++) {
+    var childPath = path + '/' + Blockly.Xml.pathStep_(xmlChild);
+    var type = xmlChild.getAttribute('type');
+    var id = xmlChild.getAttribute('id');
+    var name = xmlChild.textContent;
+    if (type == null) {
+      Blockly.Xml.addProblem_(context, Blockly.Xml.ProblemType.BAD_VARIABLE,
+          'Variable with id, ' + id + ' is without a type', childPath,
+          xmlChild, Blockly.Xml.ProblemFix_.REMOVE_ELEMENT);
+      continue;
+    }
+    try {
+      context.workspace.createVariable(name, type, id);
+    } catch (e) {
+      Blockly.Xml.addProblem_(context, Blockly.Xml.ProblemType.BAD_VARIABLE,
+          e.message, childPath, xmlChild,
+          Blockly.Xml.ProblemFix_.REMOVE_ELEMENT);
+    }
+  }
+};
+
+/**
+ * Validate a block element and everything nested in it, mirroring
+ * Blockly.Xml.domToBlockHeadless_.
+ * @param {!Element} xmlBlock The 'block' or 'shadow' element.
+ * @param {string} path Location of the element in the XML.
+ * @param {boolean} inShadow True if the parent block is a shadow.
+ * @param {!Object} context The validation state.
+ * @return {Blockly.Block} The block built on the scratch workspace, or null
+ *     if it could not be built.
+ * @private
+ */
+Blockly.Xml.validateBlock_ = function(xmlBlock, path, inShadow, context) {
+  var type = xmlBlock.getAttribute('type');
+  var id = xmlBlock.getAttribute('id');
+  var isShadow = xmlBlock.nodeName.toLowerCase() == 'shadow';
+  var problemType = Blockly.Xml.ProblemType;
+  var skip = Blockly.Xml.ProblemFix_.SKIP_BLOCK;
+  var report = function(type, message, childPath, element, opt_fix) {
+    Blockly.Xml.addProblem_(context, type, message, childPath, element,
+        opt_fix, id);
+  };
+
+  if (inShadow && !isShadow) {
+    report(problemType.SHADOW_CHILD,
+        'Shadow block not allowed non-shadow child.', path, xmlBlock, skip);
+  }
+  if (id) {
+    if (context.blockIds[id]) {
+      report(problemType.DUPLICATE_BLOCK_ID, 'Block id \'' + id + '\' is ' +
+          'used more than once; a new id will be generated.', path, xmlBlock);
+    }
+    context.blockIds[id] = true;
+  }
+  var block = null;
+  var unknown = !!type && !Blockly.Blocks[type];
+  if (!type) {
+    report(problemType.MISSING_BLOCK_TYPE, 'Block type unspecified.', path,
+        xmlBlock, skip);
+  } else if (unknown) {
+    report(problemType.UNKNOWN_BLOCK_TYPE, 'Unknown block type \'' + type +
+        '\'; it is loaded as a placeholder.', path, xmlBlock);
+    block = context.workspace.newBlock(Blockly.UNKNOWN_BLOCK_TYPE);
+    block.setOriginalXml(xmlBlock);
+  } else {
+    try {
+      block = context.workspace.newBlock(type);
+    } catch (e) {
+      report(problemType.BLOCK_INIT_FAILED, 'Block \'' + type +
+          '\' failed to initialize: ' + e.message, path, xmlBlock, skip);
+    }
+  }
+
+  for (var i = 0, xmlChild; xmlChild = xmlBlock.childNodes[i]; i++) {
+    if (xmlChild.nodeType != 1 ||
+        (unknown && xmlChild.nodeName.toLowerCase() != 'next')) {
+      // The contents of unknown blocks are kept as XML by the placeholder.
+      continue;
+    }
+    var childPath = path + '/' + Blockly.Xml.pathStep_(xmlChild);
+    var name = xmlChild.getAttribute('name');
+    var tag = xmlChild.nodeName.toLowerCase();
+    switch (tag) {
+      case 'mutation':
+        if (!block) {
+          break;
+        }
+        if (!block.domToMutation) {
+          report(problemType.UNEXPECTED_MUTATION, 'Block \'' + type + '\' ' +
+              'does not accept a mutation; it is ignored.', childPath, xmlChild);
+          break;
+        }
+        try {
+          block.domToMutation(xmlChild);
+        } catch (e) {
+          report(problemType.BAD_MUTATION, 'Invalid mutation for block \'' +
+              type + '\': ' + e.message, childPath, xmlChild, skip);
+        }
+        break;
+      case 'comment':
+      case 'data':
+        break;
+      case 'title':
+      case 'field':
+        if (!block) {
+          break;
+        }
+        if (!block.getField(name)) {
+          var message = 'Block \'' + type + '\' has no field \'' + name +
+              '\'; it is ignored.';
+          report(problemType.UNKNOWN_FIELD, message, childPath, xmlChild);
+          break;
+        }
+        try {
+          Blockly.Xml.domToField_(block, name, xmlChild);
+        } catch (e) {
+          var message = 'Invalid value for field \'' + name + '\': ' +
+              e.message;
+          report(problemType.BAD_FIELD, message, childPath, xmlChild,
+              Blockly.Xml.ProblemFix_.REMOVE_ELEMENT);
+        }
+        break;
+      case 'value':
+      case 'statement':
+      case 'next':
+        var connection = null;
+        if (block) {
+          if (tag == 'next') {
+            connection = block.nextConnection;
+          } else {
+            var input = block.getInput(name);
+            connection = input && input.connection;
+          }
+          if (!connection) {
+            var message = tag == 'next' ? 'has no next connection.' :
+                'has no input \'' + name + '\'.';
+            report(problemType.UNKNOWN_INPUT,
+                'Block \'' + type + '\' ' + message, childPath, xmlChild);
+          }
+        }
+        Blockly.Xml.validateChildBlocks_(xmlChild, childPath, connection,
+            isShadow, context);
+        break;
+      default:
+        report(problemType.UNKNOWN_TAG, 'Unknown tag \'' + xmlChild.nodeName +
+            '\' is ignored.', childPath, xmlChild);
+    }
+  }
+  return block;
+};
+
+/**
+ * Validate the blocks and shadows inside a 'value', 'statement' or 'next'
+ * element and check that they can be connected to their parent.
+ * @param {!Element} xmlConnection The 'value', 'statement' or 'next' element.
+ * @param {string} path Location of the element in the XML.
+ * @param {Blockly.Connection} connection The parent's connection, or null if
+ *     the parent or its input could not be built.
+ * @param {boolean} inShadow True if the parent block is a shadow.
+ * @param {!Object} context The validation state.
+ * @private
+ */
+Blockly.Xml.validateChildBlocks_ = function(xmlConnection, path, connection,
+    inShadow, context) {
+  for (var i = 0, xmlChild; xmlChild = xmlConnection.childNodes[i]; i++) {
+    var tag = xmlChild.nodeName.toLowerCase();
+    if (xmlChild.nodeType != 1 || (tag != 'block' && tag != 'shadow')) {
+      continue;
+    }
+    var childPath = path + '/' + Blockly.Xml.pathStep_(xmlChild);
+    var child = Blockly.Xml.validateBlock_(xmlChild, childPath, inShadow,
+        context);
+    if (!child || !connection) {
+      continue;
+    }
+    var childConnection = connection.type == Blockly.NEXT_STATEMENT ?
+        child.previousConnection :
+        (child.outputConnection || child.previousConnection);
+    var message = null;
+    if (!childConnection) {
+      message = 'Block \'' + child.type + '\' cannot be connected here.';
+    } else if (!connection.checkType_(childConnection)) {
+      message = 'Block \'' + child.type + '\' is not compatible with ' +
+          'this connection.';
+    } else if (tag == 'block') {
+      try {
+        connection.connect(childConnection);
+      } catch (e) {
+        message = e.message;
+      }
+    }
+    if (message) {
+      Blockly.Xml.addProblem_(context, Blockly.Xml.ProblemType.BAD_CONNECTION,
+          message, childPath, xmlChild, Blockly.Xml.ProblemFix_.SKIP_BLOCK,
+          xmlChild.getAttribute('id'));
+    }
+  }
+};
+
+/**
+ * Repair a problem in workspace XML so that it can be loaded.
+ * @param {!Element} xml The workspace XML being repaired.
+ * @param {!Object} problem A problem found by Blockly.Xml.findProblems_.
+ * @private
+ */
+Blockly.Xml.fixProblem_ = function(xml, problem) {
+  var element = problem.element;
+  var parent = element.parentNode;
+  if (!parent || !goog.dom.contains(xml, element)) {
+    // Already removed along with an enclosing element.
+    return;
+  }
+  switch (problem.fix) {
+    case Blockly.Xml.ProblemFix_.SKIP_BLOCK:
+      // Splice the rest of the stack into the skipped block's place.
+      var next = null;
+      var parentTag = parent.nodeName.toLowerCase();
+      if (parentTag != 'value') {
+        for (var i = 0, xmlChild; xmlChild = element.childNodes[i]; i++) {
+          if (xmlChild.nodeName.toLowerCase() != 'next') {
+            continue;
+          }
+          var grandchildren = xmlChild.childNodes;
+          for (var j = 0, grandchild; grandchild = grandchildren[j]; j++) {
+            if (grandchild.nodeName.toLowerCase() == 'block') {
+              next = grandchild;
+            }
+          }
+        }
+      }
+      if (next) {
+        if (parent == xml) {
+          next.setAttribute('x', element.getAttribute('x') || 10);
+          next.setAttribute('y', element.getAttribute('y') || 10);
+        }
+        parent.replaceChild(next, element);
+      } else {
+        parent.removeChild(element);
+      }
+      break;
+    case Blockly.Xml.ProblemFix_.REMOVE_ELEMENT:
+      parent.removeChild(element);
+      break;
+    case Blockly.Xml.ProblemFix_.MOVE_VARIABLES:
+      var first = null;
+      for (var i = 0, xmlChild; xmlChild = xml.childNodes[i]; i++) {
+        if (xmlChild.nodeName.toLowerCase() == 'variables') {
+          first = xmlChild;
+          break;
+        }
+      }
+      if (first != element) {
+        // Merge into the earlier 'variables' element.
+        while (element.firstChild) {
+          first.appendChild(element.firstChild);
+        }
+        parent.removeChild(element);
+      } else {
+        xml.insertBefore(element, xml.firstChild);
+      }
+      break;
+  }
+};
+
 /**
  * Remove any 'next' block (statements in a stack).
  * @param {!Element} xmlBlock XML block element.
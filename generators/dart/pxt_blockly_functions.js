@@ -0,0 +1,143 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Generating Dart for pxt-blockly's function blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Dart.pxtBlocklyFunctions');
+
+goog.require('Blockly.Dart');
+
+
+Blockly.Dart['function_definition'] = function(block) {
+  // Define a function.
+  var funcName = Blockly.Dart.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var branch = Blockly.Dart.statementToCode(block, 'STACK');
+  if (Blockly.Dart.STATEMENT_PREFIX) {
+    var id = block.id.replace(/\$/g, '$$$$');  // Issue 251.
+    branch = Blockly.Dart.prefixLines(
+        Blockly.Dart.STATEMENT_PREFIX.replace(/%1/g,
+        '\'' + id + '\''), Blockly.Dart.INDENT) + branch;
+  }
+  if (Blockly.Dart.INFINITE_LOOP_TRAP) {
+    branch = Blockly.Dart.INFINITE_LOOP_TRAP.replace(/%1/g,
+        '\'' + block.id + '\'') + branch;
+  }
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.Dart.getArgumentType_(functionArgs[i].type) + ' ' +
+        Blockly.Dart.variableDB_.getName(functionArgs[i].name,
+            Blockly.Variables.NAME_TYPE);
+  }
+  var returnType = block.getReturnType() ?
+      Blockly.Dart.getArgumentType_(block.getReturnType()) : 'void';
+  var code = returnType + ' ' + funcName + '(' + args.join(', ') + ') {\n' +
+      branch + '}';
+  code = Blockly.Dart.scrub_(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  Blockly.Dart.definitions_['%' + funcName] = code;
+  return null;
+};
+
+Blockly.Dart['function_call'] = function(block) {
+  // Call a function.
+  var funcName = Blockly.Dart.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.Dart.valueToCode(block, functionArgs[i].id,
+        Blockly.Dart.ORDER_NONE) || 'null';
+  }
+  var code = funcName + '(' + args.join(', ') + ');\n';
+  return code;
+};
+
+Blockly.Dart['function_call_output'] = function(block) {
+  // Call a function and use its return value.
+  var funcName = Blockly.Dart.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.Dart.valueToCode(block, functionArgs[i].id,
+        Blockly.Dart.ORDER_NONE) || 'null';
+  }
+  var code = funcName + '(' + args.join(', ') + ')';
+  return [code, Blockly.Dart.ORDER_UNARY_POSTFIX];
+};
+
+Blockly.Dart['function_return'] = function(block) {
+  // Return from a function, with a value if one is attached.
+  var value = Blockly.Dart.valueToCode(block, 'VALUE',
+      Blockly.Dart.ORDER_NONE);
+  if (value) {
+    return 'return ' + value + ';\n';
+  }
+  return 'return;\n';
+};
+
+/**
+ * Get the Dart type of a function argument or return value.
+ * @param {string} argumentType The type of the argument: boolean, number,
+ *     string or a custom type.
+ * @return {string} Dart type name.
+ * @private
+ */
+Blockly.Dart.getArgumentType_ = function(argumentType) {
+  switch (argumentType) {
+    case 'boolean':
+      return 'bool';
+    case 'number':
+      return 'num';
+    case 'string':
+      return 'String';
+    default:
+      // Custom types have no Dart equivalent.
+      return 'dynamic';
+  }
+};
+
+Blockly.Dart['argument_reporter_boolean'] = function(block) {
+  // Argument reporters are read like variables.
+  var code = Blockly.Dart.variableDB_.getName(
+      block.getFieldValue('VALUE'), Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.Dart.ORDER_ATOMIC];
+};
+
+Blockly.Dart['argument_reporter_number'] =
+    Blockly.Dart['argument_reporter_boolean'];
+Blockly.Dart['argument_reporter_string'] =
+    Blockly.Dart['argument_reporter_boolean'];
+Blockly.Dart['argument_reporter_custom'] =
+    Blockly.Dart['argument_reporter_boolean'];
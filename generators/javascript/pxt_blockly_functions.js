@@ -0,0 +1,119 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for pxt-blockly's function blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.pxtBlocklyFunctions');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['function_definition'] = function(block) {
+  // Define a function.
+  var funcName = Blockly.JavaScript.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var branch = Blockly.JavaScript.statementToCode(block, 'STACK');
+  if (Blockly.JavaScript.STATEMENT_PREFIX) {
+    var id = block.id.replace(/\$/g, '$$$$');  // Issue 251.
+    branch = Blockly.JavaScript.prefixLines(
+        Blockly.JavaScript.STATEMENT_PREFIX.replace(/%1/g,
+        '\'' + id + '\''), Blockly.JavaScript.INDENT) + branch;
+  }
+  if (Blockly.JavaScript.INFINITE_LOOP_TRAP) {
+    branch = Blockly.JavaScript.INFINITE_LOOP_TRAP.replace(/%1/g,
+        '\'' + block.id + '\'') + branch;
+  }
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.JavaScript.variableDB_.getName(functionArgs[i].name,
+        Blockly.Variables.NAME_TYPE);
+  }
+  var code = 'function ' + funcName + '(' + args.join(', ') + ') {\n' +
+      branch + '}';
+  code = Blockly.JavaScript.scrub_(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  Blockly.JavaScript.definitions_['%' + funcName] = code;
+  return null;
+};
+
+Blockly.JavaScript['function_call'] = function(block) {
+  // Call a function.
+  var funcName = Blockly.JavaScript.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.JavaScript.valueToCode(block, functionArgs[i].id,
+        Blockly.JavaScript.ORDER_COMMA) || 'null';
+  }
+  var code = funcName + '(' + args.join(', ') + ');\n';
+  return code;
+};
+
+Blockly.JavaScript['function_call_output'] = function(block) {
+  // Call a function and use its return value.
+  var funcName = Blockly.JavaScript.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.JavaScript.valueToCode(block, functionArgs[i].id,
+        Blockly.JavaScript.ORDER_COMMA) || 'null';
+  }
+  var code = funcName + '(' + args.join(', ') + ')';
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['function_return'] = function(block) {
+  // Return from a function, with a value if one is attached.
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_NONE);
+  if (value) {
+    return 'return ' + value + ';\n';
+  }
+  return 'return;\n';
+};
+
+Blockly.JavaScript['argument_reporter_boolean'] = function(block) {
+  // Argument reporters are read like variables.
+  var code = Blockly.JavaScript.variableDB_.getName(
+      block.getFieldValue('VALUE'), Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['argument_reporter_number'] =
+    Blockly.JavaScript['argument_reporter_boolean'];
+Blockly.JavaScript['argument_reporter_string'] =
+    Blockly.JavaScript['argument_reporter_boolean'];
+Blockly.JavaScript['argument_reporter_custom'] =
+    Blockly.JavaScript['argument_reporter_boolean'];
@@ -0,0 +1,119 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Generating Lua for pxt-blockly's function blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.Lua.pxtBlocklyFunctions');
+
+goog.require('Blockly.Lua');
+
+
+Blockly.Lua['function_definition'] = function(block) {
+  // Define a function.
+  var funcName = Blockly.Lua.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var branch = Blockly.Lua.statementToCode(block, 'STACK');
+  if (Blockly.Lua.STATEMENT_PREFIX) {
+    var id = block.id.replace(/\$/g, '$$$$');  // Issue 251.
+    branch = Blockly.Lua.prefixLines(
+        Blockly.Lua.STATEMENT_PREFIX.replace(/%1/g,
+        '\'' + id + '\''), Blockly.Lua.INDENT) + branch;
+  }
+  if (Blockly.Lua.INFINITE_LOOP_TRAP) {
+    branch = Blockly.Lua.INFINITE_LOOP_TRAP.replace(/%1/g,
+        '\'' + block.id + '\'') + branch;
+  }
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.Lua.variableDB_.getName(functionArgs[i].name,
+        Blockly.Variables.NAME_TYPE);
+  }
+  var code = 'function ' + funcName + '(' + args.join(', ') + ')\n' +
+      branch + 'end\n';
+  code = Blockly.Lua.scrub_(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  Blockly.Lua.definitions_['%' + funcName] = code;
+  return null;
+};
+
+Blockly.Lua['function_call'] = function(block) {
+  // Call a function.
+  var funcName = Blockly.Lua.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.Lua.valueToCode(block, functionArgs[i].id,
+        Blockly.Lua.ORDER_NONE) || 'nil';
+  }
+  var code = funcName + '(' + args.join(', ') + ')\n';
+  return code;
+};
+
+Blockly.Lua['function_call_output'] = function(block) {
+  // Call a function and use its return value.
+  var funcName = Blockly.Lua.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.Lua.valueToCode(block, functionArgs[i].id,
+        Blockly.Lua.ORDER_NONE) || 'nil';
+  }
+  var code = funcName + '(' + args.join(', ') + ')';
+  return [code, Blockly.Lua.ORDER_HIGH];
+};
+
+Blockly.Lua['function_return'] = function(block) {
+  // Return from a function, with a value if one is attached.
+  var value = Blockly.Lua.valueToCode(block, 'VALUE',
+      Blockly.Lua.ORDER_NONE);
+  if (value) {
+    return 'return ' + value + '\n';
+  }
+  return 'return\n';
+};
+
+Blockly.Lua['argument_reporter_boolean'] = function(block) {
+  // Argument reporters are read like variables.
+  var code = Blockly.Lua.variableDB_.getName(
+      block.getFieldValue('VALUE'), Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.Lua.ORDER_ATOMIC];
+};
+
+Blockly.Lua['argument_reporter_number'] =
+    Blockly.Lua['argument_reporter_boolean'];
+Blockly.Lua['argument_reporter_string'] =
+    Blockly.Lua['argument_reporter_boolean'];
+Blockly.Lua['argument_reporter_custom'] =
+    Blockly.Lua['argument_reporter_boolean'];
@@ -0,0 +1,145 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Generating PHP for pxt-blockly's function blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.PHP.pxtBlocklyFunctions');
+
+goog.require('Blockly.PHP');
+
+
+Blockly.PHP['function_definition'] = function(block) {
+  // Define a function.
+  var functionArgs = block.getArguments();
+  var argNames = [];
+  for (var i = 0; i < functionArgs.length; i++) {
+    argNames.push(functionArgs[i].name);
+  }
+  // First, add a 'global' statement for every variable that is not shadowed by
+  // a local parameter.
+  var globals = [];
+  var varName;
+  var workspace = block.workspace;
+  var variables = Blockly.Variables.allUsedVarModels(workspace) || [];
+  for (var i = 0, variable; variable = variables[i]; i++) {
+    varName = variable.name;
+    if (argNames.indexOf(varName) == -1) {
+      globals.push(Blockly.PHP.variableDB_.getName(varName,
+          Blockly.Variables.NAME_TYPE));
+    }
+  }
+  // Add developer variables.
+  var devVarList = Blockly.Variables.allDeveloperVariables(workspace);
+  for (var i = 0; i < devVarList.length; i++) {
+    globals.push(Blockly.PHP.variableDB_.getName(devVarList[i],
+        Blockly.Names.DEVELOPER_VARIABLE_TYPE));
+  }
+
+  globals = globals.length ?
+      Blockly.PHP.INDENT + 'global ' + globals.join(', ') + ';\n' : '';
+  var funcName = Blockly.PHP.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var branch = Blockly.PHP.statementToCode(block, 'STACK');
+  if (Blockly.PHP.STATEMENT_PREFIX) {
+    var id = block.id.replace(/\$/g, '$$$$');  // Issue 251.
+    branch = Blockly.PHP.prefixLines(
+        Blockly.PHP.STATEMENT_PREFIX.replace(
+            /%1/g, '\'' + id + '\''), Blockly.PHP.INDENT) + branch;
+  }
+  if (Blockly.PHP.INFINITE_LOOP_TRAP) {
+    branch = Blockly.PHP.INFINITE_LOOP_TRAP.replace(/%1/g,
+        '\'' + block.id + '\'') + branch;
+  }
+  var args = [];
+  for (var i = 0; i < argNames.length; i++) {
+    args[i] = Blockly.PHP.variableDB_.getName(argNames[i],
+        Blockly.Variables.NAME_TYPE);
+  }
+  var code = 'function ' + funcName + '(' + args.join(', ') + ') {\n' +
+      globals + branch + '}';
+  code = Blockly.PHP.scrub_(block, code);
+  // Add % so as not to collide with helper functions in definitions list.
+  Blockly.PHP.definitions_['%' + funcName] = code;
+  return null;
+};
+
+Blockly.PHP['function_call'] = function(block) {
+  // Call a function.
+  var funcName = Blockly.PHP.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.PHP.valueToCode(block, functionArgs[i].id,
+        Blockly.PHP.ORDER_COMMA) || 'null';
+  }
+  var code = funcName + '(' + args.join(', ') + ');\n';
+  return code;
+};
+
+Blockly.PHP['function_call_output'] = function(block) {
+  // Call a function and use its return value.
+  var funcName = Blockly.PHP.variableDB_.getName(
+      block.getName(), Blockly.Functions.NAME_TYPE);
+  var args = [];
+  var functionArgs = block.getArguments();
+  for (var i = 0; i < functionArgs.length; i++) {
+    args[i] = Blockly.PHP.valueToCode(block, functionArgs[i].id,
+        Blockly.PHP.ORDER_COMMA) || 'null';
+  }
+  var code = funcName + '(' + args.join(', ') + ')';
+  return [code, Blockly.PHP.ORDER_FUNCTION_CALL];
+};
+
+Blockly.PHP['function_return'] = function(block) {
+  // Return from a function, with a value if one is attached.
+  var value = Blockly.PHP.valueToCode(block, 'VALUE',
+      Blockly.PHP.ORDER_NONE);
+  if (value) {
+    return 'return ' + value + ';\n';
+  }
+  return 'return;\n';
+};
+
+Blockly.PHP['argument_reporter_boolean'] = function(block) {
+  // Argument reporters are read like variables.
+  var code = Blockly.PHP.variableDB_.getName(
+      block.getFieldValue('VALUE'), Blockly.Variables.NAME_TYPE);
+  return [code, Blockly.PHP.ORDER_ATOMIC];
+};
+
+Blockly.PHP['argument_reporter_number'] =
+    Blockly.PHP['argument_reporter_boolean'];
+Blockly.PHP['argument_reporter_string'] =
+    Blockly.PHP['argument_reporter_boolean'];
+Blockly.PHP['argument_reporter_custom'] =
+    Blockly.PHP['argument_reporter_boolean'];
@@ -66,6 +66,7 @@ Blockly.Msg["DELETE_BLOCK"] = "Delete Block";
 Blockly.Msg["DELETE_VARIABLE"] = "Delete the '%1' variable";
 Blockly.Msg["DELETE_VARIABLE_CONFIRMATION"] = "Delete %1 uses of the '%2' variable?";
 Blockly.Msg["DELETE_X_BLOCKS"] = "Delete %1 Blocks";
+Blockly.Msg["DIFF_FIELD_CHANGED_TOOLTIP"] = "Previously: %1";
 Blockly.Msg["DISABLE_BLOCK"] = "Disable Block";
 Blockly.Msg["DUPLICATE_BLOCK"] = "Duplicate";
 Blockly.Msg["DUPLICATE_COMMENT"] = "Duplicate Comment";
@@ -80,8 +81,12 @@ Blockly.Msg["FUNCTIONS_DEFAULT_FUNCTION_NAME"] = "do_something";
 Blockly.Msg["FUNCTIONS_DEFAULT_NUMBER_ARG_NAME"] = "num";
 Blockly.Msg["FUNCTIONS_DEFAULT_STRING_ARG_NAME"] = "text";
 Blockly.Msg["FUNCTIONS_EDIT_OPTION"] = "Edit";
+Blockly.Msg["FUNCTION_CALL_OUTPUT_NO_RETURN_WARNING"] = "Warning: This function no longer returns a value, so its result cannot be used.";
+Blockly.Msg["FUNCTION_CALL_OUTPUT_TOOLTIP"] = "Call a function that was previously defined and use its result.";
 Blockly.Msg["FUNCTION_CALL_TOOLTIP"] = "Call a function that was previously defined.";
 Blockly.Msg["FUNCTION_CREATE_NEW"] = "Create a Function";
+Blockly.Msg["FUNCTION_RETURN_TOOLTIP"] = "Stop running the function and return the attached value, if any.";
+Blockly.Msg["FUNCTION_RETURN_WARNING"] = "Warning: This block may be used only within a function definition.";
 Blockly.Msg["FUNCTION_WARNING_ARG_NAME_IS_FUNCTION_NAME"] = "Argument names must not be the same as the function name.";
 Blockly.Msg["FUNCTION_WARNING_DUPLICATE_ARG"] = "Functions cannot use the same argument name more than once.";
 Blockly.Msg["FUNCTION_WARNING_EMPTY_NAME"] = "Function and argument names cannot be empty.";
@@ -403,6 +408,24 @@ Blockly.Msg["TEXT_TRIM_OPERATOR_RIGHT"] = "trim spaces from right side of";
 Blockly.Msg["TEXT_TRIM_TOOLTIP"] = "Return a copy of the text with spaces removed from one or both ends.";
 Blockly.Msg["TODAY"] = "Today";
 Blockly.Msg["UNDO"] = "Undo";
+Blockly.Msg["UNDO_HISTORY_ADD_BLOCK"] = "Add block";
+Blockly.Msg["UNDO_HISTORY_ADD_COMMENT"] = "Add comment";
+Blockly.Msg["UNDO_HISTORY_ADD_X_BLOCKS"] = "Add %1 blocks";
+Blockly.Msg["UNDO_HISTORY_CHANGE_BLOCK"] = "Change block";
+Blockly.Msg["UNDO_HISTORY_CREATE_VARIABLE"] = "Create variable %1";
+Blockly.Msg["UNDO_HISTORY_DELETE_BLOCK"] = "Delete block";
+Blockly.Msg["UNDO_HISTORY_DELETE_COMMENT"] = "Delete comment";
+Blockly.Msg["UNDO_HISTORY_DELETE_VARIABLE"] = "Delete variable %1";
+Blockly.Msg["UNDO_HISTORY_DELETE_X_BLOCKS"] = "Delete %1 blocks";
+Blockly.Msg["UNDO_HISTORY_EDIT_COMMENT"] = "Edit comment";
+Blockly.Msg["UNDO_HISTORY_MOVE_BLOCK"] = "Move block";
+Blockly.Msg["UNDO_HISTORY_MOVE_COMMENT"] = "Move comment";
+Blockly.Msg["UNDO_HISTORY_OTHER"] = "Change";
+Blockly.Msg["UNDO_HISTORY_RENAME_VARIABLE"] = "Rename variable to %1";
+Blockly.Msg["UNDO_HISTORY_START"] = "Start";
+Blockly.Msg["UNDO_HISTORY_TITLE"] = "History";
+Blockly.Msg["UNKNOWN_BLOCK_TITLE"] = "unknown block %1";
+Blockly.Msg["UNKNOWN_BLOCK_TOOLTIP"] = "This block comes from an extension that is not loaded. It is kept unchanged when the project is saved.";
 Blockly.Msg["VARIABLES_DEFAULT_NAME"] = "item";
 Blockly.Msg["VARIABLES_GET_CREATE_SET"] = "Create 'set %1'";
 Blockly.Msg["VARIABLES_GET_HELPURL"] = "https://github.com/google/blockly/wiki/Variables#get";
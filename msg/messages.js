@@ -1206,6 +1206,18 @@ Blockly.Msg.FUNCTION_CREATE_NEW = 'Create a Function'
 /// pxt-blockly: Tooltip for function calls.
 Blockly.Msg.FUNCTION_CALL_TOOLTIP = 'Call a function that was previously defined.'
 
+/// pxt-blockly: Tooltip for function calls that report the value returned by the function.
+Blockly.Msg.FUNCTION_CALL_OUTPUT_TOOLTIP = 'Call a function that was previously defined and use its result.'
+
+/// pxt-blockly: Warning for function calls whose result was used, after the function stopped returning a value.
+Blockly.Msg.FUNCTION_CALL_OUTPUT_NO_RETURN_WARNING = 'Warning: This function no longer returns a value, so its result cannot be used.'
+
+/// pxt-blockly: Tooltip for the block that returns from a function.
+Blockly.Msg.FUNCTION_RETURN_TOOLTIP = 'Stop running the function and return the attached value, if any.'
+
+/// pxt-blockly: Warning for return blocks that are not inside a function definition.
+Blockly.Msg.FUNCTION_RETURN_WARNING = 'Warning: This block may be used only within a function definition.'
+
 /// pxt-blockly: Warning for duplicate argument names on a function definition.
 Blockly.Msg.FUNCTION_WARNING_DUPLICATE_ARG = 'Functions cannot use the same argument name more than once.'
 
@@ -1230,6 +1242,63 @@ Blockly.Msg.FUNCTIONS_DEFAULT_NUMBER_ARG_NAME = 'num'
 /// pxt-blockly: Default name for a non-literal arg on a function declaration
 Blockly.Msg.FUNCTIONS_DEFAULT_CUSTOM_ARG_NAME = 'arg'
 
+/// pxt-blockly: Label on placeholder blocks for block types that are not loaded.\n\nParameters:\n* %1 - the name of the missing block type.
+Blockly.Msg.UNKNOWN_BLOCK_TITLE = 'unknown block %1'
+
+/// pxt-blockly: Tooltip for placeholder blocks for block types that are not loaded.
+Blockly.Msg.UNKNOWN_BLOCK_TOOLTIP = 'This block comes from an extension that is not loaded. It is kept unchanged when the project is saved.'
+
+/// pxt-blockly: Tooltip on a field that changed and on the badge marking it, when comparing two versions of a project.\n\nParameters:\n* %1 - the previous value of the field.
+Blockly.Msg.DIFF_FIELD_CHANGED_TOOLTIP = 'Previously: %1'
+
+/// pxt-blockly: Title of the panel listing the changes that can be undone.
+Blockly.Msg.UNDO_HISTORY_TITLE = 'History'
+
+/// pxt-blockly: Entry in the undo history panel for the workspace before any of the listed changes.
+Blockly.Msg.UNDO_HISTORY_START = 'Start'
+
+/// pxt-blockly: Entry in the undo history panel for adding a block.
+Blockly.Msg.UNDO_HISTORY_ADD_BLOCK = 'Add block'
+
+/// pxt-blockly: Entry in the undo history panel for adding several blocks.\n\nParameters:\n* %1 - the number of blocks added, always greater than 1.
+Blockly.Msg.UNDO_HISTORY_ADD_X_BLOCKS = 'Add %1 blocks'
+
+/// pxt-blockly: Entry in the undo history panel for deleting a block.
+Blockly.Msg.UNDO_HISTORY_DELETE_BLOCK = 'Delete block'
+
+/// pxt-blockly: Entry in the undo history panel for deleting several blocks.\n\nParameters:\n* %1 - the number of blocks deleted, always greater than 1.
+Blockly.Msg.UNDO_HISTORY_DELETE_X_BLOCKS = 'Delete %1 blocks'
+
+/// pxt-blockly: Entry in the undo history panel for moving blocks.
+Blockly.Msg.UNDO_HISTORY_MOVE_BLOCK = 'Move block'
+
+/// pxt-blockly: Entry in the undo history panel for changing a field or other property of a block.
+Blockly.Msg.UNDO_HISTORY_CHANGE_BLOCK = 'Change block'
+
+/// pxt-blockly: Entry in the undo history panel for creating a variable.\n\nParameters:\n* %1 - the name of the variable.
+Blockly.Msg.UNDO_HISTORY_CREATE_VARIABLE = 'Create variable %1'
+
+/// pxt-blockly: Entry in the undo history panel for deleting a variable.\n\nParameters:\n* %1 - the name of the variable.
+Blockly.Msg.UNDO_HISTORY_DELETE_VARIABLE = 'Delete variable %1'
+
+/// pxt-blockly: Entry in the undo history panel for renaming a variable.\n\nParameters:\n* %1 - the new name of the variable.
+Blockly.Msg.UNDO_HISTORY_RENAME_VARIABLE = 'Rename variable to %1'
+
+/// pxt-blockly: Entry in the undo history panel for adding a workspace comment.
+Blockly.Msg.UNDO_HISTORY_ADD_COMMENT = 'Add comment'
+
+/// pxt-blockly: Entry in the undo history panel for deleting a workspace comment.
+Blockly.Msg.UNDO_HISTORY_DELETE_COMMENT = 'Delete comment'
+
+/// pxt-blockly: Entry in the undo history panel for editing a workspace comment.
+Blockly.Msg.UNDO_HISTORY_EDIT_COMMENT = 'Edit comment'
+
+/// pxt-blockly: Entry in the undo history panel for moving a workspace comment.
+Blockly.Msg.UNDO_HISTORY_MOVE_COMMENT = 'Move comment'
+
+/// pxt-blockly: Entry in the undo history panel for any other change.
+Blockly.Msg.UNDO_HISTORY_OTHER = 'Change'
+
 /// tooltip - If the first value is true, this causes the second value to be returned
 /// immediately from the enclosing function.
 Blockly.Msg.PROCEDURES_IFRETURN_TOOLTIP = 'If a value is true, then return a second value.';
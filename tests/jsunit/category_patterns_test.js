@@ -0,0 +1,121 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.CategoryPatterns.
+ */
+'use strict';
+
+var categoryPatternsTest_savedLogicHue;
+
+function categoryPatternsTest_setUp() {
+  Blockly.Msg.CATEGORY_PATTERNS_TEST_HUE = '120';
+  categoryPatternsTest_savedLogicHue = Blockly.Msg.LOGIC_HUE;
+  Blockly.Msg.LOGIC_HUE = '210';
+}
+
+function categoryPatternsTest_tearDown() {
+  delete Blockly.Msg.CATEGORY_PATTERNS_TEST_HUE;
+  Blockly.Msg.LOGIC_HUE = categoryPatternsTest_savedLogicHue;
+}
+
+function categoryPatternsTest_createDom(patterns) {
+  var defs = Blockly.utils.createSvgElement('defs', {}, null);
+  patterns.createDom('123', defs);
+  return defs;
+}
+
+function test_categoryPatterns_hiddenByDefault() {
+  categoryPatternsTest_setUp();
+  try {
+    var patterns = new Blockly.CategoryPatterns();
+    categoryPatternsTest_createDom(patterns);
+    assertFalse(patterns.isVisible());
+    assertEquals('dots', patterns.getPattern('210'));
+    assertNull(patterns.getFill('210'));
+    patterns.setVisible(true);
+    assertEquals('url(#blocklyCategoryPattern-dots-123)',
+        patterns.getFill('210'));
+  } finally {
+    categoryPatternsTest_tearDown();
+  }
+}
+
+function test_categoryPatterns_createDom() {
+  var patterns = new Blockly.CategoryPatterns(true);
+  assertNull('No fill before the patterns exist.',
+      patterns.getFill('#5C81A6'));
+  var defs = categoryPatternsTest_createDom(patterns);
+  var elements = defs.getElementsByTagName('pattern');
+  assertEquals(Object.keys(Blockly.CategoryPatterns.PATTERNS).length,
+      elements.length);
+  var dots = defs.querySelector('#blocklyCategoryPattern-dots-123');
+  assertEquals('userSpaceOnUse', dots.getAttribute('patternUnits'));
+  assertEquals(1, dots.getElementsByTagName('circle').length);
+}
+
+function test_categoryPatterns_configured() {
+  categoryPatternsTest_setUp();
+  try {
+    var patterns = new Blockly.CategoryPatterns({
+      'CATEGORY_PATTERNS_TEST_HUE': 'checks',
+      '#5C81A6': 'waves',
+      'LOOPS_HUE': null
+    });
+    categoryPatternsTest_createDom(patterns);
+    assertTrue(patterns.isVisible());
+    assertEquals('Hue messages are matched by value.', 'checks',
+        patterns.getPattern('120'));
+    assertEquals('checks', patterns.getPattern(120));
+    assertEquals('Colours are matched case-insensitively.', 'waves',
+        patterns.getPattern('#5c81a6'));
+    assertNull('Categories can have no pattern.',
+        patterns.getPattern('LOOPS_HUE'));
+    assertNull(patterns.getFill('LOOPS_HUE'));
+    assertEquals('Other defaults are kept.', 'grid',
+        patterns.getPattern('MATH_HUE'));
+    assertNull(patterns.getPattern('#000000'));
+    assertNull(patterns.getFill(undefined));
+  } finally {
+    categoryPatternsTest_tearDown();
+  }
+}
+
+function test_categoryPatterns_setPattern() {
+  var patterns = new Blockly.CategoryPatterns();
+  patterns.setPattern('#123456', 'triangles');
+  assertEquals('triangles', patterns.getPattern('#123456'));
+  try {
+    patterns.setPattern('#123456', 'polka');
+    fail('Unknown patterns are rejected.');
+  } catch (e) {
+    assertEquals('Unknown category pattern: "polka"', e.message);
+  }
+  assertEquals('triangles', patterns.getPattern('#123456'));
+}
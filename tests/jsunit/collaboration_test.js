@@ -0,0 +1,291 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.Collaboration.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var collaborationTest_hub;
+var collaborationTest_workspaces;
+var collaborationTest_sessions;
+var collaborationTest_firing = false;
+var collaborationTest_savedFire = Blockly.Events.fire;
+
+function collaborationTest_fireEvent(event) {
+  if (!Blockly.Events.isEnabled()) {
+    return;
+  }
+  Blockly.Events.FIRE_QUEUE_.push(event);
+  if (collaborationTest_firing) {
+    return;
+  }
+  collaborationTest_firing = true;
+  try {
+    while (Blockly.Events.FIRE_QUEUE_.length) {
+      Blockly.Events.fireNow_();
+    }
+  } finally {
+    collaborationTest_firing = false;
+  }
+}
+
+/**
+ * Set up two workspaces with the same contents, sharing a manual hub.
+ * @param {string} xmlText The starting contents.
+ */
+function collaborationTest_setUp(xmlText) {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'collab_test_block',
+    'message0': '%1 %2',
+    'args0': [
+      {'type': 'field_input', 'name': 'TEXT', 'text': ''},
+      {'type': 'input_value', 'name': 'INPUT'}
+    ],
+    'output': null
+  }]);
+  Blockly.Events.fire = collaborationTest_fireEvent;
+  collaborationTest_hub = new Blockly.LocalCollaborationHub(true);
+  collaborationTest_workspaces = [];
+  collaborationTest_sessions = [];
+  for (var i = 0; i < 2; i++) {
+    var workspace = new Blockly.Workspace();
+    Blockly.Events.disable();
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(xmlText || '<xml></xml>'),
+        workspace);
+    Blockly.Events.enable();
+    collaborationTest_workspaces.push(workspace);
+    collaborationTest_sessions.push(new Blockly.Collaboration(workspace,
+        collaborationTest_hub.connect(), 'site' + i));
+  }
+}
+
+function collaborationTest_tearDown() {
+  for (var i = 0; i < collaborationTest_sessions.length; i++) {
+    collaborationTest_sessions[i].dispose();
+    collaborationTest_workspaces[i].dispose();
+  }
+  Blockly.Events.fire = collaborationTest_savedFire;
+  delete Blockly.Blocks['collab_test_block'];
+}
+
+/**
+ * Get the XML text of every top block, ordered by ID.  Positions are left out,
+ * since blocks created on headless workspaces are not placed where they were.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {string} The text.
+ */
+function collaborationTest_text(workspace) {
+  return workspace.getTopBlocks(false).map(function(block) {
+    return Blockly.Xml.domToText(Blockly.Xml.blockToDom(block));
+  }).sort().join('\n');
+}
+
+function collaborationTest_assertConverged() {
+  collaborationTest_hub.deliver();
+  assertFalse(collaborationTest_sessions[0].hasPendingChanges());
+  assertFalse(collaborationTest_sessions[1].hasPendingChanges());
+  assertEquals(collaborationTest_text(collaborationTest_workspaces[0]),
+      collaborationTest_text(collaborationTest_workspaces[1]));
+}
+
+var COLLABORATION_TEST_XML = '<xml>' +
+    '<block type="collab_test_block" id="parent">' +
+    '  <field name="TEXT">parent</field>' +
+    '</block>' +
+    '<block type="collab_test_block" id="child">' +
+    '  <field name="TEXT">child</field>' +
+    '</block>' +
+    '</xml>';
+
+function test_collaboration_sendsLocalChanges() {
+  collaborationTest_setUp();
+  try {
+    var a = collaborationTest_workspaces[0];
+    var b = collaborationTest_workspaces[1];
+    a.newBlock('collab_test_block', 'new');
+    assertTrue(collaborationTest_sessions[0].hasPendingChanges());
+    assertNull(b.getBlockById('new'));
+
+    collaborationTest_hub.deliver();
+    assertNotNull(b.getBlockById('new'));
+    assertFalse(collaborationTest_sessions[0].hasPendingChanges());
+    assertEquals('Remote changes are not sent back.', 0,
+        collaborationTest_hub.getQueueLength());
+    assertEquals('Remote changes are not undoable.', 0, b.undoStack_.length);
+    assertEquals(1, a.getAllBlocks().length);
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_keepsRecordUndo() {
+  collaborationTest_setUp();
+  try {
+    var a = collaborationTest_workspaces[0];
+    var b = collaborationTest_workspaces[1];
+    a.newBlock('collab_test_block', 'new');
+    Blockly.Events.recordUndo = false;
+    collaborationTest_hub.deliver();
+    assertNotNull(b.getBlockById('new'));
+    assertFalse('Receiving changes restores the previous setting.',
+        Blockly.Events.recordUndo);
+  } finally {
+    Blockly.Events.recordUndo = true;
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_fieldConflict() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var a = collaborationTest_workspaces[0];
+    var b = collaborationTest_workspaces[1];
+    a.getBlockById('parent').setFieldValue('from a', 'TEXT');
+    b.getBlockById('parent').setFieldValue('from b', 'TEXT');
+    collaborationTest_assertConverged();
+    assertEquals('The change sent last wins.', 'from b',
+        a.getBlockById('parent').getFieldValue('TEXT'));
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_moveAndDelete() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var a = collaborationTest_workspaces[0];
+    var b = collaborationTest_workspaces[1];
+    a.getBlockById('parent').dispose(true);
+    var parent = b.getBlockById('parent');
+    parent.getInput('INPUT').connection.connect(
+        b.getBlockById('child').outputConnection);
+    collaborationTest_assertConverged();
+    assertNull(a.getBlockById('parent'));
+    assertNotNull('Moving a block into a deleted block does nothing.',
+        a.getBlockById('child'));
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_moveThenDelete() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var a = collaborationTest_workspaces[0];
+    var b = collaborationTest_workspaces[1];
+    var parent = b.getBlockById('parent');
+    parent.getInput('INPUT').connection.connect(
+        b.getBlockById('child').outputConnection);
+    a.getBlockById('parent').dispose(true);
+    collaborationTest_assertConverged();
+    assertNull('Deleting a block deletes what was moved into it first.',
+        a.getBlockById('child'));
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_presence() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  try {
+    var a = collaborationTest_workspaces[0];
+    var b = collaborationTest_workspaces[1];
+    var received = [];
+    b.addChangeListener(function(event) {
+      if (event.type == Blockly.Events.PRESENCE) {
+        received.push(event);
+      }
+    });
+    Blockly.Events.fire(new Blockly.Events.Presence(a, 'site0', 'Ada',
+        '#ff0000', new goog.math.Coordinate(1, 2)));
+    assertFalse('Presence is not an edit.',
+        collaborationTest_sessions[0].hasPendingChanges());
+    collaborationTest_hub.deliver();
+    assertEquals(1, received.length);
+    assertEquals('Ada', received[0].name);
+    assertEquals(b.id, received[0].workspaceId);
+    assertEquals('Received presence is not sent back.', 0,
+        collaborationTest_hub.getQueueLength());
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+/**
+ * Make both workspaces diverge with rounds of concurrent random edits, and
+ * check that they converge after each round.
+ */
+function test_collaboration_randomEdits() {
+  collaborationTest_setUp(COLLABORATION_TEST_XML);
+  // Deterministic pseudo-random numbers.
+  var seed = 42;
+  var random = function(n) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return Math.floor(seed / 65536) % n;
+  };
+  var created = 0;
+  var edit = function(workspace) {
+    var blocks = workspace.getAllBlocks();
+    var block = blocks[random(blocks.length)];
+    switch (blocks.length ? random(4) : 0) {
+      case 0:
+        workspace.newBlock('collab_test_block', 'new' + (++created));
+        break;
+      case 1:
+        block.setFieldValue('text' + random(100), 'TEXT');
+        break;
+      case 2:
+        var target = blocks[random(blocks.length)];
+        var input = target.getInput('INPUT').connection;
+        if (target != block && !input.targetBlock() &&
+            target.getRootBlock() != block) {
+          input.connect(block.outputConnection);
+        } else if (block.getParent()) {
+          block.unplug();
+        }
+        break;
+      case 3:
+        block.dispose(true);
+        break;
+    }
+  };
+  try {
+    for (var round = 0; round < 20; round++) {
+      for (var i = 0; i < 3; i++) {
+        edit(collaborationTest_workspaces[random(2)]);
+      }
+      collaborationTest_assertConverged();
+    }
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
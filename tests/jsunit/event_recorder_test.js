@@ -0,0 +1,232 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.EventRecorder and Blockly.EventPlayer.
+ */
+'use strict';
+
+goog.require('goog.testing');
+goog.require('goog.testing.MockClock');
+
+var eventRecorderTest_source;
+var eventRecorderTest_target;
+var eventRecorderTest_clock;
+var eventRecorderTest_firing = false;
+var eventRecorderTest_savedFire = Blockly.Events.fire;
+
+function eventRecorderTest_fireEvent(event) {
+  if (!Blockly.Events.isEnabled()) {
+    return;
+  }
+  Blockly.Events.FIRE_QUEUE_.push(event);
+  // Events fired while replaying are handled after the replayed event, as
+  // they would be when firing asynchronously.
+  if (eventRecorderTest_firing) {
+    return;
+  }
+  eventRecorderTest_firing = true;
+  try {
+    while (Blockly.Events.FIRE_QUEUE_.length) {
+      Blockly.Events.fireNow_();
+    }
+  } finally {
+    eventRecorderTest_firing = false;
+  }
+}
+
+function eventRecorderTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'recorder_test_block',
+    'message0': '%1 %2',
+    'args0': [
+      {'type': 'field_input', 'name': 'TEXT', 'text': ''},
+      {'type': 'input_value', 'name': 'INPUT'}
+    ],
+    'output': null
+  }]);
+  eventRecorderTest_clock = new goog.testing.MockClock(true);
+  eventRecorderTest_source = new Blockly.Workspace();
+  eventRecorderTest_target = new Blockly.Workspace();
+  Blockly.Events.fire = eventRecorderTest_fireEvent;
+}
+
+function eventRecorderTest_tearDown() {
+  Blockly.Events.fire = eventRecorderTest_savedFire;
+  eventRecorderTest_source.dispose();
+  eventRecorderTest_target.dispose();
+  eventRecorderTest_clock.uninstall();
+  delete Blockly.Blocks['recorder_test_block'];
+}
+
+function eventRecorderTest_newBlock(id, text) {
+  var xml = Blockly.Xml.textToDom('<xml><block type="recorder_test_block" ' +
+      'id="' + id + '"><field name="TEXT">' + text + '</field></block></xml>');
+  return Blockly.Xml.domToBlock(xml.firstChild, eventRecorderTest_source);
+}
+
+/**
+ * Get the XML text of the top blocks of a workspace, without their positions:
+ * blocks created on headless workspaces are not placed where they were.
+ */
+function eventRecorderTest_workspaceText(workspace) {
+  return workspace.getTopBlocks(true).map(function(block) {
+    return Blockly.Xml.domToText(Blockly.Xml.blockToDom(block));
+  }).join('\n');
+}
+
+/**
+ * Record a short session: a block is created at 0ms, another is created and
+ * connected to it at 1000ms, and the first block's field is changed at
+ * 3000ms.
+ * @return {!Blockly.EventRecorder.Recording} The recording, after a round
+ *     trip through JSON.
+ */
+function eventRecorderTest_record() {
+  var recorder = new Blockly.EventRecorder(eventRecorderTest_source);
+  recorder.start();
+  assertTrue(recorder.isRecording());
+  var parent = eventRecorderTest_newBlock('parent', 'a');
+  eventRecorderTest_clock.tick(1000);
+  var child = eventRecorderTest_newBlock('child', 'b');
+  parent.getInput('INPUT').connection.connect(child.outputConnection);
+  eventRecorderTest_clock.tick(2000);
+  parent.setFieldValue('c', 'TEXT');
+  eventRecorderTest_clock.tick(500);
+  recorder.stop();
+  assertFalse(recorder.isRecording());
+  parent.setFieldValue('not recorded', 'TEXT');
+  parent.setFieldValue('c', 'TEXT');
+  return JSON.parse(JSON.stringify(recorder.getRecording()));
+}
+
+function test_eventRecorder_recording() {
+  eventRecorderTest_setUp();
+  try {
+    eventRecorderTest_newBlock('existing', 'x');
+    var recording = eventRecorderTest_record();
+    assertEquals(3500, recording.duration);
+    assertTrue('Starting point is recorded.',
+        recording.xml.indexOf('id="existing"') != -1);
+    var times = recording.events.map(function(entry) {
+      return entry.time;
+    });
+    assertEquals(0, times[0]);
+    assertEquals(3000, times[times.length - 1]);
+    assertEquals(Blockly.Events.CHANGE,
+        recording.events[recording.events.length - 1].event.type);
+  } finally {
+    eventRecorderTest_tearDown();
+  }
+}
+
+function test_eventPlayer_finish() {
+  eventRecorderTest_setUp();
+  try {
+    eventRecorderTest_newBlock('existing', 'x');
+    var recording = eventRecorderTest_record();
+    // Replaying starts from the recorded starting point.
+    eventRecorderTest_target.newBlock('recorder_test_block', 'other');
+    var player = new Blockly.EventPlayer(eventRecorderTest_target, recording);
+    player.finish();
+    assertNull(eventRecorderTest_target.getBlockById('other'));
+    assertEquals(eventRecorderTest_workspaceText(eventRecorderTest_source),
+        eventRecorderTest_workspaceText(eventRecorderTest_target));
+    assertFalse('There is nothing left to step to.', player.step());
+  } finally {
+    eventRecorderTest_tearDown();
+  }
+}
+
+function test_eventPlayer_timedPlayback() {
+  eventRecorderTest_setUp();
+  try {
+    var recording = eventRecorderTest_record();
+    var player = new Blockly.EventPlayer(eventRecorderTest_target, recording);
+    var finished = false;
+    player.setSpeed(2);
+    player.play(function() {
+      finished = true;
+    });
+    assertTrue(player.isPlaying());
+    eventRecorderTest_clock.tick(0);
+    assertNotNull(eventRecorderTest_target.getBlockById('parent'));
+    assertNull(eventRecorderTest_target.getBlockById('child'));
+
+    eventRecorderTest_clock.tick(499);
+    assertNull(eventRecorderTest_target.getBlockById('child'));
+    eventRecorderTest_clock.tick(1);
+    var child = eventRecorderTest_target.getBlockById('child');
+    assertNotNull(child);
+    assertEquals('parent', child.getParent().id);
+    assertEquals(1000, player.getTime());
+
+    // Pausing keeps the position.
+    eventRecorderTest_clock.tick(250);
+    player.pause();
+    assertEquals(1500, player.getTime());
+    eventRecorderTest_clock.tick(5000);
+    assertEquals('a', eventRecorderTest_target.getBlockById('parent')
+        .getFieldValue('TEXT'));
+
+    player.setSpeed(1);
+    player.play(function() {
+      finished = true;
+    });
+    eventRecorderTest_clock.tick(1499);
+    assertEquals('a', eventRecorderTest_target.getBlockById('parent')
+        .getFieldValue('TEXT'));
+    eventRecorderTest_clock.tick(1);
+    assertEquals('c', eventRecorderTest_target.getBlockById('parent')
+        .getFieldValue('TEXT'));
+    assertTrue(finished);
+    assertFalse(player.isPlaying());
+  } finally {
+    eventRecorderTest_tearDown();
+  }
+}
+
+function test_eventPlayer_undoGroups() {
+  eventRecorderTest_setUp();
+  try {
+    var recording = eventRecorderTest_record();
+    var player = new Blockly.EventPlayer(eventRecorderTest_target, recording);
+    player.finish();
+    eventRecorderTest_target.undo();
+    assertEquals('Undo reverts the last replayed change.', 'a',
+        eventRecorderTest_target.getBlockById('parent').getFieldValue('TEXT'));
+
+    player.reset();
+    assertEquals(0, eventRecorderTest_target.getAllBlocks().length);
+    assertTrue(player.step());
+    assertEquals(1, eventRecorderTest_target.getAllBlocks().length);
+  } finally {
+    eventRecorderTest_tearDown();
+  }
+}
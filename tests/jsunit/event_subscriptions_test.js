@@ -0,0 +1,207 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.Workspace.prototype.on.
+ */
+'use strict';
+
+goog.require('goog.testing');
+goog.require('goog.testing.MockClock');
+
+var eventSubscriptionsTest_workspace;
+var eventSubscriptionsTest_clock;
+var eventSubscriptionsTest_savedFire = Blockly.Events.fire;
+
+function eventSubscriptionsTest_fireEvent(event) {
+  if (!Blockly.Events.isEnabled()) {
+    return;
+  }
+  Blockly.Events.FIRE_QUEUE_.push(event);
+  Blockly.Events.fireNow_();
+}
+
+function eventSubscriptionsTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'subscriptions_test_block',
+    'message0': 'block'
+  }]);
+  eventSubscriptionsTest_clock = new goog.testing.MockClock(true);
+  eventSubscriptionsTest_workspace = new Blockly.Workspace();
+  Blockly.Events.fire = eventSubscriptionsTest_fireEvent;
+  return eventSubscriptionsTest_workspace;
+}
+
+function eventSubscriptionsTest_tearDown() {
+  Blockly.Events.fire = eventSubscriptionsTest_savedFire;
+  eventSubscriptionsTest_workspace.dispose();
+  eventSubscriptionsTest_clock.uninstall();
+  delete Blockly.Blocks['subscriptions_test_block'];
+}
+
+/**
+ * Fire a change of a block's comment.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} text The new comment.
+ */
+function eventSubscriptionsTest_change(block, text) {
+  Blockly.Events.fire(
+      new Blockly.Events.Change(block, 'comment', null, '', text));
+}
+
+function test_eventSubscriptions_types() {
+  var workspace = eventSubscriptionsTest_setUp();
+  try {
+    var created = [];
+    var createdOrChanged = [];
+    var unsubscribe = workspace.on(Blockly.Events.CREATE, function(event) {
+      created.push(event.blockId);
+    });
+    workspace.on([Blockly.Events.CREATE, Blockly.Events.CHANGE], {},
+        function(event) {
+          createdOrChanged.push(event.type);
+        });
+    var block = workspace.newBlock('subscriptions_test_block', 'block1');
+    eventSubscriptionsTest_change(block, 'hello');
+    workspace.createVariable('a');
+    assertArrayEquals(['block1'], created);
+    assertArrayEquals([Blockly.Events.CREATE, Blockly.Events.CHANGE],
+        createdOrChanged);
+
+    unsubscribe();
+    workspace.newBlock('subscriptions_test_block', 'block2');
+    assertArrayEquals(['block1'], created);
+    assertEquals(3, createdOrChanged.length);
+  } finally {
+    eventSubscriptionsTest_tearDown();
+  }
+}
+
+function test_eventSubscriptions_filters() {
+  var workspace = eventSubscriptionsTest_setUp();
+  try {
+    var block1 = workspace.newBlock('subscriptions_test_block', 'block1');
+    var block2 = workspace.newBlock('subscriptions_test_block', 'block2');
+    var byBlock = 0;
+    var byGroup = 0;
+    var notUndoable = 0;
+    workspace.on(Blockly.Events.CHANGE, {blockId: 'block2'}, function() {
+      byBlock++;
+    });
+    workspace.on(Blockly.Events.CHANGE, {group: 'group1'}, function() {
+      byGroup++;
+    });
+    workspace.on(Blockly.Events.CHANGE, {recordUndo: false}, function() {
+      notUndoable++;
+    });
+    eventSubscriptionsTest_change(block1, 'a');
+    eventSubscriptionsTest_change(block2, 'b');
+    Blockly.Events.setGroup('group1');
+    eventSubscriptionsTest_change(block1, 'c');
+    Blockly.Events.setGroup(false);
+    Blockly.Events.recordUndo = false;
+    try {
+      eventSubscriptionsTest_change(block2, 'd');
+    } finally {
+      Blockly.Events.recordUndo = true;
+    }
+    assertEquals(2, byBlock);
+    assertEquals(1, byGroup);
+    assertEquals(1, notUndoable);
+  } finally {
+    eventSubscriptionsTest_tearDown();
+  }
+}
+
+function test_eventSubscriptions_unsubscribeWhileFiring() {
+  var workspace = eventSubscriptionsTest_setUp();
+  try {
+    var calls = [];
+    var unsubscribeSecond = null;
+    workspace.on(Blockly.Events.CREATE, function() {
+      calls.push('first');
+      unsubscribeSecond();
+    });
+    unsubscribeSecond = workspace.on(Blockly.Events.CREATE, function() {
+      calls.push('second');
+    });
+    workspace.newBlock('subscriptions_test_block');
+    assertArrayEquals(['first'], calls);
+  } finally {
+    eventSubscriptionsTest_tearDown();
+  }
+}
+
+function test_eventSubscriptions_debounce() {
+  var workspace = eventSubscriptionsTest_setUp();
+  try {
+    var block = workspace.newBlock('subscriptions_test_block');
+    var delivered = [];
+    workspace.on(Blockly.Events.CHANGE, {debounce: 100}, function(event) {
+      delivered.push(event.newValue);
+    });
+    eventSubscriptionsTest_change(block, 'a');
+    eventSubscriptionsTest_clock.tick(50);
+    eventSubscriptionsTest_change(block, 'b');
+    eventSubscriptionsTest_clock.tick(99);
+    assertEquals(0, delivered.length);
+    eventSubscriptionsTest_clock.tick(1);
+    assertArrayEquals('Only the last event is delivered.', ['b'], delivered);
+  } finally {
+    eventSubscriptionsTest_tearDown();
+  }
+}
+
+function test_eventSubscriptions_batch() {
+  var workspace = eventSubscriptionsTest_setUp();
+  try {
+    var block = workspace.newBlock('subscriptions_test_block');
+    var batches = [];
+    var unsubscribe = workspace.on(Blockly.Events.CHANGE, {batch: true},
+        function(events) {
+          batches.push(events.map(function(event) {
+            return event.newValue;
+          }));
+        });
+    eventSubscriptionsTest_change(block, 'a');
+    eventSubscriptionsTest_change(block, 'b');
+    assertEquals(0, batches.length);
+    eventSubscriptionsTest_clock.tick(0);
+    assertEquals(1, batches.length);
+    assertArrayEquals(['a', 'b'], batches[0]);
+
+    eventSubscriptionsTest_change(block, 'c');
+    unsubscribe();
+    eventSubscriptionsTest_clock.tick(0);
+    assertEquals('Waiting events are dropped on unsubscribe.', 1,
+        batches.length);
+  } finally {
+    eventSubscriptionsTest_tearDown();
+  }
+}
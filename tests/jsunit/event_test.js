@@ -482,6 +482,83 @@ function test_varBackard_runForward() {
   eventTest_tearDown();
 }
 
+function test_presence_toJson() {
+  eventTest_setUpWithMockBlocks();
+  try {
+    var block = createSimpleTestBlock(workspace);
+    Blockly.selected = block;
+    var event = new Blockly.Events.Presence(workspace, 'site1', 'Ada',
+        '#ff0000', new goog.math.Coordinate(10, 20));
+    var expectedJson = ({type: "presence", siteId: "site1", name: "Ada",
+      colour: "#ff0000", cursor: {x: 10, y: 20}, selectedId: block.id});
+
+    assertEquals(JSON.stringify(expectedJson), JSON.stringify(event.toJson()));
+  } finally {
+    Blockly.selected = null;
+    eventTest_tearDownWithMockBlocks();
+  }
+}
+
+function test_presence_fromJson() {
+  eventTest_setUp();
+  try {
+    var json = {type: "presence", siteId: "site1", name: "Ada",
+      colour: "#ff0000", cursor: {x: 10, y: 20},
+      viewport: {left: 0, top: 5, width: 100, height: 50, scale: 2}};
+    var event = Blockly.Events.fromJson(json, workspace);
+    assertEquals(workspace.id, event.workspaceId);
+    assertNull(event.selectedId);
+    assertEquals(JSON.stringify(json), JSON.stringify(event.toJson()));
+  } finally {
+    eventTest_tearDown();
+  }
+}
+
+function test_presence_notUndoable() {
+  eventTest_setUp();
+  Blockly.Events.fire = temporary_fireEvent;
+  try {
+    Blockly.Events.setGroup('group');
+    var event = new Blockly.Events.Presence(workspace, 'site1', 'Ada',
+        '#ff0000');
+    Blockly.Events.setGroup(false);
+    assertEquals('', event.group);
+    Blockly.Events.fire(event);
+    assertEquals(0, workspace.undoStack_.length);
+  } finally {
+    Blockly.Events.fire = savedFireFunc;
+    eventTest_tearDown();
+  }
+}
+
+function test_uiEvents_fromJson() {
+  eventTest_setUp();
+  try {
+    var jsons = [
+      {type: 'start_drag', group: 'drag', blockId: 'block1',
+        allNestedIds: ['block1', 'block2']},
+      {type: 'drag_over_delete_area', blockId: 'block1',
+        isOverDeleteArea: true},
+      {type: 'toolbox_category_select', oldCategory: 'Logic',
+        newCategory: null},
+      {type: 'flyout_open', isOpen: false},
+      {type: 'viewport_change', viewLeft: -10, viewTop: 20, viewWidth: 400,
+        viewHeight: 300, scale: 1.5, oldScale: 1},
+      {type: 'field_editor_open', blockId: 'block1', name: 'TEXT',
+        isOpen: true}
+    ];
+    for (var i = 0, json; json = jsons[i]; i++) {
+      var event = Blockly.Events.fromJson(json, workspace);
+      assertEquals(workspace.id, event.workspaceId);
+      assertFalse(!!event.recordUndo);
+      assertEquals(JSON.stringify(json), JSON.stringify(event.toJson()));
+      assertTrue(Blockly.Events.UI_TYPES.indexOf(event.type) != -1);
+    }
+  } finally {
+    eventTest_tearDown();
+  }
+}
+
 function test_events_filter() {
   eventTest_setUpWithMockBlocks();
   try {
@@ -744,3 +821,124 @@ function test_events_newblock_newvar_xml() {
     Blockly.Events.fire = savedFireFunc;
   }
 }
+
+function eventTest_setUpTransaction() {
+  eventTest_setUp();
+  // Drop events that earlier tests left queued, so that the queue only holds
+  // what the transaction fires.
+  Blockly.Events.FIRE_QUEUE_.length = 0;
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'transaction_test_block',
+    'message0': '%1 %2',
+    'args0': [
+      {'type': 'field_input', 'name': 'TEXT', 'text': 'a'},
+      {'type': 'input_value', 'name': 'INPUT'}
+    ],
+    'output': null
+  }]);
+  Blockly.Events.disable();
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="transaction_test_block" id="parent"></block>' +
+      '  <block type="transaction_test_block" id="child"></block>' +
+      '</xml>'), workspace);
+  Blockly.Events.enable();
+  var events = [];
+  workspace.addChangeListener(function(event) {
+    events.push(event);
+  });
+  return events;
+}
+
+function eventTest_tearDownTransaction() {
+  Blockly.Events.FIRE_QUEUE_.length = 0;
+  delete Blockly.Blocks['transaction_test_block'];
+  eventTest_tearDown();
+}
+
+function eventTest_transactionChange() {
+  var parent = workspace.getBlockById('parent');
+  parent.getInput('INPUT').connection.connect(
+      workspace.getBlockById('child').outputConnection);
+  parent.setFieldValue('b', 'TEXT');
+  workspace.newBlock('transaction_test_block', 'new');
+  workspace.createVariable('name1', '', 'id1');
+}
+
+function test_events_transaction() {
+  var events = eventTest_setUpTransaction();
+  try {
+    assertEquals('Result', Blockly.Events.transaction(workspace, function() {
+      eventTest_transactionChange();
+      assertEquals('Events are held back.', 0,
+          Blockly.Events.FIRE_QUEUE_.length);
+      return 'Result';
+    }));
+    Blockly.Events.flush();
+    assertTrue(events.length >= 4);
+    for (var i = 0; i < events.length; i++) {
+      assertEquals('Events are grouped.', events[0].group, events[i].group);
+    }
+    assertNotEquals('', events[0].group);
+    assertEquals('', Blockly.Events.getGroup());
+
+    workspace.undo();
+    assertNull(workspace.getBlockById('new'));
+    assertEquals('a', workspace.getBlockById('parent').getFieldValue('TEXT'));
+  } finally {
+    eventTest_tearDownTransaction();
+  }
+}
+
+function test_events_transactionRollback() {
+  var events = eventTest_setUpTransaction();
+  try {
+    var before = Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace));
+    var error = new Error('Failed');
+    try {
+      Blockly.Events.transaction(workspace, function() {
+        eventTest_transactionChange();
+        workspace.getBlockById('parent').dispose();
+        throw error;
+      });
+      fail('The error is thrown again.');
+    } catch (e) {
+      assertEquals(error, e);
+    }
+    Blockly.Events.flush();
+    assertEquals('No events are fired.', 0, events.length);
+    assertEquals(0, workspace.undoStack_.length);
+    assertEquals('', Blockly.Events.getGroup());
+    assertEquals(before,
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace)));
+    assertNull(workspace.getBlockById('new'));
+    assertNull(workspace.getVariableById('id1'));
+  } finally {
+    eventTest_tearDownTransaction();
+  }
+}
+
+function test_events_transactionNested() {
+  var events = eventTest_setUpTransaction();
+  try {
+    Blockly.Events.transaction(workspace, function() {
+      workspace.getBlockById('parent').setFieldValue('b', 'TEXT');
+      try {
+        Blockly.Events.transaction(workspace, function() {
+          workspace.getBlockById('child').setFieldValue('c', 'TEXT');
+          throw 'Failed';
+        });
+      } catch (e) {
+        // Only the inner change is undone.
+      }
+    });
+    Blockly.Events.flush();
+    assertEquals('b', workspace.getBlockById('parent').getFieldValue('TEXT'));
+    assertEquals('a', workspace.getBlockById('child').getFieldValue('TEXT'));
+    for (var i = 0; i < events.length; i++) {
+      assertEquals('parent', events[i].blockId);
+    }
+  } finally {
+    eventTest_tearDownTransaction();
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.Json.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+
+var JSON_SERIALIZATION_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+  '<variables>' +
+    '<variable type="" id="var1">item</variable>' +
+    '<variable type="Number" id="var2">count</variable>' +
+  '</variables>' +
+  '<comment id="comment1" data="note" x="300" y="40" h="80" w="160">' +
+    'A workspace comment' +
+  '</comment>' +
+  '<block type="json_test_statement" id="stack" inline="true" x="10" y="20">' +
+    '<mutation items="2"><item name="a"></item><item name="b"></item></mutation>' +
+    '<field name="NAME">first</field>' +
+    '<field name="VAR" id="var1" variabletype="">item</field>' +
+    '<comment pinned="false" h="80" w="160">A block comment</comment>' +
+    '<data>custom data</data>' +
+    '<value name="VALUE">' +
+      '<shadow type="json_test_value" id="shadow1">' +
+        '<field name="NAME">shadow</field>' +
+      '</shadow>' +
+      '<block type="json_test_value" id="value1">' +
+        '<field name="NAME">real</field>' +
+      '</block>' +
+    '</value>' +
+    '<statement name="DO">' +
+      '<block type="json_test_statement" id="nested" collapsed="true">' +
+        '<field name="NAME">nested</field>' +
+        '<field name="VAR" id="var2" variabletype="Number">count</field>' +
+      '</block>' +
+    '</statement>' +
+    '<next>' +
+      '<block type="json_test_statement" id="next1" disabled="true">' +
+        '<field name="NAME">second</field>' +
+        '<field name="VAR" id="var1" variabletype="">item</field>' +
+      '</block>' +
+    '</next>' +
+  '</block>' +
+'</xml>';
+
+function jsonSerializationTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "json_test_statement",
+    "message0": "%1 %2 %3 %4",
+    "args0": [
+      {
+        "type": "field_input",
+        "name": "NAME",
+        "text": ""
+      },
+      {
+        "type": "field_variable",
+        "name": "VAR",
+        "variable": "item"
+      },
+      {
+        "type": "input_value",
+        "name": "VALUE"
+      },
+      {
+        "type": "input_statement",
+        "name": "DO"
+      }
+    ],
+    "previousStatement": null,
+    "nextStatement": null
+  },
+  {
+    "type": "json_test_value",
+    "message0": "%1",
+    "args0": [
+      {
+        "type": "field_input",
+        "name": "NAME",
+        "text": ""
+      }
+    ],
+    "output": null
+  }]);
+  // Store the mutation as is, to check that it survives a round trip.
+  Blockly.Blocks['json_test_statement'].mutationToDom = function() {
+    return this.mutation_ ? this.mutation_.cloneNode(true) : null;
+  };
+  Blockly.Blocks['json_test_statement'].domToMutation = function(xml) {
+    this.mutation_ = xml.cloneNode(true);
+  };
+  workspace = new Blockly.Workspace();
+}
+
+function jsonSerializationTest_tearDown() {
+  workspace.dispose();
+  delete Blockly.Blocks['json_test_statement'];
+  delete Blockly.Blocks['json_test_value'];
+}
+
+function test_json_domToJsonRoundTrip() {
+  var xml = Blockly.Xml.textToDom(JSON_SERIALIZATION_XML);
+  var json = Blockly.Json.domToJson(xml);
+  // The JSON must survive being stored as text.
+  json = JSON.parse(JSON.stringify(json));
+  assertEquals(JSON_SERIALIZATION_XML,
+      Blockly.Xml.domToText(Blockly.Json.jsonToDom(json)));
+}
+
+function test_json_domToJsonFormat() {
+  var json = Blockly.Json.domToJson(
+      Blockly.Xml.textToDom(JSON_SERIALIZATION_XML));
+  assertEquals(2, json['variables'].length);
+  assertEquals('count', json['variables'][1]['name']);
+  assertEquals('Number', json['variables'][1]['type']);
+
+  var comment = json['comments'][0];
+  assertEquals('A workspace comment', comment['text']);
+  assertEquals(300, comment['x']);
+  assertEquals(160, comment['w']);
+
+  var block = json['blocks'][0];
+  assertEquals('json_test_statement', block['type']);
+  assertEquals('stack', block['id']);
+  assertEquals(10, block['x']);
+  assertEquals(20, block['y']);
+  assertTrue(block['inline']);
+  assertEquals('first', block['fields']['NAME']);
+  assertEquals('var1', block['fields']['VAR']['id']);
+  assertEquals('item', block['fields']['VAR']['name']);
+  assertEquals('2', block['mutation']['attributes']['items']);
+  assertEquals('b', block['mutation']['children'][1]['attributes']['name']);
+  assertEquals('A block comment', block['comment']['text']);
+  assertFalse(block['comment']['pinned']);
+  assertEquals('custom data', block['data']);
+
+  var value = block['inputs']['VALUE'];
+  assertEquals('value', value['type']);
+  assertEquals('shadow', value['shadow']['fields']['NAME']);
+  assertEquals('real', value['block']['fields']['NAME']);
+  assertEquals('statement', block['inputs']['DO']['type']);
+  assertTrue(block['inputs']['DO']['block']['collapsed']);
+  assertTrue(block['next']['block']['disabled']);
+}
+
+function test_json_workspaceRoundTrip() {
+  jsonSerializationTest_setUp();
+  var otherWorkspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(JSON_SERIALIZATION_XML), workspace);
+    var json = JSON.parse(JSON.stringify(
+        Blockly.Json.workspaceToJson(workspace)));
+    Blockly.Json.jsonToWorkspace(json, otherWorkspace);
+
+    assertEquals(
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace)),
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(otherWorkspace)));
+    var block = otherWorkspace.getBlockById('stack');
+    assertEquals('real', block.getInputTargetBlock('VALUE').getFieldValue('NAME'));
+    assertEquals('var2', otherWorkspace.getBlockById('nested').getFieldValue('VAR'));
+    assertEquals('A workspace comment',
+        otherWorkspace.getCommentById('comment1').getContent());
+  } finally {
+    otherWorkspace.dispose();
+    jsonSerializationTest_tearDown();
+  }
+}
+
+function test_json_blockRoundTrip() {
+  jsonSerializationTest_setUp();
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(JSON_SERIALIZATION_XML), workspace);
+    var original = workspace.getBlockById('nested');
+    var json = Blockly.Json.blockToJson(original, true);
+    assertUndefined('Block IDs are skipped.', json['id']);
+
+    var copy = Blockly.Json.jsonToBlock(json, workspace);
+    assertEquals('json_test_statement', copy.type);
+    assertTrue(copy.isCollapsed());
+    assertEquals('nested', copy.getFieldValue('NAME'));
+    assertEquals('var2', copy.getFieldValue('VAR'));
+  } finally {
+    jsonSerializationTest_tearDown();
+  }
+}
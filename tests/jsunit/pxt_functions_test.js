@@ -0,0 +1,336 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for pxt-blockly's function blocks that return values.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+var savedFireFunc = Blockly.Events.fire;
+var pxtFunctionsTest_firing = false;
+var pxtFunctionsTest_savedMessages = {};
+
+// Messages used by the function blocks.
+var pxtFunctionsTest_messages = {
+  'FUNCTIONS_CALL_TITLE': 'call',
+  'FUNCTION_CALL_OUTPUT_NO_RETURN_WARNING': 'no return value',
+  'PROCEDURES_DEFNORETURN_TITLE': 'function',
+  'PROCEDURES_DEFRETURN_RETURN': 'return',
+  'PROCEDURES_HUE': 290
+};
+
+function pxtFunctionsTest_fireEvent(event) {
+  if (!Blockly.Events.isEnabled()) {
+    return;
+  }
+  Blockly.Events.FIRE_QUEUE_.push(event);
+  // Events fired by change listeners are queued until the current events have
+  // been handled, as they would be when firing asynchronously.
+  if (pxtFunctionsTest_firing) {
+    return;
+  }
+  pxtFunctionsTest_firing = true;
+  try {
+    while (Blockly.Events.FIRE_QUEUE_.length) {
+      Blockly.Events.fireNow_();
+    }
+  } finally {
+    pxtFunctionsTest_firing = false;
+  }
+}
+
+function pxtFunctionsTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "pxt_functions_test_number",
+    "message0": "number",
+    "output": "Number"
+  },
+  {
+    "type": "pxt_functions_test_string",
+    "message0": "string",
+    "output": "String"
+  },
+  {
+    "type": "pxt_functions_test_statement",
+    "message0": "do %1",
+    "args0": [
+      {
+        "type": "input_statement",
+        "name": "DO"
+      }
+    ],
+    "previousStatement": null,
+    "nextStatement": null
+  },
+  {
+    "type": "pxt_functions_test_print",
+    "message0": "print %1",
+    "args0": [
+      {
+        "type": "input_value",
+        "name": "VALUE"
+      }
+    ],
+    "previousStatement": null,
+    "nextStatement": null
+  }]);
+  for (var key in pxtFunctionsTest_messages) {
+    pxtFunctionsTest_savedMessages[key] = Blockly.Msg[key];
+    Blockly.Msg[key] = pxtFunctionsTest_messages[key];
+  }
+  workspace = new Blockly.Workspace();
+  Blockly.Events.fire = pxtFunctionsTest_fireEvent;
+}
+
+function pxtFunctionsTest_tearDown() {
+  Blockly.Events.fire = savedFireFunc;
+  workspace.dispose();
+  delete Blockly.Blocks['pxt_functions_test_number'];
+  delete Blockly.Blocks['pxt_functions_test_string'];
+  delete Blockly.Blocks['pxt_functions_test_statement'];
+  delete Blockly.Blocks['pxt_functions_test_print'];
+  for (var key in pxtFunctionsTest_savedMessages) {
+    Blockly.Msg[key] = pxtFunctionsTest_savedMessages[key];
+  }
+}
+
+/**
+ * Create a function definition and its callers from XML.
+ * @param {string} opt_returnAttributes Extra attributes for the mutations.
+ * @return {!Blockly.Block} The function definition block.
+ */
+function pxtFunctionsTest_createFunction(opt_returnAttributes) {
+  var mutation = '<mutation name="compute" functionid="fid" ' +
+      (opt_returnAttributes || '') + '></mutation>';
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '  <block type="function_definition" id="def">' + mutation + '</block>' +
+      '  <block type="function_call" id="call">' + mutation + '</block>' +
+      '  <block type="function_call_output" id="call_output">' + mutation +
+      '  </block>' +
+      '</xml>'), workspace);
+  return workspace.getBlockById('def');
+}
+
+/**
+ * Add a return block at the end of the given function definition.
+ * @param {!Blockly.Block} definition The function definition block.
+ * @param {string=} opt_valueType The type of test block to return, if any.
+ * @return {!Blockly.Block} The return block.
+ */
+function pxtFunctionsTest_addReturn(definition, opt_valueType) {
+  var returnBlock = workspace.newBlock('function_return');
+  if (opt_valueType) {
+    var value = workspace.newBlock('pxt_functions_test_' + opt_valueType);
+    returnBlock.getInput('VALUE').connection.connect(value.outputConnection);
+  }
+  var connection = definition.getInput('STACK').connection;
+  while (connection.targetBlock()) {
+    connection = connection.targetBlock().nextConnection;
+  }
+  connection.connect(returnBlock.previousConnection);
+  return returnBlock;
+}
+
+function test_pxtFunctions_inferReturnType() {
+  pxtFunctionsTest_setUp();
+  try {
+    var definition = pxtFunctionsTest_createFunction();
+    assertNull(Blockly.Functions.inferReturnType(definition));
+    var returnBlock = pxtFunctionsTest_addReturn(definition);
+    assertNull('Return without a value.',
+        Blockly.Functions.inferReturnType(definition));
+    returnBlock.getInput('VALUE').connection.connect(
+        workspace.newBlock('pxt_functions_test_number').outputConnection);
+    assertEquals('number', Blockly.Functions.inferReturnType(definition));
+  } finally {
+    pxtFunctionsTest_tearDown();
+  }
+}
+
+function test_pxtFunctions_updatesCallersOnReturn() {
+  pxtFunctionsTest_setUp();
+  try {
+    var definition = pxtFunctionsTest_createFunction();
+    var caller = workspace.getBlockById('call_output');
+    assertNull(caller.getReturnType());
+
+    var returnBlock = pxtFunctionsTest_addReturn(definition, 'number');
+    assertEquals('number', definition.getReturnType());
+    assertEquals('number', caller.getReturnType());
+    assertEquals('number', workspace.getBlockById('call').getReturnType());
+    assertArrayEquals(['Number'], caller.outputConnection.check_);
+
+    returnBlock.dispose();
+    assertNull(definition.getReturnType());
+    assertNull(caller.outputConnection.check_);
+  } finally {
+    pxtFunctionsTest_tearDown();
+  }
+}
+
+function test_pxtFunctions_unplugsCallersWhenReturnRemoved() {
+  pxtFunctionsTest_setUp();
+  try {
+    var definition = pxtFunctionsTest_createFunction();
+    var returnBlock = pxtFunctionsTest_addReturn(definition, 'number');
+    var caller = workspace.getBlockById('call_output');
+    var warning = null;
+    caller.setWarningText = function(text) {
+      warning = text;
+    };
+    var print = workspace.newBlock('pxt_functions_test_print');
+    print.getInput('VALUE').connection.connect(caller.outputConnection);
+
+    returnBlock.dispose();
+    assertNull(caller.getReturnType());
+    assertNull('Callers whose result is used are unplugged.',
+        caller.getParent());
+    assertEquals('no return value', warning);
+
+    pxtFunctionsTest_addReturn(definition, 'number');
+    assertNull('The warning is cleared when a value is returned again.',
+        warning);
+  } finally {
+    pxtFunctionsTest_tearDown();
+  }
+}
+
+function test_pxtFunctions_inferAnyForMixedReturns() {
+  pxtFunctionsTest_setUp();
+  try {
+    var definition = pxtFunctionsTest_createFunction();
+    var statement = workspace.newBlock('pxt_functions_test_statement');
+    definition.getInput('STACK').connection.connect(
+        statement.previousConnection);
+    var first = workspace.newBlock('function_return');
+    first.getInput('VALUE').connection.connect(
+        workspace.newBlock('pxt_functions_test_number').outputConnection);
+    statement.getInput('DO').connection.connect(first.previousConnection);
+    pxtFunctionsTest_addReturn(definition, 'string');
+    assertEquals('any', definition.getReturnType());
+    assertNull(workspace.getBlockById('call_output').outputConnection.check_);
+  } finally {
+    pxtFunctionsTest_tearDown();
+  }
+}
+
+function test_pxtFunctions_declaredReturnType() {
+  pxtFunctionsTest_setUp();
+  try {
+    var definition = pxtFunctionsTest_createFunction(
+        'returntype="string" returntypedeclared="true"');
+    assertEquals('string', definition.getReturnType());
+    assertTrue(definition.isReturnTypeDeclared());
+
+    var returnBlock = pxtFunctionsTest_addReturn(definition);
+    assertEquals('Declared type is not inferred.', 'string',
+        definition.getReturnType());
+    var valueConnection = returnBlock.getInput('VALUE').connection;
+    assertTrue('Return value can have the declared type.',
+        valueConnection.checkType_(workspace.newBlock(
+            'pxt_functions_test_string').outputConnection));
+    assertFalse('Return value is restricted to the declared type.',
+        valueConnection.checkType_(workspace.newBlock(
+            'pxt_functions_test_number').outputConnection));
+
+    var mutation = definition.mutationToDom();
+    assertEquals('string', mutation.getAttribute('returntype'));
+    assertEquals('true', mutation.getAttribute('returntypedeclared'));
+  } finally {
+    pxtFunctionsTest_tearDown();
+  }
+}
+
+function test_pxtFunctions_returnOutsideDefinition() {
+  pxtFunctionsTest_setUp();
+  try {
+    var definition = pxtFunctionsTest_createFunction();
+    var returnBlock = workspace.newBlock('function_return');
+    Blockly.Events.fire(new Blockly.Events.BlockCreate(returnBlock));
+    assertTrue('Return outside of a definition is disabled.',
+        returnBlock.disabled);
+
+    definition.getInput('STACK').connection.connect(
+        returnBlock.previousConnection);
+    assertFalse('Return inside of a definition is enabled.',
+        returnBlock.disabled);
+  } finally {
+    pxtFunctionsTest_tearDown();
+  }
+}
+
+function test_pxtFunctions_flyoutOffersReturn() {
+  pxtFunctionsTest_setUp();
+  try {
+    workspace.registerButtonCallback = function() {};
+    var types = function() {
+      return Blockly.Functions.flyoutCategory(workspace).map(function(xml) {
+        return xml.getAttribute('type');
+      });
+    };
+    assertEquals('No return block without a function.', -1,
+        types().indexOf(Blockly.FUNCTION_RETURN_BLOCK_TYPE));
+    pxtFunctionsTest_createFunction();
+    assertEquals([null, 'function_call', 'function_return'].join(),
+        types().join());
+  } finally {
+    pxtFunctionsTest_tearDown();
+  }
+}
+
+function test_pxtFunctions_declareReturnTypeInEditor() {
+  pxtFunctionsTest_setUp();
+  var editorWorkspace = new Blockly.Workspace();
+  try {
+    var definition = pxtFunctionsTest_createFunction();
+    var declaration = editorWorkspace.newBlock('function_declaration');
+    declaration.domToMutation(definition.mutationToDom());
+    declaration.setReturnTypeExternal('number');
+    Blockly.Functions.mutateCallersAndDefinition(definition.getName(),
+        workspace, declaration.mutationToDom());
+    assertEquals('number', definition.getReturnType());
+    assertTrue(definition.isReturnTypeDeclared());
+    assertArrayEquals(['Number'],
+        workspace.getBlockById('call_output').outputConnection.check_);
+
+    declaration.setReturnTypeExternal(null);
+    Blockly.Functions.mutateCallersAndDefinition(definition.getName(),
+        workspace, declaration.mutationToDom());
+    assertFalse(definition.isReturnTypeDeclared());
+    assertNull('The return type is inferred again.',
+        definition.getReturnType());
+  } finally {
+    editorWorkspace.dispose();
+    pxtFunctionsTest_tearDown();
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.Renderer.
+ */
+'use strict';
+
+function test_renderer_default() {
+  var renderer = Blockly.Renderer.get(Blockly.Renderer.DEFAULT);
+  assertEquals(renderer, Blockly.Renderer.get('default'));
+  assertEquals(4, renderer.GRID_UNIT);
+  assertEquals('Default constants stay on Blockly.BlockSvg.',
+      Blockly.BlockSvg.NOTCH_PATH_LEFT, renderer.NOTCH_PATH_LEFT);
+  assertEquals(Blockly.BlockSvg.MIN_BLOCK_Y, renderer.MIN_BLOCK_Y);
+  assertEquals('c 2,0 3,1 4,2 l 4,4 c 1,1 2,2 4,2 h 12 c 2,0 3,-1 4,-2 ' +
+      'l 4,-4 c 1,-1 2,-2 4,-2', renderer.NOTCH_PATH_LEFT);
+}
+
+function test_renderer_defaultConstantsAreWritable() {
+  var renderer = Blockly.Renderer.get(Blockly.Renderer.DEFAULT);
+  var startHat = Blockly.BlockSvg.START_HAT;
+  try {
+    Blockly.BlockSvg.START_HAT = !startHat;
+    assertEquals('Setting the old constants changes the default renderer.',
+        !startHat, renderer.START_HAT);
+    renderer.START_HAT = startHat;
+    assertEquals(startHat, Blockly.BlockSvg.START_HAT);
+    assertEquals('Other renderers are not changed.', false,
+        Blockly.Renderer.get('touch').START_HAT);
+  } finally {
+    Blockly.BlockSvg.START_HAT = startHat;
+  }
+}
+
+function test_renderer_scaled() {
+  var renderer = Blockly.Renderer.get('touch');
+  assertTrue(renderer instanceof Blockly.TouchRenderer);
+  assertEquals(5, renderer.GRID_UNIT);
+  assertEquals(60, renderer.MIN_BLOCK_Y);
+  assertEquals(40, renderer.NOTCH_WIDTH);
+  assertEquals('The notch is as wide as NOTCH_WIDTH.',
+      'c 2.5,0 3.75,1.25 5,2.5 l 5,5 c 1.25,1.25 2.5,2.5 5,2.5 h 15 ' +
+      'c 2.5,0 3.75,-1.25 5,-2.5 l 5,-5 c 1.25,-1.25 2.5,-2.5 5,-2.5',
+      renderer.NOTCH_PATH_LEFT);
+  assertEquals('a 5,5 0 0,1 5,5', renderer.TOP_RIGHT_CORNER);
+  assertEquals(3, Blockly.Renderer.get('compact').GRID_UNIT);
+}
+
+function test_renderer_register() {
+  var RoundRenderer = function() {
+    RoundRenderer.superClass_.constructor.call(this);
+    this.CORNER_RADIUS = 8;
+    this.initShapes();
+  };
+  goog.inherits(RoundRenderer, Blockly.Renderer);
+  Blockly.Renderer.register('renderer_test_round', RoundRenderer);
+  try {
+    var renderer = Blockly.Renderer.get('renderer_test_round');
+    assertEquals('Renderers are shared.', renderer,
+        Blockly.Renderer.get('renderer_test_round'));
+    assertEquals('m 0,8', renderer.TOP_LEFT_CORNER_START);
+    assertEquals(4, renderer.GRID_UNIT);
+
+    var options = new Blockly.Options({renderer: 'renderer_test_round'});
+    assertEquals(renderer, options.renderer);
+    var instance = new Blockly.Renderer(2);
+    assertEquals('Renderers may be passed directly.', instance,
+        new Blockly.Options({renderer: instance}).renderer);
+    assertEquals(Blockly.Renderer.get(Blockly.Renderer.DEFAULT),
+        new Blockly.Options({}).renderer);
+  } finally {
+    delete Blockly.Renderer.registry_['renderer_test_round'];
+    delete Blockly.Renderer.instances_['renderer_test_round'];
+  }
+}
+
+function test_renderer_unknown() {
+  try {
+    Blockly.Renderer.get('renderer_test_missing');
+    fail('Unknown renderers throw.');
+  } catch (e) {
+    assertContains('renderer_test_missing', e.message);
+  }
+}
@@ -6,30 +6,43 @@ var options = {
 };
 
 var path = process.cwd();
+// Every page that is run, relative to the root of the repository.
+var pages = [
+  "/tests/jsunit/index.html",
+  "/tests/workspace_svg/index.html"
+];
+
 //TODO: change pause to waitunitl
 var browser = webdriverio
     .remote(options)
-    .init()
-    .url("file://" + path + "/tests/jsunit/index.html").pause(5000);
+    .init();
 
+function runPage(page) {
+  return browser
+  .url("file://" + path + page).pause(5000)
+  .getHTML('#closureTestRunnerLog')
+  .then(function(result) {
+     // call js to parse html
+     var regex = /[\d]+\spassed,\s([\d]+)\sfailed./i;
+     var numOfFailure = regex.exec(result)[1];
+    var regex2 = /Unit Tests for Blockly .*]/;
+    var testStatus = regex2.exec(result);
+    console.log("============Blockly Unit Test Summary=================");
+     console.log(testStatus ? testStatus[0] : page);
+     var regex3 = /\d+ passed,\s\d+ failed/;
+     var detail = regex3.exec(result)[0];
+     console.log(detail);
+    console.log("============Blockly Unit Test Summary=================");
+     if ( parseInt(numOfFailure) !== 0) {
+       console.log(result);
+       process.exit(1);
+      }
+  });
+}
 
-browser
-.getHTML('#closureTestRunnerLog')
-.then(function(result) {
-   // call js to parse html
-   var regex = /[\d]+\spassed,\s([\d]+)\sfailed./i;
-   var numOfFailure = regex.exec(result)[1];
-  var regex2 = /Unit Tests for Blockly .*]/;
-  var testStatus = regex2.exec(result)[0];
-  console.log("============Blockly Unit Test Summary=================");
-   console.log(testStatus);
-   var regex3 = /\d+ passed,\s\d+ failed/;
-   var detail = regex3.exec(result)[0];
-   console.log(detail);
-  console.log("============Blockly Unit Test Summary=================");
-   if ( parseInt(numOfFailure) !== 0) {
-     console.log(result);
-     process.exit(1);
-    }
-})
+pages.reduce(function(previous, page) {
+  return previous.then(function() {
+    return runPage(page);
+  });
+}, Promise.resolve())
 .catch(function(err) { console.log(err); process.exit(1); });
@@ -0,0 +1,144 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.Theme.
+ */
+'use strict';
+
+function themeTest_setUp() {
+  Blockly.Msg.THEME_TEST_HUE = '120';
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "theme_test_block",
+    "message0": "",
+    "colour": "%{BKY_THEME_TEST_HUE}"
+  }]);
+  Blockly.Theme.register(new Blockly.Theme('theme_test', {
+    'workspace': '#000000'
+  }, {
+    'THEME_TEST_HUE': '#112233',
+    '#445566': '#778899'
+  }));
+}
+
+function themeTest_tearDown() {
+  delete Blockly.Msg.THEME_TEST_HUE;
+  delete Blockly.Blocks['theme_test_block'];
+  delete Blockly.Theme.registry_['theme_test'];
+}
+
+function test_theme_registered() {
+  var theme = Blockly.Theme.get(Blockly.Theme.DEFAULT);
+  assertEquals(Blockly.Colours.workspace, theme.getColour('workspace'));
+  assertEquals('#1E1E1E', Blockly.Theme.get('dark').getColour('workspace'));
+  assertEquals('Themes fall back to Blockly.Colours.', Blockly.Colours.text,
+      Blockly.Theme.get('dark').getColour('text'));
+  var savedHue = Blockly.Msg.LOGIC_HUE;
+  Blockly.Msg.LOGIC_HUE = '210';
+  try {
+    assertEquals('#003366',
+        Blockly.Theme.get('highContrast').getCategoryColour('210'));
+  } finally {
+    Blockly.Msg.LOGIC_HUE = savedHue;
+  }
+  assertEquals('blocklyTheme-highContrast',
+      Blockly.Theme.get('highContrast').getClassName());
+}
+
+function test_theme_categoryColour() {
+  themeTest_setUp();
+  try {
+    var theme = Blockly.Theme.get('theme_test');
+    assertEquals('Hue messages are matched by value.', '#112233',
+        theme.getCategoryColour('120'));
+    assertEquals('#112233', theme.getCategoryColour(120));
+    assertEquals('Colours are matched directly.', '#778899',
+        theme.getCategoryColour('#445566'));
+    assertEquals('Other colours are unchanged.', '#aabbcc',
+        theme.getCategoryColour('#aabbcc'));
+  } finally {
+    themeTest_tearDown();
+  }
+}
+
+function test_theme_setTheme() {
+  themeTest_setUp();
+  var workspace = new Blockly.Workspace(new Blockly.Options({}));
+  try {
+    assertEquals(Blockly.Theme.get(Blockly.Theme.DEFAULT),
+        workspace.getTheme());
+    var block = workspace.newBlock('theme_test_block');
+    var defaultColour = Blockly.hueToRgb(120);
+    assertEquals(defaultColour, block.getColour());
+
+    workspace.setTheme('theme_test');
+    assertEquals(Blockly.Theme.get('theme_test'), workspace.getTheme());
+    assertEquals('Existing blocks are re-coloured.', '#112233',
+        block.getColour());
+    assertEquals('New blocks use the theme.', '#112233',
+        workspace.newBlock('theme_test_block').getColour());
+
+    workspace.setTheme(Blockly.Theme.get(Blockly.Theme.DEFAULT));
+    assertEquals(defaultColour, block.getColour());
+  } finally {
+    workspace.dispose();
+    themeTest_tearDown();
+  }
+}
+
+function test_theme_options() {
+  themeTest_setUp();
+  try {
+    var options = new Blockly.Options({theme: 'theme_test'});
+    assertEquals(Blockly.Theme.get('theme_test'), options.theme);
+    var theme = new Blockly.Theme('theme_test_instance', {});
+    assertEquals('Themes may be passed directly.', theme,
+        new Blockly.Options({theme: theme}).theme);
+    var workspace = new Blockly.Workspace(options);
+    var flyoutWorkspace = new Blockly.Workspace({parentWorkspace: workspace});
+    try {
+      assertEquals('Child workspaces share the parent\'s theme.',
+          workspace.getTheme(), flyoutWorkspace.getTheme());
+    } finally {
+      flyoutWorkspace.dispose();
+      workspace.dispose();
+    }
+  } finally {
+    themeTest_tearDown();
+  }
+}
+
+function test_theme_unknown() {
+  try {
+    Blockly.Theme.get('theme_test_missing');
+    fail('Unknown themes throw.');
+  } catch (e) {
+    assertContains('theme_test_missing', e.message);
+  }
+}
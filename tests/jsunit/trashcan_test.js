@@ -0,0 +1,189 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for the contents of Blockly.Trashcan.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+var trashcan;
+var savedFireFunc = Blockly.Events.fire;
+
+function trashcanTest_fireEvent(event) {
+  if (!Blockly.Events.isEnabled()) {
+    return;
+  }
+  Blockly.Events.FIRE_QUEUE_.push(event);
+  Blockly.Events.fireNow_();
+}
+
+function trashcanTest_setUp(opt_maxContents) {
+  Blockly.defineBlocksWithJsonArray([{
+    "type": "trashcan_test_block",
+    "message0": "%1",
+    "args0": [
+      {
+        "type": "input_value",
+        "name": "INPUT"
+      }
+    ],
+    "output": null
+  }]);
+  var options = {'trashcan': true};
+  if (opt_maxContents !== undefined) {
+    options['maxTrashcanContents'] = opt_maxContents;
+  }
+  workspace = new Blockly.Workspace(new Blockly.Options(options));
+  trashcan = new Blockly.Trashcan(workspace);
+  Blockly.Events.fire = trashcanTest_fireEvent;
+}
+
+function trashcanTest_tearDown() {
+  Blockly.Events.fire = savedFireFunc;
+  trashcan.dispose();
+  workspace.dispose();
+  delete Blockly.Blocks['trashcan_test_block'];
+}
+
+function test_trashcan_deleteAddsStack() {
+  trashcanTest_setUp();
+  try {
+    var parent = workspace.newBlock('trashcan_test_block', 'parent');
+    var child = workspace.newBlock('trashcan_test_block', 'child');
+    parent.getInput('INPUT').connection.connect(child.outputConnection);
+    parent.dispose();
+    var contents = trashcan.getContents();
+    assertEquals(1, contents.length);
+    var xml = Blockly.Xml.textToDom(contents[0]).firstChild;
+    assertEquals('trashcan_test_block', xml.getAttribute('type'));
+    assertEquals('Block IDs are kept.', 'parent', xml.getAttribute('id'));
+    assertFalse('Coordinates are stripped.', xml.hasAttribute('x'));
+    assertEquals('Children are kept.', 1, xml.getElementsByTagName('block').length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_mostRecentFirst() {
+  trashcanTest_setUp();
+  try {
+    var first = workspace.newBlock('trashcan_test_block', 'first');
+    var second = workspace.newBlock('trashcan_test_block', 'second');
+    second.getInput('INPUT').connection.connect(
+        workspace.newBlock('trashcan_test_block').outputConnection);
+    first.dispose();
+    second.dispose();
+    var contents = trashcan.getContents();
+    assertEquals(2, contents.length);
+    assertEquals('Most recent deletion is first.', 2,
+        Blockly.Xml.textToDom(contents[0]).getElementsByTagName('block').length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_restoreLeavesTrash() {
+  trashcanTest_setUp();
+  try {
+    workspace.newBlock('trashcan_test_block', 'kept').dispose();
+    workspace.newBlock('trashcan_test_block', 'restored').dispose();
+    var contents = trashcan.getContents();
+    assertEquals(2, contents.length);
+    // Blocks dragged out of the trash flyout are created from this XML.
+    Blockly.Xml.domToBlock(Blockly.Xml.textToDom(contents[0]).firstChild,
+        workspace);
+    assertNotNull(workspace.getBlockById('restored'));
+    contents = trashcan.getContents();
+    assertEquals('The restored stack leaves the trash.', 1, contents.length);
+    assertEquals('kept', Blockly.Xml.textToDom(contents[0]).firstChild
+        .getAttribute('id'));
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_maxContents() {
+  trashcanTest_setUp(2);
+  try {
+    for (var i = 0; i < 4; i++) {
+      workspace.newBlock('trashcan_test_block').dispose();
+    }
+    assertEquals(2, trashcan.getContents().length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_disabled() {
+  trashcanTest_setUp(0);
+  try {
+    workspace.newBlock('trashcan_test_block').dispose();
+    assertEquals(0, trashcan.getContents().length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_undoRedoDelete() {
+  trashcanTest_setUp();
+  try {
+    var block = workspace.newBlock('trashcan_test_block', 'block1');
+    Blockly.Events.fire(new Blockly.Events.BlockCreate(block));
+    block.dispose();
+    assertEquals(1, trashcan.getContents().length);
+
+    workspace.undo();
+    assertNotNull('Block is restored.', workspace.getBlockById('block1'));
+    assertEquals('Restored block leaves the trash.', 0,
+        trashcan.getContents().length);
+
+    workspace.undo(true);
+    assertNull('Block is deleted again.', workspace.getBlockById('block1'));
+    assertEquals('Deleted block is back in the trash.', 1,
+        trashcan.getContents().length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_emptyContents() {
+  trashcanTest_setUp();
+  try {
+    workspace.newBlock('trashcan_test_block').dispose();
+    workspace.newBlock('trashcan_test_block').dispose();
+    assertEquals(2, trashcan.getContents().length);
+    trashcan.emptyContents();
+    assertEquals(0, trashcan.getContents().length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
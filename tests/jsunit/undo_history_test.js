@@ -0,0 +1,279 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.UndoHistory.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var undoHistoryTest_workspace;
+var undoHistoryTest_restoredWorkspace = null;
+var undoHistoryTest_savedFire = Blockly.Events.fire;
+
+function undoHistoryTest_fireEvent(event) {
+  if (!Blockly.Events.isEnabled()) {
+    return;
+  }
+  Blockly.Events.FIRE_QUEUE_.push(event);
+  Blockly.Events.fireNow_();
+}
+
+function undoHistoryTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'undo_history_test_block',
+    'message0': 'block'
+  },
+  {
+    'type': 'undo_history_test_input',
+    'message0': '%1 %2',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': 'default'
+      },
+      {
+        'type': 'input_value',
+        'name': 'INPUT'
+      }
+    ],
+    'output': null
+  }]);
+  Blockly.Msg.UNDO_HISTORY_ADD_BLOCK = 'Add block';
+  Blockly.Msg.UNDO_HISTORY_ADD_X_BLOCKS = 'Add %1 blocks';
+  Blockly.Msg.UNDO_HISTORY_DELETE_BLOCK = 'Delete block';
+  Blockly.Msg.UNDO_HISTORY_CREATE_VARIABLE = 'Create variable %1';
+  Blockly.Msg.UNDO_HISTORY_RENAME_VARIABLE = 'Rename variable to %1';
+  undoHistoryTest_workspace = new Blockly.Workspace();
+  Blockly.Events.fire = undoHistoryTest_fireEvent;
+  return undoHistoryTest_workspace.getUndoHistory();
+}
+
+function undoHistoryTest_tearDown() {
+  Blockly.Events.fire = undoHistoryTest_savedFire;
+  undoHistoryTest_workspace.dispose();
+  if (undoHistoryTest_restoredWorkspace) {
+    undoHistoryTest_restoredWorkspace.dispose();
+    undoHistoryTest_restoredWorkspace = null;
+  }
+  delete Blockly.Blocks['undo_history_test_block'];
+  delete Blockly.Blocks['undo_history_test_input'];
+}
+
+/**
+ * Load the workspace into a new workspace, as if the page had been reloaded.
+ * @return {!Blockly.Workspace} The new workspace.
+ */
+function undoHistoryTest_reload() {
+  var xml = Blockly.Xml.workspaceToDom(undoHistoryTest_workspace);
+  undoHistoryTest_restoredWorkspace = new Blockly.Workspace();
+  Blockly.Xml.domToWorkspace(xml, undoHistoryTest_restoredWorkspace);
+  return undoHistoryTest_restoredWorkspace;
+}
+
+/**
+ * Make three entries: a variable, two blocks added together, and a rename.
+ */
+function undoHistoryTest_makeEntries() {
+  var workspace = undoHistoryTest_workspace;
+  workspace.createVariable('a', '', 'id1');
+  Blockly.Events.setGroup(true);
+  workspace.newBlock('undo_history_test_block', 'block1');
+  workspace.newBlock('undo_history_test_block', 'block2');
+  Blockly.Events.setGroup(false);
+  workspace.renameVariableById('id1', 'b');
+}
+
+function test_undoHistory_entries() {
+  var history = undoHistoryTest_setUp();
+  try {
+    assertEquals(0, history.getEntries().length);
+    undoHistoryTest_makeEntries();
+    var entries = history.getEntries();
+    assertEquals(3, entries.length);
+    assertEquals('Create variable a', entries[0].description);
+    assertEquals('Add 2 blocks', entries[1].description);
+    assertEquals(2, entries[1].events.length);
+    assertEquals('Rename variable to b', entries[2].description);
+    assertEquals(3, history.getPosition());
+
+    undoHistoryTest_workspace.undo();
+    assertEquals('Undone entries are kept.', 3, history.getEntries().length);
+    assertEquals(2, history.getPosition());
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_goTo() {
+  var history = undoHistoryTest_setUp();
+  try {
+    var workspace = undoHistoryTest_workspace;
+    undoHistoryTest_makeEntries();
+    history.goTo(1);
+    assertEquals(1, history.getPosition());
+    assertNull(workspace.getBlockById('block1'));
+    assertEquals('a', workspace.getVariableById('id1').name);
+
+    history.goTo(0);
+    assertNull(workspace.getVariableById('id1'));
+
+    history.goTo(2);
+    assertEquals(2, history.getPosition());
+    assertNotNull(workspace.getBlockById('block1'));
+    assertNotNull(workspace.getBlockById('block2'));
+
+    history.goTo(10);
+    assertEquals(3, history.getPosition());
+    assertEquals('b', workspace.getVariableById('id1').name);
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_checkpoints() {
+  var history = undoHistoryTest_setUp();
+  try {
+    var workspace = undoHistoryTest_workspace;
+    var notified = 0;
+    history.addChangeListener(function() {
+      notified++;
+    });
+    history.addCheckpoint('start');
+    undoHistoryTest_makeEntries();
+    history.goTo(2);
+    history.addCheckpoint('before rename');
+    assertEquals(2, notified);
+    history.goTo(3);
+    var checkpoints = history.getCheckpoints();
+    assertEquals(2, checkpoints.length);
+    assertEquals('start', checkpoints[0].name);
+    assertEquals(0, checkpoints[0].position);
+    assertEquals('before rename', checkpoints[1].name);
+    assertEquals(2, checkpoints[1].position);
+
+    assertTrue(history.goToCheckpoint('before rename'));
+    assertEquals('a', workspace.getVariableById('id1').name);
+    assertTrue(history.goToCheckpoint('start'));
+    assertEquals(0, workspace.getAllBlocks().length);
+    assertFalse(history.goToCheckpoint('missing'));
+
+    // A new change replaces the undone entries and their checkpoints.
+    workspace.createVariable('c', '', 'id2');
+    assertEquals(1, history.getCheckpoints().length);
+    assertFalse(history.goToCheckpoint('before rename'));
+
+    history.removeCheckpoint('start');
+    assertEquals(0, history.getCheckpoints().length);
+    assertEquals(3, notified);
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_maxUndo() {
+  undoHistoryTest_setUp();
+  try {
+    var workspace = undoHistoryTest_workspace;
+    workspace.MAX_UNDO = 3;
+    for (var i = 1; i <= 5; i++) {
+      workspace.createVariable('name' + i, '', 'id' + i);
+    }
+    assertEquals(3, workspace.undoStack_.length);
+    assertEquals('The oldest events are dropped.', 'name3',
+        workspace.undoStack_[0].varName);
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_saveAndRestore() {
+  var history = undoHistoryTest_setUp();
+  try {
+    var workspace = undoHistoryTest_workspace;
+    workspace.createVariable('a', '', 'id1');
+    var parent = workspace.newBlock('undo_history_test_input', 'parent');
+    var child = workspace.newBlock('undo_history_test_input', 'child');
+    parent.getInput('INPUT').connection.connect(child.outputConnection);
+    child.setFieldValue('changed', 'TEXT');
+    workspace.newBlock('undo_history_test_block', 'deleted').dispose();
+    history.addCheckpoint('edited');
+    workspace.undo();
+    var json = JSON.parse(JSON.stringify(history.toJson()));
+
+    var restoredWorkspace = undoHistoryTest_reload();
+    var restored = restoredWorkspace.getUndoHistory();
+    assertTrue(restored.fromJson(json));
+    assertEquals(history.getEntries().length, restored.getEntries().length);
+    assertEquals(history.getPosition(), restored.getPosition());
+    assertEquals(1, restored.getCheckpoints().length);
+
+    restored.goTo(0);
+    assertEquals(0, restoredWorkspace.getAllBlocks().length);
+    assertNull(restoredWorkspace.getVariableById('id1'));
+
+    assertTrue(restored.goToCheckpoint('edited'));
+    assertNull(restoredWorkspace.getBlockById('deleted'));
+    var restoredChild = restoredWorkspace.getBlockById('child');
+    assertEquals('parent', restoredChild.getParent().id);
+    assertEquals('changed', restoredChild.getFieldValue('TEXT'));
+
+    restoredWorkspace.undo();
+    assertNotNull('Deleted block is restored.',
+        restoredWorkspace.getBlockById('deleted'));
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_restoreStale() {
+  var history = undoHistoryTest_setUp();
+  try {
+    undoHistoryTest_makeEntries();
+    var json = JSON.parse(JSON.stringify(history.toJson()));
+
+    var restoredWorkspace = undoHistoryTest_reload();
+    restoredWorkspace.newBlock('undo_history_test_block', 'block3');
+    var restored = restoredWorkspace.getUndoHistory();
+    assertFalse(restored.fromJson(json));
+    assertFalse(restoredWorkspace.hasUndoStack());
+    assertEquals(0, restored.getEntries().length);
+
+    restoredWorkspace.getBlockById('block3').dispose();
+    json['undo'][0]['type'] = 'unknown';
+    assertFalse(restored.fromJson(json));
+    assertEquals(0, restored.getEntries().length);
+
+    assertFalse(restored.fromJson(null));
+  } finally {
+    undoHistoryTest_tearDown();
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for placeholders of unregistered block types.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+var unknownBlockTest_savedMsg;
+
+var UNKNOWN_BLOCK_XML = [
+  '<xml xmlns="http://www.w3.org/1999/xhtml">',
+  '<variables></variables>',
+  '<block type="unknown_block_test_statement" id="known1" x="10" y="20">',
+  '<value name="VALUE">',
+  '<block type="missing_reporter" id="unknown1" inline="true">',
+  '<mutation items="2"><item value="a"></item></mutation>',
+  '<field name="OP">ADD</field>',
+  '<value name="A">',
+  '<shadow type="missing_number" id="shadow1"><field name="NUM">1</field></shadow>',
+  '</value>',
+  '</block>',
+  '</value>',
+  '<next>',
+  '<block type="missing_statement" id="unknown2" disabled="true">',
+  '<statement name="DO">',
+  '<block type="unknown_block_test_statement" id="known2"></block>',
+  '</statement>',
+  '<next>',
+  '<block type="unknown_block_test_statement" id="known3"></block>',
+  '</next>',
+  '</block>',
+  '</next>',
+  '</block>',
+  '</xml>'].join('');
+
+function unknownBlockTest_setUp() {
+  unknownBlockTest_savedMsg = {
+    'UNKNOWN_BLOCK_TITLE': Blockly.Msg.UNKNOWN_BLOCK_TITLE,
+    'UNKNOWN_BLOCK_TOOLTIP': Blockly.Msg.UNKNOWN_BLOCK_TOOLTIP
+  };
+  Blockly.Msg.UNKNOWN_BLOCK_TITLE = 'unknown block %1';
+  Blockly.Msg.UNKNOWN_BLOCK_TOOLTIP = '';
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'unknown_block_test_statement',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'input_value',
+        'name': 'VALUE'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  workspace = new Blockly.Workspace();
+}
+
+function unknownBlockTest_tearDown() {
+  workspace.dispose();
+  delete Blockly.Blocks['unknown_block_test_statement'];
+  for (var key in unknownBlockTest_savedMsg) {
+    Blockly.Msg[key] = unknownBlockTest_savedMsg[key];
+  }
+}
+
+function test_unknownBlock_loadsPlaceholders() {
+  unknownBlockTest_setUp();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(UNKNOWN_BLOCK_XML),
+        workspace);
+    var reporter = workspace.getBlockById('unknown1');
+    assertEquals(Blockly.UNKNOWN_BLOCK_TYPE, reporter.type);
+    assertEquals('missing_reporter', reporter.getOriginalType());
+    assertNotNull('Placeholder in a value input is a reporter.',
+        reporter.outputConnection);
+    assertEquals('known1', reporter.getParent().id);
+
+    var statement = workspace.getBlockById('unknown2');
+    assertEquals(Blockly.UNKNOWN_BLOCK_TYPE, statement.type);
+    assertNotNull(statement.previousConnection);
+    assertTrue(statement.disabled);
+    assertNull('Nested blocks are kept as XML.',
+        workspace.getBlockById('known2'));
+    assertEquals('Blocks after a placeholder are loaded.', 'unknown2',
+        workspace.getBlockById('known3').getParent().id);
+  } finally {
+    unknownBlockTest_tearDown();
+  }
+}
+
+function test_unknownBlock_roundTrip() {
+  unknownBlockTest_setUp();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(UNKNOWN_BLOCK_XML),
+        workspace);
+    assertEquals(UNKNOWN_BLOCK_XML,
+        Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace)));
+  } finally {
+    unknownBlockTest_tearDown();
+  }
+}
+
+function test_unknownBlock_stateChanges() {
+  unknownBlockTest_setUp();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(UNKNOWN_BLOCK_XML),
+        workspace);
+    var statement = workspace.getBlockById('unknown2');
+    statement.setDisabled(false);
+    var xml = Blockly.Xml.blockToDom(statement, true);
+    assertFalse(xml.hasAttribute('disabled'));
+    assertFalse(xml.hasAttribute('id'));
+
+    var reporter = workspace.getBlockById('unknown1');
+    reporter.unplug();
+    xml = Blockly.Xml.blockToDom(reporter);
+    assertEquals('Detached reporters keep their shape.', 'true',
+        xml.getAttribute('output'));
+    reporter.dispose();
+    var restored = Blockly.Xml.domToBlock(xml, workspace);
+    assertNotNull(restored.outputConnection);
+    assertEquals('missing_reporter', restored.getOriginalType());
+  } finally {
+    unknownBlockTest_tearDown();
+  }
+}
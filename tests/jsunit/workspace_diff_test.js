@@ -0,0 +1,222 @@
+/**
+ * @license
+ * PXT Blockly fork
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) Microsoft Corporation
+ *
+ * All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * @fileoverview Tests for Blockly.WorkspaceDiff.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var WORKSPACE_DIFF_BASE = [
+  '<xml>',
+  '  <block type="diff_test_statement" id="a" x="10" y="10">',
+  '    <value name="VALUE">',
+  '      <block type="diff_test_number" id="b">',
+  '        <field name="NUM">1</field>',
+  '      </block>',
+  '    </value>',
+  '    <next>',
+  '      <block type="diff_test_statement" id="c"></block>',
+  '    </next>',
+  '  </block>',
+  '  <block type="diff_test_statement" id="d" x="100" y="10"></block>',
+  '</xml>'].join('');
+
+function workspaceDiffTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'diff_test_statement',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'input_value',
+        'name': 'VALUE'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  },
+  {
+    'type': 'diff_test_number',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'NUM',
+        'text': '0'
+      }
+    ],
+    'output': null
+  }]);
+}
+
+function workspaceDiffTest_tearDown() {
+  delete Blockly.Blocks['diff_test_statement'];
+  delete Blockly.Blocks['diff_test_number'];
+}
+
+/**
+ * Summarize changes or conflicts as 'type:blockId' strings.
+ * @param {!Array.<!Object>} list The changes or conflicts.
+ * @return {!Array.<string>} The summaries.
+ */
+function workspaceDiffTest_summarize(list) {
+  return list.map(function(item) {
+    return item.type + ':' + item.blockId;
+  });
+}
+
+function test_workspaceDiff_diffById() {
+  var newXml = Blockly.Xml.textToDom([
+    '<xml>',
+    '  <block type="diff_test_statement" id="a" x="20" y="30">',
+    '    <value name="VALUE">',
+    '      <block type="diff_test_number" id="b">',
+    '        <field name="NUM">2</field>',
+    '      </block>',
+    '    </value>',
+    '    <next>',
+    '      <block type="diff_test_statement" id="d"></block>',
+    '    </next>',
+    '  </block>',
+    '  <block type="diff_test_statement" id="e" x="100" y="100"></block>',
+    '</xml>'].join(''));
+  var changes = Blockly.WorkspaceDiff.diff(
+      Blockly.Xml.textToDom(WORKSPACE_DIFF_BASE), newXml);
+  assertArrayEquals(['removed:c', 'moved:a', 'fieldChanged:b',
+    'reconnected:d', 'added:e'], workspaceDiffTest_summarize(changes));
+
+  assertEquals(10, changes[1].oldX);
+  assertEquals(30, changes[1].newY);
+  assertEquals('NUM', changes[2].fieldName);
+  assertEquals('1', changes[2].oldValue);
+  assertEquals('2', changes[2].newValue);
+  assertNull(changes[3].oldParentId);
+  assertEquals('a', changes[3].newParentId);
+  assertNull('Next connection has no input name.', changes[3].newInputName);
+}
+
+function test_workspaceDiff_diffWithoutIds() {
+  var oldXml = Blockly.Xml.textToDom(WORKSPACE_DIFF_BASE.replace(
+      / id="\w"/g, ''));
+  var newXml = Blockly.Xml.textToDom(WORKSPACE_DIFF_BASE
+      .replace(/ id="\w"/g, '')
+      .replace('>1<', '>7<')
+      .replace('<block type="diff_test_statement" x="100"',
+          '<block type="diff_test_statement" disabled="true" x="100"'));
+  var changes = Blockly.WorkspaceDiff.diff(oldXml, newXml);
+  assertArrayEquals(['fieldChanged:null', 'propertyChanged:null'],
+      workspaceDiffTest_summarize(changes));
+  assertEquals('diff_test_number', changes[0].blockType);
+  assertEquals('disabled', changes[1].property);
+  assertEquals('true', changes[1].newValue);
+}
+
+function test_workspaceDiff_mergeWithoutConflicts() {
+  var local = WORKSPACE_DIFF_BASE.replace('>1<', '>5<');
+  var remote = WORKSPACE_DIFF_BASE
+      .replace(/<next>.*<\/next>/, '')
+      .replace('</xml>', '<block type="diff_test_number" id="e" x="5" ' +
+          'y="50"><field name="NUM">3</field></block></xml>');
+  var result = Blockly.WorkspaceDiff.merge(
+      Blockly.Xml.textToDom(WORKSPACE_DIFF_BASE), Blockly.Xml.textToDom(local),
+      Blockly.Xml.textToDom(remote));
+  assertEquals(0, result.conflicts.length);
+  var changes = Blockly.WorkspaceDiff.diff(Blockly.Xml.textToDom(local),
+      result.xml);
+  assertArrayEquals(['removed:c', 'added:e'],
+      workspaceDiffTest_summarize(changes));
+}
+
+function test_workspaceDiff_mergeConflicts() {
+  var base = Blockly.Xml.textToDom(WORKSPACE_DIFF_BASE);
+  // Local: change the number, attach 'd' after 'c'.
+  var local = Blockly.Xml.textToDom(WORKSPACE_DIFF_BASE
+      .replace('>1<', '>2<')
+      .replace('<block type="diff_test_statement" id="c"></block>',
+          '<block type="diff_test_statement" id="c"><next>' +
+          '<block type="diff_test_statement" id="d"></block></next></block>')
+      .replace('<block type="diff_test_statement" id="d" x="100" y="10">' +
+          '</block>', ''));
+  // Remote: change the number, delete 'd', attach a new block after 'c'.
+  var remote = Blockly.Xml.textToDom(WORKSPACE_DIFF_BASE
+      .replace('>1<', '>3<')
+      .replace('<block type="diff_test_statement" id="c"></block>',
+          '<block type="diff_test_statement" id="c"><next>' +
+          '<block type="diff_test_statement" id="f"></block></next></block>')
+      .replace('<block type="diff_test_statement" id="d" x="100" y="10">' +
+          '</block>', ''));
+  var result = Blockly.WorkspaceDiff.merge(base, local, remote);
+  assertArrayEquals(['deleteModify:d', 'property:b', 'slot:f'],
+      workspaceDiffTest_summarize(result.conflicts).sort());
+  var propertyConflict = result.conflicts.filter(function(conflict) {
+    return conflict.type == Blockly.WorkspaceDiff.ConflictType.PROPERTY;
+  })[0];
+  assertEquals('NUM', propertyConflict.property);
+  assertEquals('1', propertyConflict.base);
+  assertEquals('2', propertyConflict.local);
+  assertEquals('3', propertyConflict.remote);
+
+  workspaceDiffTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(result.xml, workspace);
+    assertEquals('2', workspace.getBlockById('b').getFieldValue('NUM'));
+    assertEquals('Local placement wins.', 'c',
+        workspace.getBlockById('d').getParent().id);
+    assertNull('Remote block is moved to the top level.',
+        workspace.getBlockById('f').getParent());
+  } finally {
+    workspace.dispose();
+    workspaceDiffTest_tearDown();
+  }
+}
+
+function test_workspaceDiff_mergeCycle() {
+  var base = Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="diff_test_statement" id="a" x="0" y="0"></block>' +
+      '<block type="diff_test_statement" id="b" x="0" y="50"></block>' +
+      '</xml>');
+  var local = Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="diff_test_statement" id="a" x="0" y="0"><next>' +
+      '<block type="diff_test_statement" id="b"></block></next></block>' +
+      '</xml>');
+  var remote = Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="diff_test_statement" id="b" x="0" y="50"><next>' +
+      '<block type="diff_test_statement" id="a"></block></next></block>' +
+      '</xml>');
+  var result = Blockly.WorkspaceDiff.merge(base, local, remote);
+  assertArrayEquals(['cycle:a'],
+      workspaceDiffTest_summarize(result.conflicts));
+  assertEquals('Both blocks are kept.', 2,
+      result.xml.getElementsByTagName('block').length);
+}
@@ -24,6 +24,7 @@ goog.require('goog.testing.MockControl');
 
 var mockControl_;
 var workspace;
+var xmlTest_savedMsg;
 var XML_TEXT = ['<xml xmlns="http://www.w3.org/1999/xhtml">',
   '  <block type="controls_repeat_ext" inline="true" x="21" y="23">',
   '    <value name="TIMES">',
@@ -400,3 +401,342 @@ function test_variableFieldXml_caseSensitive() {
       '>' + name + '</field>';
   assertEquals(goldenXml, generatedXml);
 }
+
+function xmlTest_setUpWithValidationBlocks() {
+  xmlTest_setUpWithMockBlocks();
+  xmlTest_savedMsg = {
+    'UNKNOWN_BLOCK_TITLE': Blockly.Msg.UNKNOWN_BLOCK_TITLE,
+    'UNKNOWN_BLOCK_TOOLTIP': Blockly.Msg.UNKNOWN_BLOCK_TOOLTIP
+  };
+  Blockly.Msg.UNKNOWN_BLOCK_TITLE = 'unknown block %1';
+  Blockly.Msg.UNKNOWN_BLOCK_TOOLTIP = '';
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'xml_test_statement',
+    'message0': '%1 %2',
+    'args0': [
+      {
+        'type': 'input_value',
+        'name': 'VALUE',
+        'check': 'Number'
+      },
+      {
+        'type': 'input_statement',
+        'name': 'DO'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  },
+  {
+    'type': 'xml_test_number',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'NUM',
+        'text': '0'
+      }
+    ],
+    'output': 'Number'
+  },
+  {
+    'type': 'xml_test_string',
+    'message0': 'abc',
+    'output': 'String'
+  }]);
+}
+
+function xmlTest_tearDownWithValidationBlocks() {
+  xmlTest_tearDownWithMockBlocks();
+  for (var key in xmlTest_savedMsg) {
+    Blockly.Msg[key] = xmlTest_savedMsg[key];
+  }
+  delete Blockly.Blocks['xml_test_statement'];
+  delete Blockly.Blocks['xml_test_number'];
+  delete Blockly.Blocks['xml_test_string'];
+}
+
+function test_validate_validXml() {
+  xmlTest_setUpWithValidationBlocks();
+  try {
+    var dom = Blockly.Xml.textToDom(
+        '<xml>' +
+        '  <variables>' +
+        '    <variable type="" id="id1">name1</variable>' +
+        '  </variables>' +
+        '  <block type="xml_test_statement" id="a">' +
+        '    <value name="VALUE">' +
+        '      <shadow type="xml_test_number">' +
+        '        <field name="NUM">1</field>' +
+        '      </shadow>' +
+        '    </value>' +
+        '    <statement name="DO">' +
+        '      <block type="xml_test_statement"></block>' +
+        '    </statement>' +
+        '  </block>' +
+        '  <block type="field_variable_test_block">' +
+        '    <field name="VAR" id="id1" variabletype="">name1</field>' +
+        '  </block>' +
+        '</xml>');
+    assertEquals(0, Blockly.Xml.validate(dom, workspace).length);
+  } finally {
+    xmlTest_tearDownWithValidationBlocks();
+  }
+}
+
+function test_validate_reportsProblems() {
+  xmlTest_setUpWithValidationBlocks();
+  try {
+    var dom = Blockly.Xml.textToDom(
+        '<xml>' +
+        '  <block type="xml_test_statement" id="a">' +
+        '    <field name="MISSING">x</field>' +
+        '    <value name="VALUE">' +
+        '      <block type="xml_test_string" id="b"></block>' +
+        '    </value>' +
+        '    <statement name="DO">' +
+        '      <block type="no_such_block" id="c"></block>' +
+        '    </statement>' +
+        '  </block>' +
+        '  <shadow type="xml_test_number" id="d"></shadow>' +
+        '</xml>');
+    var problems = Blockly.Xml.validate(dom, workspace);
+    assertEquals(4, problems.length);
+
+    assertEquals(Blockly.Xml.ProblemType.UNKNOWN_FIELD, problems[0].type);
+    assertEquals('/xml/block/field[@name="MISSING"]', problems[0].path);
+    assertEquals('a', problems[0].blockId);
+
+    assertEquals(Blockly.Xml.ProblemType.BAD_CONNECTION, problems[1].type);
+    assertEquals('/xml/block/value[@name="VALUE"]/block', problems[1].path);
+    assertEquals('b', problems[1].blockId);
+
+    assertEquals(Blockly.Xml.ProblemType.UNKNOWN_BLOCK_TYPE, problems[2].type);
+    assertEquals('/xml/block/statement[@name="DO"]/block', problems[2].path);
+    assertEquals('c', problems[2].blockId);
+
+    assertEquals(Blockly.Xml.ProblemType.TOP_LEVEL_SHADOW, problems[3].type);
+    assertEquals('/xml/shadow', problems[3].path);
+
+    assertEquals('Workspace is not modified.', 0,
+        workspace.getAllBlocks().length);
+  } finally {
+    xmlTest_tearDownWithValidationBlocks();
+  }
+}
+
+function test_validate_badVariables() {
+  xmlTest_setUpWithValidationBlocks();
+  try {
+    workspace.createVariable('name1', 'type1', 'id1');
+    var dom = Blockly.Xml.textToDom(
+        '<xml>' +
+        '  <block type="field_variable_test_block" id="a">' +
+        '    <field name="VAR" id="id1" variabletype="">name1</field>' +
+        '  </block>' +
+        '  <variables>' +
+        '    <variable id="id2">name2</variable>' +
+        '  </variables>' +
+        '</xml>');
+    var problems = Blockly.Xml.validate(dom, workspace);
+    assertEquals(3, problems.length);
+    assertEquals(Blockly.Xml.ProblemType.BAD_FIELD, problems[0].type);
+    assertEquals('a', problems[0].blockId);
+    assertEquals(Blockly.Xml.ProblemType.MISPLACED_VARIABLES,
+        problems[1].type);
+    assertEquals(Blockly.Xml.ProblemType.BAD_VARIABLE, problems[2].type);
+    assertEquals('/xml/variables/variable', problems[2].path);
+    assertEquals('Workspace is not modified.', 1,
+        workspace.getAllVariables().length);
+  } finally {
+    xmlTest_tearDownWithValidationBlocks();
+  }
+}
+
+function test_domToWorkspaceLenient_skipsBadBlocks() {
+  xmlTest_setUpWithValidationBlocks();
+  try {
+    var dom = Blockly.Xml.textToDom(
+        '<xml>' +
+        '  <block type="xml_test_statement" id="a" x="5" y="6">' +
+        '    <value name="VALUE">' +
+        '      <block type="xml_test_string" id="b"></block>' +
+        '    </value>' +
+        '    <next>' +
+        '      <block id="c">' +
+        '        <next>' +
+        '          <block type="xml_test_statement" id="d"></block>' +
+        '        </next>' +
+        '      </block>' +
+        '    </next>' +
+        '  </block>' +
+        '  <block id="e" x="50" y="60">' +
+        '    <next>' +
+        '      <block type="xml_test_statement" id="f"></block>' +
+        '    </next>' +
+        '  </block>' +
+        '</xml>');
+    var original = Blockly.Xml.domToText(dom);
+    var result = Blockly.Xml.domToWorkspaceLenient(dom, workspace);
+    assertEquals('XML is not modified.', original, Blockly.Xml.domToText(dom));
+    assertEquals(3, result.problems.length);
+    assertEquals(Blockly.Xml.ProblemType.BAD_CONNECTION,
+        result.problems[0].type);
+    assertEquals('c', result.problems[1].blockId);
+    assertEquals('e', result.problems[2].blockId);
+
+    assertEquals(2, result.blockIds.length);
+    assertEquals(3, workspace.getAllBlocks().length);
+    assertNull(workspace.getBlockById('b'));
+    assertEquals('Stack is kept after a skipped block.', 'a',
+        workspace.getBlockById('d').getParent().id);
+    var position = workspace.getBlockById('f').getRelativeToSurfaceXY();
+    assertEquals(50, position.x);
+    assertEquals(60, position.y);
+  } finally {
+    xmlTest_tearDownWithValidationBlocks();
+  }
+}
+
+function test_domToWorkspaceLenient_variables() {
+  xmlTest_setUpWithValidationBlocks();
+  try {
+    var dom = Blockly.Xml.textToDom(
+        '<xml>' +
+        '  <block type="xml_test_statement" id="a"></block>' +
+        '  <variables>' +
+        '    <variable type="" id="id1">name1</variable>' +
+        '    <variable id="id2">name2</variable>' +
+        '  </variables>' +
+        '</xml>');
+    var result = Blockly.Xml.domToWorkspaceLenient(dom, workspace);
+    assertEquals(2, result.problems.length);
+    assertEquals(1, workspace.getAllBlocks().length);
+    assertEquals(1, workspace.getAllVariables().length);
+    checkVariableValues(workspace, 'name1', '', 'id1');
+  } finally {
+    xmlTest_tearDownWithValidationBlocks();
+  }
+}
+
+function xmlTest_setUpWithVersionedBlocks() {
+  xmlTest_setUp();
+  // Version 1 had a field named 'N'; version 2 renamed it to 'NUM'; version 3
+  // added the 'UNIT' field.
+  Blockly.Blocks['xml_test_versioned'] = {
+    version: 3,
+    upgrades: {
+      1: function(xmlBlock) {
+        var field = xmlBlock.getElementsByTagName('field')[0];
+        field.setAttribute('name', 'NUM');
+      },
+      2: function(xmlBlock) {
+        var field = goog.dom.createDom('field', null, 'cm');
+        field.setAttribute('name', 'UNIT');
+        xmlBlock.appendChild(field);
+      }
+    },
+    init: function() {
+      this.appendDummyInput()
+          .appendField(new Blockly.FieldTextInput('0'), 'NUM')
+          .appendField(new Blockly.FieldTextInput('mm'), 'UNIT');
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    }
+  };
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'xml_test_versioned_json',
+    'message0': '%1',
+    'args0': [{'type': 'field_input', 'name': 'TEXT', 'text': ''}],
+    'previousStatement': null,
+    'nextStatement': null,
+    'version': 2,
+    'upgrades': {
+      1: function(xmlBlock) {
+        var field = xmlBlock.getElementsByTagName('field')[0];
+        field.textContent = field.textContent.toUpperCase();
+      }
+    }
+  }, {
+    'type': 'xml_test_unversioned',
+    'message0': ''
+  }]);
+}
+
+function xmlTest_tearDownWithVersionedBlocks() {
+  xmlTest_tearDown();
+  delete Blockly.Blocks['xml_test_versioned'];
+  delete Blockly.Blocks['xml_test_versioned_json'];
+  delete Blockly.Blocks['xml_test_unversioned'];
+}
+
+function test_blockToDom_version() {
+  xmlTest_setUpWithVersionedBlocks();
+  try {
+    var block = workspace.newBlock('xml_test_versioned');
+    assertEquals('3', Blockly.Xml.blockToDom(block).getAttribute('version'));
+    block = workspace.newBlock('xml_test_versioned_json');
+    assertEquals('2', Blockly.Xml.blockToDom(block).getAttribute('version'));
+    assertFalse('Unversioned blocks have no version attribute.',
+        Blockly.Xml.blockToDom(workspace.newBlock('xml_test_unversioned'))
+            .hasAttribute('version'));
+  } finally {
+    xmlTest_tearDownWithVersionedBlocks();
+  }
+}
+
+function test_domToBlock_upgradesOldVersions() {
+  xmlTest_setUpWithVersionedBlocks();
+  try {
+    var xml = Blockly.Xml.textToDom(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <block type="xml_test_versioned" id="old">' +
+        '    <field name="N">5</field>' +
+        '    <next>' +
+        '      <block type="xml_test_versioned" id="v2" version="2">' +
+        '        <field name="NUM">6</field>' +
+        '        <next>' +
+        '          <block type="xml_test_versioned_json" id="json">' +
+        '            <field name="TEXT">abc</field>' +
+        '          </block>' +
+        '        </next>' +
+        '      </block>' +
+        '    </next>' +
+        '  </block>' +
+        '</xml>');
+    var text = Blockly.Xml.domToText(xml);
+    Blockly.Xml.domToWorkspace(xml, workspace);
+    assertEquals('Saved XML is not modified.', text, Blockly.Xml.domToText(xml));
+
+    var block = workspace.getBlockById('old');
+    assertEquals('5', block.getFieldValue('NUM'));
+    assertEquals('cm', block.getFieldValue('UNIT'));
+    block = workspace.getBlockById('v2');
+    assertEquals('6', block.getFieldValue('NUM'));
+    assertEquals('cm', block.getFieldValue('UNIT'));
+    assertEquals('ABC', workspace.getBlockById('json').getFieldValue('TEXT'));
+
+    var saved = Blockly.Xml.blockToDom(workspace.getBlockById('old'));
+    assertEquals('3', saved.getAttribute('version'));
+  } finally {
+    xmlTest_tearDownWithVersionedBlocks();
+  }
+}
+
+function test_validate_upgradesOldVersions() {
+  xmlTest_setUpWithVersionedBlocks();
+  try {
+    var xml = Blockly.Xml.textToDom(
+        '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+        '  <block type="xml_test_versioned" id="old">' +
+        '    <field name="N">5</field>' +
+        '  </block>' +
+        '</xml>');
+    assertEquals(0, Blockly.Xml.validate(xml, workspace).length);
+    var result = Blockly.Xml.domToWorkspaceLenient(xml, workspace);
+    assertEquals(0, result.problems.length);
+    assertEquals('5', workspace.getBlockById('old').getFieldValue('NUM'));
+  } finally {
+    xmlTest_tearDownWithVersionedBlocks();
+  }
+}
@@ -19,6 +19,8 @@
  */
 'use strict';
 
+goog.require('goog.testing.MockClock');
+
 function helper_createWorkspaceWithToolbox() {
   var toolbox = document.getElementById('toolbox-categories');
   return Blockly.inject('blocklyDiv', {toolbox: toolbox});
@@ -93,3 +95,1100 @@ function test_appendDomToWorkspace() {
     workspace.dispose();
   }
 }
+
+/** Clock for the tests below, installed by setUp. */
+var clock;
+/**
+ * Workspaces, containers and anything else with a dispose method that the
+ * running test created.  tearDown disposes of them, last first.
+ */
+var disposables;
+
+function setUp() {
+  clock = new goog.testing.MockClock(true);
+  disposables = [];
+}
+
+function tearDown() {
+  try {
+    while (disposables.length) {
+      disposables.pop().dispose();
+    }
+  } finally {
+    clock.uninstall();
+  }
+}
+
+/**
+ * Dispose of something when the running test ends.
+ * @param {!Object} disposable An object with a dispose method.
+ * @return {!Object} The same object.
+ */
+function helper_disposeAfterTest(disposable) {
+  disposables.push(disposable);
+  return disposable;
+}
+
+/**
+ * Dispose of something that would be disposed of when the running test ends,
+ * before it ends.
+ * @param {!Object} disposable An object passed to helper_disposeAfterTest.
+ */
+function helper_disposeNow(disposable) {
+  goog.array.remove(disposables, disposable);
+  disposable.dispose();
+}
+
+/**
+ * Add a container for a second workspace to the page.
+ * @return {!Element} The container.
+ */
+function helper_createContainer() {
+  var container = document.createElement('div');
+  document.body.appendChild(container);
+  helper_disposeAfterTest({
+    dispose: function() {
+      goog.dom.removeNode(container);
+    }
+  });
+  return container;
+}
+
+/**
+ * Inject a workspace that is disposed of when the test ends, give it a
+ * 400x300 screen, load some blocks into it and let its events and animation
+ * frames run.
+ * @param {!Object} options Options for Blockly.inject.
+ * @param {string=} opt_xmlText Blocks to load, in an xml element.
+ * @param {!Element=} opt_container Where to inject, instead of blocklyDiv.
+ * @return {!Blockly.WorkspaceSvg} The workspace.
+ */
+function helper_injectWorkspace(options, opt_xmlText, opt_container) {
+  var workspace = helper_disposeAfterTest(
+      Blockly.inject(opt_container || 'blocklyDiv', options));
+  // Without a size, workspaces without scrollbars bump their blocks back into
+  // view forever.
+  helper_setScreenSize(workspace, 400, 300);
+  if (opt_xmlText) {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(opt_xmlText), workspace);
+  }
+  Blockly.Events.flush();
+  clock.tick(1);
+  return workspace;
+}
+
+/**
+ * Give a workspace the size of screen that the page does not lay out, and let
+ * it settle.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {number} width The width of the screen.
+ * @param {number} height The height of the screen.
+ */
+function helper_setScreenSize(workspace, width, height) {
+  workspace.getParentSvg().cachedWidth_ = width;
+  workspace.getParentSvg().cachedHeight_ = height;
+  workspace.resize();
+  Blockly.Events.flush();
+  clock.tick(1);
+}
+
+/**
+ * Call a function after every block render until the test ends.
+ * @param {function(!Blockly.BlockSvg)} onRender Called with each block.
+ */
+function helper_onRender(onRender) {
+  var render = Blockly.BlockSvg.prototype.render;
+  Blockly.BlockSvg.prototype.render = function(opt_bubble) {
+    render.call(this, opt_bubble);
+    onRender(this);
+  };
+  helper_disposeAfterTest({
+    dispose: function() {
+      Blockly.BlockSvg.prototype.render = render;
+    }
+  });
+}
+
+function helper_parseSvg(text) {
+  return new DOMParser().parseFromString(text, 'image/svg+xml').documentElement;
+}
+
+function helper_fireMouseEvent(target, type, coordinate) {
+  target.dispatchEvent(new MouseEvent(type, {bubbles: true,
+    clientX: coordinate.x, clientY: coordinate.y}));
+}
+
+function helper_assertViewport(expected, workspace) {
+  var rect = workspace.getViewportRect();
+  assertRoughlyEquals(expected[0], rect.left, 1e-6);
+  assertRoughlyEquals(expected[1], rect.top, 1e-6);
+  assertRoughlyEquals(expected[2], rect.width, 1e-6);
+  assertRoughlyEquals(expected[3], rect.height, 1e-6);
+}
+
+/**
+ * Click the trashcan as if the workspace had not been scrolled since the mouse
+ * went down, which is what makes a click open the flyout.
+ */
+function helper_clickTrashcan(workspace) {
+  workspace.startScrollX = workspace.scrollX;
+  workspace.startScrollY = workspace.scrollY;
+  workspace.trashcan.click();
+}
+
+function test_injectWithTrashcan() {
+  var workspace = helper_injectWorkspace({trashcan: true,
+    toolbox: document.getElementById('toolbox-simple')});
+  var trashcan = workspace.trashcan;
+  var flyoutSvg = trashcan.flyout_.svgGroup_;
+  assertEquals('The trash flyout is a sibling of the workspace svg.',
+      workspace.getParentSvg().parentNode, flyoutSvg.parentNode);
+  var block = workspace.newBlock('logic_boolean');
+  block.initSvg();
+  block.render();
+  block.dispose();
+  Blockly.Events.flush();
+  helper_clickTrashcan(workspace);
+  assertTrue(trashcan.flyout_.isVisible());
+  assertEquals(1, trashcan.flyout_.getWorkspace().getTopBlocks().length);
+}
+
+function test_trashcanRestoreFromFlyout() {
+  var workspace = helper_injectWorkspace({trashcan: true,
+    toolbox: document.getElementById('toolbox-simple')});
+  var trashcan = workspace.trashcan;
+  var block = workspace.newBlock('logic_boolean', 'deleted');
+  block.initSvg();
+  block.render();
+  block.dispose();
+  Blockly.Events.flush();
+  helper_clickTrashcan(workspace);
+  var flyoutBlock = trashcan.flyout_.getWorkspace().getTopBlocks()[0];
+  var restored = trashcan.flyout_.createBlock(flyoutBlock);
+  Blockly.Events.flush();
+  assertEquals('deleted', restored.id);
+  assertEquals('The restored block leaves the trash.', 0,
+      trashcan.getContents().length);
+}
+
+function helper_injectWorkspaceDiff() {
+  var oldXml = Blockly.Xml.textToDom(
+      '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+      '  <block type="controls_repeat_ext" id="repeat" x="10" y="10">' +
+      '    <value name="TIMES">' +
+      '      <block type="math_number" id="times"><field name="NUM">10</field></block>' +
+      '    </value>' +
+      '    <statement name="DO">' +
+      '      <block type="text_print" id="print">' +
+      '        <value name="TEXT">' +
+      '          <block type="text" id="hello"><field name="TEXT">hello</field></block>' +
+      '        </value>' +
+      '      </block>' +
+      '    </statement>' +
+      '  </block>' +
+      '</xml>');
+  var newXml = Blockly.Xml.textToDom(
+      '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+      '  <block type="controls_repeat_ext" id="repeat" x="10" y="10">' +
+      '    <value name="TIMES">' +
+      '      <block type="math_number" id="times"><field name="NUM">3</field></block>' +
+      '    </value>' +
+      '  </block>' +
+      '  <block type="logic_boolean" id="added" x="300" y="10"></block>' +
+      '</xml>');
+  return helper_disposeAfterTest(
+      Blockly.WorkspaceDiffSvg.inject('blocklyDiv', oldXml, newXml));
+}
+
+function test_workspaceDiffSvgAdded() {
+  var workspace = helper_injectWorkspaceDiff();
+  assertTrue(workspace.options.readOnly);
+  var added = workspace.getBlockById('added');
+  assertTrue('Added blocks glow.', added.isHighlightingBlock_);
+  var filterId = workspace.options.diffAddedGlowFilterId;
+  assertEquals('Added blocks glow green.', 'url(#' + filterId + ')',
+      added.svgPathHighlight_.getAttribute('filter'));
+  var flood = document.getElementById(filterId)
+      .getElementsByTagName('feFlood')[0];
+  assertEquals(Blockly.Colours.diffAddedGlow,
+      flood.getAttribute('flood-color'));
+  assertNotEquals(Blockly.Colours.highlightGlow, Blockly.Colours.diffAddedGlow);
+  var repeat = workspace.getBlockById('repeat');
+  assertFalse('Unchanged blocks do not glow.', !!repeat.isHighlightingBlock_);
+  assertFalse(repeat.svgPath_.hasAttribute('filter'));
+}
+
+function test_workspaceDiffSvgRemoved() {
+  var workspace = helper_injectWorkspaceDiff();
+  var ghost = workspace.getBlockById(
+      Blockly.WorkspaceDiffSvg.GHOST_ID_PREFIX + 'print');
+  assertTrue(Blockly.WorkspaceDiffSvg.isGhost(ghost));
+  assertNull('Ghosts are not connected.', ghost.getParent());
+  assertTrue('Removed blocks glow as warnings.',
+      ghost.isHighlightingWarningBlock_);
+  var ghostChild = workspace.getBlockById(
+      Blockly.WorkspaceDiffSvg.GHOST_ID_PREFIX + 'hello');
+  assertNotNull('Removed children are kept in the ghost.', ghostChild);
+  assertTrue('Ghosts are drawn in their shadow colour.',
+      ghost.isGlowingBlock_ && ghostChild.isGlowingBlock_);
+  assertEquals(ghost.getColourSecondary(),
+      ghost.svgPath_.getAttribute('fill'));
+}
+
+function test_workspaceDiffSvgFieldChanged() {
+  var workspace = helper_injectWorkspaceDiff();
+  var times = workspace.getBlockById('times');
+  assertEquals('Blocks with changes are highlighted.',
+      'url(#' + workspace.options.embossFilterId + ')',
+      times.svgPath_.getAttribute('filter'));
+  var field = times.getField('NUM');
+  var badges = field.getSvgRoot().getElementsByClassName('blocklyDiffBadge');
+  assertEquals('Changed fields are badged.', 1, badges.length);
+  var tooltip = Blockly.Msg.DIFF_FIELD_CHANGED_TOOLTIP.replace('%1', '10');
+  assertEquals('The old value is in the tooltip of the badge.', tooltip,
+      badges[0].tooltip);
+  assertEquals('The old value is in the tooltip of the field.', tooltip,
+      field.textElement_.tooltip);
+  assertEquals('Unchanged fields are not badged.', 1, workspace.getCanvas()
+      .getElementsByClassName('blocklyDiffBadge').length);
+}
+
+var EXPORT_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '  <block type="controls_repeat_ext" id="repeat" x="100" y="50">' +
+    '    <value name="TIMES">' +
+    '      <block type="math_number" id="times"><field name="NUM">10</field></block>' +
+    '    </value>' +
+    '  </block>' +
+    '  <block type="text" id="text" x="400" y="200"></block>' +
+    '</xml>';
+
+function test_exportSvgWorkspace() {
+  var workspace = helper_injectWorkspace({}, EXPORT_TEST_XML);
+  var box = workspace.getBlocksBoundingBox();
+  var svg = helper_parseSvg(Blockly.exportSvg(workspace, {padding: 5}));
+  assertEquals('svg', svg.nodeName);
+  assertEquals(box.width + 10, Number(svg.getAttribute('width')));
+  assertEquals(box.height + 10, Number(svg.getAttribute('height')));
+  assertEquals(3, svg.getElementsByClassName('blocklyDraggable').length);
+}
+
+function test_exportSvgStyles() {
+  var workspace = helper_injectWorkspace({}, EXPORT_TEST_XML);
+  workspace.getBlockById('repeat').select();
+  var svg = helper_parseSvg(Blockly.exportSvg(workspace));
+  assertTrue('CSS is inlined.', svg.getElementsByTagName('style')[0]
+      .textContent.indexOf('.blocklyPath') != -1);
+  assertTrue('Filters are copied.',
+      svg.getElementsByTagName('filter').length > 0);
+  assertEquals('Selection is not exported.', 0,
+      svg.getElementsByClassName('blocklySelected').length);
+}
+
+function test_exportSvgBlock() {
+  var workspace = helper_injectWorkspace({}, EXPORT_TEST_XML);
+  var block = workspace.getBlockById('repeat');
+  var svg = helper_parseSvg(Blockly.exportSvg(block, {scale: 2}));
+  assertEquals((block.getHeightWidth().width + 20) * 2,
+      Number(svg.getAttribute('width')));
+  assertEquals('Only the block and its children are exported.', 2,
+      svg.getElementsByClassName('blocklyDraggable').length);
+}
+
+/**
+ * Load export assets from a fake server, until the test ends.
+ * @return {!Array.<string>} The URLs of the assets that were loaded.
+ */
+function helper_fakeExportAssets() {
+  var loaded = [];
+  var loadExportImages = Blockly.loadExportImages_;
+  Blockly.loadExportImages_ = function(urls, callback) {
+    urls.forEach(function(url) {
+      loaded.push(url);
+      Blockly.exportImageCache_[url] = 'data:,' + encodeURIComponent(url);
+    });
+    callback();
+  };
+  helper_disposeAfterTest({
+    dispose: function() {
+      Blockly.loadExportImages_ = loadExportImages;
+      loaded.forEach(function(url) {
+        delete Blockly.exportImageCache_[url];
+      });
+    }
+  });
+  return loaded;
+}
+
+function test_exportSvgCssAssets() {
+  var workspace = helper_injectWorkspace({}, EXPORT_TEST_XML);
+  var sprites = goog.Uri.resolve(document.baseURI,
+      Blockly.Css.mediaPath_ + '/sprites.png').toString();
+  var loaded = helper_fakeExportAssets();
+  var css = helper_parseSvg(Blockly.exportSvg(workspace))
+      .getElementsByTagName('style')[0].textContent;
+  assertTrue('Assets are linked by absolute URL.',
+      css.indexOf('url(' + sprites + ')') != -1);
+  assertEquals('Nothing is loaded without a callback.', 0, loaded.length);
+
+  var standalone = null;
+  Blockly.exportSvg(workspace, {}, function(text) {
+    standalone = text;
+  });
+  assertTrue('The assets are loaded.', loaded.indexOf(sprites) != -1);
+  css = helper_parseSvg(standalone).getElementsByTagName('style')[0]
+      .textContent;
+  assertEquals('The assets are embedded.', -1, css.indexOf(sprites));
+  assertTrue(css.indexOf('url(' + Blockly.exportImageCache_[sprites] + ')') !=
+      -1);
+  assertEquals('Every URL is embedded.', null,
+      css.match(/url\((?!\s*["']?data:)/));
+}
+
+/**
+ * Show a remote collaborator, Ada, who has selected the text block, alongside
+ * the local one.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @return {!Blockly.RemotePresence} The presence, disposed after the test.
+ */
+function helper_createRemotePresence(workspace) {
+  var presence = helper_disposeAfterTest(
+      new Blockly.RemotePresence(workspace, 'local'));
+  presence.update(new Blockly.Events.Presence(workspace, 'local', 'Me',
+      '#000000'));
+  var event = new Blockly.Events.Presence(null, '', '', '');
+  event.fromJson({type: 'presence', siteId: 'remote', name: 'Ada',
+    colour: '#ff0000', cursor: {x: 30, y: 40}, selectedId: 'text',
+    viewport: {left: 200, top: 100, width: 400, height: 300, scale: 1.5}});
+  presence.update(event);
+  return presence;
+}
+
+var PRESENCE_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '  <block type="text" id="text" x="100" y="50"></block>' +
+    '</xml>';
+
+function test_remotePresenceCollaborators() {
+  var workspace = helper_injectWorkspace({scrollbars: true},
+      PRESENCE_TEST_XML);
+  var presence = helper_createRemotePresence(workspace);
+  var collaborators = presence.getCollaborators();
+  assertEquals(2, collaborators.length);
+  assertEquals('Ada', collaborators[0].name);
+  presence.remove('local');
+  assertEquals(1, presence.getCollaborators().length);
+  helper_disposeNow(presence);
+  assertEquals(0, document.getElementsByClassName('blocklyPresence').length);
+}
+
+function test_remotePresenceCursorAndSelection() {
+  var workspace = helper_injectWorkspace({scrollbars: true},
+      PRESENCE_TEST_XML);
+  var presence = helper_createRemotePresence(workspace);
+  presence.remove('local');
+  var canvas = workspace.getBubbleCanvas();
+  assertEquals(1, canvas.getElementsByClassName('blocklyPresence').length);
+  var name = canvas.getElementsByClassName('blocklyPresenceName')[0];
+  assertEquals('Ada', name.textContent);
+  assertEquals('translate(30,40)', name.parentNode.getAttribute('transform'));
+  var outline = canvas.getElementsByClassName('blocklyPresenceSelection')[0];
+  assertEquals('#ff0000', outline.getAttribute('stroke'));
+  assertEquals(100 - Blockly.RemotePresence.SELECTION_PADDING,
+      Number(outline.getAttribute('x')));
+}
+
+function test_remotePresenceViewports() {
+  var workspace = helper_injectWorkspace({scrollbars: true},
+      PRESENCE_TEST_XML);
+  var presence = helper_createRemotePresence(workspace);
+  presence.remove('local');
+  var canvas = workspace.getBubbleCanvas();
+  assertEquals('Views are hidden by default.', 0,
+      canvas.getElementsByClassName('blocklyPresenceViewport').length);
+  presence.setShowViewports(true);
+  assertEquals(1,
+      canvas.getElementsByClassName('blocklyPresenceViewport').length);
+
+  var viewport = presence.getViewport('remote');
+  assertEquals(200, viewport.left);
+  assertEquals(300, viewport.height);
+  assertNull(presence.getViewport('local'));
+  assertFalse(presence.jumpTo('local'));
+  assertTrue(presence.jumpTo('remote'));
+  assertEquals('The zoom is matched.', 1.5, workspace.scale);
+}
+
+function test_remotePresenceNotExported() {
+  var workspace = helper_injectWorkspace({scrollbars: true},
+      PRESENCE_TEST_XML);
+  helper_createRemotePresence(workspace);
+  var svg = Blockly.exportSvg(workspace);
+  assertEquals('Presence is not exported.', -1, svg.indexOf('Ada'));
+}
+
+/**
+ * Add a block and a checkpoint to the undo history, and show them in the
+ * workspace's panel.
+ * @param {!Blockly.WorkspaceSvg} workspace A workspace with an undo history.
+ * @return {!NodeList} The rows of the panel.
+ */
+function helper_addUndoHistoryCheckpoint(workspace) {
+  workspace.newBlock('text', 'text').initSvg();
+  workspace.getUndoHistory().addCheckpoint('added');
+  Blockly.Events.flush();
+  workspace.undoHistoryPanel_.render();
+  return workspace.getInjectionDiv()
+      .getElementsByClassName('blocklyUndoHistoryEntry');
+}
+
+function test_undoHistoryPanelRows() {
+  var workspace = helper_injectWorkspace({undoHistory: true});
+  assertNotNull(workspace.getInjectionDiv()
+      .getElementsByClassName('blocklyUndoHistory')[0]);
+  var rows = helper_addUndoHistoryCheckpoint(workspace);
+  assertEquals(2, rows.length);
+  assertEquals(Blockly.Msg.UNDO_HISTORY_START, rows[0].textContent);
+  assertTrue(Blockly.utils.hasClass(rows[1], 'blocklyUndoHistoryCurrent'));
+  assertEquals('added',
+      rows[1].getElementsByClassName('blocklyUndoHistoryCheckpoint')[0]
+          .textContent);
+  helper_disposeNow(workspace);
+  assertEquals(0,
+      document.getElementsByClassName('blocklyUndoHistory').length);
+}
+
+function test_undoHistoryPanelClick() {
+  var workspace = helper_injectWorkspace({undoHistory: true});
+  var rows = helper_addUndoHistoryCheckpoint(workspace);
+  var panel = workspace.undoHistoryPanel_;
+  panel.onClick_({target: rows[0]});
+  assertNull(workspace.getBlockById('text'));
+  Blockly.Events.flush();
+  panel.render();
+  assertTrue(Blockly.utils.hasClass(rows[0], 'blocklyUndoHistoryCurrent'));
+  assertTrue(Blockly.utils.hasClass(rows[1], 'blocklyUndoHistoryUndone'));
+}
+
+var UI_EVENTS_TEST_TOOLBOX = '<xml><category name="Logic">' +
+    '<block type="logic_boolean"></block></category><category name="Text">' +
+    '<block type="text"></block></category></xml>';
+
+var UI_EVENTS_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="text" id="text" x="100" y="50"></block></xml>';
+
+/**
+ * Record the UI events of a workspace from now on.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @return {function():!Array.<!Blockly.Events.Ui>} Returns the events fired
+ *     since it was last called.
+ */
+function helper_recordUiEvents(workspace) {
+  var events = [];
+  var uiTypes = [Blockly.Events.START_DRAG,
+    Blockly.Events.DRAG_OVER_DELETE_AREA,
+    Blockly.Events.TOOLBOX_CATEGORY_SELECT, Blockly.Events.FLYOUT_OPEN,
+    Blockly.Events.VIEWPORT_CHANGE, Blockly.Events.FIELD_EDITOR_OPEN];
+  workspace.on(uiTypes, function(event) {
+    var json = event.toJson();
+    // Every event survives a round trip through JSON.
+    assertEquals(JSON.stringify(json), JSON.stringify(
+        Blockly.Events.fromJson(json, workspace).toJson()));
+    events.push(event);
+  });
+  return function() {
+    Blockly.Events.flush();
+    return events.splice(0, events.length);
+  };
+}
+
+function test_uiEventsToolbox() {
+  var workspace = helper_injectWorkspace({trashcan: false,
+    toolbox: UI_EVENTS_TEST_TOOLBOX});
+  var takeEvents = helper_recordUiEvents(workspace);
+  var tree = workspace.getToolbox().tree_;
+  tree.setSelectedItem(tree.getChildAt(0));
+  var fired = takeEvents();
+  assertEquals(2, fired.length);
+  assertEquals(Blockly.Events.FLYOUT_OPEN, fired[0].type);
+  assertTrue(fired[0].isOpen);
+  assertEquals(null, fired[1].oldCategory);
+  assertEquals('Logic', fired[1].newCategory);
+  tree.setSelectedItem(tree.getChildAt(1));
+  fired = takeEvents();
+  assertEquals('Switching categories keeps the flyout open.', 1,
+      fired.length);
+  assertEquals('Text', fired[0].newCategory);
+  tree.setSelectedItem(null);
+  fired = takeEvents();
+  assertEquals(Blockly.Events.FLYOUT_OPEN, fired[0].type);
+  assertFalse(fired[0].isOpen);
+}
+
+function test_uiEventsViewport() {
+  var workspace = helper_injectWorkspace({scrollbars: true, trashcan: false,
+    toolbox: UI_EVENTS_TEST_TOOLBOX});
+  var takeEvents = helper_recordUiEvents(workspace);
+  workspace.setScale(2);
+  var fired = takeEvents();
+  assertEquals(1, fired.length);
+  assertTrue(fired[0].isZoom());
+  assertEquals(2, fired[0].scale);
+}
+
+function test_uiEventsDrag() {
+  var workspace = helper_injectWorkspace({trashcan: false,
+    toolbox: UI_EVENTS_TEST_TOOLBOX}, UI_EVENTS_TEST_XML);
+  var takeEvents = helper_recordUiEvents(workspace);
+  var block = workspace.getBlockById('text');
+  var dragger = new Blockly.BlockDragger(block, workspace,
+      new goog.math.Coordinate(0, 0));
+  dragger.startBlockDrag(new goog.math.Coordinate(0, 0), false);
+  var fired = takeEvents();
+  assertEquals(Blockly.Events.START_DRAG, fired[0].type);
+  assertEquals('text', fired[0].blockId);
+  // Everything is at 0,0 in a page without layout, including the toolbox.
+  dragger.dragBlock({clientX: 0, clientY: 0}, new goog.math.Coordinate(0, 0));
+  fired = takeEvents();
+  assertEquals(Blockly.Events.DRAG_OVER_DELETE_AREA, fired[0].type);
+  assertTrue(fired[0].isOverDeleteArea);
+  block.setDragging(false);
+  block.moveOffDragSurface_(new goog.math.Coordinate(100, 50));
+  Blockly.Events.setGroup(false);
+}
+
+function test_uiEventsFieldEditor() {
+  var workspace = helper_injectWorkspace({trashcan: false},
+      UI_EVENTS_TEST_XML);
+  var takeEvents = helper_recordUiEvents(workspace);
+  workspace.getBlockById('text').getField('TEXT').showEditor_();
+  var fired = takeEvents();
+  assertEquals(1, fired.length);
+  assertEquals(Blockly.Events.FIELD_EDITOR_OPEN, fired[0].type);
+  assertEquals('TEXT', fired[0].name);
+  assertTrue(fired[0].isOpen);
+  Blockly.WidgetDiv.hide(true);
+  Blockly.DropDownDiv.hideWithoutAnimation();
+  fired = takeEvents();
+  assertEquals(1, fired.length);
+  assertFalse(fired[0].isOpen);
+}
+
+var VIEWPORT_FOLLOW_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="text" x="100" y="50"></block></xml>';
+
+/**
+ * Make one workspace follow the view of another, through a manual hub.
+ * The screens have different sizes but the same shape.
+ * @return {!Object} The leader and follower workspaces, their
+ *     Blockly.ViewportFollow objects, leading and following, and the hub.
+ */
+function helper_followViewport() {
+  var leader = helper_injectWorkspace({scrollbars: true},
+      VIEWPORT_FOLLOW_TEST_XML);
+  var follower = helper_injectWorkspace({scrollbars: true},
+      VIEWPORT_FOLLOW_TEST_XML, helper_createContainer());
+  helper_setScreenSize(leader, 800, 600);
+  helper_setScreenSize(follower, 400, 300);
+  leader.showViewportRect(new goog.math.Rect(-50, -100, 400, 300));
+  var hub = new Blockly.LocalCollaborationHub(true);
+  var follow = {
+    leader: leader,
+    follower: follower,
+    hub: hub,
+    leading: helper_disposeAfterTest(
+        new Blockly.ViewportFollow(leader, hub.connect())),
+    following: helper_disposeAfterTest(
+        new Blockly.ViewportFollow(follower, hub.connect()))
+  };
+  follow.leading.lead();
+  follow.following.follow();
+  hub.deliver();
+  return follow;
+}
+
+function test_viewportFollowStart() {
+  var follow = helper_followViewport();
+  assertEquals(2, follow.leader.scale);
+  helper_assertViewport([-50, -100, 400, 300], follow.leader);
+  assertTrue(follow.leading.isLeading());
+  assertTrue(follow.following.isFollowing());
+  assertEquals('The content is matched, not the pixels.', 1,
+      follow.follower.scale);
+  helper_assertViewport([-50, -100, 400, 300], follow.follower);
+}
+
+function test_viewportFollowChanges() {
+  var follow = helper_followViewport();
+  follow.leader.showViewportRect(new goog.math.Rect(0, -20, 320, 240));
+  Blockly.Events.flush();
+  clock.tick(1);
+  follow.hub.deliver();
+  assertEquals(1.25, follow.follower.scale);
+  helper_assertViewport([0, -20, 320, 240], follow.follower);
+}
+
+function test_viewportFollowStop() {
+  var follow = helper_followViewport();
+  follow.following.stop();
+  assertFalse(follow.following.isFollowing());
+  follow.leader.setScale(2.5);
+  Blockly.Events.flush();
+  clock.tick(1);
+  follow.hub.deliver();
+  assertEquals('Stopped workspaces stay where they are.', 1,
+      follow.follower.scale);
+}
+
+var RENDERERS_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="controls_repeat_ext"></block></xml>';
+
+function test_renderersFlyout() {
+  var workspace = helper_injectWorkspace({renderer: 'touch', trashcan: false,
+    toolbox: '<xml><category name="Text"><block type="text"></block>' +
+        '</category></xml>'});
+  var preview = helper_injectWorkspace({renderer: 'compact'}, undefined,
+      helper_createContainer());
+  assertEquals(Blockly.Renderer.get('touch'), workspace.getRenderer());
+  assertEquals(Blockly.Renderer.get('compact'), preview.getRenderer());
+  assertEquals('Flyouts draw like their workspace.',
+      workspace.getRenderer(),
+      workspace.getToolbox().flyout_.workspace_.getRenderer());
+}
+
+function test_renderersShapes() {
+  var workspace = helper_injectWorkspace({renderer: 'touch'},
+      RENDERERS_TEST_XML);
+  var preview = helper_injectWorkspace({renderer: 'compact'},
+      RENDERERS_TEST_XML, helper_createContainer());
+  var large = workspace.getTopBlocks()[0];
+  var small = preview.getTopBlocks()[0];
+  assertTrue(large.getHeightWidth().height > small.getHeightWidth().height);
+  assertEquals(Blockly.Renderer.get('touch').NOTCH_WIDTH,
+      large.nextConnection.x_ - large.getRelativeToSurfaceXY().x);
+  assertEquals(Blockly.Renderer.get('compact').NOTCH_WIDTH,
+      small.nextConnection.x_ - small.getRelativeToSurfaceXY().x);
+  assertTrue(large.svgPath_.getAttribute('d').indexOf(
+      Blockly.Renderer.get('touch').NOTCH_PATH_LEFT) != -1);
+}
+
+function test_renderersBlockSvgConstants() {
+  var startHat = Blockly.BlockSvg.START_HAT;
+  helper_disposeAfterTest({
+    dispose: function() {
+      Blockly.BlockSvg.START_HAT = startHat;
+    }
+  });
+  // Pages set the old constants before injecting.
+  Blockly.BlockSvg.START_HAT = true;
+  var workspace = helper_injectWorkspace({},
+      '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+      '<block type="procedures_defnoreturn" id="hat"></block></xml>');
+  assertContains(Blockly.BlockSvg.START_HAT_PATH, workspace.getBlockById('hat')
+      .svgPath_.getAttribute('d'));
+}
+
+/**
+ * Open the first category of a workspace's toolbox.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @return {!Blockly.BlockSvg} The first block in the flyout.
+ */
+function helper_openFirstCategory(workspace) {
+  var toolbox = workspace.getToolbox();
+  toolbox.tree_.setSelectedItem(toolbox.tree_.getChildren()[0]);
+  return toolbox.flyout_.getWorkspace().getTopBlocks()[0];
+}
+
+var THEMES_TEST_TOOLBOX = '<xml>' +
+    '<category name="Logic" colour="%{BKY_LOGIC_HUE}">' +
+    '<block type="logic_boolean"></block></category></xml>';
+
+var THEMES_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="logic_boolean" id="boolean"></block></xml>';
+
+function test_themesInject() {
+  var workspace = helper_injectWorkspace({theme: 'dark', trashcan: false,
+    toolbox: THEMES_TEST_TOOLBOX}, THEMES_TEST_XML);
+  assertTrue(Blockly.utils.hasClass(workspace.getInjectionDiv(),
+      'blocklyTheme-dark'));
+  assertEquals('#466380', workspace.getBlockById('boolean').svgPath_
+      .getAttribute('fill'));
+  var flyoutBlock = helper_openFirstCategory(workspace);
+  assertEquals('#466380',
+      workspace.getToolbox().tree_.getChildren()[0].hexColour);
+  assertEquals('#466380', flyoutBlock.getColour());
+}
+
+function test_themesSwitch() {
+  var workspace = helper_injectWorkspace({theme: 'dark', trashcan: false,
+    toolbox: THEMES_TEST_TOOLBOX}, THEMES_TEST_XML);
+  var flyoutBlock = helper_openFirstCategory(workspace);
+  var injectionDiv = workspace.getInjectionDiv();
+  var category = workspace.getToolbox().tree_.getChildren()[0];
+  workspace.setTheme('highContrast');
+  assertFalse(Blockly.utils.hasClass(injectionDiv, 'blocklyTheme-dark'));
+  assertTrue(
+      Blockly.utils.hasClass(injectionDiv, 'blocklyTheme-highContrast'));
+  assertEquals('Blocks are re-coloured.', '#003366',
+      workspace.getBlockById('boolean').svgPath_.getAttribute('fill'));
+  assertEquals('Flyout blocks are re-coloured.', '#003366',
+      flyoutBlock.svgPath_.getAttribute('fill'));
+  assertEquals('Categories are re-coloured.', '#003366', category.hexColour);
+  assertEquals('The open category is re-coloured.', 'rgb(0, 51, 102)',
+      category.getRowElement().style.backgroundColor);
+}
+
+function test_themesCss() {
+  var workspace = helper_injectWorkspace({theme: 'dark', trashcan: false});
+  workspace.setTheme('highContrast');
+  var css = Blockly.Theme.get('highContrast').styleNode_.textContent;
+  assertContains('.blocklyTheme-highContrast .blocklySvg {', css);
+  assertContains('background-color: #FFFFFF;', css);
+}
+
+var RENDER_QUEUE_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="controls_repeat_ext"><value name="TIMES">' +
+    '<block type="math_arithmetic" id="arithmetic"><value name="A">' +
+    '<block type="math_number" id="number"><field name="NUM">1</field>' +
+    '</block></value></block></value></block></xml>';
+
+function test_renderQueueRendersLoadedBlocks() {
+  var workspace = helper_injectWorkspace({trashcan: false});
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(RENDER_QUEUE_TEST_XML),
+      workspace);
+  var number = workspace.getBlockById('number');
+  assertFalse('domToWorkspace renders its blocks.',
+      workspace.getRenderQueue().has(number));
+  assertTrue(number.width > 0);
+}
+
+function test_renderQueueFieldChanges() {
+  var workspace = helper_injectWorkspace({trashcan: false},
+      RENDER_QUEUE_TEST_XML);
+  var arithmetic = workspace.getBlockById('arithmetic');
+  var number = workspace.getBlockById('number');
+  var renders = [];
+  helper_onRender(function(block) {
+    renders.push(block.type);
+  });
+  var width = number.width;
+  for (var i = 0; i < 5; i++) {
+    number.setFieldValue('123456789' + i, 'NUM');
+    arithmetic.setFieldValue('MINUS', 'OP');
+  }
+  assertEquals('Field changes are queued.', 0, renders.length);
+  assertEquals(width, number.width);
+  assertTrue(workspace.getRenderQueue().has(number));
+  clock.tick(100);
+  assertEquals('Each block is rendered once, children first.',
+      'math_number,math_arithmetic,controls_repeat_ext', renders.join(','));
+  assertTrue(number.width > width);
+  assertFalse(workspace.getRenderQueue().has(number));
+}
+
+function test_renderQueueLoad() {
+  var workspace = helper_injectWorkspace({trashcan: false});
+  var renders = [];
+  helper_onRender(function(block) {
+    renders.push(block.type);
+  });
+  var xml = '<block type="controls_repeat_ext"><value name="TIMES">' +
+      '<block type="math_arithmetic"><value name="A">' +
+      '<block type="math_number"><field name="NUM">1</field></block>' +
+      '</value></block></value></block>';
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml xmlns="http://www.w3.org/1999/xhtml">' + xml + xml + '</xml>'),
+      workspace);
+  assertEquals('Loading renders each block once.', 6, renders.length);
+
+  renders = [];
+  var resizes = 0;
+  workspace.resizeContents = function() {
+    resizes++;
+  };
+  Blockly.Xml.domToBlock(Blockly.Xml.textToDom(
+      '<xml xmlns="http://www.w3.org/1999/xhtml">' + xml + '</xml>')
+      .firstChild, workspace);
+  assertEquals('math_number,math_arithmetic,controls_repeat_ext',
+      renders.join(','));
+  assertEquals('The workspace is resized once.', 1, resizes);
+}
+
+function test_renderQueueTextInputEditor() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'text_input_test_block',
+    'message0': '%1 %2',
+    'args0': [
+      {'type': 'field_input', 'name': 'FIRST', 'text': 'a'},
+      {'type': 'field_input', 'name': 'SECOND', 'text': 'b'}
+    ]
+  }]);
+  helper_disposeAfterTest({
+    dispose: function() {
+      Blockly.WidgetDiv.hide(true);
+      delete Blockly.Blocks['text_input_test_block'];
+    }
+  });
+  var workspace = helper_injectWorkspace({trashcan: false},
+      '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+      '<block type="text_input_test_block" id="block"></block></xml>');
+  var field = workspace.getBlockById('block').getField('FIRST');
+  field.showEditor_();
+  var htmlInput = Blockly.FieldTextInput.htmlInput_;
+  var widths = [];
+  ['abcdefghijkl', 'abcdefghijklmnopqrst'].forEach(function(text) {
+    htmlInput.value = text;
+    htmlInput.dispatchEvent(new Event('input'));
+    assertEquals('The editor fits the field as it is typed into.',
+        (field.size_.width + 1) + 'px', Blockly.WidgetDiv.DIV.style.width);
+    widths.push(field.size_.width);
+  });
+  assertTrue('The editor grows with the text.', widths[1] > widths[0]);
+  Blockly.WidgetDiv.hide();
+  assertFalse('The saved edit is drawn straight away.',
+      workspace.getRenderQueue().has(field.sourceBlock_));
+}
+
+var CULLING_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="text" id="near" x="10" y="10"></block>' +
+    '<block type="text" id="far" x="3000" y="3000"></block></xml>';
+
+/**
+ * Inject a workspace that culls offscreen stacks, with one stack in view and
+ * one far away.
+ * @param {boolean=} opt_minimap Whether the workspace has a minimap.
+ * @return {!Blockly.WorkspaceSvg} The workspace.
+ */
+function helper_injectCulledWorkspace(opt_minimap) {
+  return helper_injectWorkspace({viewportCulling: true, scrollbars: true,
+    trashcan: false, minimap: !!opt_minimap}, CULLING_TEST_XML);
+}
+
+function test_viewportCulling() {
+  var workspace = helper_injectCulledWorkspace();
+  var culler = workspace.getCuller();
+  assertFalse(culler.isCulled(workspace.getBlockById('near')));
+  var far = workspace.getBlockById('far');
+  assertTrue('Offscreen stacks are culled.', culler.isCulled(far));
+  assertNull(far.getSvgRoot().parentNode);
+}
+
+function test_viewportCullingKeepsMetrics() {
+  var workspace = helper_injectCulledWorkspace();
+  var far = workspace.getBlockById('far');
+  assertTrue(workspace.getCuller().isCulled(far));
+  assertEquals(3000, far.getRelativeToSurfaceXY().x);
+  var bbox = workspace.getBlocksBoundingBox();
+  assertEquals('Culled stacks are measured.', 3000 + far.width,
+      bbox.x + bbox.width);
+  var db = workspace.connectionDBList[Blockly.OUTPUT_VALUE];
+  assertTrue('Culled connections stay in the database.',
+      db.findConnection(far.outputConnection) != -1);
+}
+
+function test_viewportCullingScroll() {
+  var workspace = helper_injectCulledWorkspace();
+  var culler = workspace.getCuller();
+  var far = workspace.getBlockById('far');
+  workspace.showViewportRect(new goog.math.Rect(2900, 2900, 400, 300));
+  assertFalse('Stacks scrolled into view are attached.',
+      culler.isCulled(far));
+  assertEquals(workspace.getCanvas(), far.getSvgRoot().parentNode);
+  assertTrue(culler.isCulled(workspace.getBlockById('near')));
+}
+
+function test_viewportCullingRender() {
+  var workspace = helper_injectCulledWorkspace();
+  var culler = workspace.getCuller();
+  var far = workspace.getBlockById('far');
+  assertTrue(culler.isCulled(far));
+  var parents = [];
+  helper_onRender(function(block) {
+    parents.push(block.getSvgRoot().parentNode);
+  });
+  far.setFieldValue('rendered offscreen', 'TEXT');
+  workspace.getRenderQueue().flush();
+  assertArrayEquals('Stacks are attached to be rendered.',
+      [workspace.getCanvas()], parents);
+  assertTrue('The stack is culled again.', culler.isCulled(far));
+}
+
+function test_exportSvgWithCulling() {
+  var workspace = helper_injectCulledWorkspace();
+  var far = workspace.getBlockById('far');
+  assertTrue(workspace.getCuller().isCulled(far));
+  var svg = helper_parseSvg(Blockly.exportSvg(workspace, {}));
+  assertEquals('Culled stacks are exported.', 2,
+      svg.getElementsByClassName('blocklyDraggable').length);
+  assertTrue('Exporting does not attach them.',
+      workspace.getCuller().isCulled(far));
+}
+
+function test_minimapWithCulling() {
+  var workspace = helper_injectCulledWorkspace(true);
+  assertTrue(workspace.getCuller().isCulled(workspace.getBlockById('far')));
+  assertEquals('Culled stacks are drawn on the minimap.', 2,
+      workspace.minimap_.getItemCount());
+}
+
+var PATTERNS_TEST_TOOLBOX = '<xml>' +
+    '<category name="Logic" colour="%{BKY_LOGIC_HUE}">' +
+    '<block type="logic_boolean"></block></category>' +
+    '<category name="Other" colour="#123456"></category></xml>';
+
+var PATTERNS_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="logic_compare" id="compare"></block></xml>';
+
+function test_categoryPatternsBlocks() {
+  var workspace = helper_injectWorkspace({categoryPatterns: true,
+    trashcan: false}, PATTERNS_TEST_XML);
+  var dotsFill = workspace.getCategoryPatterns().getFill(
+      Blockly.Msg.LOGIC_HUE);
+  assertContains('blocklyCategoryPattern-dots-', dotsFill);
+  var block = workspace.getBlockById('compare');
+  var overlay = block.svgPathPattern_;
+  assertEquals(dotsFill, overlay.getAttribute('fill'));
+  assertEquals(block.svgPath_.getAttribute('d'), overlay.getAttribute('d'));
+  assertEquals('The pattern is drawn over the colour.', block.svgPath_,
+      overlay.previousSibling);
+  var shadow = workspace.newBlock('logic_boolean');
+  shadow.setShadow(true);
+  shadow.initSvg();
+  assertNull('Shadow blocks have no pattern.', shadow.svgPathPattern_);
+}
+
+function test_categoryPatternsToolbox() {
+  var workspace = helper_injectWorkspace({categoryPatterns: true,
+    trashcan: false, toolbox: PATTERNS_TEST_TOOLBOX});
+  var dotsFill = workspace.getCategoryPatterns().getFill(
+      Blockly.Msg.LOGIC_HUE);
+  var categories = workspace.getToolbox().tree_.getChildren();
+  var swatch = categories[0].patternSwatch_;
+  assertEquals(categories[0].getRowElement(), swatch.parentNode);
+  assertEquals(dotsFill, swatch.lastChild.getAttribute('fill'));
+  assertNull('Categories without a pattern have no swatch.',
+      categories[1].patternSwatch_);
+  var flyoutBlock = helper_openFirstCategory(workspace);
+  assertEquals('Flyouts use the patterns of their workspace.', dotsFill,
+      flyoutBlock.svgPathPattern_.getAttribute('fill'));
+}
+
+function test_categoryPatternsHide() {
+  var workspace = helper_injectWorkspace({categoryPatterns: true,
+    trashcan: false, toolbox: PATTERNS_TEST_TOOLBOX}, PATTERNS_TEST_XML);
+  var block = workspace.getBlockById('compare');
+  var overlay = block.svgPathPattern_;
+  var flyoutBlock = helper_openFirstCategory(workspace);
+  var category = workspace.getToolbox().tree_.getChildren()[0];
+  workspace.setCategoryPatternsVisible(false);
+  assertNull(block.svgPathPattern_);
+  assertNull(overlay.parentNode);
+  assertNull(category.patternSwatch_);
+  assertNull(flyoutBlock.svgPathPattern_);
+}
+
+function test_categoryPatternsChange() {
+  var workspace = helper_injectWorkspace({categoryPatterns: true,
+    trashcan: false, toolbox: PATTERNS_TEST_TOOLBOX}, PATTERNS_TEST_XML);
+  var patterns = workspace.getCategoryPatterns();
+  var dotsFill = patterns.getFill(Blockly.Msg.LOGIC_HUE);
+  workspace.setCategoryPatternsVisible(false);
+  patterns.setPattern('#123456', 'stripes');
+  workspace.setCategoryPatternsVisible(true);
+  assertEquals(dotsFill, workspace.getBlockById('compare').svgPathPattern_
+      .getAttribute('fill'));
+  assertContains('blocklyCategoryPattern-stripes-',
+      workspace.getToolbox().tree_.getChildren()[1].patternSwatch_
+          .lastChild.getAttribute('fill'));
+}
+
+function test_categoryPatternsBeforeDefaults() {
+  // The hue messages are loaded on this page, so this category has the same
+  // hue as the loops.
+  Blockly.Msg.PATTERNS_TEST_HUE = Blockly.Msg.LOOPS_HUE;
+  try {
+    var patterns = new Blockly.CategoryPatterns({'PATTERNS_TEST_HUE': 'checks'});
+    assertEquals('Patterns that are given win over the defaults.', 'checks',
+        patterns.getPattern(Blockly.Msg.LOOPS_HUE));
+    assertEquals('Other defaults are kept.', 'dots',
+        patterns.getPattern(Blockly.Msg.LOGIC_HUE));
+    patterns.setPattern('LOGIC_HUE', null);
+    assertNull(patterns.getPattern(Blockly.Msg.LOGIC_HUE));
+  } finally {
+    delete Blockly.Msg.PATTERNS_TEST_HUE;
+  }
+}
+
+var MINIMAP_TEST_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<block type="text_print" id="top" x="0" y="0"></block>' +
+    '<block type="text_print" id="far" x="1000" y="800"></block></xml>';
+
+function test_minimap() {
+  var workspace = helper_injectWorkspace({minimap: true, scrollbars: true,
+    trashcan: false}, MINIMAP_TEST_XML);
+  var minimap = workspace.minimap_;
+  assertEquals(2, minimap.getItemCount());
+  var rect = minimap.items_['far'].element;
+  assertEquals('1000', rect.getAttribute('x'));
+  assertEquals(workspace.getBlockById('far').getColour(),
+      rect.getAttribute('fill'));
+  assertEquals(String(workspace.getViewportRect().width),
+      minimap.svgViewport_.getAttribute('width'));
+}
+
+function test_minimapScroll() {
+  var workspace = helper_injectWorkspace({minimap: true, scrollbars: true,
+    trashcan: false}, MINIMAP_TEST_XML);
+  var minimap = workspace.minimap_;
+  // Clicking the minimap centers the view on the point clicked, to within a
+  // pixel of the minimap.
+  var pixel = 1 / minimap.scale_;
+  var toClient = function(x, y) {
+    return new goog.math.Coordinate(minimap.origin_.x + x * minimap.scale_,
+        minimap.origin_.y + y * minimap.scale_);
+  };
+  helper_fireMouseEvent(minimap.svgBackground_, 'mousedown',
+      toClient(600, 500));
+  var view = workspace.getViewportRect();
+  assertRoughlyEquals(600, view.left + view.width / 2, pixel);
+  assertRoughlyEquals(500, view.top + view.height / 2, pixel);
+  helper_fireMouseEvent(document, 'mousemove', toClient(400, 300));
+  view = workspace.getViewportRect();
+  assertRoughlyEquals('Dragging keeps scrolling.', 400,
+      view.left + view.width / 2, pixel);
+  helper_fireMouseEvent(document, 'mouseup', toClient(400, 300));
+  helper_fireMouseEvent(document, 'mousemove', toClient(600, 500));
+  view = workspace.getViewportRect();
+  assertRoughlyEquals('Scrolling stops on mouse up.', 400,
+      view.left + view.width / 2, pixel);
+  Blockly.Events.flush();
+  clock.tick(1);
+  assertEquals('The viewport rectangle follows the view.', String(view.left),
+      minimap.svgViewport_.getAttribute('x'));
+}
+
+function test_minimapEvents() {
+  var workspace = helper_injectWorkspace({minimap: true, scrollbars: true,
+    trashcan: false}, MINIMAP_TEST_XML);
+  var minimap = workspace.minimap_;
+  var top = workspace.getBlockById('top');
+  var far = workspace.getBlockById('far');
+  var rect = minimap.items_['far'].element;
+  // Stacks are redrawn from the events, without rebuilding the minimap.
+  top.nextConnection.connect(far.previousConnection);
+  Blockly.Events.flush();
+  clock.tick(1);
+  assertEquals(1, minimap.getItemCount());
+  assertNull(rect.parentNode);
+  var stackHeight = top.getHeightWidth().height;
+  assertEquals(String(stackHeight),
+      minimap.items_['top'].element.getAttribute('height'));
+  far.dispose(true);
+  Blockly.Events.flush();
+  clock.tick(1);
+  assertEquals(1, minimap.getItemCount());
+  assertTrue(Number(minimap.items_['top'].element.getAttribute('height')) <
+      stackHeight);
+  top.dispose();
+  Blockly.Events.flush();
+  clock.tick(1);
+  assertEquals(0, minimap.getItemCount());
+}
@@ -61,6 +61,13 @@ declare namespace goog {
             height: number;
             constructor(width: number, height: number);
         }
+        class Rect {
+            left: number;
+            top: number;
+            width: number;
+            height: number;
+            constructor(x: number, y: number, w: number, h: number);
+        }
         function clamp(n: number, min: number, max: number): number;
         function toRadians(n: number): number;
         function toDegrees(n: number): number;
@@ -500,6 +507,7 @@ declare namespace Blockly {
 
     let VARIABLE_CATEGORY_NAME: string;
     let PROCEDURE_CATEGORY_NAME: string;
+    const UNKNOWN_BLOCK_TYPE: string;
 
     namespace utils {
         function wrap(tip: string, limit: number): string;
@@ -530,6 +538,8 @@ declare namespace Blockly {
         onchange?: (event: any) => void;
         mutationToDom?: () => Element;
         domToMutation?: (xmlElement: Element) => void;
+        version?: number;
+        upgrades?: { [fromVersion: number]: (xmlBlock: Element) => void };
     }
 
     const Blocks: {
@@ -571,6 +581,7 @@ declare namespace Blockly {
         updateTextNode_(): void;
         getSize(): goog.math.Size;
         getSvgRoot(): Element;
+        getRenderer(): Renderer;
         classValidator(text: string): string;
         forceRerender(): void;
     }
@@ -739,6 +750,7 @@ declare namespace Blockly {
         dispose(healGap: boolean, animate?: boolean): void;
         setCollapsed(collapsed: boolean): void;
         setColour(colour: number | string, secondaryColour?: string, tertiaryColour?: string): void;
+        refreshColour(): void;
         setOutputShape(shape: number): void;
         setCommentText(text: string): void;
         setConnectionsHidden(hidden: boolean): void;
@@ -767,6 +779,7 @@ declare namespace Blockly {
         isShadow(): boolean;
 
         render(opt_bubble?: boolean): void;
+        queueRender(opt_bumpNeighbours?: boolean): void;
         bumpNeighbours_(): void;
         select(): void;
         getRelativeToSurfaceXY(): goog.math.Coordinate;
@@ -776,6 +789,8 @@ declare namespace Blockly {
 
     class FunctionBlockAbstract extends Block {
         getArguments: () => Functions.ArgumentInfo[];
+        getReturnType: () => string;
+        isReturnTypeDeclared: () => boolean;
     }
 
     class FunctionDeclarationBlock extends FunctionBlockAbstract {
@@ -784,10 +799,18 @@ declare namespace Blockly {
         addStringExternal(): void;
         addNumberExternal(): void;
         addCustomExternal(typeName: string): void;
+        setReturnTypeExternal(returnType: string | null): void;
     }
 
     class FunctionDefinitionBlock extends FunctionBlockAbstract { }
     class FunctionCallBlock extends FunctionBlockAbstract { }
+    class FunctionCallOutputBlock extends FunctionBlockAbstract { }
+
+    class UnknownBlock extends Block {
+        setOriginalXml(xmlBlock: Element): void;
+        getOriginalType(): string;
+        originalXmlToDom(noId?: boolean): Element;
+    }
 
     class WorkspaceComment {
         getContent(): string;
@@ -938,8 +961,13 @@ declare namespace Blockly {
         getAllBlocks(): Block[];
         traceOn(armed: boolean): void;
         addChangeListener(f: (e: BlocklyEvent) => void): callbackHandler;
+        on(types: string | string[], handler: (e: any) => void): () => void;
+        on(types: string | string[], options: EventSubscriptions.Options, handler: (e: any) => void): () => void;
         removeChangeListener(h: callbackHandler): void;
         updateToolbox(newTree: Element | string): void;
+        getTheme(): Theme;
+        setTheme(theme: string | Theme): void;
+        refreshTheme(): void;
         getCanvas(): any;
         getParentSvg(): Element;
         zoom(x: number, y: number, type: number): void;
@@ -948,11 +976,21 @@ declare namespace Blockly {
         setScale(scale: number): void;
         highlightBlock(id: string): void;
         centerOnBlock(id: string, animate?: boolean): void;
+        getViewportRect(): goog.math.Rect;
+        showViewportRect(rect: goog.math.Rect): void;
+        centerOnPoint(x: number, y: number): void;
         glowBlock(id: string, state: boolean): void;
         glowStack(id: string, state: boolean): void;
         undo(redo?: boolean): void;
         redo(): void;
         clearUndo(): void;
+        getUndoHistory(): UndoHistory;
+        getRenderer(): Renderer;
+        getRenderQueue(): RenderQueue;
+        getCuller(): ViewportCuller;
+        getCategoryPatterns(): CategoryPatterns;
+        setCategoryPatternsVisible(visible: boolean): void;
+        refreshCategoryPatterns(): void;
         isDragging(): boolean;
         getMetrics(): {
             absoluteLeft: number;
@@ -980,7 +1018,14 @@ declare namespace Blockly {
         play(audio: string): void;
     }
 
+    class Trashcan {
+        getContents(): string[];
+        emptyContents(): void;
+        closeFlyout(): void;
+    }
+
     class WorkspaceSvg {
+        trashcan: Trashcan;
         moveDrag(e: Event): goog.math.Coordinate;
         showContextMenu_(e: Event): void;
         static buildDeleteList_(topBlocks: Blockly.Block[]): Blockly.Block[];
@@ -995,6 +1040,100 @@ declare namespace Blockly {
         function domToWorkspace(dom: Element, workspace: Workspace): string[];
         function textToDom(text: string): Element;
         function workspaceToDom(workspace: Workspace, noid?: boolean): Element;
+        function validate(xml: Element, workspace: Workspace): Problem[];
+        function domToWorkspaceLenient(xml: Element, workspace: Workspace): { blockIds: string[]; problems: Problem[] };
+
+        interface Problem {
+            type: string;
+            message: string;
+            path: string;
+            blockId: string;
+        }
+
+        const ProblemType: {
+            UNKNOWN_TAG: string;
+            MISSING_BLOCK_TYPE: string;
+            UNKNOWN_BLOCK_TYPE: string;
+            BLOCK_INIT_FAILED: string;
+            DUPLICATE_BLOCK_ID: string;
+            TOP_LEVEL_SHADOW: string;
+            SHADOW_CHILD: string;
+            UNEXPECTED_MUTATION: string;
+            BAD_MUTATION: string;
+            UNKNOWN_FIELD: string;
+            BAD_FIELD: string;
+            UNKNOWN_INPUT: string;
+            BAD_CONNECTION: string;
+            MISPLACED_VARIABLES: string;
+            BAD_VARIABLE: string;
+        };
+    }
+
+    namespace Json {
+        function workspaceToJson(workspace: Workspace, noid?: boolean): any;
+        function jsonToWorkspace(json: any, workspace: Workspace): string[];
+        function blockToJson(block: Block, noid?: boolean): any;
+        function jsonToBlock(json: any, workspace: Workspace): Block;
+        function domToJson(xml: Element): any;
+        function jsonToDom(json: any): Element;
+        function blockDomToJson(xmlBlock: Element): any;
+        function jsonToBlockDom(json: any): Element;
+    }
+
+    namespace WorkspaceDiff {
+        interface Change {
+            type: string;
+            blockId: string;
+            blockType: string;
+            oldX?: number;
+            oldY?: number;
+            newX?: number;
+            newY?: number;
+            oldParentId?: string;
+            oldInputName?: string;
+            newParentId?: string;
+            newInputName?: string;
+            fieldName?: string;
+            property?: string;
+            oldValue?: string;
+            newValue?: string;
+        }
+
+        interface Conflict {
+            type: string;
+            blockId: string;
+            blockType: string;
+            property?: string;
+            base?: string;
+            local?: string;
+            remote?: string;
+        }
+
+        const ChangeType: {
+            ADDED: string;
+            REMOVED: string;
+            MOVED: string;
+            RECONNECTED: string;
+            FIELD_CHANGED: string;
+            PROPERTY_CHANGED: string;
+        };
+
+        const ConflictType: {
+            PROPERTY: string;
+            PLACEMENT: string;
+            DELETE_MODIFY: string;
+            SLOT: string;
+            CYCLE: string;
+        };
+
+        function diff(oldXml: Element, newXml: Element): Change[];
+        function merge(baseXml: Element, localXml: Element, remoteXml: Element): { xml: Element; conflicts: Conflict[] };
+    }
+
+    namespace WorkspaceDiffSvg {
+        function inject(container: Element | string, oldXml: Element, newXml: Element, opt_options?: Options): WorkspaceSvg;
+        function show(workspace: WorkspaceSvg, oldXml: Element, newXml: Element): WorkspaceDiff.Change[];
+        function isGhost(block: Block): boolean;
     }
 
     interface Options {
@@ -1002,6 +1141,13 @@ declare namespace Blockly {
         toolbox?: Element | string;
         hasCategories?: boolean;
         trashcan?: boolean;
+        maxTrashcanContents?: number;
+        undoHistory?: boolean;
+        renderer?: string | Renderer;
+        theme?: string | Theme;
+        viewportCulling?: boolean;
+        categoryPatterns?: boolean | { [category: string]: string | null };
+        minimap?: boolean;
         collapse?: boolean;
         comments?: boolean;
         disable?: boolean;
@@ -1052,6 +1198,239 @@ declare namespace Blockly {
 
     function inject(elt: Element, options?: Options): Workspace;
 
+    interface Recording {
+        xml: string;
+        duration: number;
+        events: { time: number; event: any }[];
+    }
+
+    class EventRecorder {
+        constructor(workspace: Workspace, opt_includeUi?: boolean);
+        start(): void;
+        stop(): void;
+        isRecording(): boolean;
+        getRecording(): Recording;
+        dispose(): void;
+    }
+
+    class EventPlayer {
+        constructor(workspace: Workspace, recording: Recording);
+        setSpeed(speed: number): void;
+        getSpeed(): number;
+        play(opt_onFinish?: () => void): void;
+        pause(): void;
+        isPlaying(): boolean;
+        step(): boolean;
+        finish(): void;
+        reset(): void;
+        getTime(): number;
+        getDuration(): number;
+        dispose(): void;
+    }
+
+    interface CollaborationTransport {
+        send(message: any): void;
+        setReceiver(receiver: ((message: any) => void) | null): void;
+    }
+
+    class LocalCollaborationHub {
+        constructor(opt_manual?: boolean);
+        connect(): CollaborationTransport;
+        deliver(): void;
+        getQueueLength(): number;
+    }
+
+    class WebSocketTransport implements CollaborationTransport {
+        constructor(socket: WebSocket);
+        send(message: any): void;
+        setReceiver(receiver: ((message: any) => void) | null): void;
+    }
+
+    class Collaboration {
+        constructor(workspace: Workspace, transport: CollaborationTransport, opt_siteId?: string);
+        siteId: string;
+        hasPendingChanges(): boolean;
+        dispose(): void;
+    }
+
+    namespace EventSubscriptions {
+        interface Options {
+            blockId?: string;
+            group?: string;
+            recordUndo?: boolean;
+            debounce?: number;
+            batch?: boolean;
+        }
+    }
+
+    class EventSubscriptions {
+        constructor();
+        add(types: string | string[], options: EventSubscriptions.Options, handler: (e: any) => void): () => void;
+        dispatch(event: Events.Abstract): void;
+        dispose(): void;
+    }
+
+    namespace UndoHistory {
+        interface Entry {
+            description: string;
+            events: Events.Abstract[];
+        }
+
+        interface Checkpoint {
+            name: string;
+            position: number;
+        }
+    }
+
+    class UndoHistory {
+        constructor(workspace: Workspace);
+        static describe: (events: Events.Abstract[]) => string;
+        getEntries(): UndoHistory.Entry[];
+        getPosition(): number;
+        goTo(position: number): void;
+        addCheckpoint(name: string): void;
+        removeCheckpoint(name: string): void;
+        getCheckpoints(): UndoHistory.Checkpoint[];
+        goToCheckpoint(name: string): boolean;
+        toJson(): Object;
+        fromJson(json: Object): boolean;
+        addChangeListener(func: () => void): () => void;
+        removeChangeListener(func: () => void): void;
+    }
+
+    class UndoHistoryPanel {
+        constructor(workspace: WorkspaceSvg);
+        createDom(): Element;
+        render(): void;
+        dispose(): void;
+    }
+
+    class RemotePresence {
+        constructor(workspace: WorkspaceSvg, opt_siteId?: string);
+        static SELECTION_PADDING: number;
+        update(event: Events.Presence): void;
+        remove(siteId: string): void;
+        getCollaborators(): { siteId: string; name: string; colour: string }[];
+        getViewport(siteId: string): goog.math.Rect;
+        setShowViewports(show: boolean): void;
+        jumpTo(siteId: string): boolean;
+        dispose(): void;
+    }
+
+    class Renderer {
+        constructor(opt_gridUnit?: number);
+        static DEFAULT: string;
+        static register(name: string, rendererClass: { new(): Renderer }): void;
+        static get(name: string): Renderer;
+        initShapes(): void;
+        GRID_UNIT: number;
+        TAB_WIDTH: number;
+        SEP_SPACE_X: number;
+        SEP_SPACE_Y: number;
+        MIN_BLOCK_X: number;
+        MIN_BLOCK_Y: number;
+        NOTCH_WIDTH: number;
+        NOTCH_HEIGHT: number;
+        CORNER_RADIUS: number;
+        START_HAT: boolean;
+        START_HAT_HEIGHT: number;
+        START_HAT_WIDTH: number;
+        FIELD_HEIGHT: number;
+        FIELD_WIDTH: number;
+        NOTCH_PATH_LEFT: string;
+        NOTCH_PATH_RIGHT: string;
+        [constant: string]: any;
+    }
+
+    class RenderQueue {
+        constructor(workspace: WorkspaceSvg);
+        add(block: Block, opt_bumpNeighbours?: boolean): void;
+        has(block: Block): boolean;
+        startBatch(): void;
+        endBatch(): void;
+        inBatch(): boolean;
+        flush(): void;
+        dispose(): void;
+    }
+
+    class ViewportCuller {
+        constructor(workspace: WorkspaceSvg);
+        static MARGIN: number;
+        update(): void;
+        attach(block: Block): void;
+        isCulled(block: Block): boolean;
+        getCulledBlocks(): Block[];
+        dispose(): void;
+    }
+
+    class Theme {
+        constructor(name: string, colours: { [name: string]: string }, opt_categoryColours?: { [key: string]: string });
+        static DEFAULT: string;
+        static CSS: string[];
+        static register(theme: Theme): void;
+        static get(name: string): Theme;
+        name: string;
+        getColour(name: string): string | number;
+        getCategoryColour(colour: number | string): number | string;
+        getClassName(): string;
+        injectCss(): void;
+    }
+
+    class Minimap {
+        constructor(workspace: WorkspaceSvg);
+        createDom(): Element;
+        init(bottom: number): number;
+        position(): void;
+        getItemCount(): number;
+        dispose(): void;
+    }
+
+    class CategoryPatterns {
+        constructor(opt_options?: boolean | { [category: string]: string | null });
+        static PATTERNS: { [name: string]: any[][] };
+        static DEFAULTS: { [category: string]: string };
+        static SIZE: number;
+        static OPACITY: number;
+        setPattern(category: string, pattern: string | null): void;
+        getPattern(colour: number | string): string | null;
+        getFill(colour: number | string): string | null;
+        isVisible(): boolean;
+        setVisible(visible: boolean): void;
+    }
+
+    class CompactRenderer extends Renderer {
+        constructor();
+    }
+
+    class TouchRenderer extends Renderer {
+        constructor();
+    }
+
+    class ViewportFollow {
+        constructor(workspace: WorkspaceSvg, transport: CollaborationTransport);
+        static LEAD: string;
+        static FOLLOW: string;
+        lead(): void;
+        follow(): void;
+        stop(): void;
+        isLeading(): boolean;
+        isFollowing(): boolean;
+        dispose(): void;
+    }
+
+    interface ExportOptions {
+        padding?: number;
+        scale?: number;
+        background?: string;
+    }
+
+    function exportSvg(workspaceOrBlock: WorkspaceSvg | Block, options?: ExportOptions, callback?: (svg: string) => void): string;
+    function exportPng(workspaceOrBlock: WorkspaceSvg | Block, options: ExportOptions, callback: (dataUrl: string) => void): void;
+
+    namespace Css {
+        function getContent(): string;
+    }
+
     namespace Names {
         function equals(old: string, n: any): boolean;
     }
@@ -1119,8 +1498,19 @@ declare namespace Blockly {
         const CHANGE: string;
         const MOVE: string;
         const UI: string;
+        const PRESENCE: string;
+        const START_DRAG: string;
+        const END_DRAG: string;
+        const DRAG_OVER_DELETE_AREA: string;
+        const TOOLBOX_CATEGORY_SELECT: string;
+        const FLYOUT_OPEN: string;
+        const VIEWPORT_CHANGE: string;
+        const FIELD_EDITOR_OPEN: string;
+        const UI_TYPES: string[];
         function setGroup(group: any): void;
         function fire(ev: Abstract): void;
+        function flush(): void;
+        function transaction<T>(workspace: Workspace, fn: () => T): T;
         function disableOrphans(ev: Abstract): void;
         function isEnabled(): boolean;
         function enable(): boolean;
@@ -1134,6 +1524,56 @@ declare namespace Blockly {
         class BlockChange extends Abstract {
             constructor(block: Block, element: String, name: String, oldValue: String, newValue: String);
         }
+        class Presence extends Abstract {
+            constructor(workspace: Workspace, siteId: string, name: string, colour: string, opt_cursor?: goog.math.Coordinate);
+            siteId: string;
+            name: string;
+            colour: string;
+            cursor: { x: number; y: number } | null;
+            selectedId: string | null;
+            viewport: { left: number; top: number; width: number; height: number; scale: number } | null;
+        }
+        class StartBlockDrag extends Abstract {
+            constructor(block: Block);
+            blockId: string;
+            allNestedIds: string[];
+        }
+        class EndBlockDrag extends Abstract {
+            constructor(block: Block);
+            blockId: string;
+            allNestedIds: string[];
+        }
+        class DragOverDeleteArea extends Abstract {
+            constructor(block: Block, isOverDeleteArea: boolean);
+            blockId: string;
+            isOverDeleteArea: boolean;
+        }
+        class ToolboxCategorySelect extends Abstract {
+            constructor(workspace: Workspace, oldCategory: string | null, newCategory: string | null);
+            oldCategory: string | null;
+            newCategory: string | null;
+        }
+        class FlyoutOpen extends Abstract {
+            constructor(workspace: Workspace, isOpen: boolean);
+            isOpen: boolean;
+        }
+        class ViewportChange extends Abstract {
+            constructor(workspace: WorkspaceSvg, oldScale: number);
+            viewLeft: number;
+            viewTop: number;
+            viewWidth: number;
+            viewHeight: number;
+            scale: number;
+            oldScale: number;
+            getViewportRect(): goog.math.Rect;
+            isZoom(): boolean;
+        }
+        class FieldEditorOpen extends Abstract {
+            constructor(field: Field, isOpen: boolean);
+            blockId: string;
+            name: string;
+            isOpen: boolean;
+        }
     }
 
     class Toolbox {
@@ -1195,6 +1635,7 @@ declare namespace Blockly {
         function clearContent(): void;
         function getContentDiv(): HTMLElement;
         function setColour(backgroundColour: string, borderColour: string): void;
+        function setTheme(theme: Theme): void;
     }
 
     var Tooltip: any;
@@ -1205,6 +1646,8 @@ declare namespace Blockly {
         insertionMarkerOpacity: string;
         numPadBackground: string;
         numPadBorder: string;
+        dropDownBackground: string;
+        dropDownBorder: string;
     }
 
     namespace Extensions {
@@ -1229,6 +1672,7 @@ declare namespace Blockly {
         function validateFunctionExternal(mutation: Element, targetWorkspace: Blockly.Workspace): boolean;
         function flyoutCategory(workspace: Blockly.Workspace): HTMLElement[];
         function isFunctionArgumentReporter(block: Blockly.Block): boolean;
+        function inferReturnType(definitionBlock: Blockly.Block): string;
     }
 
     namespace PXTBlockly {